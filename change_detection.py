@@ -0,0 +1,121 @@
+import json
+import rasterio
+import numpy as np
+from rasterio.warp import reproject, transform_geom, Resampling
+from rasterio.features import geometry_mask
+from process_satellite import (
+    pixel_areas, summarize, zone_masks, render_preview, load_style,
+    ProcessingError, open_raster, request_field, run_worker
+)
+
+def read_index(path):
+    """Đọc GeoTIFF chỉ số, pixel nodata thành NaN"""
+    with open_raster(path) as src:
+        data = src.read(1, masked=True).astype(np.float64).filled(np.nan)
+        return data, src.transform, src.crs
+
+def align_to(path, transform, crs, shape_):
+    """Chiếu lại GeoTIFF chỉ số về lưới của ảnh tham chiếu"""
+    aligned = np.full(shape_, np.nan)
+    with open_raster(path) as src:
+        if (src.crs is None) != (crs is None):
+            raise ProcessingError('crs_mismatch', 'Only one of the before/after rasters has a CRS', {
+                'before_crs': crs.to_string() if crs else None,
+                'after_crs': src.crs.to_string() if src.crs else None
+            })
+        reproject(
+            source=src.read(1).astype(np.float64),
+            destination=aligned,
+            src_transform=src.transform,
+            src_crs=src.crs,
+            src_nodata=src.nodata,
+            dst_transform=transform,
+            dst_crs=crs,
+            dst_nodata=np.nan,
+            resampling=Resampling.bilinear
+        )
+    return aligned
+
+def change_summary(diff, valid, areas, threshold):
+    """Thống kê chênh lệch kèm diện tích giảm/tăng vượt ngưỡng"""
+    stats = summarize(diff, valid, areas)
+    stats.update({
+        'threshold': threshold,
+        'loss_area_m2': float(areas[valid & (diff < -threshold)].sum()),
+        'gain_area_m2': float(areas[valid & (diff > threshold)].sum()),
+        'valid_area_m2': float(areas[valid].sum())
+    })
+    return stats
+
+def detect_change(before_path, after_path, output_prefix, threshold, geometry_path=None, zones_path=None,
+                  style=None, outline=False, title='CHANGE'):
+    """Raster chênh lệch (sau - trước) trên lưới của ảnh trước, kèm thống kê và cảnh báo"""
+    warnings = []
+    before, transform, crs = read_index(before_path)
+    after = align_to(after_path, transform, crs, before.shape)
+    diff = after - before
+
+    valid = np.isfinite(diff)
+    if not valid.any():
+        raise ProcessingError('empty_intersection', 'Before and after rasters have no overlapping valid pixels')
+    geometry = None
+    if geometry_path:
+        with open(geometry_path, 'r') as f:
+            geometry = json.load(f)
+        projected = transform_geom('EPSG:4326', crs, geometry) if crs and crs.to_epsg() != 4326 else geometry
+        valid &= geometry_mask([projected], out_shape=diff.shape, transform=transform, invert=True)
+        diff[~valid] = np.nan
+        if not valid.any():
+            warnings.append('No valid pixel of both rasters inside the shapefile')
+
+    geotiff_path = f"{output_prefix}.tif"
+    with rasterio.open(before_path) as src:
+        profile = src.profile.copy()
+    profile.update(count=1, dtype=rasterio.float32, nodata=np.nan)
+    with rasterio.open(geotiff_path, 'w', **profile) as dst:
+        dst.write(diff.astype(np.float32), 1)
+
+    # Đỏ là giảm, xanh lá là tăng (style 'change' trong danh mục)
+    preview_path = f"{output_prefix}_preview.png"
+    rendered = render_preview(diff, transform, crs, style or load_style('change'), preview_path, title,
+                              geometry if outline else None)
+
+    areas = pixel_areas(transform, crs, *diff.shape)
+    stats = None
+    if zones_path:
+        stats = []
+        for feature_id, inside in zone_masks(zones_path, transform, crs, diff.shape):
+            zone_valid = inside & np.isfinite(diff)
+            stats.append({'feature_id': feature_id, 'total_pixels': int(inside.sum()),
+                          **change_summary(diff, zone_valid, areas, threshold)})
+    return {
+        'outputs': {
+            'geotiff': geotiff_path,
+            'preview': preview_path,
+            'legend': rendered['legend'],
+            'worldfile': rendered['worldfile']
+        },
+        'bounds': rendered['bounds'],
+        'summary': change_summary(diff, valid, areas, threshold),
+        'stats': stats,
+        'warnings': warnings
+    }
+
+def handle_request(request):
+    """Request của job change-detection (services/changeDetection.js)"""
+    threshold = request_field(request, 'threshold', required=False)
+    return detect_change(
+        request_field(request, 'before'),
+        request_field(request, 'after'),
+        request_field(request, 'outputPrefix'),
+        float(threshold) if threshold is not None else 0.1,
+        request_field(request, 'geometry', required=False),
+        request_field(request, 'zones', required=False),
+        request_field(request, 'style', required=False),
+        bool(request.get('outline')),
+        request_field(request, 'title', required=False) or 'CHANGE'
+    )
+
+if __name__ == '__main__':
+    # echo '{"before": "a.tif", "after": "b.tif", "outputPrefix": "change"}' | python3 change_detection.py
+    run_worker(handle_request)
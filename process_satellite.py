@@ -1,83 +1,707 @@
-import sys
-import json
-import rasterio
-import numpy as np
-import cv2
-import requests
-import os
-from rasterio.mask import mask
-from shapely.geometry import shape
-
-def download_image(image_url, save_path):
-    """Tải ảnh từ URL về server"""
-    response = requests.get(image_url, stream=True)
-    if response.status_code == 200:
-        with open(save_path, 'wb') as file:
-            for chunk in response.iter_content(1024):
-                file.write(chunk)
-        return save_path
-    print(f"❌ Lỗi tải ảnh: {response.status_code}")
-    return None
-
-def calculate_index(image, index_type):
-    """Tính NDVI, NDBI, NDWI từ ảnh"""
-    blue, green, red, nir = image[:4]
-    
-    if index_type == "ndvi":
-        result = (nir - red) / (nir + red + 1e-10)
-    elif index_type == "ndbi":
-        result = (nir - green) / (nir + green + 1e-10)
-    elif index_type == "ndwi":
-        result = (green - nir) / (green + nir + 1e-10)
-    else:
-        raise ValueError(f"Invalid index: {index_type}")
-    
-    return result
-
-def process_image(image_path, index_type, shp_geojson_path):
-    """Xử lý ảnh: cắt theo SHP, tính chỉ số, xuất GeoTIFF và PNG"""
-    # Đọc geometry từ GeoJSON
-    with open(shp_geojson_path, 'r') as f:
-        geojson = json.load(f)
-    geometry = shape(geojson)
-
-    # Mở ảnh và cắt theo SHP
-    with rasterio.open(image_path) as src:
-        out_image, out_transform = mask(src, [geometry], crop=True)
-        out_profile = src.profile.copy()
-    
-    # Cập nhật profile cho ảnh đã cắt
-    out_profile.update({
-        'height': out_image.shape[1],
-        'width': out_image.shape[2],
-        'transform': out_transform
-    })
-
-    # Tính chỉ số
-    index_result = calculate_index(out_image, index_type.lower())
-
-    # Lưu GeoTIFF
-    geotiff_path = image_path.replace('.tif', f'_{index_type}.tif')
-    out_profile.update(count=1, dtype=rasterio.float32, nodata=0)
-    with rasterio.open(geotiff_path, 'w', **out_profile) as dst:
-        dst.write(index_result, 1)
-
-    # Tạo preview PNG
-    normalized = cv2.normalize(index_result, None, 0, 255, cv2.NORM_MINMAX, cv2.CV_8U)
-    colored = cv2.applyColorMap(normalized, cv2.COLORMAP_JET)
-    preview_path = image_path.replace('.tif', f'_{index_type}_preview.png')
-    cv2.imwrite(preview_path, colored)
-
-    print(f"geotiff:{geotiff_path}")
-    print(f"preview:{preview_path}")
-
-if __name__ == '__main__':
-    if len(sys.argv) != 4:
-        print("Usage: python3 process_satellite.py <image_path> <index_type> <shp_geojson_path>")
-        sys.exit(1)
-    
-    image_path = sys.argv[1]
-    index_type = sys.argv[2]
-    shp_geojson_path = sys.argv[3]
-    
-    process_image(image_path, index_type, shp_geojson_path)
\ No newline at end of file
+import sys
+import json
+import rasterio
+import numpy as np
+import cv2
+import requests
+import os
+import re
+import ast
+import traceback
+import warnings as warnings_module
+from rasterio.mask import mask
+from rasterio.warp import transform_geom, reproject, Resampling, calculate_default_transform, transform_bounds
+from rasterio.transform import array_bounds, from_origin
+from rasterio.vrt import WarpedVRT
+from rasterio.features import geometry_mask
+from rasterio.errors import RasterioIOError
+from shapely.geometry import shape
+
+def download_image(image_url, save_path):
+    """Tải ảnh từ URL về server"""
+    response = requests.get(image_url, stream=True)
+    if response.status_code == 200:
+        with open(save_path, 'wb') as file:
+            for chunk in response.iter_content(1024):
+                file.write(chunk)
+        return save_path
+    print(f"❌ Lỗi tải ảnh: {response.status_code}")
+    return None
+
+class ProcessingError(Exception):
+    """Lỗi có mã (bad_bands, empty_intersection, crs_mismatch...) trả về Node qua response JSON"""
+    def __init__(self, code, message, details=None):
+        super().__init__(message)
+        self.code = code
+        self.details = details
+
+    def to_dict(self):
+        error = {'code': self.code, 'message': str(self)}
+        if self.details is not None:
+            error['details'] = self.details
+        return error
+
+REGISTRY_PATH = os.path.join(os.path.dirname(os.path.abspath(__file__)), 'services', 'indices.json')
+
+def load_registry():
+    """Đọc danh mục chỉ số và bảng band cảm biến (dùng chung với Node)"""
+    with open(REGISTRY_PATH, 'r', encoding='utf-8') as f:
+        return json.load(f)
+
+def band_array(image, sensor, name):
+    """Lấy band theo vai trò (nir, red...) hoặc b<N>, quy về phản xạ bề mặt theo scale/offset"""
+    raw = re.fullmatch(r'b(\d+)', name)
+    if raw:
+        number = int(raw.group(1))
+    elif name in sensor['bands']:
+        number = sensor['bands'][name]
+    else:
+        raise ProcessingError('bad_bands', f"Sensor has no band: {name}",
+                              {'band': name, 'sensor_bands': sorted(sensor['bands'])})
+    if number < 1 or number > image.shape[0]:
+        raise ProcessingError('bad_bands', f"Image has {image.shape[0]} bands, band {name} needs band {number}",
+                              {'band': name, 'band_number': number, 'image_bands': int(image.shape[0])})
+    return image[number - 1].astype(np.float64) * sensor.get('scale', 1) + sensor.get('offset', 0)
+
+def evaluate_expression(expression, get_band):
+    """Tính biểu thức band-math; chỉ cho phép số, tên band, + - * / và ngoặc"""
+    def visit(node):
+        if isinstance(node, ast.Expression):
+            return visit(node.body)
+        if isinstance(node, ast.Constant) and isinstance(node.value, (int, float)):
+            return float(node.value)
+        if isinstance(node, ast.Name):
+            return get_band(node.id)
+        if isinstance(node, ast.UnaryOp) and isinstance(node.op, (ast.USub, ast.UAdd)):
+            value = visit(node.operand)
+            return -value if isinstance(node.op, ast.USub) else value
+        if isinstance(node, ast.BinOp) and isinstance(node.op, (ast.Add, ast.Sub, ast.Mult, ast.Div)):
+            left, right = visit(node.left), visit(node.right)
+            if isinstance(node.op, ast.Add):
+                return left + right
+            if isinstance(node.op, ast.Sub):
+                return left - right
+            if isinstance(node.op, ast.Mult):
+                return left * right
+            # Chia cho 0 cho kết quả NaN thay vì inf
+            left, right = np.broadcast_arrays(np.asarray(left, dtype=np.float64), np.asarray(right, dtype=np.float64))
+            return np.divide(left, right, out=np.full(left.shape, np.nan), where=right != 0)
+        raise ProcessingError('invalid_expression', f"Unsupported expression element: {ast.dump(node)}")
+
+    try:
+        tree = ast.parse(expression.lower(), mode='eval')
+    except SyntaxError as error:
+        raise ProcessingError('invalid_expression', f"Invalid expression: {error.msg}")
+    return visit(tree)
+
+def calculate_index(image, index_type, sensor_id=None, expression=None):
+    """Tính chỉ số phổ theo danh mục services/indices.json hoặc biểu thức tùy chỉnh"""
+    registry = load_registry()
+    sensor_id = sensor_id or registry['defaultSensor']
+    if sensor_id not in registry['sensors']:
+        raise ProcessingError('invalid_index', f"Invalid sensor: {sensor_id}")
+    sensor = registry['sensors'][sensor_id]
+
+    if index_type == "custom":
+        if not expression:
+            raise ProcessingError('invalid_expression', "Custom index requires an expression")
+    elif index_type in registry['indices']:
+        expression = registry['indices'][index_type]['expression']
+    else:
+        raise ProcessingError('invalid_index', f"Invalid index: {index_type}")
+
+    result = evaluate_expression(expression, lambda name: band_array(image, sensor, name))
+    return np.broadcast_to(result, image.shape[1:]).astype(np.float64)
+
+PERCENTILES = [10, 25, 50, 75, 90]
+METERS_PER_DEGREE_LAT = 110574
+METERS_PER_DEGREE_LON = 111320
+
+def pixel_areas(transform, crs, height, width):
+    """Diện tích (m²) từng pixel; CRS địa lý thì tính gần đúng theo vĩ độ của hàng"""
+    pixel_area = abs(transform.a * transform.e)
+    if crs is None or not crs.is_geographic:
+        factor = crs.linear_units_factor[1] if crs is not None and crs.is_projected else 1
+        return np.full((height, width), pixel_area * factor * factor)
+    latitudes = transform.f + (np.arange(height) + 0.5) * transform.e
+    row_area = pixel_area * METERS_PER_DEGREE_LAT * METERS_PER_DEGREE_LON * np.cos(np.radians(latitudes))
+    return np.repeat(row_area[:, None], width, axis=1)
+
+def summarize(index_result, valid, areas, threshold=None):
+    """Thống kê các pixel hợp lệ (valid) của mảng chỉ số"""
+    values = index_result[valid]
+    stats = {'valid_pixels': int(values.size)}
+    if values.size > 0:
+        stats.update({
+            'mean': float(values.mean()),
+            'min': float(values.min()),
+            'max': float(values.max()),
+            'std': float(values.std()),
+            'percentiles': {str(p): float(v) for p, v in zip(PERCENTILES, np.percentile(values, PERCENTILES))}
+        })
+    if threshold is not None:
+        stats['threshold'] = threshold
+        stats['area_above_threshold_m2'] = float(areas[valid & (index_result > threshold)].sum())
+        stats['valid_area_m2'] = float(areas[valid].sum())
+    return stats
+
+def zone_masks(zones_path, transform, crs, shape_):
+    """Sinh (feature_id, mask) cho từng feature trong FeatureCollection zones (EPSG:4326)"""
+    with open(zones_path, 'r') as f:
+        zones = json.load(f)
+    for feature in zones['features']:
+        geometry = feature['geometry']
+        if crs and crs.to_epsg() != 4326:
+            geometry = transform_geom('EPSG:4326', crs, geometry)
+        yield feature.get('id'), geometry_mask([geometry], out_shape=shape_, transform=transform, invert=True)
+
+def zonal_stats(index_result, transform, crs, zones_path, threshold=None):
+    """Thống kê chỉ số cho từng feature"""
+    areas = pixel_areas(transform, crs, *index_result.shape)
+    results = []
+    for feature_id, inside in zone_masks(zones_path, transform, crs, index_result.shape):
+        stats = summarize(index_result, inside & np.isfinite(index_result), areas, threshold)
+        results.append({'feature_id': feature_id, 'total_pixels': int(inside.sum()), **stats})
+    return results
+
+# Lớp SCL của Sentinel-2 bị loại: lỗi/bão hòa, bóng mây, mây trung bình, mây dày, mây ti
+SCL_MASKED_CLASSES = [1, 3, 8, 9, 10]
+SCL_NODATA_CLASS = 0
+MASK_UNKNOWN = 255
+
+def load_cloud_mask(mask_path, mask_type, transform, crs, shape_):
+    """Mặt nạ mây trên lưới ảnh đã cắt: 1 dùng được, 0 mây/bóng mây, 255 không có thông tin"""
+    with open_raster(mask_path, 'invalid_cloud_mask') as src:
+        band = src.read(1)
+        if mask_type == 'udm2':
+            # Band 1 của Planet UDM2 là clear (1 = quang)
+            state = (band == 1).astype(np.uint8)
+        elif mask_type == 'scl':
+            state = (~np.isin(band, SCL_MASKED_CLASSES)).astype(np.uint8)
+            state[band == SCL_NODATA_CLASS] = MASK_UNKNOWN
+        else:
+            raise ProcessingError('invalid_request', f"Invalid cloud mask type: {mask_type}")
+        if src.nodata is not None:
+            state[band == src.nodata] = MASK_UNKNOWN
+
+        # Mặt nạ có thể khác độ phân giải/CRS với ảnh (SCL 20 m), lấy láng giềng gần nhất
+        aligned = np.full(shape_, MASK_UNKNOWN, dtype=np.uint8)
+        reproject(
+            source=state,
+            destination=aligned,
+            src_transform=src.transform,
+            src_crs=src.crs,
+            src_nodata=MASK_UNKNOWN,
+            dst_transform=transform,
+            dst_crs=crs,
+            dst_nodata=MASK_UNKNOWN,
+            resampling=Resampling.nearest
+        )
+    return aligned
+
+PREVIEW_CRS = 'EPSG:3857'
+OUTLINE_COLOR = '#000000'
+
+def load_style(key):
+    """Style preview trong danh mục: của chỉ số, style theo tên (change) hoặc default"""
+    registry = load_registry()
+    index = registry['indices'].get(key)
+    if index and 'style' in index:
+        return index['style']
+    return registry['styles'].get(key, registry['styles']['default'])
+
+def hex_to_bgr(color):
+    value = color.lstrip('#')
+    return [int(value[i:i + 2], 16) for i in (4, 2, 0)]
+
+def colorize(values, style):
+    """Tô màu BGRA theo style: ramp nội suy trên range cố định, classes theo breaks; NaN trong suốt"""
+    valid = np.isfinite(values)
+    filled = np.where(valid, values, 0)
+    palette = np.array([hex_to_bgr(color) for color in style['palette']], dtype=np.float64)
+    if style['type'] == 'classes':
+        colors = palette[np.digitize(filled, style['breaks'])]
+    else:
+        low, high = style['range']
+        position = np.clip((filled - low) / (high - low), 0, 1) * (len(palette) - 1)
+        lower = np.floor(position).astype(int)
+        upper = np.minimum(lower + 1, len(palette) - 1)
+        fraction = (position - lower)[..., None]
+        colors = palette[lower] * (1 - fraction) + palette[upper] * fraction
+    alpha = np.where(valid, 255, 0)
+    return np.dstack([colors, alpha]).round().astype(np.uint8)
+
+def to_preview_grid(values, transform, crs):
+    """Chiếu raster sang Web Mercator để PNG đặt khớp lên bản đồ (Leaflet imageOverlay)"""
+    height, width = values.shape
+    left, bottom, right, top = array_bounds(height, width, transform)
+    dst_transform, dst_width, dst_height = calculate_default_transform(
+        crs, PREVIEW_CRS, width, height, left, bottom, right, top
+    )
+    projected = np.full((dst_height, dst_width), np.nan)
+    reproject(
+        source=values.astype(np.float64),
+        destination=projected,
+        src_transform=transform,
+        src_crs=crs,
+        src_nodata=np.nan,
+        dst_transform=dst_transform,
+        dst_crs=PREVIEW_CRS,
+        dst_nodata=np.nan,
+        resampling=Resampling.nearest
+    )
+    return projected, dst_transform
+
+def draw_outline(image, geojson, transform, color=OUTLINE_COLOR):
+    """Vẽ đường bao geometry (EPSG:4326) lên ảnh preview"""
+    boundary = shape(transform_geom('EPSG:4326', PREVIEW_CRS, geojson)).boundary
+    inverse = ~transform
+    bgra = hex_to_bgr(color) + [255]
+    for line in getattr(boundary, 'geoms', [boundary]):
+        if line.is_empty:
+            continue
+        pixels = np.array([inverse * (x, y) for x, y in np.asarray(line.coords)[:, :2]])
+        cv2.polylines(image, [pixels.round().astype(np.int32)], False, bgra, 2, cv2.LINE_AA)
+
+def write_world_file(world_path, transform):
+    """World file (.pgw): kích thước pixel, hệ số xoay và tâm pixel góc trên trái (EPSG:3857)"""
+    center_x, center_y = transform * (0.5, 0.5)
+    with open(world_path, 'w') as f:
+        f.write('\n'.join(repr(float(v)) for v in [transform.a, transform.d, transform.b, transform.e, center_x, center_y]) + '\n')
+
+def format_value(value):
+    return f"{value:.2f}".rstrip('0').rstrip('.')
+
+def write_legend(style, legend_path, title):
+    """Ảnh chú giải khớp với style: thanh màu có nhãn min/giữa/max, hoặc ô màu cho từng lớp"""
+    def text(image, label, x, y):
+        # Font Hershey của OpenCV chỉ có ký tự ASCII
+        label = label.encode('ascii', 'replace').decode()
+        cv2.putText(image, label, (x, y), cv2.FONT_HERSHEY_SIMPLEX, 0.4, (40, 40, 40, 255), 1, cv2.LINE_AA)
+
+    width = 240
+    if style['type'] == 'classes':
+        rows = len(style['palette'])
+        legend = np.full((34 + rows * 22, width, 4), 255, dtype=np.uint8)
+        text(legend, title, 10, 20)
+        for i, (color, label) in enumerate(zip(style['palette'], style['labels'])):
+            top = 30 + i * 22
+            cv2.rectangle(legend, (10, top), (34, top + 16), hex_to_bgr(color) + [255], -1)
+            cv2.rectangle(legend, (10, top), (34, top + 16), (120, 120, 120, 255), 1)
+            text(legend, label, 42, top + 12)
+    else:
+        legend = np.full((76, width, 4), 255, dtype=np.uint8)
+        text(legend, title, 10, 20)
+        low, high = style['range']
+        bar = colorize(np.tile(np.linspace(low, high, width - 20), (18, 1)), style)
+        legend[30:48, 10:width - 10] = bar
+        cv2.rectangle(legend, (10, 30), (width - 11, 47), (120, 120, 120, 255), 1)
+        text(legend, format_value(low), 10, 64)
+        middle = format_value((low + high) / 2)
+        text(legend, middle, width // 2 - 4 * len(middle), 64)
+        maximum = format_value(high)
+        text(legend, maximum, width - 10 - 8 * len(maximum), 64)
+    cv2.imwrite(legend_path, legend)
+
+def render_preview(values, transform, crs, style, preview_path, title, outline_geojson=None):
+    """PNG Web Mercator theo style kèm world file và legend.
+    Trả về đường dẫn legend, world file và bounds [[south, west], [north, east]]"""
+    if crs is not None:
+        values, transform = to_preview_grid(values, transform, crs)
+    image = colorize(values, style)
+    if outline_geojson is not None and crs is not None:
+        draw_outline(image, outline_geojson, transform)
+    cv2.imwrite(preview_path, image)
+
+    base = preview_path[:-len('_preview.png')] if preview_path.endswith('_preview.png') else preview_path[:-len('.png')]
+    world_path = f"{base}_preview.pgw"
+    legend_path = f"{base}_legend.png"
+    write_world_file(world_path, transform)
+    write_legend(style, legend_path, title)
+
+    bounds = None
+    if crs is not None:
+        west, south, east, north = transform_bounds(PREVIEW_CRS, 'EPSG:4326', *array_bounds(*values.shape, transform))
+        bounds = [[south, west], [north, east]]
+    return {'legend': legend_path, 'worldfile': world_path, 'bounds': bounds}
+
+def open_raster(path, code='invalid_image'):
+    """Mở raster, lỗi đọc file thành ProcessingError"""
+    try:
+        return rasterio.open(path)
+    except RasterioIOError as error:
+        raise ProcessingError(code, f"Cannot read raster: {error}")
+
+def geometry_bounds(geojson):
+    """bbox [west, south, east, north] của geometry để báo lỗi không giao nhau"""
+    return [round(value, 6) for value in shape(geojson).bounds]
+
+def clip_image(image_path, source_geojson, warnings):
+    """Cắt ảnh theo geometry (EPSG:4326).
+    Trả về (ảnh masked, transform, crs, profile, geometry theo CRS của ảnh)"""
+    geojson = source_geojson
+    with open_raster(image_path) as src:
+        # Chiếu geometry sang CRS của ảnh trước khi cắt; ảnh không có CRS coi như EPSG:4326
+        if src.crs is None:
+            warnings.append('Image has no CRS, assuming EPSG:4326')
+        elif src.crs.to_epsg() != 4326:
+            geojson = transform_geom('EPSG:4326', src.crs, geojson)
+        geometry = shape(geojson)
+        # filled=False giữ mặt nạ nodata của ảnh cùng phần ngoài geometry
+        try:
+            out_image, out_transform = mask(src, [geometry], crop=True, filled=False)
+        except ValueError as error:
+            image_bounds = transform_bounds(src.crs, 'EPSG:4326', *src.bounds) if src.crs else src.bounds
+            details = {
+                'image_bounds': [round(value, 6) for value in image_bounds],
+                'shapefile_bounds': geometry_bounds(source_geojson)
+            }
+            if src.crs is None:
+                raise ProcessingError('crs_mismatch', 'Image has no CRS and the shapefile does not fall on it',
+                                      details) from error
+            raise ProcessingError('empty_intersection', 'Shapefile does not intersect the image', details) from error
+        out_profile = src.profile.copy()
+        src_crs = src.crs
+
+    # Cập nhật profile cho ảnh đã cắt
+    out_profile.update({
+        'height': out_image.shape[1],
+        'width': out_image.shape[2],
+        'transform': out_transform
+    })
+    return out_image, out_transform, src_crs, out_profile, geometry
+
+def index_products(image, transform, crs, profile, inside, has_data, cloudy, cloud_mask_type, output_prefix,
+                   index_type, sensor_id, expression, zones_path, threshold, style, outline_geojson, warnings):
+    """Tính chỉ số trên ảnh đã cắt, thống kê, xuất GeoTIFF và PNG.
+    Pixel dùng được: trong geometry, có dữ liệu ở mọi band và không bị mây che"""
+    usable = inside & has_data & ~cloudy
+    shape_pixels = int(inside.sum())
+    if shape_pixels == 0:
+        raise ProcessingError('empty_intersection', 'Shapefile covers no image pixel (smaller than one pixel?)')
+    coverage = {
+        'cloud_mask': cloud_mask_type,
+        'shape_pixels': shape_pixels,
+        'nodata_pixels': int((inside & ~has_data).sum()),
+        'cloud_pixels': int((inside & has_data & cloudy).sum()),
+        'clear_pixels': int(usable.sum()),
+        'clear_percent': round(100.0 * usable.sum() / shape_pixels, 2)
+    }
+    if coverage['clear_pixels'] == 0:
+        warnings.append('No usable pixel inside the shapefile (all nodata or cloud)')
+
+    # Tính chỉ số; pixel không dùng được và phép chia cho 0 là NaN (nodata)
+    index_result = calculate_index(image, index_type.lower(), sensor_id, expression)
+    index_result[~usable] = np.nan
+    index_result[~np.isfinite(index_result)] = np.nan
+    stats = zonal_stats(index_result, transform, crs, zones_path, threshold) if zones_path else None
+    # Thống kê toàn bộ vùng shapefile cho chuỗi thời gian
+    summary = summarize(
+        index_result,
+        np.isfinite(index_result),
+        pixel_areas(transform, crs, *index_result.shape),
+        threshold
+    )
+
+    # Lưu GeoTIFF, nodata là NaN để giá trị 0 thật vẫn giữ nguyên
+    geotiff_path = f"{output_prefix}_{index_type}.tif"
+    profile.update(count=1, dtype=rasterio.float32, nodata=np.nan)
+    with rasterio.open(geotiff_path, 'w', **profile) as dst:
+        dst.write(index_result.astype(np.float32), 1)
+
+    # Tạo preview PNG theo style cố định của chỉ số
+    preview_path = f"{output_prefix}_{index_type}_preview.png"
+    rendered = render_preview(index_result, transform, crs, style or load_style(index_type.lower()),
+                              preview_path, index_type.upper(), outline_geojson)
+    return {
+        'outputs': {
+            'geotiff': geotiff_path,
+            'preview': preview_path,
+            'legend': rendered['legend'],
+            'worldfile': rendered['worldfile']
+        },
+        'bounds': rendered['bounds'],
+        'summary': summary,
+        'coverage': coverage,
+        'stats': stats,
+        'warnings': warnings
+    }
+
+def process_image(image_path, index_type, shp_geojson_path, sensor_id=None, expression=None,
+                  zones_path=None, threshold=None, cloud_mask_path=None, cloud_mask_type=None,
+                  style=None, outline=False):
+    """Xử lý ảnh: cắt theo SHP, loại nodata và mây, tính chỉ số, xuất GeoTIFF và PNG.
+    Trả về đường dẫn các file đầu ra, thống kê và cảnh báo"""
+    warnings = []
+    # Đọc geometry từ GeoJSON (EPSG:4326)
+    with open(shp_geojson_path, 'r') as f:
+        source_geojson = json.load(f)
+
+    out_image, out_transform, src_crs, out_profile, geometry = clip_image(image_path, source_geojson, warnings)
+    shape_ = out_image.shape[1:]
+    inside = geometry_mask([geometry], out_shape=shape_, transform=out_transform, invert=True)
+    has_data = ~np.ma.getmaskarray(out_image).any(axis=0)
+    cloudy = np.zeros(shape_, dtype=bool)
+    if cloud_mask_path:
+        cloudy = load_cloud_mask(cloud_mask_path, cloud_mask_type, out_transform, src_crs, shape_) == 0
+
+    return index_products(
+        out_image.filled(0), out_transform, src_crs, out_profile, inside, has_data, cloudy,
+        cloud_mask_type if cloud_mask_path else None, os.path.splitext(image_path)[0],
+        index_type, sensor_id, expression, zones_path, threshold, style,
+        source_geojson if outline else None, warnings
+    )
+
+MOSAIC_METHODS = ('first-valid', 'least-cloudy', 'median')
+# Giới hạn kích thước lưới mosaic (pixel) để không hết bộ nhớ khi ghép nhiều scene
+MAX_MOSAIC_PIXELS = 20000000
+
+def scene_label(scene, number):
+    return scene.get('id') or f"scene {number + 1}"
+
+def mosaic_grid(scenes, source_geojson):
+    """Lưới chung của mosaic: CRS của scene đầu tiên, độ phân giải mịn nhất trong các scene,
+    phủ bbox của shapefile. Trả về (crs, transform, shape, geometry theo crs)"""
+    crs = None
+    resolution = None
+    for number, scene in enumerate(scenes):
+        with open_raster(scene['path']) as src:
+            if src.crs is None:
+                raise ProcessingError('crs_mismatch', f"Scene {scene_label(scene, number)} has no CRS, "
+                                      'scenes of a mosaic must be georeferenced', {'scene': scene.get('id')})
+            crs = crs or src.crs
+            if src.crs == crs:
+                scene_resolution = min(abs(src.res[0]), abs(src.res[1]))
+            else:
+                scene_transform, _, _ = calculate_default_transform(src.crs, crs, src.width, src.height, *src.bounds)
+                scene_resolution = min(abs(scene_transform.a), abs(scene_transform.e))
+            resolution = scene_resolution if resolution is None else min(resolution, scene_resolution)
+
+    geojson = source_geojson if crs.to_epsg() == 4326 else transform_geom('EPSG:4326', crs, source_geojson)
+    geometry = shape(geojson)
+    # Mép lưới bám theo bội số độ phân giải để các lần chạy cùng vùng trùng pixel
+    left, bottom, right, top = geometry.bounds
+    left = np.floor(left / resolution) * resolution
+    top = np.ceil(top / resolution) * resolution
+    width = max(1, int(np.ceil((right - left) / resolution)))
+    height = max(1, int(np.ceil((top - bottom) / resolution)))
+    if width * height > MAX_MOSAIC_PIXELS:
+        raise ProcessingError('mosaic_too_large', f"Mosaic grid of {width}x{height} pixels exceeds "
+                              f"{MAX_MOSAIC_PIXELS} pixels", {'width': width, 'height': height, 'resolution': resolution})
+    return crs, from_origin(left, top, resolution, resolution), (height, width), geometry
+
+def read_warped(path, crs, transform, shape_, indexes=None):
+    """Đọc scene chiếu về lưới mosaic (láng giềng gần nhất).
+    Trả về (số band, mặt nạ có dữ liệu, dữ liệu các band indexes hoặc None)"""
+    with open_raster(path) as src:
+        # Ảnh không có nodata: thêm band alpha để phân biệt phần ngoài scene
+        with WarpedVRT(src, crs=crs, transform=transform, width=shape_[1], height=shape_[0],
+                       resampling=Resampling.nearest, add_alpha=src.nodata is None) as vrt:
+            has_data = vrt.dataset_mask() > 0
+            data = vrt.read(indexes).astype(np.float32) if indexes is not None else None
+        return src.count, has_data, data
+
+def mosaic_scenes(scenes, method, source_geojson, warnings):
+    """Ghép các scene trên lưới chung đã cắt theo shapefile.
+    first-valid: pixel quang của scene đầu tiên theo thứ tự gửi lên; least-cloudy: như first-valid nhưng
+    scene ít mây trong shapefile được ưu tiên; median: trung vị từng band của các scene có pixel quang.
+    Trả về (ảnh, transform, crs, profile, inside, has_data, cloudy, mô tả mosaic kèm phần đóng góp từng scene)"""
+    if method not in MOSAIC_METHODS:
+        raise ProcessingError('invalid_request', f"Invalid mosaic method: {method}",
+                              {'methods': list(MOSAIC_METHODS)})
+    crs, transform, shape_, geometry = mosaic_grid(scenes, source_geojson)
+    inside = geometry_mask([geometry], out_shape=shape_, transform=transform, invert=True)
+    shape_pixels = int(inside.sum())
+    if shape_pixels == 0:
+        raise ProcessingError('empty_intersection', 'Shapefile covers no mosaic pixel (smaller than one pixel?)')
+
+    # Lượt 1: mặt nạ dữ liệu và mây của từng scene trên lưới chung
+    band_count = None
+    layers = []
+    for number, scene in enumerate(scenes):
+        count, has_data, _ = read_warped(scene['path'], crs, transform, shape_)
+        if band_count is not None and count != band_count:
+            raise ProcessingError('bad_bands', 'Scenes of a mosaic must have the same bands',
+                                  {'scene': scene.get('id'), 'bands': count, 'expected_bands': band_count})
+        band_count = count
+        has_data &= inside
+        cloudy = np.zeros(shape_, dtype=bool)
+        cloud_mask = scene.get('cloudMask') or {}
+        if cloud_mask.get('path'):
+            cloudy = load_cloud_mask(cloud_mask['path'], cloud_mask.get('type'), transform, crs, shape_) == 0
+        data_pixels = int(has_data.sum())
+        if data_pixels == 0:
+            warnings.append(f"Scene {scene_label(scene, number)} does not cover the shapefile")
+        layers.append({
+            'has_data': has_data,
+            'usable': has_data & ~cloudy,
+            'data_pixels': data_pixels,
+            'cloud_percent': round(100.0 * (has_data & cloudy).sum() / data_pixels, 2)
+            if cloud_mask.get('path') and data_pixels > 0 else None
+        })
+    if all(layer['data_pixels'] == 0 for layer in layers):
+        raise ProcessingError('empty_intersection', 'Shapefile does not intersect any scene',
+                              {'shapefile_bounds': geometry_bounds(source_geojson)})
+
+    # Lượt 2: ghép dữ liệu
+    image = np.full((band_count,) + shape_, np.nan, dtype=np.float32)
+    indexes = list(range(1, band_count + 1))
+    if method == 'median':
+        for band in indexes:
+            stack = np.full((len(scenes),) + shape_, np.nan, dtype=np.float32)
+            for number, (scene, layer) in enumerate(zip(scenes, layers)):
+                if layer['usable'].any():
+                    _, _, data = read_warped(scene['path'], crs, transform, shape_, [band])
+                    stack[number][layer['usable']] = data[0][layer['usable']]
+            # Pixel không có scene quang nào giữ NaN (bỏ cảnh báo All-NaN slice)
+            with np.errstate(invalid='ignore'), warnings_module.catch_warnings():
+                warnings_module.simplefilter('ignore', RuntimeWarning)
+                image[band - 1] = np.nanmedian(stack, axis=0)
+        contributions = [int(layer['usable'].sum()) for layer in layers]
+    else:
+        order = list(range(len(scenes)))
+        if method == 'least-cloudy':
+            # Độ mây đo trong shapefile, không có mặt nạ thì dùng cloudCover của provider, không rõ xếp sau
+            def cloudiness(number):
+                measured = layers[number]['cloud_percent']
+                if measured is not None:
+                    return measured / 100.0
+                cloud_cover = scenes[number].get('cloudCover')
+                return float(cloud_cover) if cloud_cover is not None else float('inf')
+            order.sort(key=lambda number: (cloudiness(number), number))
+        source = np.full(shape_, -1, dtype=np.int16)
+        for number in order:
+            take = layers[number]['usable'] & (source < 0)
+            if not take.any():
+                continue
+            _, _, data = read_warped(scenes[number]['path'], crs, transform, shape_, indexes)
+            image[:, take] = data[:, take]
+            source[take] = number
+        contributions = [int((source == number).sum()) for number in range(len(scenes))]
+
+    has_data = np.logical_or.reduce([layer['has_data'] for layer in layers])
+    usable = np.logical_or.reduce([layer['usable'] for layer in layers])
+    profile = {
+        'driver': 'GTiff',
+        'height': shape_[0],
+        'width': shape_[1],
+        'count': band_count,
+        'dtype': rasterio.float32,
+        'crs': crs,
+        'transform': transform
+    }
+    description = {
+        'method': method,
+        'crs': crs.to_string(),
+        'resolution': float(transform.a),
+        'scenes': [{
+            'id': scene.get('id'),
+            'acquired': scene.get('acquired'),
+            'cloud_cover': scene.get('cloudCover'),
+            'cloud_percent': layer['cloud_percent'],
+            'footprint_percent': round(100.0 * layer['data_pixels'] / shape_pixels, 2),
+            'pixels': pixels,
+            'percent': round(100.0 * pixels / shape_pixels, 2)
+        } for scene, layer, pixels in zip(scenes, layers, contributions)]
+    }
+    # Pixel có dữ liệu nhưng bị mây ở mọi scene được tính là mây
+    return image, transform, crs, profile, inside, has_data, has_data & ~usable, description
+
+def process_mosaic(scenes, method, output_prefix, index_type, shp_geojson_path, sensor_id=None, expression=None,
+                   zones_path=None, threshold=None, style=None, outline=False):
+    """Xử lý nhiều scene: ghép thành mosaic cắt theo SHP rồi tính chỉ số như process_image.
+    Kết quả có thêm mosaic: phương pháp, lưới và phần đóng góp của từng scene"""
+    warnings = []
+    with open(shp_geojson_path, 'r') as f:
+        source_geojson = json.load(f)
+
+    image, transform, crs, profile, inside, has_data, cloudy, description = mosaic_scenes(
+        scenes, method, source_geojson, warnings
+    )
+    mask_types = sorted({scene['cloudMask']['type'] for scene in scenes if (scene.get('cloudMask') or {}).get('path')})
+    result = index_products(
+        np.nan_to_num(image), transform, crs, profile, inside, has_data, cloudy,
+        ','.join(mask_types) or None, output_prefix, index_type, sensor_id, expression, zones_path,
+        threshold, style, source_geojson if outline else None, warnings
+    )
+    result['mosaic'] = description
+    return result
+
+def request_field(request, key, required=True):
+    """Lấy một trường của request; thiếu trường bắt buộc là invalid_request"""
+    value = request.get(key)
+    if required and value in (None, ''):
+        raise ProcessingError('invalid_request', f"Missing request field: {key}")
+    return value
+
+def run_worker(handle):
+    """Giao thức với Node: đọc một request JSON từ stdin, ghi đúng một response JSON ra stdout:
+    {"ok": true, ...kết quả} hoặc {"ok": false, "error": {"code", "message", "details"}}.
+    print() trong lúc xử lý được chuyển sang stderr để không làm hỏng response."""
+    response_stream = sys.stdout
+    sys.stdout = sys.stderr
+    try:
+        request = json.load(sys.stdin)
+        if not isinstance(request, dict):
+            raise ProcessingError('invalid_request', 'Request must be a JSON object')
+        response = {'ok': True, **handle(request)}
+    except ProcessingError as error:
+        response = {'ok': False, 'error': error.to_dict()}
+    except json.JSONDecodeError as error:
+        response = {'ok': False, 'error': {'code': 'invalid_request', 'message': f"Invalid request JSON: {error}"}}
+    except Exception as error:
+        traceback.print_exc()
+        response = {'ok': False, 'error': {'code': 'internal_error', 'message': str(error) or type(error).__name__}}
+    response_stream.write(json.dumps(response) + '\n')
+    response_stream.flush()
+    sys.exit(0 if response['ok'] else 1)
+
+def handle_request(request):
+    """Request của job process-image (services/processImage.js): image (một ảnh)
+    hoặc images + mosaic + outputPrefix (ghép nhiều scene)"""
+    threshold = request_field(request, 'threshold', required=False)
+    threshold = float(threshold) if threshold is not None else None
+    images = request_field(request, 'images', required=False)
+    if images is not None:
+        if not isinstance(images, list) or not images or not all(isinstance(scene, dict) and scene.get('path')
+                                                                  for scene in images):
+            raise ProcessingError('invalid_request', 'images must be a non-empty list of {path, ...}')
+        for scene in images:
+            if scene.get('cloudMask') and not scene['cloudMask'].get('type'):
+                raise ProcessingError('invalid_request', 'cloudMask requires a type (udm2 or scl)')
+        return process_mosaic(
+            images,
+            request.get('mosaic') or MOSAIC_METHODS[0],
+            request_field(request, 'outputPrefix'),
+            request_field(request, 'index'),
+            request_field(request, 'geometry'),
+            request_field(request, 'sensor', required=False),
+            request_field(request, 'expression', required=False),
+            request_field(request, 'zones', required=False),
+            threshold,
+            request_field(request, 'style', required=False),
+            bool(request.get('outline'))
+        )
+
+    cloud_mask = request_field(request, 'cloudMask', required=False) or {}
+    if cloud_mask and not cloud_mask.get('type'):
+        raise ProcessingError('invalid_request', 'cloudMask requires a type (udm2 or scl)')
+    return process_image(
+        request_field(request, 'image'),
+        request_field(request, 'index'),
+        request_field(request, 'geometry'),
+        request_field(request, 'sensor', required=False),
+        request_field(request, 'expression', required=False),
+        request_field(request, 'zones', required=False),
+        threshold,
+        cloud_mask.get('path'),
+        cloud_mask.get('type'),
+        request_field(request, 'style', required=False),
+        bool(request.get('outline'))
+    )
+
+if __name__ == '__main__':
+    # echo '{"image": "...", "index": "ndvi", "geometry": "shp.json"}' | python3 process_satellite.py
+    # echo '{"images": [{"path": "a.tif"}, {"path": "b.tif"}], "mosaic": "median", "outputPrefix": "out",
+    #        "index": "ndvi", "geometry": "shp.json"}' | python3 process_satellite.py
+    run_worker(handle_request)
@@ -0,0 +1,109 @@
+import os
+import math
+import numpy as np
+import cv2
+from rasterio.vrt import WarpedVRT
+from rasterio.warp import Resampling, calculate_default_transform, transform_bounds
+from rasterio.transform import from_bounds
+from process_satellite import ProcessingError, open_raster, colorize, request_field, run_worker
+
+TILE_SIZE = 256
+TILE_CRS = 'EPSG:3857'
+# Nửa chu vi Trái Đất theo Web Mercator (m)
+ORIGIN = 20037508.342789244
+# Phóng to thêm so với độ phân giải gốc để vẫn xem được từng pixel
+OVERZOOM = 2
+
+def tile_bounds(z, x, y):
+    """Khung (west, south, east, north) của tile XYZ theo EPSG:3857"""
+    size = 2 * ORIGIN / 2 ** z
+    west = -ORIGIN + x * size
+    north = ORIGIN - y * size
+    return west, north - size, west + size, north
+
+def native_resolution(src):
+    """Kích thước pixel (m) của raster khi chiếu sang Web Mercator"""
+    transform, _, _ = calculate_default_transform(src.crs, TILE_CRS, src.width, src.height, *src.bounds)
+    return min(abs(transform.a), abs(transform.e))
+
+def raster_info(raster_path):
+    """bounds [west, south, east, north] (EPSG:4326) và khoảng zoom hiển thị của raster"""
+    with open_raster(raster_path) as src:
+        if src.crs is None:
+            raise ProcessingError('crs_mismatch', 'Raster has no CRS and cannot be tiled')
+        west, south, east, north = transform_bounds(src.crs, 'EPSG:4326', *src.bounds)
+        native_zoom = math.log2(2 * ORIGIN / (TILE_SIZE * native_resolution(src)))
+    maxzoom = max(0, min(24, math.ceil(native_zoom) + OVERZOOM))
+    return {
+        'bounds': [round(value, 7) for value in (west, south, east, north)],
+        'minzoom': max(0, maxzoom - OVERZOOM - 8),
+        'maxzoom': maxzoom,
+        'native_zoom': round(native_zoom, 2)
+    }
+
+def write_png(path, image):
+    """Ghi PNG qua file tạm rồi đổi tên để request song song không đọc phải file dở"""
+    os.makedirs(os.path.dirname(path), exist_ok=True)
+    temp_path = f"{path[:-len('.png')]}.{os.getpid()}.png"
+    cv2.imwrite(temp_path, image)
+    os.replace(temp_path, path)
+
+def render_metatile(raster_path, z, x, y, metatile, style, output_dir):
+    """Vẽ khối metatile x metatile tile chứa tile (z, x, y) trong một lần đọc raster.
+    Tile trong suốt hoàn toàn không được ghi; file <mx>_<my>.done đánh dấu khối đã vẽ"""
+    span = min(metatile, 2 ** z)
+    x0, y0 = x - x % span, y - y % span
+    west, _, _, north = tile_bounds(z, x0, y0)
+    _, south, east, _ = tile_bounds(z, x0 + span - 1, y0 + span - 1)
+    size = span * TILE_SIZE
+    transform = from_bounds(west, south, east, north, size, size)
+
+    written = []
+    with open_raster(raster_path) as src:
+        if src.crs is None:
+            raise ProcessingError('crs_mismatch', 'Raster has no CRS and cannot be tiled')
+        left, bottom, right, top = transform_bounds(src.crs, TILE_CRS, *src.bounds)
+        if left < east and right > west and bottom < north and top > south:
+            # Thu nhỏ thì lấy trung bình pixel, phóng to thì giữ nguyên giá trị pixel
+            tile_resolution = (east - west) / size
+            resampling = Resampling.average if tile_resolution > 1.5 * native_resolution(src) else Resampling.nearest
+            with WarpedVRT(src, crs=TILE_CRS, transform=transform, width=size, height=size,
+                           resampling=resampling) as vrt:
+                values = vrt.read(1, masked=True).astype(np.float64).filled(np.nan)
+            image = colorize(values, style)
+            for row in range(span):
+                for column in range(span):
+                    tile = image[row * TILE_SIZE:(row + 1) * TILE_SIZE, column * TILE_SIZE:(column + 1) * TILE_SIZE]
+                    if not tile[..., 3].any():
+                        continue
+                    write_png(os.path.join(output_dir, str(z), str(x0 + column), f"{y0 + row}.png"), tile)
+                    written.append([z, x0 + column, y0 + row])
+
+    marker = os.path.join(output_dir, str(z), f"{x0}_{y0}.done")
+    os.makedirs(os.path.dirname(marker), exist_ok=True)
+    with open(marker, 'w') as f:
+        f.write(str(len(written)))
+    return {'tiles': written}
+
+def handle_request(request):
+    """Request của services/tiles.js: action = info (bounds, zoom) hoặc render (một metatile)"""
+    raster_path = request_field(request, 'raster')
+    action = request_field(request, 'action')
+    if action == 'info':
+        return raster_info(raster_path)
+    if action != 'render':
+        raise ProcessingError('invalid_request', f"Invalid action: {action}")
+    try:
+        z, x, y = (int(request_field(request, key)) for key in ('z', 'x', 'y'))
+        metatile = int(request.get('metatile') or 1)
+    except (TypeError, ValueError):
+        raise ProcessingError('invalid_request', 'z, x, y and metatile must be integers')
+    if z < 0 or not (0 <= x < 2 ** z and 0 <= y < 2 ** z) or metatile < 1:
+        raise ProcessingError('invalid_request', f"Invalid tile: {z}/{x}/{y}")
+    return render_metatile(raster_path, z, x, y, metatile, request_field(request, 'style'),
+                           request_field(request, 'outputDir'))
+
+if __name__ == '__main__':
+    # echo '{"action": "render", "raster": "ndvi.tif", "z": 12, "x": 3260, "y": 1850, "metatile": 4,
+    #        "style": {...}, "outputDir": "tiles"}' | python3 render_tiles.py
+    run_worker(handle_request)
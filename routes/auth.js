@@ -0,0 +1,138 @@
+const express = require('express');
+const logger = require('../config/logger');
+const pool = require('../db');
+const {
+  AuthError,
+  requireRole,
+  parseRole,
+  createUser,
+  createApiKey
+} = require('../services/auth');
+
+const router = express.Router();
+
+router.get('/me', (req, res) => {
+  const { id, name, role, keyId } = req.user;
+  res.json({ id, name, role, keyId });
+});
+
+// API key của người dùng hiện tại (không trả về key dạng rõ)
+router.get('/keys', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, name, key_prefix, created_at, last_used_at, revoked_at
+       FROM api_keys
+       WHERE user_id = $1
+       ORDER BY created_at DESC`,
+      [req.user.id]
+    );
+    res.json({ data: result.rows });
+  } catch (error) {
+    logger.error('Failed to fetch API keys', { user: req.user.name, error: error.message });
+    res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+});
+
+router.post('/keys', async (req, res) => {
+  try {
+    const apiKey = await createApiKey(pool, req.user.id, { name: req.body?.name });
+    logger.info(`API key ${apiKey.id} created for ${req.user.name}`);
+    res.status(201).json(apiKey);
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Failed to create API key', { user: req.user.name, error: error.message });
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+// Thu hồi key của mình; admin thu hồi được key của mọi người
+router.delete('/keys/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(
+      `UPDATE api_keys SET revoked_at = NOW()
+       WHERE id = $1 AND revoked_at IS NULL AND (user_id = $2 OR $3)`,
+      [id, req.user.id, req.user.role === 'admin']
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    logger.info(`API key ${id} revoked by ${req.user.name}`);
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Failed to revoke API key', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+router.get('/users', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT u.id, u.name, u.role, u.created_at, u.disabled_at,
+         (SELECT COUNT(*)::int FROM api_keys k WHERE k.user_id = u.id AND k.revoked_at IS NULL) AS active_keys
+       FROM users u
+       ORDER BY u.name`
+    );
+    res.json({ data: result.rows });
+  } catch (error) {
+    logger.error('Failed to fetch users', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+// Tạo người dùng; key đầu tiên chỉ được trả về trong response này
+router.post('/users', requireRole('admin'), async (req, res) => {
+  try {
+    const { user, apiKey } = await createUser(pool, { name: req.body?.name, role: req.body?.role });
+    logger.info(`User ${user.name} (${user.role}) created by ${req.user.name}`);
+    res.status(201).json({ ...user, apiKey });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'User already exists' });
+    }
+    logger.error('Failed to create user', { error: error.message });
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+// Đổi vai trò hoặc khóa/mở khóa tài khoản (disabled)
+router.patch('/users/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role, disabled } = req.body || {};
+    if (role === undefined && disabled === undefined) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+    if (parseInt(id) === req.user.id) {
+      return res.status(400).json({ error: 'Admins cannot change their own account' });
+    }
+
+    const result = await pool.query(
+      `UPDATE users
+       SET role = COALESCE($2, role),
+           disabled_at = CASE WHEN $3::boolean IS NULL THEN disabled_at
+                              WHEN $3 THEN COALESCE(disabled_at, NOW()) ELSE NULL END
+       WHERE id = $1
+       RETURNING id, name, role, created_at, disabled_at`,
+      [id, role === undefined ? null : parseRole(role), disabled === undefined ? null : [true, 'true', '1'].includes(disabled)]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    logger.info(`User ${result.rows[0].name} updated by ${req.user.name}`, { role, disabled });
+    res.json(result.rows[0]);
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Failed to update user', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+module.exports = router;
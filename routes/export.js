@@ -1,81 +1,172 @@
-const express = require('express');
-const logger = require('../config/logger');
-const pool = require('../db');
-
-const router = express.Router();
-
-const SUPPORTED_INDICES = {
-  NDVI: {
-    collection: 'COPERNICUS/S2_SR',
-    bands: ['B8', 'B4'],
-    palette: ['#FFFFFF', '#CE7E45', '#DF923D', '#F1B555', '#FCD163', '#99B718', '#74A901', '#66A000', '#529400', '#3E8601', '#207401', '#056201', '#004C00', '#023B01', '#012E01', '#011D01', '#011301'],
-    formula: '(B8 - B4)/(B8 + B4)'
-  },
-  NDWI: {
-    collection: 'COPERNICUS/S2_SR',
-    bands: ['B3', 'B8'],
-    palette: ['#ECE7F2', '#D0D1E6', '#A6BDDB', '#74A9CF', '#3690C0', '#0570B0', '#045A8D', '#023858'],
-    formula: '(B3 - B8)/(B3 + B8)'
-  },
-  NDBI: {
-    collection: 'MODIS/006/MCD43A4',
-    bands: ['Nadir_Reflectance_Band6', 'Nadir_Reflectance_Band2'],
-    palette: ['#FFFFCC', '#FFEDA0', '#FED976', '#FEB24C', '#FD8D3C', '#FC4E2A', '#E31A1C', '#BD0026', '#800026'],
-    formula: '(B6 - B2)/(B6 + B2)'
-  }
-};
-
-router.post('/gee', async (req, res) => {
-  try {
-    const { type, shapefileId } = req.body;
-    const transactionId = require('uuid').v4();
-    logger.info(`[${transactionId}] Generating GEE code`, { type, shapefileId });
-
-    if (!type || !SUPPORTED_INDICES[type.toUpperCase()] || !shapefileId) {
-      logger.warn(`[${transactionId}] Missing parameters`);
-      return res.status(400).json({ error: 'Missing type or shapefileId' });
-    }
-
-    const result = await pool.query(
-      'SELECT ST_AsGeoJSON(geom) AS geometry FROM shapefiles WHERE id = $1',
-      [shapefileId]
-    );
-    if (!result.rows[0]) {
-      logger.warn(`[${transactionId}] Shapefile not found: ${shapefileId}`);
-      return res.status(404).json({ error: 'Shapefile not found' });
-    }
-
-    const geometry = JSON.parse(result.rows[0].geometry);
-    const upperType = type.toUpperCase();
-    const { collection, bands, palette, formula } = SUPPORTED_INDICES[upperType];
-
-    const geeCode = `
-var geometry = ee.Geometry(${JSON.stringify(geometry)});
-var collection = ee.ImageCollection("${collection}")
-  .filterBounds(geometry)
-  .filterDate('2023-01-01', '2023-12-31');
-var image = collection.median()
-  .normalizedDifference(${JSON.stringify(bands)});
-Map.centerObject(geometry, 10);
-Map.addLayer(image, {
-  min: 0,
-  max: 1,
-  palette: ${JSON.stringify(palette)},
-  opacity: 0.8
-}, '${upperType} Index');
-`;
-
-    res.json({
-      success: true,
-      type: upperType,
-      gee_code: geeCode.trim(),
-      formula,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    logger.error(`[${transactionId}] Export failed`, { error: error.message });
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-module.exports = router;
\ No newline at end of file
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../config/logger');
+const { v4: uuidv4 } = require('uuid');
+const pool = require('../db');
+const { EXPORT_FORMATS, getExportFormat } = require('../services/exporters');
+const { resolveCrs, resolveEpsg, fromWgs84Features, CrsError } = require('../services/crs');
+const { parseGeeParams, buildGeeScript, GeeScriptError } = require('../services/geeScript');
+const { ownerSql } = require('../services/auth');
+
+const router = express.Router();
+
+// Script GEE: type, collection, dateFrom/dateTo, cloudCover (%), composite, scale, export, zonalStats
+router.post('/gee', async (req, res) => {
+  const { shapefileId } = req.body;
+  const transactionId = uuidv4();
+  logger.info(`[${transactionId}] Generating GEE code`, { type: req.body.type, shapefileId });
+
+  try {
+    let params;
+    try {
+      params = parseGeeParams(req.body);
+    } catch (paramsError) {
+      if (!(paramsError instanceof GeeScriptError)) throw paramsError;
+      logger.warn(`[${transactionId}] Invalid GEE parameters: ${paramsError.message}`);
+      return res.status(400).json({ error: paramsError.message });
+    }
+    if (!shapefileId) {
+      logger.warn(`[${transactionId}] Missing parameters`);
+      return res.status(400).json({ error: 'Missing shapefileId' });
+    }
+
+    const result = await pool.query(
+      `SELECT ST_AsGeoJSON(geom) AS geometry FROM shapefiles WHERE id = $1 AND deleted_at IS NULL AND ${ownerSql(req.user)}`,
+      [shapefileId]
+    );
+    if (!result.rows[0]?.geometry) {
+      logger.warn(`[${transactionId}] Shapefile not found: ${shapefileId}`);
+      return res.status(404).json({ error: 'Shapefile not found' });
+    }
+
+    let features = [];
+    if (params.zonalStats) {
+      const featureResult = await pool.query(
+        `SELECT id, feature_index, ST_AsGeoJSON(geom) AS geometry
+         FROM shapefile_features
+         WHERE shapefile_id = $1
+         ORDER BY feature_index`,
+        [shapefileId]
+      );
+      features = featureResult.rows.map(row => ({ ...row, geometry: JSON.parse(row.geometry) }));
+    }
+
+    let script;
+    try {
+      script = buildGeeScript(params, { geometry: JSON.parse(result.rows[0].geometry), features });
+    } catch (scriptError) {
+      if (!(scriptError instanceof GeeScriptError)) throw scriptError;
+      logger.warn(`[${transactionId}] ${scriptError.message}`);
+      return res.status(400).json({ error: scriptError.message });
+    }
+
+    res.json({
+      success: true,
+      type: params.type.toUpperCase(),
+      gee_code: script.code,
+      formula: script.formula,
+      collection: script.collectionIds,
+      params,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`[${transactionId}] Export failed`, { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// CRS đầu ra: mã EPSG, "source" (CRS của file gốc) hoặc mặc định EPSG:4326
+const resolveOutputCrs = async (param, metadata) => {
+  let code = param ? String(param).replace(/^EPSG:/i, '') : '4326';
+
+  if (code.toLowerCase() === 'source') {
+    const source = metadata?.source_crs;
+    if (source?.wkt) {
+      const { info, converter } = resolveCrs(source.wkt);
+      return { srid: info.srid, name: info.name, wkt: source.wkt, converter };
+    }
+    code = String(source?.srid || 4326);
+  }
+
+  // Định nghĩa CRS lấy từ spatial_ref_sys để hỗ trợ mọi mã EPSG mà PostGIS biết (UTM 48N/49N, ...)
+  const srid = /^\d+$/.test(code) ? parseInt(code) : null;
+  const srs = srid !== null
+    ? (await pool.query('SELECT srtext, proj4text FROM spatial_ref_sys WHERE srid = $1', [srid])).rows[0]
+    : null;
+  const { info, converter } = resolveEpsg(code, srs?.proj4text);
+  return { srid: info.srid, name: info.name, wkt: srs?.srtext || null, converter };
+};
+
+router.get('/vector/:id', async (req, res) => {
+  const { id } = req.params;
+  const transactionId = uuidv4();
+  logger.info(`[${transactionId}] Exporting vector data`, { id, format: req.query.format, crs: req.query.crs });
+
+  const exportFormat = getExportFormat(req.query.format);
+  if (!exportFormat) {
+    logger.warn(`[${transactionId}] Invalid format: ${req.query.format}`);
+    return res.status(400).json({ error: `Format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+
+  try {
+    const dataset = await pool.query(
+      `SELECT name, metadata FROM shapefiles WHERE id = $1 AND deleted_at IS NULL AND ${ownerSql(req.user)}`,
+      [id]
+    );
+    if (!dataset.rows[0]) {
+      logger.warn(`[${transactionId}] Shapefile not found: ${id}`);
+      return res.status(404).json({ error: 'Shapefile not found' });
+    }
+
+    let outputCrs;
+    try {
+      outputCrs = await resolveOutputCrs(req.query.crs, dataset.rows[0].metadata);
+    } catch (crsError) {
+      if (!(crsError instanceof CrsError)) throw crsError;
+      logger.warn(`[${transactionId}] Invalid output CRS: ${req.query.crs}`);
+      return res.status(400).json({ error: crsError.message });
+    }
+    if (exportFormat.wgs84Only && outputCrs.srid !== 4326) {
+      return res.status(400).json({ error: `${exportFormat.key.toUpperCase()} export only supports EPSG:4326` });
+    }
+
+    const result = await pool.query(
+      `SELECT id, ST_AsGeoJSON(geom) AS geometry, properties
+       FROM shapefile_features
+       WHERE shapefile_id = $1
+       ORDER BY feature_index`,
+      [id]
+    );
+    const features = fromWgs84Features(result.rows.map(row => ({
+      type: 'Feature',
+      id: row.id,
+      geometry: JSON.parse(row.geometry),
+      properties: row.properties || {}
+    })), outputCrs);
+
+    const { name } = dataset.rows[0];
+    const baseName = path.basename(name, path.extname(name)).replace(/[\\/:*?"<>|]/g, '_') || `shapefile_${id}`;
+    const fileName = `${baseName}.${exportFormat.extension}`;
+    const output = await exportFormat.write({ name: baseName, features, crs: outputCrs });
+    logger.info(`[${transactionId}] Exported ${features.length} features`, { format: exportFormat.key, srid: outputCrs.srid });
+
+    res.setHeader('Content-Type', exportFormat.contentType);
+    if (output.filePath) {
+      return res.download(output.filePath, fileName, (error) => {
+        if (error) {
+          logger.error(`[${transactionId}] Failed to send export`, { error: error.message });
+        }
+        fs.rm(output.filePath, { force: true }, () => {});
+      });
+    }
+    res.attachment(fileName);
+    res.setHeader('Content-Type', exportFormat.contentType);
+    res.send(output.buffer);
+  } catch (error) {
+    logger.error(`[${transactionId}] Vector export failed`, { error: error.message });
+    res.status(500).json({ error: 'Failed to export data' });
+  }
+});
+
+module.exports = router;
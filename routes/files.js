@@ -0,0 +1,31 @@
+const express = require('express');
+const logger = require('../config/logger');
+const { verifySignedUrl, getProduct, sendProduct } = require('../services/products');
+
+const router = express.Router();
+
+// Link ký có hạn dùng (signedUrl) cho preview/chú giải hiển thị trực tiếp trên bản đồ, không cần API key
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!verifySignedUrl(id, req.query.expires, req.query.signature, 'file')) {
+      return res.status(403).json({ error: 'Invalid or expired link' });
+    }
+
+    const product = await getProduct(id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    if (!await sendProduct(res, product, { attachment: false })) {
+      res.status(410).json({ error: 'Product file no longer available' });
+    }
+  } catch (error) {
+    logger.error('Failed to send product file', { id: req.params.id, error: error.message });
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to send file' });
+    }
+  }
+});
+
+module.exports = router;
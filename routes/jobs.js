@@ -0,0 +1,111 @@
+const express = require('express');
+const logger = require('../config/logger');
+const jobQueue = require('../services/jobQueue');
+const { requireRole, canAccess } = require('../services/auth');
+const { getProduct, sendProduct, PRODUCT_FORMATS } = require('../services/products');
+
+const router = express.Router();
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Job chỉ hiển thị cho người tạo (và admin/readonly); job không thuộc quyền coi như không tồn tại
+const findJob = async (req, { write = false } = {}) => {
+  const { id } = req.params;
+  const job = UUID_PATTERN.test(id) ? await jobQueue.getJob(id) : null;
+  return job && canAccess(req.user, job.owner_id, { write }) ? job : null;
+};
+
+// Định dạng tải về (?format=) -> loại sản phẩm trong danh mục
+const RESULT_KINDS = { png: 'preview', geotiff: 'geotiff', pgw: 'worldfile', legend: 'legend' };
+
+const formatJob = (job) => ({
+  id: job.id,
+  type: job.type,
+  status: job.status,
+  progress: job.progress,
+  result: job.result,
+  error: job.error,
+  ...(job.error_code && { error_code: job.error_code }),
+  ...(job.error_details && { error_details: job.error_details }),
+  created_at: job.created_at,
+  started_at: job.started_at,
+  finished_at: job.finished_at,
+  updated_at: job.updated_at
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await findJob(req);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(formatJob(job));
+  } catch (error) {
+    logger.error('Failed to fetch job', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
+
+router.get('/:id/result', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const job = await findJob(req);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    // Job lỗi có mã (ảnh thiếu band, shapefile không giao ảnh...) trả về mã HTTP tương ứng
+    if (job.status === 'failed' && job.error_status) {
+      return res.status(job.error_status).json({
+        error: job.error,
+        code: job.error_code,
+        ...(job.error_details && { details: job.error_details }),
+        status: job.status
+      });
+    }
+    if (job.status !== 'done') {
+      return res.status(409).json({ error: `Job is ${job.status}`, status: job.status });
+    }
+
+    const format = req.query.format || job.params.format || 'png';
+    const productId = job.result?.products?.[RESULT_KINDS[format]];
+    if (!productId) {
+      return res.status(400).json({ error: `Format must be one of ${Object.keys(RESULT_KINDS).join(', ')}` });
+    }
+
+    const product = await getProduct(productId);
+    const label = job.result.label || job.params.type;
+    if (!product || !await sendProduct(res, product, {
+      fileName: `result_${label}.${PRODUCT_FORMATS[product.format].extension}`
+    })) {
+      logger.warn(`[${id}] Result file missing: ${productId}`);
+      res.status(410).json({ error: 'Result file no longer available' });
+    }
+  } catch (error) {
+    logger.error('Failed to fetch job result', { id: req.params.id, error: error.message });
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to fetch job result' });
+    }
+  }
+});
+
+router.delete('/:id', requireRole('user'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const job = await findJob(req, { write: true });
+    const outcome = job ? await jobQueue.cancelJob(id) : null;
+    if (!outcome) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (!outcome.cancelled) {
+      return res.status(409).json({ error: `Job already ${outcome.job.status}`, status: outcome.job.status });
+    }
+
+    logger.info(`[${id}] Job cancelled by client`);
+    res.json(formatJob(outcome.job));
+  } catch (error) {
+    logger.error('Failed to cancel job', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to cancel job' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,103 @@
+const express = require('express');
+const logger = require('../config/logger');
+const pool = require('../db');
+const { requireRole, ownerSql } = require('../services/auth');
+const {
+  ProductError,
+  getProduct,
+  sendProduct,
+  deleteProducts,
+  buildProductQuery,
+  formatProduct
+} = require('../services/products');
+
+const router = express.Router();
+
+// Danh mục sản phẩm: shapefileId, jobId, resultId, index, sceneId, kind, format, from, to
+router.get('/', async (req, res) => {
+  let query;
+  try {
+    query = buildProductQuery(req.query);
+  } catch (queryError) {
+    if (!(queryError instanceof ProductError)) {
+      logger.error('Failed to build product query', { error: queryError.message });
+      return res.status(500).json({ error: 'Failed to fetch products' });
+    }
+    return res.status(400).json({ error: queryError.message });
+  }
+
+  try {
+    const { values, page, limit } = query;
+    const whereClause = `WHERE ${[...query.where, ownerSql(req.user, 'p.owner_id')].join(' AND ')}`;
+    const result = await pool.query(
+      `SELECT p.* FROM products p
+       ${whereClause}
+       ORDER BY p.created_at DESC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, (page - 1) * limit]
+    );
+    const countResult = await pool.query(`SELECT COUNT(*) FROM products p ${whereClause}`, values);
+    const total = parseInt(countResult.rows[0].count);
+
+    res.json({
+      data: result.rows.map(formatProduct),
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to fetch products', { query: req.query, error: error.message });
+    res.status(500).json({ error: 'Failed to fetch products' });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const product = await getProduct(req.params.id, ownerSql(req.user, 'p.owner_id'));
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    res.json(formatProduct(product));
+  } catch (error) {
+    logger.error('Failed to fetch product', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to fetch product' });
+  }
+});
+
+router.get('/:id/download', async (req, res) => {
+  try {
+    const product = await getProduct(req.params.id, ownerSql(req.user, 'p.owner_id'));
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    if (!await sendProduct(res, product)) {
+      logger.warn(`Product file missing from ${product.storage} storage: ${product.id}`);
+      res.status(410).json({ error: 'Product file no longer available' });
+    }
+  } catch (error) {
+    logger.error('Failed to download product', { id: req.params.id, error: error.message });
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to download product' });
+    }
+  }
+});
+
+router.delete('/:id', requireRole('user'), async (req, res) => {
+  try {
+    const product = await getProduct(req.params.id, ownerSql(req.user, 'p.owner_id', { write: true }));
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    await deleteProducts('p.id = $1', [product.id]);
+    logger.info(`Product deleted: ${product.id}`, { user: req.user.name });
+    res.status(204).end();
+  } catch (error) {
+    logger.error('Failed to delete product', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to delete product' });
+  }
+});
+
+module.exports = router;
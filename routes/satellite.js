@@ -1,206 +1,663 @@
-const express = require('express');
-const axios = require('axios');
-const fs = require('fs');
-const path = require('path');
-const { exec } = require('child_process');
-const { pipeline } = require('stream/promises');
-const { PLANET_API_KEY, PLANET_API_URL } = require('../config/planet');
-const logger = require('../config/logger');
-const { v4: uuidv4 } = require('uuid');
-const pool = require('../db');
-
-const router = express.Router();
-
-router.post('/fetch-image', async (req, res) => {
-  const { shapefileId } = req.body;
-  const transactionId = uuidv4();
-  logger.info(`[${transactionId}] Fetching satellite images for shapefile: ${shapefileId}`);
-
-  try {
-    // Validate input
-    if (!shapefileId) {
-      logger.warn(`[${transactionId}] Missing shapefileId`);
-      return res.status(400).json({ error: 'Missing shapefileId' });
-    }
-
-    // Lấy bbox từ database
-    const result = await pool.query(
-      'SELECT ST_AsGeoJSON(bbox) AS bbox FROM shapefiles WHERE id = $1',
-      [shapefileId]
-    );
-    if (!result.rows[0]) {
-      logger.warn(`[${transactionId}] Shapefile not found: ${shapefileId}`);
-      return res.status(404).json({ error: 'Shapefile not found' });
-    }
-
-    const bboxGeoJSON = JSON.parse(result.rows[0].bbox);
-    if (!bboxGeoJSON.coordinates || !bboxGeoJSON.coordinates[0]) {
-      logger.warn(`[${transactionId}] Invalid bbox for shapefile: ${shapefileId}`);
-      return res.status(400).json({ error: 'Invalid bounding box in shapefile' });
-    }
-
-    const bbox = bboxGeoJSON.coordinates[0];
-    const geometryFilter = {
-      type: 'Polygon',
-      coordinates: [bbox]
-    };
-
-    // Gửi yêu cầu tới Planet API
-    const response = await axios.post(
-      `${PLANET_API_URL}/quick-search`,
-      {
-        item_types: ['PSScene'],
-        filter: {
-          type: 'AndFilter',
-          config: [
-            { type: 'GeometryFilter', field_name: 'geometry', config: geometryFilter },
-            { type: 'RangeFilter', field_name: 'cloud_cover', config: { lte: 0.1 } },
-            {
-              type: 'DateRangeFilter',
-              field_name: 'acquired',
-              config: { gte: '2023-01-01T00:00:00Z' } // Sửa định dạng date-time
-            },
-            { type: 'StringInFilter', field_name: 'quality_category', config: ['standard'] }
-          ]
-        }
-      },
-      {
-        headers: { Authorization: `api-key ${PLANET_API_KEY}` },
-        validateStatus: status => status < 500 // Chấp nhận mọi status < 500
-      }
-    );
-
-    // Xử lý lỗi từ Planet API
-    if (response.status !== 200) {
-      logger.error(`[${transactionId}] Planet API error`, {
-        status: response.status,
-        data: response.data
-      });
-      return res.status(response.status).json({
-        error: 'Failed to fetch images from Planet API',
-        details: response.data
-      });
-    }
-
-    logger.info(`[${transactionId}] Fetched ${response.data.features.length} images`);
-    res.json(response.data.features);
-  } catch (error) {
-    logger.error(`[${transactionId}] Failed to fetch images`, {
-      error: error.message,
-      stack: error.stack
-    });
-    res.status(500).json({ error: 'Failed to fetch images', details: error.message });
-  }
-});
-
-router.post('/process-image', async (req, res) => {
-  const { imageUrl, type, shapefileId, format = 'png' } = req.body;
-  const transactionId = uuidv4();
-  logger.info(`[${transactionId}] Processing image`, { type, shapefileId });
-
-  if (!imageUrl || !type || !shapefileId) {
-    logger.warn(`[${transactionId}] Missing parameters`);
-    return res.status(400).json({ error: 'Missing imageUrl, type, or shapefileId' });
-  }
-
-  const VALID_TYPES = ['ndvi', 'ndbi', 'ndwi'];
-  if (!VALID_TYPES.includes(type.toLowerCase())) {
-    logger.warn(`[${transactionId}] Invalid type: ${type}`);
-    return res.status(400).json({ error: `Type must be one of ${VALID_TYPES.join(', ')}` });
-  }
-
-  const imagePath = path.join(__dirname, '../data', `temp_${transactionId}.tif`);
-  const shpGeoJsonPath = path.join(__dirname, '../data', `shp_${transactionId}.json`);
-  let geotiffPath, previewPath;
-
-  try {
-    // Lấy geometry từ shapefile
-    const shpResult = await pool.query(
-      'SELECT ST_AsGeoJSON(geom) AS geometry FROM shapefiles WHERE id = $1',
-      [shapefileId]
-    );
-    if (!shpResult.rows[0]) {
-      logger.warn(`[${transactionId}] Shapefile not found: ${shapefileId}`);
-      return res.status(404).json({ error: 'Shapefile not found' });
-    }
-    fs.writeFileSync(shpGeoJsonPath, shpResult.rows[0].geometry);
-
-    // Kiểm tra kích thước ảnh
-    const headResponse = await axios.head(imageUrl);
-    const contentLength = parseInt(headResponse.headers['content-length']);
-    if (contentLength > 100 * 1024 * 1024) {
-      logger.warn(`[${transactionId}] Image too large: ${contentLength} bytes`);
-      return res.status(400).json({ error: 'Image too large (max 100MB)' });
-    }
-
-    // Tải ảnh
-    const response = await axios.get(imageUrl, { responseType: 'stream', timeout: 60000 });
-    await pipeline(response.data, fs.createWriteStream(imagePath));
-    logger.info(`[${transactionId}] Image downloaded`, { imagePath });
-
-    // Xử lý ảnh với Python
-    const scriptPath = path.join(__dirname, '../process_satellite.py');
-    const output = await new Promise((resolve, reject) => {
-      exec(
-        `python3 ${scriptPath} ${imagePath} ${type} ${shpGeoJsonPath}`,
-        { timeout: 300000 },
-        (error, stdout) => {
-          if (error) {
-            logger.error(`[${transactionId}] Python error`, { error: error.message });
-            return reject(error);
-          }
-          const geotiffMatch = stdout.match(/geotiff:(.+)/);
-          const previewMatch = stdout.match(/preview:(.+)/);
-          if (!geotiffMatch?.[1] || !previewMatch?.[1]) {
-            return reject(new Error('Invalid output paths'));
-          }
-          resolve({
-            geotiff: geotiffMatch[1].trim(),
-            preview: previewMatch[1].trim()
-          });
-        }
-      );
-    });
-
-    geotiffPath = output.geotiff;
-    previewPath = output.preview;
-
-    // Lưu preview URL vào metadata
-    await pool.query(
-      'UPDATE shapefiles SET metadata = metadata || $1 WHERE id = $2',
-      [{ previewUrl: `/data/${path.basename(previewPath)}` }, shapefileId]
-    );
-
-    // Trả về file theo format
-    const filePath = format === 'geotiff' ? geotiffPath : previewPath;
-    res.download(filePath, `result_${type}.${format}`);
-  } catch (error) {
-    logger.error(`[${transactionId}] Processing failed`, { error: error.message });
-    res.status(500).json({ error: 'Image processing failed' });
-  } finally {
-    [imagePath, shpGeoJsonPath, geotiffPath, previewPath].filter(Boolean).forEach(file => {
-      try { fs.unlinkSync(file); } catch (e) {
-        logger.warn(`[${transactionId}] Cleanup failed: ${file}`, { error: e.message });
-      }
-    });
-  }
-});
-
-router.get('/preview/:shapefileId', async (req, res) => {
-  try {
-    const { shapefileId } = req.params;
-    const result = await pool.query(
-      'SELECT metadata->>\'previewUrl\' AS preview_url FROM shapefiles WHERE id = $1',
-      [shapefileId]
-    );
-    if (!result.rows[0]?.preview_url) {
-      return res.status(404).json({ error: 'Preview not found' });
-    }
-    res.json({ previewUrl: result.rows[0].preview_url });
-  } catch (error) {
-    logger.error('Failed to fetch preview', { error: error.message });
-    res.status(500).json({ error: 'Failed to fetch preview' });
-  }
-});
-
-module.exports = router;
\ No newline at end of file
+const express = require('express');
+const logger = require('../config/logger');
+const { v4: uuidv4 } = require('uuid');
+const pool = require('../db');
+const jobQueue = require('../services/jobQueue');
+const { processImageJob, CLOUD_POLICIES } = require('../services/processImage');
+const { changeDetectionJob, findIndexResult } = require('../services/changeDetection');
+const { planetActivateJob, planetOrderJob } = require('../services/planetOrders');
+const {
+  MOSAIC_METHODS, DEFAULT_MOSAIC_METHOD, MosaicError, checkAutoSelect, footprintOverlaps, validateScenes, selectScenes
+} = require('../services/mosaic');
+const {
+  SENSORS, INDICES, DEFAULT_SENSOR, resolveIndex, resolveStyle, buildLegend, SpectralIndexError
+} = require('../services/indices');
+const { buildStatsQuery, toCsvRow, CSV_COLUMNS, ZonalStatsError } = require('../services/zonalStats');
+const { escapeCsv } = require('../services/exporters/csv');
+const {
+  getProvider,
+  parseSearchParams,
+  SearchError,
+  ProviderError
+} = require('../services/providers');
+const planet = require('../services/providers/planet');
+const { activeFeatureSql } = require('../services/featureStore');
+const { requireRole, ownerSql } = require('../services/auth');
+const { productUrl, signedUrl, FILE_URL_TTL } = require('../services/products');
+
+const router = express.Router();
+
+jobQueue.registerHandler('process-image', processImageJob, { initialStatus: 'downloading' });
+jobQueue.registerHandler('change-detection', changeDetectionJob);
+jobQueue.registerHandler('planet-activate', planetActivateJob, { initialStatus: 'activating' });
+jobQueue.registerHandler('planet-order', planetOrderJob, { initialStatus: 'ordering' });
+
+// Hình dạng để tính độ phủ: phần polygon đã sửa lỗi và gộp của shapefile
+const SHAPE_SQL = `ST_UnaryUnion(ST_CollectionExtract(ST_MakeValid(s.geom), 3))`;
+
+// Tìm ảnh gọi API của provider (tính vào quota) nên cần quyền user
+router.post('/fetch-image', requireRole('user'), async (req, res) => {
+  const { shapefileId } = req.body;
+  const transactionId = uuidv4();
+  logger.info(`[${transactionId}] Fetching satellite images for shapefile: ${shapefileId}`);
+
+  try {
+    // Validate input
+    if (!shapefileId) {
+      logger.warn(`[${transactionId}] Missing shapefileId`);
+      return res.status(400).json({ error: 'Missing shapefileId' });
+    }
+
+    let provider, search;
+    try {
+      provider = getProvider(req.body.provider);
+      search = parseSearchParams(req.body);
+    } catch (searchError) {
+      if (!(searchError instanceof SearchError)) throw searchError;
+      logger.warn(`[${transactionId}] Invalid search parameters: ${searchError.message}`);
+      return res.status(400).json({ error: searchError.message });
+    }
+
+    // Lấy bbox và geometry từ database
+    const result = await pool.query(
+      `SELECT ST_AsGeoJSON(s.bbox) AS bbox, ST_AsGeoJSON(${SHAPE_SQL}) AS geometry
+       FROM shapefiles s WHERE s.id = $1 AND s.deleted_at IS NULL AND ${ownerSql(req.user, 's.owner_id')}`,
+      [shapefileId]
+    );
+    if (!result.rows[0]) {
+      logger.warn(`[${transactionId}] Shapefile not found: ${shapefileId}`);
+      return res.status(404).json({ error: 'Shapefile not found' });
+    }
+
+    const geometry = result.rows[0].geometry && JSON.parse(result.rows[0].geometry);
+    if (search.geometryMode === 'exact' && !geometry?.coordinates?.length) {
+      logger.warn(`[${transactionId}] Shapefile has no polygon geometry: ${shapefileId}`);
+      return res.status(400).json({ error: 'geometry=exact requires polygon features, use geometry=bbox' });
+    }
+    const bboxGeoJSON = result.rows[0].bbox && JSON.parse(result.rows[0].bbox);
+    if (!bboxGeoJSON?.coordinates?.[0]) {
+      logger.warn(`[${transactionId}] Invalid bbox for shapefile: ${shapefileId}`);
+      return res.status(400).json({ error: 'Invalid bounding box in shapefile' });
+    }
+    const bbox = {
+      type: 'Polygon',
+      coordinates: [bboxGeoJSON.coordinates[0]]
+    };
+
+    // Tìm ảnh qua provider được chọn
+    let found;
+    try {
+      found = await provider.search(search, { geometry, bbox });
+    } catch (providerError) {
+      if (!(providerError instanceof ProviderError)) throw providerError;
+      logger.error(`[${transactionId}] ${provider.name} provider error`, {
+        status: providerError.status,
+        error: providerError.message,
+        data: providerError.details
+      });
+      return res.status(providerError.status).json({
+        error: providerError.message,
+        details: providerError.details
+      });
+    }
+
+    // Phần trăm diện tích shapefile nằm trong footprint của từng ảnh
+    const overlaps = await footprintOverlaps(shapefileId, found.items.map(item => item.footprint));
+    const items = found.items.map((item, index) => ({ ...item, overlapPercent: overlaps[index] ?? null }));
+    logger.info(`[${transactionId}] Fetched ${items.length} images`);
+    res.json({
+      items,
+      count: items.length,
+      nextPage: found.nextPage,
+      search: {
+        provider: provider.name,
+        itemTypes: search.itemTypes,
+        dateFrom: search.dateFrom,
+        dateTo: search.dateTo,
+        cloudCover: search.cloudCover,
+        sunElevation: search.sunElevation,
+        qualityCategory: search.qualityCategory,
+        geometry: search.geometryMode,
+        sort: search.sort
+      }
+    });
+  } catch (error) {
+    logger.error(`[${transactionId}] Failed to fetch images`, {
+      error: error.message,
+      stack: error.stack
+    });
+    res.status(500).json({ error: 'Failed to fetch images', details: error.message });
+  }
+});
+
+/**
+ * Kiểm tra tham số xử lý ảnh của process-image (dùng lại cho job Planet chuyển tiếp sang process-image).
+ * Trả về { options } là tham số lưu vào job, hoặc { error } khi tham số sai.
+ */
+const readProcessOptions = (body) => {
+  const {
+    type, expression, sensor, shapefileId, format = 'png', zonalStats = true, threshold, sceneId, acquired,
+    minClearPercent, cloudPolicy, style, outline = false
+  } = body;
+  if ((!type && !expression) || !shapefileId) {
+    return { error: 'Missing type (or expression) or shapefileId' };
+  }
+
+  // Chỉ số phải tính được từ các band của cảm biến; style tùy chỉnh thay cho style của chỉ số
+  let index, previewStyle;
+  try {
+    index = resolveIndex({ type, expression, sensor: sensor || DEFAULT_SENSOR });
+    previewStyle = style !== undefined && style !== null ? resolveStyle(index.type, style) : null;
+  } catch (indexError) {
+    return { error: indexError.message };
+  }
+
+  if (!['png', 'geotiff'].includes(format)) {
+    return { error: 'Format must be one of png, geotiff' };
+  }
+  if (threshold !== undefined && threshold !== null && !Number.isFinite(Number(threshold))) {
+    return { error: 'threshold must be a number' };
+  }
+  if (minClearPercent !== undefined && minClearPercent !== null
+    && !(Number(minClearPercent) >= 0 && Number(minClearPercent) <= 100)) {
+    return { error: 'minClearPercent must be a number between 0 and 100' };
+  }
+  if (cloudPolicy !== undefined && !CLOUD_POLICIES.includes(cloudPolicy)) {
+    return { error: `cloudPolicy must be one of ${CLOUD_POLICIES.join(', ')}` };
+  }
+  // Ngày chụp ảnh cho chuỗi thời gian; mặc định lấy từ provider khi tải ảnh
+  if (acquired !== undefined && acquired !== null && Number.isNaN(new Date(acquired).getTime())) {
+    return { error: 'acquired must be an ISO 8601 date' };
+  }
+
+  return {
+    options: {
+      type: index.type,
+      sensor: index.sensor,
+      ...(index.expression && { expression: index.expression }),
+      shapefileId,
+      format,
+      zonalStats: ![false, 'false', '0'].includes(zonalStats),
+      ...(threshold !== undefined && threshold !== null && { threshold: Number(threshold) }),
+      ...(sceneId && { sceneId: String(sceneId) }),
+      ...(acquired && { acquired: new Date(acquired).toISOString() }),
+      ...(minClearPercent !== undefined && minClearPercent !== null && { minClearPercent: Number(minClearPercent) }),
+      ...(cloudPolicy && { cloudPolicy }),
+      ...(previewStyle && { style: previewStyle }),
+      outline: [true, 'true', '1'].includes(outline)
+    }
+  };
+};
+
+// Shapefile chưa xóa mà người dùng được đọc (write = true: được ghi kết quả vào)
+const findShapefile = async (user, shapefileId, { write = false } = {}) => {
+  const result = await pool.query(
+    `SELECT id FROM shapefiles WHERE id = $1 AND deleted_at IS NULL AND ${ownerSql(user, 'owner_id', { write })}`,
+    [shapefileId]
+  );
+  return result.rows[0] || null;
+};
+
+router.post('/process-image', requireRole('user'), async (req, res) => {
+  const { type, sensor, shapefileId } = req.body;
+  const transactionId = uuidv4();
+  logger.info(`[${transactionId}] Queueing image processing`, { type, sensor, shapefileId });
+
+  const { options, error: optionsError } = readProcessOptions(req.body);
+  if (optionsError) {
+    logger.warn(`[${transactionId}] Invalid processing parameters: ${optionsError}`);
+    return res.status(400).json({ error: optionsError });
+  }
+
+  // Nhiều scene: danh sách scene hoặc "auto" (chọn từ kết quả tìm ảnh theo độ phủ và mây, chỉ stac/local)
+  const { scenes, mosaic = DEFAULT_MOSAIC_METHOD } = req.body;
+  if (scenes !== undefined && !MOSAIC_METHODS.includes(mosaic)) {
+    logger.warn(`[${transactionId}] Invalid mosaic method: ${mosaic}`);
+    return res.status(400).json({ error: `mosaic must be one of ${MOSAIC_METHODS.join(', ')}` });
+  }
+
+  try {
+    // Mỗi provider tự kiểm tra tham số ảnh (imageUrl, itemId...)
+    let provider, source, search;
+    try {
+      provider = getProvider(req.body.provider);
+      if (scenes === 'auto') {
+        checkAutoSelect(provider);
+        search = parseSearchParams(req.body.search || {});
+      } else if (scenes !== undefined) {
+        source = { scenes: validateScenes(provider, scenes), mosaic };
+      } else {
+        source = provider.validateDownload(req.body);
+      }
+    } catch (sourceError) {
+      if (![SearchError, ProviderError, MosaicError].some(type => sourceError instanceof type)) throw sourceError;
+      logger.warn(`[${transactionId}] Invalid image source: ${sourceError.message}`);
+      return res.status(400).json({ error: sourceError.message });
+    }
+
+    // Kết quả được ghi vào dataset (preview, thống kê) nên chỉ chủ sở hữu được chạy
+    if (!await findShapefile(req.user, shapefileId, { write: true })) {
+      logger.warn(`[${transactionId}] Shapefile not found: ${shapefileId}`);
+      return res.status(404).json({ error: 'Shapefile not found' });
+    }
+
+    let selection;
+    if (search) {
+      try {
+        selection = await selectScenes(provider, search, shapefileId);
+      } catch (selectError) {
+        if (!(selectError instanceof MosaicError) && !(selectError instanceof ProviderError)) throw selectError;
+        logger.warn(`[${transactionId}] Scene selection failed: ${selectError.message}`);
+        return res.status(selectError.status || 400).json({ error: selectError.message, details: selectError.details });
+      }
+      source = { scenes: selection.scenes, mosaic };
+      logger.info(`[${transactionId}] Selected ${selection.scenes.length} scenes`, { coverage: selection.coverage });
+    }
+
+    const job = await jobQueue.createJob('process-image', {
+      provider: provider.name,
+      ...source,
+      ...options
+    }, { ownerId: req.user.id });
+    logger.info(`[${transactionId}] Job queued: ${job.id}`);
+
+    res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      ...(selection && {
+        scenes: selection.scenes,
+        coveragePercent: selection.coverage
+      })
+    });
+  } catch (error) {
+    logger.error(`[${transactionId}] Failed to queue job`, { error: error.message });
+    res.status(500).json({ error: 'Failed to queue image processing' });
+  }
+});
+
+/**
+ * Xếp job Planet (kích hoạt asset hoặc đặt hàng). Có type/expression thì khi ảnh sẵn sàng
+ * job tự xếp tiếp process-image với cùng tham số như POST /process-image.
+ */
+const queuePlanetJob = async (req, res, jobType, params, { shapefileId } = {}) => {
+  const transactionId = uuidv4();
+  logger.info(`[${transactionId}] Queueing ${jobType}`, { itemId: params.itemId });
+
+  let options = null;
+  if (req.body.type || req.body.expression) {
+    const processOptions = readProcessOptions(req.body);
+    if (processOptions.error) {
+      logger.warn(`[${transactionId}] Invalid processing parameters: ${processOptions.error}`);
+      return res.status(400).json({ error: processOptions.error });
+    }
+    options = processOptions.options;
+  }
+
+  try {
+    const checkedId = options?.shapefileId ?? shapefileId;
+    if (checkedId !== undefined && !await findShapefile(req.user, checkedId, { write: Boolean(options) })) {
+      logger.warn(`[${transactionId}] Shapefile not found: ${checkedId}`);
+      return res.status(404).json({ error: 'Shapefile not found' });
+    }
+
+    const job = await jobQueue.createJob(jobType, {
+      ...params,
+      ...(options && { process: options })
+    }, { ownerId: req.user.id });
+    logger.info(`[${transactionId}] Job queued: ${job.id}`);
+
+    res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`
+    });
+  } catch (error) {
+    logger.error(`[${transactionId}] Failed to queue ${jobType}`, { error: error.message });
+    res.status(500).json({ error: 'Failed to queue Planet request' });
+  }
+};
+
+// Kích hoạt asset của một item Planet (mặc định ảnh SR 4 band và UDM2) và chờ tới khi tải được
+router.post('/planet/activate', requireRole('user'), async (req, res) => {
+  const {
+    itemId, itemType = planet.DEFAULT_ITEM_TYPES[0], assetType = planet.DEFAULT_ASSET_TYPE, mask = true
+  } = req.body;
+  if (!itemId) {
+    return res.status(400).json({ error: 'Missing itemId' });
+  }
+
+  // mask: false thì không kích hoạt UDM2 (xử lý ảnh không loại mây)
+  await queuePlanetJob(req, res, 'planet-activate', {
+    itemId: String(itemId),
+    itemType: String(itemType),
+    assetType: String(assetType),
+    maskAssetType: [false, 'false', '0'].includes(mask) ? null : planet.DEFAULT_MASK_ASSET_TYPE
+  });
+});
+
+// Đặt hàng Planet Orders API cho một item, cắt theo geometry của shapefile
+router.post('/planet/order', requireRole('user'), async (req, res) => {
+  const {
+    itemId, itemType = planet.DEFAULT_ITEM_TYPES[0], productBundle = planet.DEFAULT_PRODUCT_BUNDLE, shapefileId
+  } = req.body;
+  if (!itemId || !shapefileId) {
+    return res.status(400).json({ error: 'Missing itemId or shapefileId' });
+  }
+
+  await queuePlanetJob(req, res, 'planet-order', {
+    itemId: String(itemId),
+    itemType: String(itemType),
+    productBundle: String(productBundle),
+    shapefileId
+  }, { shapefileId });
+});
+
+// Thống kê chỉ số theo feature đã lưu; format=csv để tải về
+router.get('/zonal-stats', async (req, res) => {
+  let query;
+  try {
+    query = buildStatsQuery(req.query);
+  } catch (queryError) {
+    if (!(queryError instanceof ZonalStatsError)) {
+      logger.error('Failed to build zonal stats query', { error: queryError.message });
+      return res.status(500).json({ error: 'Failed to fetch zonal statistics' });
+    }
+    return res.status(400).json({ error: queryError.message });
+  }
+
+  const format = (req.query.format || 'json').toLowerCase();
+  if (!['json', 'csv'].includes(format)) {
+    return res.status(400).json({ error: 'format must be one of json, csv' });
+  }
+
+  try {
+    const { where, values, page, limit } = query;
+    const whereClause = `WHERE ${[...where, activeFeatureSql('z', req.user)].join(' AND ')}`;
+    const select = `SELECT z.id, z.shapefile_id, z.feature_id, f.feature_index, z.job_id, z.scene_id,
+        z.provider, z.index_type, z.sensor, z.valid_pixels, z.total_pixels,
+        z.mean, z.min, z.max, z.std, z.percentiles,
+        z.threshold, z.area_above_threshold_m2, z.valid_area_m2, z.computed_at
+      FROM zonal_stats z
+      JOIN shapefile_features f ON f.id = z.feature_id
+      ${whereClause}
+      ORDER BY z.computed_at DESC, f.feature_index`;
+
+    // CSV xuất toàn bộ kết quả khớp điều kiện, JSON thì phân trang
+    if (format === 'csv') {
+      const result = await pool.query(select, values);
+      const lines = [CSV_COLUMNS.join(',')];
+      result.rows.map(toCsvRow).forEach(row => {
+        lines.push(CSV_COLUMNS.map(column => escapeCsv(row[column])).join(','));
+      });
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="zonal_stats_${values[0]}.csv"`);
+      return res.send(`\uFEFF${lines.join('\r\n')}\r\n`);
+    }
+
+    const result = await pool.query(
+      `${select} LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, (page - 1) * limit]
+    );
+    const countResult = await pool.query(`SELECT COUNT(*) FROM zonal_stats z ${whereClause}`, values);
+    const total = parseInt(countResult.rows[0].count);
+
+    res.json({
+      data: result.rows,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to fetch zonal statistics', { query: req.query, error: error.message });
+    res.status(500).json({ error: 'Failed to fetch zonal statistics' });
+  }
+});
+
+// Chuỗi thời gian của một chỉ số: thống kê toàn shapefile, hoặc của một feature khi có featureId
+router.get('/timeseries/:shapefileId', async (req, res) => {
+  const shapefileId = parseInt(req.params.shapefileId);
+  const index = String(req.query.index || 'ndvi').toLowerCase();
+  if (!Number.isInteger(shapefileId)) {
+    return res.status(400).json({ error: 'shapefileId must be an integer id' });
+  }
+
+  const where = ['r.shapefile_id = $1', 'r.index_type = $2'];
+  const values = [shapefileId, index];
+  for (const [key, operator] of [['from', '>='], ['to', '<=']]) {
+    if (req.query[key] === undefined) continue;
+    const date = new Date(req.query[key]);
+    if (Number.isNaN(date.getTime())) {
+      return res.status(400).json({ error: `${key} must be an ISO 8601 date` });
+    }
+    values.push(date.toISOString());
+    where.push(`COALESCE(r.acquired_at, r.created_at) ${operator} $${values.length}`);
+  }
+
+  // Bỏ các lần chạy bị mây che nhiều (lần chạy cũ không có clear_percent vẫn được giữ)
+  if (req.query.minClearPercent !== undefined) {
+    const minClearPercent = Number(req.query.minClearPercent);
+    if (!(minClearPercent >= 0 && minClearPercent <= 100)) {
+      return res.status(400).json({ error: 'minClearPercent must be a number between 0 and 100' });
+    }
+    values.push(minClearPercent);
+    where.push(`(r.clear_percent IS NULL OR r.clear_percent >= $${values.length})`);
+  }
+
+  let featureId;
+  if (req.query.featureId !== undefined) {
+    featureId = parseInt(req.query.featureId);
+    if (!Number.isInteger(featureId)) {
+      return res.status(400).json({ error: 'featureId must be an integer id' });
+    }
+    values.push(featureId);
+  }
+
+  try {
+    const shpResult = await pool.query(
+      `SELECT id FROM shapefiles WHERE id = $1 AND deleted_at IS NULL AND ${ownerSql(req.user)}`,
+      [shapefileId]
+    );
+    if (!shpResult.rows[0]) {
+      return res.status(404).json({ error: 'Shapefile not found' });
+    }
+
+    const statsColumn = featureId !== undefined
+      ? `json_build_object(
+          'valid_pixels', z.valid_pixels, 'total_pixels', z.total_pixels,
+          'mean', z.mean, 'min', z.min, 'max', z.max, 'std', z.std, 'percentiles', z.percentiles,
+          'threshold', z.threshold, 'area_above_threshold_m2', z.area_above_threshold_m2,
+          'valid_area_m2', z.valid_area_m2
+        )`
+      : 'r.stats';
+    const featureJoin = featureId !== undefined
+      ? `JOIN zonal_stats z ON z.result_id = r.id AND z.feature_id = $${values.length}`
+      : '';
+    const result = await pool.query(
+      `SELECT r.id, r.job_id, r.scene_id, r.provider, r.sensor, r.expression,
+         COALESCE(r.acquired_at, r.created_at) AS date, r.acquired_at IS NOT NULL AS acquired,
+         r.clear_percent, ${statsColumn} AS stats, r.preview_bounds, r.legend,
+         (SELECT json_object_agg(p.kind, p.id) FROM products p
+          WHERE p.result_id = r.id AND (p.expires_at IS NULL OR p.expires_at > NOW())) AS products
+       FROM index_results r
+       ${featureJoin}
+       WHERE ${where.join(' AND ')}
+       ORDER BY date, r.id`,
+      values
+    );
+
+    res.json({
+      shapefileId,
+      index,
+      ...(featureId !== undefined && { featureId }),
+      count: result.rows.length,
+      series: result.rows.map(({ products, preview_bounds, ...row }) => ({
+        ...row,
+        geotiffUrl: products?.geotiff ? productUrl(products.geotiff) : null,
+        previewUrl: products?.preview ? signedUrl(products.preview) : null,
+        previewBounds: preview_bounds,
+        legendUrl: products?.legend ? signedUrl(products.legend) : null
+      }))
+    });
+  } catch (error) {
+    logger.error('Failed to fetch index time series', { shapefileId, index, error: error.message });
+    res.status(500).json({ error: 'Failed to fetch index time series' });
+  }
+});
+
+// Phát hiện biến động giữa hai lần chạy chỉ số (theo id hoặc theo ngày gần nhất)
+router.post('/change-detection', requireRole('user'), async (req, res) => {
+  const {
+    shapefileId, index = 'ndvi', beforeId, afterId, before, after, threshold = 0.1, zonalStats = true,
+    style, outline = false
+  } = req.body;
+  const transactionId = uuidv4();
+  logger.info(`[${transactionId}] Queueing change detection`, { shapefileId, index, beforeId, afterId, before, after });
+
+  if (!shapefileId) {
+    logger.warn(`[${transactionId}] Missing shapefileId`);
+    return res.status(400).json({ error: 'Missing shapefileId' });
+  }
+
+  const selectors = {};
+  for (const [key, id, date] of [['before', beforeId, before], ['after', afterId, after]]) {
+    if (id !== undefined && id !== null) {
+      if (!Number.isInteger(Number(id))) {
+        return res.status(400).json({ error: `${key}Id must be an integer id` });
+      }
+      selectors[key] = { id: Number(id) };
+    } else if (date) {
+      if (Number.isNaN(new Date(date).getTime())) {
+        return res.status(400).json({ error: `${key} must be an ISO 8601 date` });
+      }
+      selectors[key] = { date: new Date(date).toISOString() };
+    } else {
+      logger.warn(`[${transactionId}] Missing ${key} selector`);
+      return res.status(400).json({ error: `Missing ${key}Id or ${key} date` });
+    }
+  }
+  if (!Number.isFinite(Number(threshold)) || Number(threshold) < 0) {
+    return res.status(400).json({ error: 'threshold must be a non-negative number' });
+  }
+
+  try {
+    let previewStyle = null;
+    if (style !== undefined && style !== null) {
+      try {
+        previewStyle = resolveStyle('change', style);
+      } catch (styleError) {
+        if (!(styleError instanceof SpectralIndexError)) throw styleError;
+        return res.status(400).json({ error: styleError.message });
+      }
+    }
+
+    const shpResult = await pool.query(
+      `SELECT id FROM shapefiles WHERE id = $1 AND deleted_at IS NULL AND ${ownerSql(req.user)}`,
+      [shapefileId]
+    );
+    if (!shpResult.rows[0]) {
+      logger.warn(`[${transactionId}] Shapefile not found: ${shapefileId}`);
+      return res.status(404).json({ error: 'Shapefile not found' });
+    }
+
+    const indexType = String(index).toLowerCase();
+    const [beforeResult, afterResult] = await Promise.all([
+      findIndexResult(shapefileId, indexType, selectors.before),
+      findIndexResult(shapefileId, indexType, selectors.after)
+    ]);
+    if (!beforeResult || !afterResult) {
+      logger.warn(`[${transactionId}] Index result not found`);
+      return res.status(404).json({ error: `No ${indexType} result found for ${!beforeResult ? 'before' : 'after'}` });
+    }
+    if (beforeResult.id === afterResult.id) {
+      return res.status(400).json({ error: 'before and after resolve to the same result', resultId: beforeResult.id });
+    }
+
+    const job = await jobQueue.createJob('change-detection', {
+      shapefileId,
+      index: indexType,
+      beforeId: beforeResult.id,
+      afterId: afterResult.id,
+      threshold: Number(threshold),
+      zonalStats: ![false, 'false', '0'].includes(zonalStats),
+      ...(previewStyle && { style: previewStyle }),
+      outline: [true, 'true', '1'].includes(outline),
+      format: 'png'
+    }, { ownerId: req.user.id });
+    logger.info(`[${transactionId}] Job queued: ${job.id}`, { beforeId: beforeResult.id, afterId: afterResult.id });
+
+    res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      before: { resultId: beforeResult.id, date: beforeResult.acquired_at || beforeResult.created_at },
+      after: { resultId: afterResult.id, date: afterResult.acquired_at || afterResult.created_at }
+    });
+  } catch (error) {
+    logger.error(`[${transactionId}] Failed to queue change detection`, { error: error.message });
+    res.status(500).json({ error: 'Failed to queue change detection' });
+  }
+});
+
+// Danh mục chỉ số phổ và cảm biến được hỗ trợ
+router.get('/indices', (req, res) => {
+  res.json({
+    defaultSensor: DEFAULT_SENSOR,
+    sensors: Object.entries(SENSORS).map(([id, sensor]) => ({
+      id,
+      name: sensor.name,
+      bands: Object.keys(sensor.bands)
+    })),
+    indices: Object.entries(INDICES).map(([id, index]) => ({
+      id,
+      name: index.name,
+      expression: index.expression,
+      style: resolveStyle(id),
+      legend: buildLegend(resolveStyle(id), id.toUpperCase()),
+      sensors: Object.keys(SENSORS).filter(sensorId => {
+        try {
+          resolveIndex({ type: id, sensor: sensorId });
+          return true;
+        } catch (error) {
+          return false;
+        }
+      })
+    }))
+  });
+});
+
+// Preview mới nhất của dataset; link ký có hạn dùng để lớp ảnh bản đồ tải không cần API key
+router.get('/preview/:shapefileId', async (req, res) => {
+  try {
+    const { shapefileId } = req.params;
+    const result = await pool.query(
+      `SELECT metadata->'previewBounds' AS preview_bounds,
+         (SELECT p.id FROM products p
+          WHERE p.id::text = s.metadata->>'previewProductId'
+            AND (p.expires_at IS NULL OR p.expires_at > NOW())) AS preview_id,
+         (SELECT p.id FROM products p
+          WHERE p.id::text = s.metadata->>'legendProductId'
+            AND (p.expires_at IS NULL OR p.expires_at > NOW())) AS legend_id
+       FROM shapefiles s WHERE s.id = $1 AND s.deleted_at IS NULL AND ${ownerSql(req.user, 's.owner_id')}`,
+      [shapefileId]
+    );
+    if (!result.rows[0]?.preview_id) {
+      return res.status(404).json({ error: 'Preview not found' });
+    }
+    const { preview_id, preview_bounds, legend_id } = result.rows[0];
+    res.json({
+      previewUrl: signedUrl(preview_id),
+      bounds: preview_bounds || null,
+      legendUrl: legend_id ? signedUrl(legend_id) : null,
+      expiresIn: FILE_URL_TTL
+    });
+  } catch (error) {
+    logger.error('Failed to fetch preview', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch preview' });
+  }
+});
+
+module.exports = router;
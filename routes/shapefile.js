@@ -1,322 +1,1072 @@
-const express = require('express');
-const multer = require('multer');
-const fs = require('fs');
-const path = require('path');
-const shapefile = require('shapefile');
-const logger = require('../config/logger');
-const { v4: uuidv4 } = require('uuid');
-const pool = require('../db');
-
-const router = express.Router();
-
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const uploadDir = 'uploads/';
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + uuidv4();
-    cb(null, uniqueSuffix + path.extname(file.originalname));
-  }
-});
-
-const fileFilter = (req, file, cb) => {
-  const validExtensions = ['.shp', '.shx', '.dbf', '.prj'];
-  const ext = path.extname(file.originalname).toLowerCase();
-  if (validExtensions.includes(ext)) {
-    cb(null, true);
-  } else {
-    cb(new Error(`Invalid file type: ${ext}. Expected .shp, .shx, .dbf, or .prj`), false);
-  }
-};
-
-const upload = multer({
-  storage: storage,
-  fileFilter: fileFilter,
-  limits: { fileSize: 10 * 1024 * 1024, files: 4 }
-}).array('files', 4);
-
-// Middleware xử lý lỗi multer
-const handleMulterError = (err, req, res, next) => {
-  if (err instanceof multer.MulterError) {
-    logger.warn(`Multer error: ${err.message}`);
-    return res.status(400).json({ error: err.message });
-  } else if (err) {
-    logger.warn(`File upload error: ${err.message}`);
-    return res.status(400).json({ error: err.message });
-  }
-  next();
-};
-
-router.post('/upload', upload, handleMulterError, async (req, res) => {
-  const transactionId = uuidv4();
-  logger.info(`[${transactionId}] Starting shapefile upload`);
-
-  try {
-    if (!req.files || req.files.length < 3) {
-      logger.warn(`[${transactionId}] Missing required files`);
-      return res.status(400).json({ error: 'Please upload .shp, .shx, and .dbf files' });
-    }
-
-    const shpFile = req.files.find(f => f.originalname.toLowerCase().endsWith('.shp'));
-    if (!shpFile) {
-      logger.warn(`[${transactionId}] No .shp file found`);
-      return res.status(400).json({ error: 'No .shp file found' });
-    }
-
-    logger.debug(`[${transactionId}] Processing shapefile: ${shpFile.path}`);
-
-    // Đọc shapefile
-    const source = await shapefile.open(shpFile.path);
-    const features = [];
-    let result;
-    while ((result = await source.read()) && !result.done) {
-      if (result.value.geometry) {
-        features.push(result.value);
-      }
-    }
-
-    if (features.length === 0) {
-      logger.warn(`[${transactionId}] No valid features found`);
-      return res.status(400).json({ error: 'No valid features found in shapefile' });
-    }
-
-    logger.info(`[${transactionId}] Read ${features.length} features`);
-
-    const client = await pool.connect();
-    try {
-      await client.query('BEGIN');
-
-      // Xóa các bản ghi cũ với cùng tên
-      await client.query('DELETE FROM shapefiles WHERE name = $1', [shpFile.originalname]);
-
-      // Lưu từng feature
-      for (const feature of features) {
-        const geom = JSON.stringify(feature.geometry);
-        const bbox = await client.query(
-          'SELECT ST_Envelope(ST_GeomFromGeoJSON($1)) AS bbox',
-          [geom]
-        );
-        await client.query(
-          `INSERT INTO shapefiles (name, geom, metadata, bbox)
-           VALUES ($1, ST_GeomFromGeoJSON($2), $3, $4)`,
-          [
-            shpFile.originalname,
-            geom,
-            feature.properties ? JSON.stringify(feature.properties) : null,
-            bbox.rows[0].bbox
-          ]
-        );
-      }
-
-      await client.query('COMMIT');
-      logger.info(`[${transactionId}] Successfully saved ${features.length} features`);
-
-      res.status(201).json({
-        success: true,
-        count: features.length,
-        name: shpFile.originalname
-      });
-    } catch (dbError) {
-      await client.query('ROLLBACK');
-      logger.error(`[${transactionId}] Database error`, { error: dbError.message });
-      throw dbError;
-    } finally {
-      client.release();
-      // Dọn dẹp file tạm
-      req.files.forEach(file => {
-        try {
-          fs.unlinkSync(file.path);
-        } catch (cleanError) {
-          logger.error(`[${transactionId}] Cleanup error`, { file: file.path, error: cleanError.message });
-        }
-      });
-    }
-  } catch (error) {
-    logger.error(`[${transactionId}] Processing failed`, { error: error.message });
-    res.status(500).json({ error: 'Failed to process shapefile' });
-  }
-});
-
-router.get('/', async (req, res) => {
-  try {
-    const { page = 1, limit = 10 } = req.query;
-    const offset = (page - 1) * limit;
-
-    const result = await pool.query(
-      `SELECT 
-        id, 
-        name, 
-        ST_AsGeoJSON(geom) AS geometry,
-        created_at,
-        updated_at
-       FROM shapefiles
-       ORDER BY created_at DESC
-       LIMIT $1 OFFSET $2`,
-      [limit, offset]
-    );
-
-    const countResult = await pool.query('SELECT COUNT(*) FROM shapefiles');
-
-    res.json({
-      data: result.rows,
-      pagination: {
-        total: parseInt(countResult.rows[0].count),
-        page: parseInt(page),
-        limit: parseInt(limit),
-        totalPages: Math.ceil(countResult.rows[0].count / limit)
-      }
-    });
-  } catch (error) {
-    logger.error('Failed to fetch shapefiles', { error: error.message });
-    res.status(500).json({ error: 'Failed to fetch data' });
-  }
-});
-
-router.get('/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const result = await pool.query(
-      `SELECT 
-        id,
-        name,
-        ST_AsGeoJSON(geom) AS geometry,
-        metadata,
-        created_at,
-        updated_at
-       FROM shapefiles
-       WHERE id = $1`,
-      [id]
-    );
-
-    if (result.rowCount === 0) {
-      logger.warn(`Shapefile not found: ${id}`);
-      return res.status(404).json({ error: 'Shapefile not found' });
-    }
-
-    res.json(result.rows[0]);
-  } catch (error) {
-    logger.error('Failed to fetch shapefile', { id: req.params.id, error: error.message });
-    res.status(500).json({ error: 'Failed to fetch shapefile' });
-  }
-});
-
-router.get('/:id/geometry', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const result = await pool.query(
-      'SELECT ST_AsGeoJSON(geom) AS geometry FROM shapefiles WHERE id = $1',
-      [id]
-    );
-
-    if (result.rowCount === 0) {
-      logger.warn(`Shapefile not found: ${id}`);
-      return res.status(404).json({ error: 'Shapefile not found' });
-    }
-
-    res.json(JSON.parse(result.rows[0].geometry));
-  } catch (error) {
-    logger.error('Failed to fetch shapefile geometry', { id: req.params.id, error: error.message });
-    res.status(500).json({ error: 'Failed to fetch geometry' });
-  }
-});
-
-router.put('/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { name, metadata } = req.body;
-
-    if (!name && !metadata) {
-      return res.status(400).json({ error: 'No fields to update' });
-    }
-
-    const updates = [];
-    const values = [];
-    let counter = 1;
-
-    if (name) {
-      updates.push(`name = $${counter}`);
-      values.push(name);
-      counter++;
-    }
-
-    if (metadata) {
-      updates.push(`metadata = $${counter}`);
-      values.push(JSON.stringify(metadata));
-      counter++;
-    }
-
-    values.push(id);
-    const query = `
-      UPDATE shapefiles
-      SET ${updates.join(', ')}, updated_at = NOW()
-      WHERE id = $${counter}
-      RETURNING *
-    `;
-
-    const result = await pool.query(query, values);
-    if (result.rowCount === 0) {
-      logger.warn(`Shapefile not found: ${id}`);
-      return res.status(404).json({ error: 'Shapefile not found' });
-    }
-
-    res.json(result.rows[0]);
-  } catch (error) {
-    logger.error('Failed to update shapefile', { id: req.params.id, error: error.message });
-    res.status(500).json({ error: 'Failed to update shapefile' });
-  }
-});
-
-router.delete('/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const result = await pool.query('DELETE FROM shapefiles WHERE id = $1', [id]);
-    if (result.rowCount === 0) {
-      logger.warn(`Shapefile not found: ${id}`);
-      return res.status(404).json({ error: 'Shapefile not found' });
-    }
-    res.status(204).end();
-  } catch (error) {
-    logger.error('Failed to delete shapefile', { id: req.params.id, error: error.message });
-    res.status(500).json({ error: 'Failed to delete shapefile' });
-  }
-});
-
-router.get('/:id/geojson', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const result = await pool.query(
-      `SELECT 
-        json_build_object(
-          'type', 'FeatureCollection',
-          'features', json_agg(
-            json_build_object(
-              'type', 'Feature',
-              'geometry', ST_AsGeoJSON(geom)::json,
-              'properties', COALESCE(metadata, '{}'::json)
-            )
-          )
-        ) AS geojson
-       FROM shapefiles
-       WHERE id = $1
-       GROUP BY id`,
-      [id]
-    );
-
-    if (!result.rows[0]?.geojson) {
-      logger.warn(`Shapefile not found: ${id}`);
-      return res.status(404).json({ error: 'No data found' });
-    }
-
-    res.setHeader('Content-Type', 'application/geo+json');
-    res.send(JSON.stringify(result.rows[0].geojson));
-  } catch (error) {
-    logger.error('Failed to export GeoJSON', { id: req.params.id, error: error.message });
-    res.status(500).json({ error: 'Failed to export data' });
-  }
-});
-
-module.exports = router;
\ No newline at end of file
+const express = require('express');
+const multer = require('multer');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../config/logger');
+const { v4: uuidv4 } = require('uuid');
+const pool = require('../db');
+const { createDataset, refreshDatasetGeometry, validateDataset, activeFeatureSql } = require('../services/featureStore');
+const {
+  mergePatch,
+  replaceMetadata,
+  trackChange,
+  loadVersionState,
+  applyState
+} = require('../services/versioning');
+const {
+  buildGeometryOperation,
+  GeometryOpError,
+  SAVABLE_OPERATIONS,
+  MAX_INPUT_FEATURES
+} = require('../services/geometryOps');
+const {
+  GeometryEditError,
+  parseEditGeoJson,
+  assertValidGeometries,
+  updateFeatureGeometries,
+  replaceFeatures,
+  measureDataset
+} = require('../services/geometryEdit');
+const { reprojectFeatures, CrsError } = require('../services/crs');
+const { requireRole, hasRole, ownerSql, canAccess } = require('../services/auth');
+const { buildFeatureQuery, QueryError } = require('../services/featureQuery');
+const { deleteProducts } = require('../services/products');
+const {
+  SUPPORTED_EXTENSIONS,
+  ImportError,
+  readUploadedFiles,
+  readGeoJson
+} = require('../services/importers');
+
+const router = express.Router();
+
+// Người thực hiện thay đổi, ghi vào lịch sử phiên bản
+const actorOf = (req) => req.user?.name || null;
+
+// Dataset chỉ được sửa bởi chủ sở hữu hoặc admin
+const canWrite = (req, dataset) => canAccess(req.user, dataset.owner_id, { write: true });
+
+const parseFlag = (value) => [true, 'true', '1'].includes(value);
+
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    const uploadDir = 'uploads/';
+    if (!fs.existsSync(uploadDir)) {
+      fs.mkdirSync(uploadDir, { recursive: true });
+    }
+    cb(null, uploadDir);
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + uuidv4();
+    cb(null, uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+const fileFilter = (req, file, cb) => {
+  const ext = path.extname(file.originalname).toLowerCase();
+  if (SUPPORTED_EXTENSIONS.includes(ext)) {
+    cb(null, true);
+  } else {
+    cb(new Error(`Invalid file type: ${ext}. Expected one of ${SUPPORTED_EXTENSIONS.join(', ')}`), false);
+  }
+};
+
+const upload = multer({
+  storage: storage,
+  fileFilter: fileFilter,
+  limits: { fileSize: 50 * 1024 * 1024, files: 5 }
+}).array('files', 5);
+
+// Middleware xử lý lỗi multer
+const handleMulterError = (err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    logger.warn(`Multer error: ${err.message}`);
+    return res.status(400).json({ error: err.message });
+  } else if (err) {
+    logger.warn(`File upload error: ${err.message}`);
+    return res.status(400).json({ error: err.message });
+  }
+  next();
+};
+
+router.post('/upload', requireRole('user'), upload, handleMulterError, async (req, res) => {
+  const transactionId = uuidv4();
+  const files = req.files || [];
+  logger.info(`[${transactionId}] Starting vector upload`, { files: files.map(f => f.originalname) });
+
+  try {
+    // Đọc dữ liệu theo định dạng và chiếu lại về EPSG:4326
+    let data, features;
+    try {
+      if (files.length > 0) {
+        data = await readUploadedFiles(files, { layer: req.query.layer || req.body.layer });
+      } else if (req.is('application/json') && req.body?.type) {
+        data = { name: req.query.name || req.body.name || 'upload.geojson', ...readGeoJson(req.body) };
+        if (data.features.length === 0) {
+          throw new ImportError('No valid features found in GeoJSON');
+        }
+      } else {
+        logger.warn(`[${transactionId}] Missing upload data`);
+        return res.status(400).json({ error: 'Please upload a shapefile, zip, GeoJSON, KML/KMZ or GeoPackage' });
+      }
+      features = reprojectFeatures(data.features, data.crs);
+    } catch (importError) {
+      if (!(importError instanceof ImportError) && !(importError instanceof CrsError)) throw importError;
+      logger.warn(`[${transactionId}] Import error: ${importError.message}`);
+      return res.status(400).json({ error: importError.message, ...importError.details });
+    }
+
+    const { crs } = data;
+    logger.info(`[${transactionId}] Read ${features.length} features`, { format: data.format, layer: data.name });
+    if (!crs.info.srid) {
+      logger.warn(`[${transactionId}] CRS has no EPSG code, reprojected from WKT`, { name: crs.info.name });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      // Mỗi lần upload tạo một dataset riêng, không ghi đè dataset cùng tên
+      const dataset = await createDataset(client, {
+        name: data.name,
+        metadata: {
+          source_format: data.format,
+          source_crs: crs.info,
+          ...(data.encoding && { source_encoding: data.encoding })
+        },
+        features,
+        repair: [true, 'true', '1'].includes(req.query.repair ?? req.body.repair),
+        actor: actorOf(req),
+        ownerId: req.user.id
+      });
+
+      await client.query('COMMIT');
+      logger.info(`[${transactionId}] Successfully saved ${features.length} features`);
+      if (dataset.validation.invalidCount > 0) {
+        logger.warn(`[${transactionId}] ${dataset.validation.invalidCount} invalid geometries`, {
+          repaired: dataset.validation.repaired
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        id: dataset.id,
+        count: dataset.count,
+        name: data.name,
+        format: data.format,
+        crs: {
+          srid: crs.info.srid,
+          name: crs.info.name,
+          identifiedBy: crs.info.identifiedBy,
+          towgs84Applied: crs.info.towgs84Applied || false
+        },
+        validation: {
+          ...dataset.validation,
+          invalid: dataset.validation.invalid.slice(0, 100)
+        }
+      });
+    } catch (dbError) {
+      await client.query('ROLLBACK');
+      logger.error(`[${transactionId}] Database error`, { error: dbError.message });
+      throw dbError;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    logger.error(`[${transactionId}] Processing failed`, { error: error.message });
+    res.status(500).json({ error: 'Failed to process shapefile' });
+  } finally {
+    // Dọn dẹp file tạm
+    files.forEach(file => {
+      try {
+        fs.unlinkSync(file.path);
+      } catch (cleanError) {
+        logger.error(`[${transactionId}] Cleanup error`, { file: file.path, error: cleanError.message });
+      }
+    });
+  }
+});
+
+// Tạo dataset một feature từ GeoJSON (Feature hoặc Geometry) vẽ trên bản đồ
+router.post('/', requireRole('user'), async (req, res) => {
+  const transactionId = uuidv4();
+  const repair = parseFlag(req.query.repair ?? req.body?.repair);
+
+  let parsed;
+  try {
+    parsed = parseEditGeoJson(req.body);
+    if (parsed.features.length !== 1) {
+      throw new GeometryEditError('Send a single Feature or Geometry; use /upload for collections');
+    }
+  } catch (parseError) {
+    if (!(parseError instanceof GeometryEditError)) {
+      logger.error(`[${transactionId}] Failed to read GeoJSON`, { error: parseError.message });
+      return res.status(500).json({ error: 'Failed to create feature' });
+    }
+    logger.warn(`[${transactionId}] Invalid GeoJSON: ${parseError.message}`);
+    return res.status(400).json({ error: parseError.message, ...parseError.details });
+  }
+
+  const name = String(req.query.name || req.body.name || 'Drawn feature').slice(0, 255);
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    await assertValidGeometries(client, parsed.features, { repair });
+    const dataset = await createDataset(client, {
+      name,
+      metadata: { source_format: 'geojson', source_crs: parsed.crs.info },
+      features: parsed.features.map(({ geometry, properties }) => ({ type: 'Feature', geometry, properties })),
+      repair,
+      actor: actorOf(req),
+      ownerId: req.user.id
+    });
+    const measured = await measureDataset(client, dataset.id);
+    await client.query('COMMIT');
+    logger.info(`[${transactionId}] Created shapefile ${dataset.id} from drawn geometry`);
+
+    res.status(201).json({
+      success: true,
+      id: dataset.id,
+      name,
+      ...measured,
+      validation: dataset.validation
+    });
+  } catch (error) {
+    await client?.query('ROLLBACK');
+    if (error instanceof GeometryEditError) {
+      logger.warn(`[${transactionId}] Rejected geometry: ${error.message}`);
+      return res.status(400).json({ error: error.message, ...error.details });
+    }
+    logger.error(`[${transactionId}] Failed to create feature`, { error: error.message });
+    res.status(500).json({ error: 'Failed to create feature' });
+  } finally {
+    client?.release();
+  }
+});
+
+// deleted=true liệt kê các dataset đã xóa mềm (thùng rác)
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const offset = (page - 1) * limit;
+    const deletedFilter = parseFlag(req.query.deleted) ? 'deleted_at IS NOT NULL' : 'deleted_at IS NULL';
+
+    const result = await pool.query(
+      `SELECT 
+        id, 
+        name, 
+        feature_count,
+        ST_AsGeoJSON(geom) AS geometry,
+        created_at,
+        updated_at,
+        deleted_at,
+        deleted_by,
+        owner_id
+       FROM shapefiles
+       WHERE ${deletedFilter} AND ${ownerSql(req.user)}
+       ORDER BY created_at DESC
+       LIMIT $1 OFFSET $2`,
+      [limit, offset]
+    );
+
+    const countResult = await pool.query(`SELECT COUNT(*) FROM shapefiles WHERE ${deletedFilter} AND ${ownerSql(req.user)}`);
+
+    res.json({
+      data: result.rows,
+      pagination: {
+        total: parseInt(countResult.rows[0].count),
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(countResult.rows[0].count / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to fetch shapefiles', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch data' });
+  }
+});
+
+// Truy vấn feature theo không gian/thuộc tính, trả về GeoJSON FeatureCollection
+const queryFeatures = async (params, req, res) => {
+  let query;
+  try {
+    query = buildFeatureQuery(params, { user: req.user });
+  } catch (queryError) {
+    if (!(queryError instanceof QueryError)) throw queryError;
+    return res.status(400).json({ error: queryError.message });
+  }
+
+  const { where, values, orderBy, distanceSelect, page, limit, nearest } = query;
+  const whereClause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+  const rowLimit = nearest || limit;
+  const offset = nearest ? 0 : (page - 1) * limit;
+
+  const result = await pool.query(
+    `SELECT 
+      f.id,
+      f.shapefile_id,
+      s.name AS shapefile_name,
+      ST_AsGeoJSON(f.geom) AS geometry,
+      f.properties${distanceSelect ? `, ${distanceSelect}` : ''}
+     FROM shapefile_features f
+     JOIN shapefiles s ON s.id = f.shapefile_id
+     ${whereClause}
+     ORDER BY ${orderBy}
+     LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+    [...values, rowLimit, offset]
+  );
+
+  let total = result.rowCount;
+  if (!nearest) {
+    const countResult = await pool.query(
+      `SELECT COUNT(*) FROM shapefile_features f ${whereClause}`,
+      values
+    );
+    total = parseInt(countResult.rows[0].count);
+  }
+
+  res.json({
+    type: 'FeatureCollection',
+    features: result.rows.map(row => ({
+      type: 'Feature',
+      id: row.id,
+      geometry: JSON.parse(row.geometry),
+      properties: {
+        ...row.properties,
+        _shapefile_id: row.shapefile_id,
+        _shapefile_name: row.shapefile_name,
+        ...(row.distance_m !== undefined && { _distance_m: row.distance_m })
+      }
+    })),
+    pagination: {
+      total,
+      page: nearest ? 1 : page,
+      limit: rowLimit,
+      totalPages: Math.ceil(total / rowLimit)
+    }
+  });
+};
+
+router.get('/query', async (req, res) => {
+  try {
+    await queryFeatures(req.query, req, res);
+  } catch (error) {
+    logger.error('Failed to query features', { query: req.query, error: error.message });
+    res.status(500).json({ error: 'Failed to query features' });
+  }
+});
+
+router.post('/query', async (req, res) => {
+  try {
+    await queryFeatures(req.body || {}, req, res);
+  } catch (error) {
+    logger.error('Failed to query features', { error: error.message });
+    res.status(500).json({ error: 'Failed to query features' });
+  }
+});
+
+// Phép toán hình học: buffer, simplify, union, make-valid, centroid, measure.
+// save = true lưu kết quả thành dataset mới (trừ measure)
+router.post('/operations/:operation', async (req, res) => {
+  const transactionId = uuidv4();
+  const { operation } = req.params;
+  const params = req.body || {};
+  const save = [true, 'true', '1'].includes(params.save);
+
+  let query;
+  try {
+    query = buildGeometryOperation(operation, params, { user: req.user });
+    if (save && !SAVABLE_OPERATIONS.includes(operation)) {
+      throw new GeometryOpError(`Result of ${operation} cannot be saved`);
+    }
+    if (save && !hasRole(req.user, 'user')) {
+      return res.status(403).json({ error: 'Saving results requires the user role' });
+    }
+  } catch (operationError) {
+    if (!(operationError instanceof GeometryOpError)) {
+      logger.error(`[${transactionId}] Failed to build geometry operation`, { error: operationError.message });
+      return res.status(500).json({ error: 'Geometry operation failed' });
+    }
+    return res.status(400).json({ error: operationError.message });
+  }
+
+  logger.info(`[${transactionId}] Running geometry operation: ${operation}`, { save });
+
+  try {
+    const result = await pool.query(query.sql, query.values);
+    if (result.rowCount > 0 && parseInt(result.rows[0].input_count) > MAX_INPUT_FEATURES) {
+      logger.warn(`[${transactionId}] Too many input features for ${operation}`);
+      return res.status(400).json({ error: `Geometry operations accept at most ${MAX_INPUT_FEATURES} features` });
+    }
+
+    const features = result.rows.map(row => ({
+      type: 'Feature',
+      ...(row.feature_id !== null && { id: row.feature_id }),
+      geometry: row.geometry ? JSON.parse(row.geometry) : null,
+      properties: row.properties,
+      ...(row.info && { info: row.info })
+    }));
+
+    const response = { operation, type: 'FeatureCollection', features };
+    if (operation === 'measure') {
+      response.totals = ['area_m2', 'area_ha', 'perimeter_m', 'length_m'].reduce((totals, key) => ({
+        ...totals,
+        [key]: features.reduce((sum, feature) => sum + feature.info[key], 0)
+      }), {});
+    }
+
+    if (save) {
+      if (features.length === 0) {
+        return res.status(400).json({ error: 'Operation produced no geometries to save' });
+      }
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const dataset = await createDataset(client, {
+          name: params.name || `${operation} result`,
+          metadata: {
+            source_operation: {
+              operation,
+              ...['shapefileIds', 'featureIds', 'distance', 'segments', 'tolerance', 'dissolveBy', 'pointOnSurface']
+                .filter(key => params[key] !== undefined)
+                .reduce((options, key) => ({ ...options, [key]: params[key] }), {})
+            }
+          },
+          features: features.map(({ geometry, properties }) => ({ type: 'Feature', geometry, properties })),
+          actor: actorOf(req),
+          ownerId: req.user.id
+        });
+        await client.query('COMMIT');
+        response.saved = { id: dataset.id, count: dataset.count };
+        logger.info(`[${transactionId}] Saved ${operation} result as shapefile ${dataset.id}`);
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    }
+
+    res.status(save ? 201 : 200).json(response);
+  } catch (error) {
+    logger.error(`[${transactionId}] Geometry operation failed`, { operation, error: error.message });
+    res.status(500).json({ error: 'Geometry operation failed' });
+  }
+});
+
+// Vector tile (MVT) từ PostGIS; đơn giản hóa geometry theo mức zoom
+const TILE_EXTENT = 4096;
+const TILE_BUFFER = 64;
+const WEB_MERCATOR_WIDTH = 40075016.68557849;
+const TILE_CACHE_MAX_AGE = parseInt(process.env.TILE_CACHE_MAX_AGE) || 3600;
+
+router.get('/tiles/:z/:x/:y.mvt', async (req, res) => {
+  try {
+    const z = Number(req.params.z);
+    const x = Number(req.params.x);
+    const y = Number(req.params.y);
+    if (![z, x, y].every(Number.isInteger) || z < 0 || z > 24 || x < 0 || y < 0 || x >= 2 ** z || y >= 2 ** z) {
+      return res.status(400).json({ error: 'Invalid tile coordinates' });
+    }
+
+    const values = [z, x, y];
+    const where = [activeFeatureSql('f', req.user)];
+    if (req.query.shapefileId) {
+      const ids = String(req.query.shapefileId).split(',').map(id => parseInt(id));
+      if (ids.some(id => !Number.isInteger(id))) {
+        return res.status(400).json({ error: 'shapefileId must be one or more integer ids' });
+      }
+      values.push(ids);
+      where.push(`f.shapefile_id = ANY($${values.length}::int[])`);
+    }
+
+    // properties=* lấy tất cả thuộc tính, properties=a,b chỉ lấy các khóa được chọn
+    let propertiesSelect = 'NULL::jsonb';
+    if (req.query.properties === '*') {
+      propertiesSelect = 'f.properties';
+    } else if (req.query.properties) {
+      values.push(String(req.query.properties).split(',').map(key => key.trim()).filter(Boolean));
+      propertiesSelect = `(SELECT jsonb_object_agg(key, value) FROM jsonb_each(f.properties) WHERE key = ANY($${values.length}::text[]))`;
+    }
+
+    const tileSize = WEB_MERCATOR_WIDTH / 2 ** z;
+    values.push(tileSize / TILE_EXTENT, tileSize * TILE_BUFFER / TILE_EXTENT);
+    const tolerance = `$${values.length - 1}`;
+    const margin = `$${values.length}`;
+
+    const result = await pool.query(
+      `WITH bounds AS (
+         SELECT ST_TileEnvelope($1, $2, $3) AS geom
+       ),
+       mvtgeom AS (
+         SELECT 
+           f.id,
+           f.shapefile_id,
+           ${propertiesSelect} AS properties,
+           ST_AsMVTGeom(
+             ST_Simplify(ST_Transform(f.geom, 3857), ${tolerance}, true),
+             bounds.geom, ${TILE_EXTENT}, ${TILE_BUFFER}, true
+           ) AS geom
+         FROM shapefile_features f, bounds
+         WHERE f.geom && ST_Transform(ST_Expand(bounds.geom, ${margin}), 4326)
+           ${where.map(condition => `AND ${condition}`).join(' ')}
+       )
+       SELECT ST_AsMVT(mvtgeom.*, 'features', ${TILE_EXTENT}, 'geom', 'id') AS tile
+       FROM mvtgeom
+       WHERE geom IS NOT NULL`,
+      values
+    );
+
+    const tile = result.rows[0]?.tile;
+    // Tile đã lọc theo chủ sở hữu: proxy/CDN dùng chung không được cache
+    res.setHeader('Cache-Control', `private, max-age=${TILE_CACHE_MAX_AGE}`);
+    if (!tile || tile.length === 0) {
+      return res.status(204).end();
+    }
+
+    res.setHeader('Content-Type', 'application/vnd.mapbox-vector-tile');
+    res.send(tile);
+  } catch (error) {
+    logger.error('Failed to render vector tile', { params: req.params, error: error.message });
+    res.status(500).json({ error: 'Failed to render tile' });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(
+      `SELECT 
+        id,
+        name,
+        feature_count,
+        ST_AsGeoJSON(geom) AS geometry,
+        metadata,
+        owner_id,
+        created_at,
+        updated_at
+       FROM shapefiles
+       WHERE id = $1 AND deleted_at IS NULL AND ${ownerSql(req.user)}`,
+      [id]
+    );
+
+    if (result.rowCount === 0) {
+      logger.warn(`Shapefile not found: ${id}`);
+      return res.status(404).json({ error: 'Shapefile not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    logger.error('Failed to fetch shapefile', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to fetch shapefile' });
+  }
+});
+
+router.get('/:id/geometry', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(
+      `SELECT ST_AsGeoJSON(geom) AS geometry FROM shapefiles WHERE id = $1 AND deleted_at IS NULL AND ${ownerSql(req.user)}`,
+      [id]
+    );
+
+    if (result.rowCount === 0) {
+      logger.warn(`Shapefile not found: ${id}`);
+      return res.status(404).json({ error: 'Shapefile not found' });
+    }
+
+    res.json(JSON.parse(result.rows[0].geometry));
+  } catch (error) {
+    logger.error('Failed to fetch shapefile geometry', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to fetch geometry' });
+  }
+});
+
+// Sửa geometry: PUT thay toàn bộ feature của dataset, PATCH chỉ thay geometry các feature có id
+// (hoặc featureId). Trả về diện tích và bbox mới; repair=true sửa geometry không hợp lệ thay vì từ chối
+const editGeometry = async (req, res, mode) => {
+  const transactionId = uuidv4();
+  const { id } = req.params;
+  const repair = parseFlag(req.query.repair);
+
+  let features;
+  try {
+    ({ features } = parseEditGeoJson(req.body));
+  } catch (parseError) {
+    if (!(parseError instanceof GeometryEditError)) {
+      logger.error(`[${transactionId}] Failed to read GeoJSON`, { error: parseError.message });
+      return res.status(500).json({ error: 'Failed to update geometry' });
+    }
+    logger.warn(`[${transactionId}] Invalid GeoJSON: ${parseError.message}`);
+    return res.status(400).json({ error: parseError.message, ...parseError.details });
+  }
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    await assertValidGeometries(client, features, { repair });
+    const tracked = await trackChange(client, id, { action: 'geometry', actor: actorOf(req), features: true }, async (current) => {
+      if (current.deleted_at || !canWrite(req, current)) return null;
+      const featureIds = mode === 'replace'
+        ? await replaceFeatures(client, id, features)
+        : await updateFeatureGeometries(client, id, features, { featureId: req.query.featureId });
+      const validation = await validateDataset(client, id, { repair });
+      await refreshDatasetGeometry(client, id);
+      return { featureIds, validation };
+    });
+    if (!tracked?.result) {
+      await client.query('ROLLBACK');
+      logger.warn(`[${transactionId}] Shapefile not found: ${id}`);
+      return res.status(404).json({ error: 'Shapefile not found' });
+    }
+    const measured = await measureDataset(client, id, tracked.result.featureIds);
+    await client.query('COMMIT');
+    logger.info(`[${transactionId}] Updated geometry of shapefile ${id}`, {
+      mode,
+      features: tracked.result.featureIds.length,
+      version: tracked.version
+    });
+
+    res.json({
+      id: parseInt(id),
+      version: tracked.version,
+      ...measured,
+      validation: tracked.result.validation
+    });
+  } catch (error) {
+    await client?.query('ROLLBACK');
+    if (error instanceof GeometryEditError) {
+      logger.warn(`[${transactionId}] Rejected geometry: ${error.message}`);
+      return res.status(400).json({ error: error.message, ...error.details });
+    }
+    logger.error(`[${transactionId}] Failed to update geometry`, { id, error: error.message });
+    res.status(500).json({ error: 'Failed to update geometry' });
+  } finally {
+    client?.release();
+  }
+};
+
+router.put('/:id/geometry', requireRole('user'), (req, res) => editGeometry(req, res, 'replace'));
+router.patch('/:id/geometry', requireRole('user'), (req, res) => editGeometry(req, res, 'patch'));
+
+// Sửa name/metadata trong transaction, ghi phiên bản nếu có thay đổi
+const updateDataset = async (req, res, mode) => {
+  const { id } = req.params;
+  const { name, metadata } = req.body;
+
+  if (!name && !metadata) {
+    return res.status(400).json({ error: 'No fields to update' });
+  }
+  if (metadata !== undefined && (typeof metadata !== 'object' || metadata === null || Array.isArray(metadata))) {
+    return res.status(400).json({ error: 'metadata must be an object' });
+  }
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const tracked = await trackChange(client, id, { action: 'update', actor: actorOf(req) }, async (current) => {
+      if (current.deleted_at || !canWrite(req, current)) return null;
+      const nextMetadata = metadata
+        ? (mode === 'merge' ? mergePatch(current.metadata || {}, metadata) : replaceMetadata(current.metadata, metadata))
+        : current.metadata;
+      const result = await client.query(
+        `UPDATE shapefiles
+         SET name = $1, metadata = $2, updated_at = NOW()
+         WHERE id = $3
+         RETURNING id, name, feature_count, metadata, created_at, updated_at`,
+        [name || current.name, nextMetadata ? JSON.stringify(nextMetadata) : null, id]
+      );
+      return result.rows[0];
+    });
+    if (!tracked?.result) {
+      await client.query('ROLLBACK');
+      logger.warn(`Shapefile not found: ${id}`);
+      return res.status(404).json({ error: 'Shapefile not found' });
+    }
+    await client.query('COMMIT');
+
+    res.json({ ...tracked.result, version: tracked.version });
+  } catch (error) {
+    await client?.query('ROLLBACK');
+    logger.error('Failed to update shapefile', { id, error: error.message });
+    res.status(500).json({ error: 'Failed to update shapefile' });
+  } finally {
+    client?.release();
+  }
+};
+
+// PUT thay toàn bộ metadata (giữ khóa hệ thống như previewUrl), PATCH gộp theo JSON Merge Patch
+router.put('/:id', requireRole('user'), (req, res) => updateDataset(req, res, 'replace'));
+router.patch('/:id', requireRole('user'), (req, res) => updateDataset(req, res, 'merge'));
+
+// Xóa mềm (khôi phục được); permanent=true xóa hẳn cùng toàn bộ lịch sử
+router.delete('/:id', requireRole('user'), async (req, res) => {
+  const { id } = req.params;
+  const actor = actorOf(req);
+
+  if (parseFlag(req.query.permanent)) {
+    try {
+      const ownerFilter = ownerSql(req.user, 'owner_id', { write: true });
+      const dataset = await pool.query(`SELECT id FROM shapefiles WHERE id = $1 AND ${ownerFilter}`, [id]);
+      if (dataset.rowCount === 0) {
+        logger.warn(`Shapefile not found: ${id}`);
+        return res.status(404).json({ error: 'Shapefile not found' });
+      }
+      // Sản phẩm xử lý (GeoTIFF, preview) của dataset bị xóa cùng, kể cả file trong kho
+      const products = await deleteProducts('p.shapefile_id = $1', [id]);
+      await pool.query(`DELETE FROM shapefiles WHERE id = $1 AND ${ownerFilter}`, [id]);
+      logger.info(`Shapefile permanently deleted: ${id}`, { actor, products });
+      return res.status(204).end();
+    } catch (error) {
+      logger.error('Failed to delete shapefile', { id, error: error.message });
+      return res.status(500).json({ error: 'Failed to delete shapefile' });
+    }
+  }
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const tracked = await trackChange(client, id, { action: 'delete', actor }, async (current) => {
+      if (current.deleted_at || !canWrite(req, current)) return null;
+      await client.query(
+        'UPDATE shapefiles SET deleted_at = NOW(), deleted_by = $1 WHERE id = $2',
+        [actor, id]
+      );
+      return true;
+    });
+    if (!tracked?.result) {
+      await client.query('ROLLBACK');
+      logger.warn(`Shapefile not found: ${id}`);
+      return res.status(404).json({ error: 'Shapefile not found' });
+    }
+    await client.query('COMMIT');
+    logger.info(`Shapefile deleted: ${id}`, { actor });
+    res.status(204).end();
+  } catch (error) {
+    await client?.query('ROLLBACK');
+    logger.error('Failed to delete shapefile', { id, error: error.message });
+    res.status(500).json({ error: 'Failed to delete shapefile' });
+  } finally {
+    client?.release();
+  }
+});
+
+// Khôi phục dataset đã xóa mềm
+router.post('/:id/restore', requireRole('user'), async (req, res) => {
+  const { id } = req.params;
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const tracked = await trackChange(client, id, { action: 'undelete', actor: actorOf(req) }, async (current) => {
+      if (!canWrite(req, current)) return undefined;
+      if (!current.deleted_at) return null;
+      const result = await client.query(
+        `UPDATE shapefiles SET deleted_at = NULL, deleted_by = NULL, updated_at = NOW()
+         WHERE id = $1
+         RETURNING id, name, feature_count, metadata, created_at, updated_at`,
+        [id]
+      );
+      return result.rows[0];
+    });
+    if (tracked?.result === undefined) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Shapefile not found' });
+    }
+    if (!tracked.result) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Shapefile is not deleted' });
+    }
+    await client.query('COMMIT');
+    logger.info(`Shapefile restored: ${id}`);
+    res.json({ ...tracked.result, version: tracked.version });
+  } catch (error) {
+    await client?.query('ROLLBACK');
+    logger.error('Failed to restore shapefile', { id, error: error.message });
+    res.status(500).json({ error: 'Failed to restore shapefile' });
+  } finally {
+    client?.release();
+  }
+});
+
+router.get('/:id/versions', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+
+    const dataset = await pool.query(`SELECT id FROM shapefiles WHERE id = $1 AND ${ownerSql(req.user)}`, [id]);
+    if (dataset.rowCount === 0) {
+      logger.warn(`Shapefile not found: ${id}`);
+      return res.status(404).json({ error: 'Shapefile not found' });
+    }
+
+    const result = await pool.query(
+      `SELECT version, action, actor, changes, name, features IS NOT NULL AS has_features, created_at
+       FROM shapefile_versions
+       WHERE shapefile_id = $1
+       ORDER BY version DESC
+       LIMIT $2 OFFSET $3`,
+      [id, limit, (page - 1) * limit]
+    );
+    const countResult = await pool.query('SELECT COUNT(*) FROM shapefile_versions WHERE shapefile_id = $1', [id]);
+    const total = parseInt(countResult.rows[0].count);
+
+    res.json({
+      data: result.rows,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to fetch versions', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to fetch versions' });
+  }
+});
+
+// Trạng thái của dataset tại một phiên bản, feature dạng GeoJSON FeatureCollection
+router.get('/:id/versions/:version', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const version = parseInt(req.params.version);
+    if (!Number.isInteger(version)) {
+      return res.status(400).json({ error: 'version must be an integer' });
+    }
+
+    const dataset = await pool.query(`SELECT id FROM shapefiles WHERE id = $1 AND ${ownerSql(req.user)}`, [id]);
+    const state = dataset.rowCount > 0 ? await loadVersionState(pool, id, version) : null;
+    if (!state) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    const info = await pool.query(
+      'SELECT action, actor, changes, created_at FROM shapefile_versions WHERE shapefile_id = $1 AND version = $2',
+      [id, version]
+    );
+
+    res.json({
+      version,
+      ...info.rows[0],
+      name: state.name,
+      metadata: state.metadata,
+      geojson: {
+        type: 'FeatureCollection',
+        features: (state.features || []).map(feature => ({
+          type: 'Feature',
+          id: feature.id,
+          geometry: feature.geometry,
+          properties: feature.properties || {}
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to fetch version', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to fetch version' });
+  }
+});
+
+// Đưa dataset về một phiên bản cũ; thao tác này cũng tạo một phiên bản mới
+router.post('/:id/versions/:version/restore', requireRole('user'), async (req, res) => {
+  const { id } = req.params;
+  const version = parseInt(req.params.version);
+  if (!Number.isInteger(version)) {
+    return res.status(400).json({ error: 'version must be an integer' });
+  }
+
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const state = await loadVersionState(client, id, version);
+    if (!state?.features) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    const tracked = await trackChange(client, id, {
+      action: 'restore',
+      actor: actorOf(req),
+      features: true,
+      note: { restoredVersion: version }
+    }, async (current) => {
+      if (!canWrite(req, current)) return undefined;
+      if (current.deleted_at) return null;
+      await applyState(client, id, state, current);
+      await refreshDatasetGeometry(client, id);
+      return true;
+    });
+    if (tracked?.result === undefined) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Shapefile not found' });
+    }
+    if (!tracked.result) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Restore the deleted shapefile before restoring a version' });
+    }
+    await client.query('COMMIT');
+    logger.info(`Shapefile ${id} restored to version ${version}`, { newVersion: tracked.version });
+
+    res.json({ id: parseInt(id), restoredVersion: version, version: tracked.version, changes: tracked.changes });
+  } catch (error) {
+    await client?.query('ROLLBACK');
+    logger.error('Failed to restore version', { id, version, error: error.message });
+    res.status(500).json({ error: 'Failed to restore version' });
+  } finally {
+    client?.release();
+  }
+});
+
+router.get('/:id/features', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 100 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const dataset = await pool.query(
+      `SELECT feature_count FROM shapefiles WHERE id = $1 AND deleted_at IS NULL AND ${ownerSql(req.user)}`,
+      [id]
+    );
+    if (dataset.rowCount === 0) {
+      logger.warn(`Shapefile not found: ${id}`);
+      return res.status(404).json({ error: 'Shapefile not found' });
+    }
+
+    const result = await pool.query(
+      `SELECT 
+        id,
+        feature_index,
+        ST_AsGeoJSON(geom) AS geometry,
+        properties,
+        created_at,
+        updated_at
+       FROM shapefile_features
+       WHERE shapefile_id = $1
+       ORDER BY feature_index
+       LIMIT $2 OFFSET $3`,
+      [id, limit, offset]
+    );
+
+    const total = dataset.rows[0].feature_count || 0;
+    res.json({
+      data: result.rows,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Failed to fetch features', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to fetch features' });
+  }
+});
+
+router.get('/:id/features/:featureId', async (req, res) => {
+  try {
+    const { id, featureId } = req.params;
+    const result = await pool.query(
+      `SELECT 
+        id,
+        feature_index,
+        ST_AsGeoJSON(geom) AS geometry,
+        properties,
+        created_at,
+        updated_at
+       FROM shapefile_features f
+       WHERE shapefile_id = $1 AND id = $2 AND ${activeFeatureSql('f', req.user)}`,
+      [id, featureId]
+    );
+
+    if (result.rowCount === 0) {
+      logger.warn(`Feature not found: ${id}/${featureId}`);
+      return res.status(404).json({ error: 'Feature not found' });
+    }
+
+    res.json(result.rows[0]);
+  } catch (error) {
+    logger.error('Failed to fetch feature', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to fetch feature' });
+  }
+});
+
+router.get('/:id/extent', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(
+      `SELECT 
+        COUNT(f.id)::int AS feature_count,
+        ST_XMin(ST_Extent(f.geom)) AS min_x,
+        ST_YMin(ST_Extent(f.geom)) AS min_y,
+        ST_XMax(ST_Extent(f.geom)) AS max_x,
+        ST_YMax(ST_Extent(f.geom)) AS max_y,
+        ST_AsGeoJSON(ST_Envelope(ST_Extent(f.geom)::geometry)) AS geometry
+       FROM shapefiles s
+       LEFT JOIN shapefile_features f ON f.shapefile_id = s.id
+       WHERE s.id = $1 AND s.deleted_at IS NULL AND ${ownerSql(req.user, 's.owner_id')}
+       GROUP BY s.id`,
+      [id]
+    );
+
+    if (result.rowCount === 0) {
+      logger.warn(`Shapefile not found: ${id}`);
+      return res.status(404).json({ error: 'Shapefile not found' });
+    }
+
+    const row = result.rows[0];
+    res.json({
+      id: parseInt(id),
+      feature_count: row.feature_count,
+      bbox: row.geometry ? [row.min_x, row.min_y, row.max_x, row.max_y] : null,
+      geometry: row.geometry ? JSON.parse(row.geometry) : null
+    });
+  } catch (error) {
+    logger.error('Failed to fetch extent', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to fetch extent' });
+  }
+});
+
+router.get('/:id/geojson', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(
+      `SELECT 
+        json_build_object(
+          'type', 'FeatureCollection',
+          'name', s.name,
+          'features', COALESCE(json_agg(
+            json_build_object(
+              'type', 'Feature',
+              'id', f.id,
+              'geometry', ST_AsGeoJSON(f.geom)::json,
+              'properties', COALESCE(f.properties, '{}'::jsonb)
+            ) ORDER BY f.feature_index
+          ) FILTER (WHERE f.id IS NOT NULL), '[]'::json)
+        ) AS geojson
+       FROM shapefiles s
+       LEFT JOIN shapefile_features f ON f.shapefile_id = s.id
+       WHERE s.id = $1 AND s.deleted_at IS NULL AND ${ownerSql(req.user, 's.owner_id')}
+       GROUP BY s.id`,
+      [id]
+    );
+
+    if (!result.rows[0]?.geojson) {
+      logger.warn(`Shapefile not found: ${id}`);
+      return res.status(404).json({ error: 'No data found' });
+    }
+
+    res.setHeader('Content-Type', 'application/geo+json');
+    res.send(JSON.stringify(result.rows[0].geojson));
+  } catch (error) {
+    logger.error('Failed to export GeoJSON', { id: req.params.id, error: error.message });
+    res.status(500).json({ error: 'Failed to export data' });
+  }
+});
+
+module.exports = router;
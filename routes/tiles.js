@@ -0,0 +1,107 @@
+const express = require('express');
+const logger = require('../config/logger');
+const { authenticate, ownerSql } = require('../services/auth');
+const { verifySignedUrl, signParams, getProduct, FILE_URL_TTL } = require('../services/products');
+const { EMPTY_TILE, TileError, parseTileStyle, parseTile, prepareRaster, getTile } = require('../services/tiles');
+const { PythonScriptError } = require('../services/pythonScript');
+
+const router = express.Router();
+
+const TILE_CACHE_MAX_AGE = parseInt(process.env.TILE_CACHE_MAX_AGE) || 3600;
+const STYLE_PARAMS = ['palette', 'min', 'max', 'breaks'];
+
+// Lớp tile trên bản đồ (Leaflet tileLayer) không gửi được header: nhận link ký của sản phẩm thay cho API key
+const authorize = (req, res, next) => {
+  if (req.query.signature === undefined) {
+    return authenticate(req, res, next);
+  }
+  if (!verifySignedUrl(req.params.productId, req.query.expires, req.query.signature, 'tiles')) {
+    return res.status(403).json({ error: 'Invalid or expired link' });
+  }
+  next();
+};
+
+// GeoTIFF của sản phẩm; có API key thì kiểm tra quyền chủ sở hữu, link ký thì chữ ký đã đủ
+const loadRaster = async (req, res) => {
+  const product = await getProduct(req.params.productId, req.user ? ownerSql(req.user, 'p.owner_id') : 'TRUE');
+  if (!product) {
+    res.status(404).json({ error: 'Product not found' });
+    return null;
+  }
+  if (product.format !== 'geotiff') {
+    res.status(400).json({ error: 'Only GeoTIFF products can be tiled' });
+    return null;
+  }
+  return product;
+};
+
+const sendTileError = (res, error, message) => {
+  if (error instanceof TileError || error instanceof PythonScriptError) {
+    return res.status(error.status).json({ error: error.message, ...(error.code && { code: error.code }) });
+  }
+  res.status(500).json({ error: message });
+};
+
+/**
+ * TileJSON của sản phẩm. Link tile được ký (hết hạn sau FILE_URL_TTL giây, lấy lại TileJSON để gia hạn)
+ * và giữ các tham số style của request: palette, min, max, breaks.
+ */
+router.get('/:productId/tilejson.json', authorize, async (req, res) => {
+  try {
+    const product = await loadRaster(req, res);
+    if (!product) return;
+    const { style } = parseTileStyle(product, req.query);
+    const { bounds, minzoom, maxzoom } = await prepareRaster(product);
+
+    const query = new URLSearchParams({
+      ...Object.fromEntries(STYLE_PARAMS.filter(key => req.query[key] !== undefined)
+        .map(key => [key, String(req.query[key])])),
+      ...signParams(product.id, 'tiles')
+    });
+    const [west, south, east, north] = bounds;
+    res.json({
+      tilejson: '2.2.0',
+      name: [product.index_type || 'product', product.scene_id || product.created_at.toISOString().slice(0, 10)].join(' '),
+      scheme: 'xyz',
+      format: 'png',
+      tiles: [`${req.baseUrl}/${product.id}/{z}/{x}/{y}.png?${query}`],
+      minzoom,
+      maxzoom,
+      bounds,
+      center: [(west + east) / 2, (south + north) / 2, Math.max(minzoom, maxzoom - 4)],
+      style,
+      expiresIn: FILE_URL_TTL
+    });
+  } catch (error) {
+    logger.error('Failed to build TileJSON', { id: req.params.productId, error: error.message });
+    sendTileError(res, error, 'Failed to build TileJSON');
+  }
+});
+
+router.get('/:productId/:z/:x/:y.png', authorize, async (req, res) => {
+  try {
+    const product = await loadRaster(req, res);
+    if (!product) return;
+    let tile, style;
+    try {
+      tile = parseTile(req.params);
+      style = parseTileStyle(product, req.query);
+    } catch (paramError) {
+      if (!(paramError instanceof TileError)) throw paramError;
+      return res.status(400).json({ error: paramError.message });
+    }
+
+    const tilePath = await getTile(product, tile, style);
+    res.setHeader('Cache-Control', `private, max-age=${TILE_CACHE_MAX_AGE}`);
+    // Tile trống vẫn trả PNG trong suốt: một số client bản đồ coi 204 là lỗi tải tile
+    if (!tilePath) {
+      return res.type('png').send(EMPTY_TILE);
+    }
+    res.sendFile(tilePath);
+  } catch (error) {
+    logger.error('Failed to render raster tile', { params: req.params, error: error.message });
+    sendTileError(res, error, 'Failed to render tile');
+  }
+});
+
+module.exports = router;
@@ -1,76 +1,312 @@
-require('dotenv').config();
-const express = require('express');
-const cors = require('cors');
-const path = require('path');
-const logger = require('./config/logger');
-const pool = require('./db');
-
-const app = express();
-
-app.use(cors());
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true }));
-app.use('/data', express.static(path.join(__dirname, 'data'))); // Phục vụ file preview
-
-app.use((req, res, next) => {
-  logger.http(`${req.method} ${req.url}`);
-  next();
-});
-
-const satelliteRoutes = require("./routes/satellite");
-const shapefileRoutes = require("./routes/shapefile");
-const exportRoutes = require("./routes/export");
-
-app.use("/api/satellite", satelliteRoutes);
-app.use("/api/shapefile", shapefileRoutes);
-app.use("/api/export", exportRoutes);
-
-// Khởi tạo bảng shapefiles
-const initTable = async () => {
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS shapefiles (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(255) NOT NULL,
-        geom GEOMETRY NOT NULL,
-        bbox GEOMETRY,
-        metadata JSONB,
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW()
-      );
-      CREATE INDEX IF NOT EXISTS shapefiles_geom_idx ON shapefiles USING GIST(geom);
-      CREATE INDEX IF NOT EXISTS shapefiles_bbox_idx ON shapefiles USING GIST(bbox);
-    `);
-    logger.info("Database table initialized");
-  } catch (error) {
-    logger.error("Failed to initialize database table", { error: error.message });
-    throw error;
-  }
-};
-
-// Test connection và khởi tạo bảng
-pool.query('SELECT NOW()')
-  .then(res => {
-    logger.info("✅ Database connected at:", res.rows[0].now);
-    return initTable();
-  })
-  .catch(err => {
-    logger.error("❌ Database connection failed:", err.message);
-    process.exit(1);
-  });
-
-app.use((err, req, res, next) => {
-  logger.error('Unhandled error', {
-    error: err.message,
-    request: { method: req.method, url: req.url }
-  });
-  res.status(500).json({ error: "Internal server error" });
-});
-
-const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
-  logger.info(`Server started on port ${PORT}`);
-  console.log(`🚀 Server is running on port ${PORT}`);
-});
-
-module.exports = { app, pool };
\ No newline at end of file
+require('dotenv').config();
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+const logger = require('./config/logger');
+const pool = require('./db');
+const { authenticate, bootstrapAdmin } = require('./services/auth');
+const { adoptLegacyOutputs, startRetention } = require('./services/products');
+const { startTileCleanup } = require('./services/tiles');
+
+const app = express();
+
+// CORS_ORIGINS: danh sách origin được phép, cách nhau bởi dấu phẩy ("*" = mọi origin).
+// Không cấu hình thì chỉ cho phép cùng origin
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+app.use(cors({
+  origin: CORS_ORIGINS.includes('*') ? '*' : CORS_ORIGINS,
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
+}));
+app.use(express.json({ limit: '10mb' }));
+app.use(express.urlencoded({ extended: true }));
+
+app.use((req, res, next) => {
+  logger.http(`${req.method} ${req.url}`);
+  next();
+});
+
+const satelliteRoutes = require("./routes/satellite");
+const shapefileRoutes = require("./routes/shapefile");
+const exportRoutes = require("./routes/export");
+const jobRoutes = require("./routes/jobs");
+const authRoutes = require("./routes/auth");
+const productRoutes = require("./routes/products");
+const fileRoutes = require("./routes/files");
+const tileRoutes = require("./routes/tiles");
+const jobQueue = require("./services/jobQueue");
+
+// Link ký có hạn dùng (preview/chú giải cho thẻ <img>, lớp ảnh bản đồ) không cần API key
+app.use("/api/files", fileRoutes);
+// Tile của GeoTIFF chỉ số: API key hoặc link ký trong TileJSON
+app.use("/api/satellite/tiles", tileRoutes);
+// Mọi API khác đều cần API key
+app.use("/api", authenticate);
+app.use("/api/auth", authRoutes);
+app.use("/api/satellite", satelliteRoutes);
+app.use("/api/shapefile", shapefileRoutes);
+app.use("/api/export", exportRoutes);
+app.use("/api/jobs", jobRoutes);
+app.use("/api/products", productRoutes);
+
+// Khởi tạo bảng shapefiles, shapefile_features và jobs
+const initTable = async () => {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS shapefiles (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        geom GEOMETRY(Geometry, 4326),
+        bbox GEOMETRY(Geometry, 4326),
+        metadata JSONB,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS shapefiles_geom_idx ON shapefiles USING GIST(geom);
+      CREATE INDEX IF NOT EXISTS shapefiles_bbox_idx ON shapefiles USING GIST(bbox);
+
+      -- Dataset: geom là geometry gộp của các feature, được tính lại khi feature thay đổi
+      ALTER TABLE shapefiles ALTER COLUMN geom DROP NOT NULL;
+      ALTER TABLE shapefiles ADD COLUMN IF NOT EXISTS feature_count INTEGER;
+
+      CREATE TABLE IF NOT EXISTS shapefile_features (
+        id SERIAL PRIMARY KEY,
+        shapefile_id INTEGER NOT NULL REFERENCES shapefiles(id) ON DELETE CASCADE,
+        feature_index INTEGER NOT NULL,
+        geom GEOMETRY(Geometry, 4326) NOT NULL,
+        bbox GEOMETRY(Geometry, 4326),
+        properties JSONB,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS shapefile_features_shapefile_idx ON shapefile_features(shapefile_id, feature_index);
+      CREATE INDEX IF NOT EXISTS shapefile_features_geom_idx ON shapefile_features USING GIST(geom);
+
+      -- Khai báo SRID 4326 cho các cột geometry tạo trước khi có xử lý .prj.
+      -- Upload cũ có thể chứa tọa độ mét (VN-2000, UTM): dataset có tọa độ ngoài phạm vi kinh/vĩ độ
+      -- được đánh dấu source_crs_error trong metadata và cột đó giữ nguyên SRID 0 cho tới khi
+      -- các dataset này được chiếu lại hoặc xóa
+      DO $$
+      DECLARE
+        col RECORD;
+        flagged INTEGER;
+      BEGIN
+        FOR col IN
+          SELECT f_table_name, f_geometry_column FROM geometry_columns
+          WHERE f_table_name IN ('shapefiles', 'shapefile_features') AND srid = 0
+        LOOP
+          EXECUTE format(
+            'UPDATE shapefiles
+             SET metadata = COALESCE(metadata, ''{}''::jsonb) || jsonb_build_object(''source_crs_error'', %L)
+             WHERE id IN (
+               SELECT %I FROM %I
+               WHERE ST_XMin(%I) < -180 OR ST_XMax(%I) > 180 OR ST_YMin(%I) < -90 OR ST_YMax(%I) > 90
+             )',
+            'Coordinates are outside the EPSG:4326 range, the source CRS is unknown',
+            CASE col.f_table_name WHEN 'shapefiles' THEN 'id' ELSE 'shapefile_id' END,
+            col.f_table_name,
+            col.f_geometry_column, col.f_geometry_column, col.f_geometry_column, col.f_geometry_column
+          );
+          GET DIAGNOSTICS flagged = ROW_COUNT;
+          IF flagged > 0 THEN
+            RAISE WARNING '%.% not converted to SRID 4326: % datasets have projected coordinates (metadata.source_crs_error)',
+              col.f_table_name, col.f_geometry_column, flagged;
+          ELSE
+            EXECUTE format(
+              'ALTER TABLE %I ALTER COLUMN %I TYPE geometry(Geometry, 4326) USING ST_SetSRID(%I, 4326)',
+              col.f_table_name, col.f_geometry_column, col.f_geometry_column
+            );
+          END IF;
+        END LOOP;
+      END $$;
+
+      -- Chuyển dữ liệu cũ (mỗi dòng một feature) thành dataset có một feature
+      INSERT INTO shapefile_features (shapefile_id, feature_index, geom, bbox, properties, created_at, updated_at)
+      SELECT s.id, 0, s.geom, ST_Envelope(s.geom), s.metadata - 'previewUrl', s.created_at, s.updated_at
+      FROM shapefiles s
+      WHERE s.geom IS NOT NULL AND ST_SRID(s.geom) = 4326
+        AND NOT EXISTS (SELECT 1 FROM shapefile_features f WHERE f.shapefile_id = s.id);
+      UPDATE shapefiles s SET feature_count = 1
+      WHERE s.feature_count IS NULL AND EXISTS (SELECT 1 FROM shapefile_features f WHERE f.shapefile_id = s.id);
+
+      CREATE TABLE IF NOT EXISTS jobs (
+        id UUID PRIMARY KEY,
+        type VARCHAR(50) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'queued',
+        progress SMALLINT NOT NULL DEFAULT 0,
+        params JSONB NOT NULL,
+        result JSONB,
+        error TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        started_at TIMESTAMP,
+        finished_at TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS jobs_status_idx ON jobs(status, created_at);
+
+      CREATE TABLE IF NOT EXISTS zonal_stats (
+        id SERIAL PRIMARY KEY,
+        shapefile_id INTEGER NOT NULL REFERENCES shapefiles(id) ON DELETE CASCADE,
+        feature_id INTEGER NOT NULL REFERENCES shapefile_features(id) ON DELETE CASCADE,
+        job_id UUID REFERENCES jobs(id) ON DELETE SET NULL,
+        scene_id TEXT,
+        provider VARCHAR(20),
+        index_type VARCHAR(50) NOT NULL,
+        sensor VARCHAR(50),
+        valid_pixels INTEGER NOT NULL,
+        total_pixels INTEGER NOT NULL,
+        mean DOUBLE PRECISION,
+        min DOUBLE PRECISION,
+        max DOUBLE PRECISION,
+        std DOUBLE PRECISION,
+        percentiles JSONB,
+        threshold DOUBLE PRECISION,
+        area_above_threshold_m2 DOUBLE PRECISION,
+        valid_area_m2 DOUBLE PRECISION,
+        computed_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS zonal_stats_shapefile_idx ON zonal_stats(shapefile_id, computed_at);
+      CREATE INDEX IF NOT EXISTS zonal_stats_feature_idx ON zonal_stats(feature_id, computed_at);
+
+      CREATE TABLE IF NOT EXISTS index_results (
+        id SERIAL PRIMARY KEY,
+        shapefile_id INTEGER NOT NULL REFERENCES shapefiles(id) ON DELETE CASCADE,
+        job_id UUID REFERENCES jobs(id) ON DELETE SET NULL,
+        scene_id TEXT,
+        provider VARCHAR(20),
+        acquired_at TIMESTAMP,
+        index_type VARCHAR(50) NOT NULL,
+        sensor VARCHAR(50),
+        expression TEXT,
+        stats JSONB,
+        geotiff_path TEXT,
+        preview_path TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS index_results_series_idx
+        ON index_results(shapefile_id, index_type, acquired_at);
+      ALTER TABLE zonal_stats
+        ADD COLUMN IF NOT EXISTS result_id INTEGER REFERENCES index_results(id) ON DELETE CASCADE;
+
+      -- Tỉ lệ diện tích không mây/nodata của mỗi lần chạy
+      ALTER TABLE index_results ADD COLUMN IF NOT EXISTS clear_percent DOUBLE PRECISION;
+      ALTER TABLE index_results ADD COLUMN IF NOT EXISTS coverage JSONB;
+
+      -- Xóa mềm và lịch sử phiên bản của dataset
+      ALTER TABLE shapefiles ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+      ALTER TABLE shapefiles ADD COLUMN IF NOT EXISTS deleted_by TEXT;
+      CREATE TABLE IF NOT EXISTS shapefile_versions (
+        id SERIAL PRIMARY KEY,
+        shapefile_id INTEGER NOT NULL REFERENCES shapefiles(id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        action VARCHAR(20) NOT NULL,
+        actor TEXT,
+        changes JSONB,
+        name VARCHAR(255),
+        metadata JSONB,
+        features JSONB,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (shapefile_id, version)
+      );
+
+      -- Người dùng, API key (lưu SHA-256) và chủ sở hữu dataset/job
+      CREATE TABLE IF NOT EXISTS users (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL UNIQUE,
+        role VARCHAR(20) NOT NULL DEFAULT 'user',
+        created_at TIMESTAMP DEFAULT NOW(),
+        disabled_at TIMESTAMP
+      );
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100),
+        key_hash CHAR(64) NOT NULL UNIQUE,
+        key_prefix VARCHAR(20) NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        last_used_at TIMESTAMP,
+        revoked_at TIMESTAMP
+      );
+      ALTER TABLE shapefiles ADD COLUMN IF NOT EXISTS owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+      CREATE INDEX IF NOT EXISTS shapefiles_owner_idx ON shapefiles(owner_id);
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+      -- Chú giải và vị trí đặt preview trên bản đồ
+      ALTER TABLE index_results ADD COLUMN IF NOT EXISTS legend_path TEXT;
+      ALTER TABLE index_results ADD COLUMN IF NOT EXISTS preview_bounds JSONB;
+      ALTER TABLE index_results ADD COLUMN IF NOT EXISTS legend JSONB;
+
+      -- Danh mục sản phẩm xử lý (GeoTIFF, preview, chú giải) trên storage local/S3
+      CREATE TABLE IF NOT EXISTS products (
+        id UUID PRIMARY KEY,
+        shapefile_id INTEGER REFERENCES shapefiles(id) ON DELETE SET NULL,
+        owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        job_id UUID REFERENCES jobs(id) ON DELETE SET NULL,
+        result_id INTEGER REFERENCES index_results(id) ON DELETE SET NULL,
+        kind VARCHAR(20) NOT NULL,
+        format VARCHAR(20) NOT NULL,
+        index_type VARCHAR(50),
+        scene_id TEXT,
+        storage VARCHAR(20) NOT NULL,
+        storage_key TEXT NOT NULL,
+        size_bytes BIGINT,
+        checksum CHAR(64),
+        created_at TIMESTAMP DEFAULT NOW(),
+        expires_at TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS products_shapefile_idx ON products(shapefile_id, created_at);
+      CREATE INDEX IF NOT EXISTS products_owner_idx ON products(owner_id, created_at);
+      CREATE INDEX IF NOT EXISTS products_job_idx ON products(job_id);
+      CREATE INDEX IF NOT EXISTS products_result_idx ON products(result_id);
+      CREATE INDEX IF NOT EXISTS products_expires_idx ON products(expires_at);
+
+      -- Lỗi có mã của job (bad_bands, empty_intersection...) và mã HTTP tương ứng
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS error_code VARCHAR(50);
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS error_status SMALLINT;
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS error_details JSONB;
+
+      -- Job chờ dịch vụ ngoài (kích hoạt asset, đơn hàng Planet) được chạy lại sau thời điểm này
+      ALTER TABLE jobs ADD COLUMN IF NOT EXISTS run_after TIMESTAMP;
+      CREATE INDEX IF NOT EXISTS jobs_run_after_idx ON jobs(run_after) WHERE run_after IS NOT NULL;
+    `);
+    logger.info("Database table initialized");
+  } catch (error) {
+    logger.error("Failed to initialize database table", { error: error.message });
+    throw error;
+  }
+};
+
+// Test connection và khởi tạo bảng
+pool.query('SELECT NOW()')
+  .then(res => {
+    logger.info("✅ Database connected at:", res.rows[0].now);
+    return initTable();
+  })
+  .then(() => bootstrapAdmin(process.env.ADMIN_API_KEY))
+  .then(() => jobQueue.start())
+  .then(() => {
+    // File kết quả cũ trong data/ được chuyển vào storage; lỗi không chặn khởi động
+    adoptLegacyOutputs(path.join(__dirname, 'data'))
+      .catch(error => logger.error('Failed to adopt legacy outputs', { error: error.message }));
+    startRetention();
+    startTileCleanup();
+  })
+  .catch(err => {
+    logger.error("❌ Database connection failed:", err.message);
+    process.exit(1);
+  });
+
+app.use((err, req, res, next) => {
+  logger.error('Unhandled error', {
+    error: err.message,
+    request: { method: req.method, url: req.url }
+  });
+  res.status(500).json({ error: "Internal server error" });
+});
+
+const PORT = process.env.PORT || 5000;
+app.listen(PORT, () => {
+  logger.info(`Server started on port ${PORT}`);
+  console.log(`🚀 Server is running on port ${PORT}`);
+});
+
+module.exports = { app, pool };
@@ -0,0 +1,178 @@
+/**
+ * Xác thực bằng API key (bảng users, api_keys) và phân quyền theo vai trò:
+ * - readonly: chỉ đọc, thấy mọi dataset
+ * - user: đọc/ghi dataset của mình, gọi provider ảnh vệ tinh
+ * - admin: toàn quyền, quản lý người dùng
+ * Key chỉ được trả về một lần khi tạo; database lưu SHA-256 của key.
+ */
+const crypto = require('crypto');
+const logger = require('../config/logger');
+const pool = require('../db');
+
+const ROLES = ['readonly', 'user', 'admin'];
+const API_KEY_PREFIX = 'sg_';
+const NAME_PATTERN = /^[\w.@-]{1,100}$/;
+
+class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const generateApiKey = () => `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+// Authorization: Bearer <key> hoặc X-API-Key: <key>
+const readApiKey = (req) => {
+  const bearer = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  return bearer ? bearer[1] : req.get('X-API-Key') || null;
+};
+
+const hasRole = (user, role) => ROLES.indexOf(user?.role) >= ROLES.indexOf(role);
+
+const parseRole = (role) => {
+  if (!ROLES.includes(role)) {
+    throw new AuthError(`role must be one of ${ROLES.join(', ')}`);
+  }
+  return role;
+};
+
+const parseName = (name, key = 'name') => {
+  if (!NAME_PATTERN.test(String(name || ''))) {
+    throw new AuthError(`${key} must be 1-100 letters, digits or . @ _ -`);
+  }
+  return String(name);
+};
+
+/**
+ * Middleware: kiểm tra API key và gắn req.user = { id, name, role, keyId }.
+ */
+const authenticate = async (req, res, next) => {
+  const key = readApiKey(req);
+  if (!key) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT u.id, u.name, u.role, k.id AS key_id
+       FROM api_keys k
+       JOIN users u ON u.id = k.user_id
+       WHERE k.key_hash = $1 AND k.revoked_at IS NULL AND u.disabled_at IS NULL`,
+      [hashApiKey(key)]
+    );
+    if (!result.rows[0]) {
+      logger.warn(`Rejected API key for ${req.method} ${req.path}`);
+      return res.status(401).json({ error: 'Invalid or revoked API key' });
+    }
+
+    const { key_id: keyId, ...user } = result.rows[0];
+    req.user = { ...user, keyId };
+
+    // Ghi lần dùng gần nhất, tối đa mỗi phút một lần cho mỗi key
+    pool.query(
+      `UPDATE api_keys SET last_used_at = NOW()
+       WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')`,
+      [keyId]
+    ).catch(error => logger.warn('Failed to record API key use', { keyId, error: error.message }));
+    next();
+  } catch (error) {
+    logger.error('Authentication failed', { error: error.message });
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+};
+
+/**
+ * Middleware: yêu cầu vai trò tối thiểu (readonly < user < admin).
+ */
+const requireRole = (role) => (req, res, next) => {
+  if (!hasRole(req.user, role)) {
+    logger.warn(`User ${req.user?.name} lacks role ${role} for ${req.method} ${req.path}`);
+    return res.status(403).json({ error: `This action requires the ${role} role` });
+  }
+  next();
+};
+
+/**
+ * Điều kiện SQL giới hạn theo chủ sở hữu (cột column). admin thấy tất cả, readonly được đọc tất cả;
+ * write = true chỉ cho chủ sở hữu và admin. Không có user (job nội bộ) thì không giới hạn.
+ * Id được ép kiểu số nguyên nên chèn thẳng vào câu SQL như activeFeatureSql.
+ */
+const ownerSql = (user, column = 'owner_id', { write = false } = {}) => {
+  if (!user || user.role === 'admin' || (!write && user.role === 'readonly')) return 'TRUE';
+  return `${column} = ${parseInt(user.id)}`;
+};
+
+// Phiên bản JS của ownerSql cho bản ghi đã đọc (job, dataset)
+const canAccess = (user, ownerId, { write = false } = {}) => (
+  !user || user.role === 'admin' || (!write && user.role === 'readonly') || ownerId === user.id
+);
+
+/**
+ * Tạo người dùng kèm API key đầu tiên. Trả về { user, apiKey } (key dạng rõ chỉ có ở đây).
+ */
+const createUser = async (client, { name, role = 'user' }) => {
+  const user = await client.query(
+    'INSERT INTO users (name, role) VALUES ($1, $2) RETURNING id, name, role, created_at',
+    [parseName(name), parseRole(role)]
+  );
+  const apiKey = await createApiKey(client, user.rows[0].id, { name: 'default' });
+  return { user: user.rows[0], apiKey };
+};
+
+/**
+ * Tạo API key mới cho người dùng. Trả về thông tin key kèm key dạng rõ.
+ */
+const createApiKey = async (client, userId, { name = null } = {}) => {
+  const key = generateApiKey();
+  const result = await client.query(
+    `INSERT INTO api_keys (user_id, name, key_hash, key_prefix)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id, name, key_prefix, created_at`,
+    [userId, name ? parseName(name) : null, hashApiKey(key), key.slice(0, API_KEY_PREFIX.length + 6)]
+  );
+  return { ...result.rows[0], key };
+};
+
+/**
+ * Tạo tài khoản admin dùng key ADMIN_API_KEY khi DB chưa có admin nào (khởi tạo lần đầu, không cần
+ * tạo tay trong DB). Đã có admin thì không làm gì: không nâng quyền người dùng tên "admin" có sẵn,
+ * không kích hoạt lại key đã bị thu hồi.
+ */
+const bootstrapAdmin = async (key) => {
+  if (!key) return;
+  const admin = await pool.query(
+    `INSERT INTO users (name, role)
+     SELECT 'admin', 'admin'
+     WHERE NOT EXISTS (SELECT 1 FROM users WHERE role = 'admin')
+     ON CONFLICT (name) DO NOTHING
+     RETURNING id`
+  );
+  if (!admin.rows[0]) {
+    logger.info('ADMIN_API_KEY ignored: an admin or a user named "admin" already exists');
+    return;
+  }
+  await pool.query(
+    `INSERT INTO api_keys (user_id, name, key_hash, key_prefix)
+     VALUES ($1, 'ADMIN_API_KEY', $2, $3)
+     ON CONFLICT (key_hash) DO NOTHING`,
+    [admin.rows[0].id, hashApiKey(key), key.slice(0, API_KEY_PREFIX.length + 6)]
+  );
+  logger.info('Created admin account with key from ADMIN_API_KEY');
+};
+
+module.exports = {
+  ROLES,
+  AuthError,
+  authenticate,
+  requireRole,
+  hasRole,
+  ownerSql,
+  canAccess,
+  parseRole,
+  createUser,
+  createApiKey,
+  bootstrapAdmin
+};
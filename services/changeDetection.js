@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../config/logger');
+const pool = require('../db');
+const { DATA_DIR, describeOutputs } = require('./processImage');
+const { loadZones } = require('./zonalStats');
+const { runPythonScript, removeOutputs } = require('./pythonScript');
+const { resolveStyle, buildLegend } = require('./indices');
+const { storeOutputs, discardProducts, fetchProduct } = require('./products');
+
+// GeoTIFF còn trong kho của một kết quả chỉ số
+const GEOTIFF_PRODUCT_SQL = `(SELECT row_to_json(p) FROM products p
+  WHERE p.result_id = r.id AND p.kind = 'geotiff' AND (p.expires_at IS NULL OR p.expires_at > NOW())
+  LIMIT 1)`;
+
+/**
+ * Chọn một kết quả chỉ số của shapefile: theo id, hoặc lần chạy có ngày chụp gần date nhất.
+ */
+const findIndexResult = async (shapefileId, indexType, { id, date }) => {
+  const result = id !== undefined
+    ? await pool.query(
+      `SELECT r.id, r.scene_id, r.acquired_at, r.created_at
+       FROM index_results r
+       WHERE r.id = $1 AND r.shapefile_id = $2 AND r.index_type = $3`,
+      [id, shapefileId, indexType]
+    )
+    : await pool.query(
+      `SELECT r.id, r.scene_id, r.acquired_at, r.created_at
+       FROM index_results r
+       WHERE r.shapefile_id = $1 AND r.index_type = $2 AND ${GEOTIFF_PRODUCT_SQL} IS NOT NULL
+       ORDER BY ABS(EXTRACT(EPOCH FROM (COALESCE(r.acquired_at, r.created_at) - $3::timestamp))), r.created_at DESC
+       LIMIT 1`,
+      [shapefileId, indexType, date]
+    );
+  return result.rows[0] || null;
+};
+
+/**
+ * Handler cho job 'change-detection': raster chênh lệch (sau - trước) giữa hai kết quả chỉ số.
+ */
+const changeDetectionJob = async (job, { signal, update }) => {
+  const { shapefileId, index, beforeId, afterId, threshold = 0.1, zonalStats = true, outline = false } = job.params;
+  const style = job.params.style || resolveStyle('change');
+  const title = `${index.toUpperCase()} CHANGE`;
+  const geometryPath = path.join(DATA_DIR, `shp_${job.id}.json`);
+  const zonesPath = path.join(DATA_DIR, `zones_${job.id}.json`);
+  const beforePath = path.join(DATA_DIR, `before_${job.id}.tif`);
+  const afterPath = path.join(DATA_DIR, `after_${job.id}.tif`);
+  let output;
+  let products = {};
+
+  try {
+    const results = await pool.query(
+      `SELECT r.id, r.scene_id, r.acquired_at, r.created_at, ${GEOTIFF_PRODUCT_SQL} AS geotiff
+       FROM index_results r
+       WHERE r.id = ANY($1::int[]) AND r.shapefile_id = $2`,
+      [[beforeId, afterId], shapefileId]
+    );
+    const before = results.rows.find(row => row.id === beforeId);
+    const after = results.rows.find(row => row.id === afterId);
+    [before, after].forEach((row, position) => {
+      if (!row?.geotiff) {
+        throw new Error(`${position === 0 ? 'Before' : 'After'} raster is no longer available`);
+      }
+    });
+
+    const shpResult = await pool.query(
+      'SELECT ST_AsGeoJSON(geom) AS geometry FROM shapefiles WHERE id = $1 AND deleted_at IS NULL',
+      [shapefileId]
+    );
+    if (!shpResult.rows[0]) {
+      throw new Error(`Shapefile not found: ${shapefileId}`);
+    }
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    await fetchProduct(before.geotiff, beforePath, { signal });
+    await fetchProduct(after.geotiff, afterPath, { signal });
+    fs.writeFileSync(geometryPath, shpResult.rows[0].geometry);
+    if (zonalStats) {
+      fs.writeFileSync(zonesPath, JSON.stringify(await loadZones(pool, shapefileId)));
+    }
+    await update({ progress: 20 });
+
+    output = await runPythonScript('change_detection.py', {
+      before: beforePath,
+      after: afterPath,
+      outputPrefix: path.join(DATA_DIR, `change_${job.id}`),
+      threshold,
+      geometry: geometryPath,
+      zones: zonalStats ? zonesPath : null,
+      style,
+      title,
+      outline
+    }, { signal, jobId: job.id });
+    logger.info(`[${job.id}] Change detection finished`, { beforeId, afterId });
+    products = await storeOutputs(pool, output, {
+      shapefileId,
+      ownerId: job.owner_id,
+      jobId: job.id,
+      indexType: `${index}_change`
+    });
+
+    const describe = (row) => ({
+      resultId: row.id,
+      sceneId: row.scene_id,
+      date: row.acquired_at || row.created_at
+    });
+    return {
+      label: `${index}_change`,
+      ...describeOutputs(products, output.bounds),
+      legend: buildLegend(style, title),
+      before: describe(before),
+      after: describe(after),
+      summary: output.summary,
+      ...(output.warnings.length > 0 && { warnings: output.warnings }),
+      ...(output.stats && { features: output.stats })
+    };
+  } catch (error) {
+    await discardProducts(Object.values(products));
+    throw error;
+  } finally {
+    if (output) removeOutputs(output);
+    [geometryPath, zonesPath, beforePath, afterPath].forEach(file => {
+      try { fs.unlinkSync(file); } catch (e) {
+        if (e.code !== 'ENOENT') {
+          logger.warn(`[${job.id}] Cleanup failed: ${file}`, { error: e.message });
+        }
+      }
+    });
+  }
+};
+
+module.exports = { changeDetectionJob, findIndexResult };
@@ -0,0 +1,247 @@
+const proj4 = require('proj4');
+
+/**
+ * Nhận dạng hệ tọa độ từ file .prj (WKT) và chuyển geometry về EPSG:4326.
+ */
+
+const WGS84_SRID = 4326;
+
+// Tham số 7 tham số VN-2000 -> WGS84 (Quyết định 05/2007/QĐ-BTNMT).
+// File .prj xuất từ ArcGIS/MapInfo thường thiếu TOWGS84 nên lệch ~200m nếu bỏ qua.
+const VN2000_TOWGS84 = [
+  -191.90441429, -39.30318279, -111.45032835,
+  -0.00928836, 0.01975479, -0.00427372, 0.252906278
+];
+
+// Mã EPSG VN-2000 mà proj4 chưa có sẵn
+const VN2000_DEFS = {
+  4756: `+proj=longlat +ellps=WGS84 +towgs84=${VN2000_TOWGS84.join(',')} +no_defs`,
+  3405: `+proj=utm +zone=48 +ellps=WGS84 +towgs84=${VN2000_TOWGS84.join(',')} +units=m +no_defs`,
+  3406: `+proj=utm +zone=49 +ellps=WGS84 +towgs84=${VN2000_TOWGS84.join(',')} +units=m +no_defs`
+};
+Object.entries(VN2000_DEFS).forEach(([srid, definition]) => proj4.defs(`EPSG:${srid}`, definition));
+
+// Tên CRS kiểu ESRI (đã chuẩn hóa) -> mã EPSG
+const KNOWN_CRS_NAMES = {
+  gcswgs1984: 4326,
+  wgs84: 4326,
+  gcsvn2000: 4756,
+  vn2000: 4756,
+  vn2000utmzone48n: 3405,
+  vn2000utmzone49n: 3406,
+  wgs1984webmercatorauxiliarysphere: 3857,
+  wgs84pseudomercator: 3857
+};
+
+class CrsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CrsError';
+  }
+}
+
+const normalizeName = (name) => (name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const isVn2000 = (definition) => {
+  const names = [definition.datumCode, definition.GEOGCS?.DATUM?.name, definition.GEOGCS?.name];
+  return names.some(name => /vn2000|vietnam2000/.test(normalizeName(name)));
+};
+
+// Tìm mã EPSG: ưu tiên AUTHORITY cuối cùng trong WKT (thuộc CRS gốc), sau đó tới tên CRS
+const findSrid = (wkt, name) => {
+  const authorities = [...wkt.matchAll(/AUTHORITY\s*\[\s*"EPSG"\s*,\s*"?(\d+)"?\s*\]/gi)];
+  if (authorities.length > 0) {
+    return { srid: parseInt(authorities[authorities.length - 1][1]), identifiedBy: 'authority' };
+  }
+
+  const normalized = normalizeName(name);
+  if (KNOWN_CRS_NAMES[normalized]) {
+    return { srid: KNOWN_CRS_NAMES[normalized], identifiedBy: 'name' };
+  }
+
+  const utm = normalized.match(/^wgs1984utmzone(\d{1,2})([ns])$/);
+  if (utm) {
+    return { srid: (utm[2] === 'n' ? 32600 : 32700) + parseInt(utm[1]), identifiedBy: 'name' };
+  }
+
+  return { srid: null, identifiedBy: 'wkt' };
+};
+
+// Chuỗi proj4 cho các phép chiếu thường gặp ở dữ liệu địa chính (longlat, TM/UTM)
+const toProj4String = (definition) => {
+  const ellipsoid = `+a=${definition.a} +rf=${definition.rf}`;
+  const datum = definition.datum_params
+    ? `+towgs84=${definition.datum_params.join(',')}`
+    : (definition.datumCode === 'WGS84' ? '+towgs84=0,0,0,0,0,0,0' : '');
+
+  if (definition.projName === 'longlat') {
+    return `+proj=longlat ${ellipsoid} ${datum} +no_defs`.replace(/\s+/g, ' ');
+  }
+  if (/transverse_mercator|tmerc|utm/i.test(definition.projName)) {
+    const toDegrees = (radians) => +(radians * 180 / Math.PI).toFixed(10);
+    return [
+      '+proj=tmerc',
+      `+lat_0=${toDegrees(definition.lat0 || 0)}`,
+      `+lon_0=${toDegrees(definition.long0 || 0)}`,
+      `+k=${definition.k0 ?? 1}`,
+      `+x_0=${definition.x0 || 0}`,
+      `+y_0=${definition.y0 || 0}`,
+      ellipsoid,
+      datum,
+      `+units=m +no_defs`
+    ].filter(Boolean).join(' ');
+  }
+  return null;
+};
+
+const walkCoordinates = (coordinates, fn) => (
+  typeof coordinates[0] === 'number'
+    ? fn(coordinates)
+    : coordinates.map(child => walkCoordinates(child, fn))
+);
+
+const transformGeometry = (geometry, fn) => (
+  geometry.type === 'GeometryCollection'
+    ? { ...geometry, geometries: geometry.geometries.map(child => transformGeometry(child, fn)) }
+    : { ...geometry, coordinates: walkCoordinates(geometry.coordinates, fn) }
+);
+
+const assertGeographic = (features, message) => {
+  features.forEach(feature => transformGeometry(feature.geometry, ([x, y]) => {
+    if (!Number.isFinite(x) || !Number.isFinite(y) || Math.abs(x) > 180 || Math.abs(y) > 90) {
+      throw new CrsError(message);
+    }
+    return [x, y];
+  }));
+};
+
+/**
+ * Nhận dạng CRS từ nội dung .prj.
+ * Trả về { info, converter }: info lưu vào metadata, converter dùng để chiếu lại.
+ */
+const resolveCrs = (prjText) => {
+  const wkt = (prjText || '').trim();
+  if (!wkt) {
+    throw new CrsError('Empty .prj file');
+  }
+
+  let definition;
+  try {
+    proj4.defs('SATGEO_SOURCE', wkt);
+    definition = { ...proj4.defs('SATGEO_SOURCE') };
+  } catch (error) {
+    throw new CrsError(`Unrecognized coordinate reference system in .prj: ${error.message}`);
+  }
+  if (!definition.projName) {
+    throw new CrsError('Unrecognized coordinate reference system in .prj');
+  }
+
+  const towgs84Applied = isVn2000(definition) && !definition.datum_params;
+  if (towgs84Applied) {
+    definition.datum_params = VN2000_TOWGS84;
+  }
+
+  const { srid, identifiedBy } = findSrid(wkt, definition.name);
+  const proj4String = toProj4String(definition);
+
+  let converter;
+  try {
+    converter = proj4(definition, proj4.WGS84);
+  } catch (error) {
+    throw new CrsError(`Cannot transform from ${definition.name || 'source CRS'} to EPSG:4326: ${error.message}`);
+  }
+
+  return {
+    info: {
+      srid,
+      name: definition.name || null,
+      identifiedBy,
+      proj4: proj4String,
+      towgs84Applied,
+      wkt
+    },
+    converter
+  };
+};
+
+/**
+ * Nhận dạng CRS từ mã EPSG (GeoJSON có thành viên "crs", GeoPackage, CRS đầu ra khi export).
+ * proj4text lấy từ spatial_ref_sys của PostGIS nếu có; không có thì chỉ hỗ trợ các mã proj4 biết sẵn.
+ * Mã VN-2000 ở trên luôn dùng tham số TOWGS84 của Bộ TN&MT.
+ */
+const resolveEpsg = (srid, proj4text) => {
+  const code = parseInt(srid);
+  const text = Number.isInteger(code) ? VN2000_DEFS[code] || proj4text?.trim() || null : null;
+  const definition = text || (Number.isInteger(code) ? proj4.defs(`EPSG:${code}`) : null);
+  if (!definition) {
+    throw new CrsError(`Unsupported coordinate reference system: EPSG:${srid}`);
+  }
+
+  let converter = null;
+  if (code !== WGS84_SRID) {
+    try {
+      converter = proj4(text || `EPSG:${code}`, proj4.WGS84);
+    } catch (error) {
+      throw new CrsError(`Cannot transform from EPSG:${code} to EPSG:4326: ${error.message || error}`);
+    }
+  }
+
+  return {
+    info: {
+      srid: code,
+      name: `EPSG:${code}`,
+      identifiedBy: 'authority',
+      proj4: text || definition.projStr || null,
+      towgs84Applied: false
+    },
+    converter
+  };
+};
+
+/**
+ * CRS khi upload không kèm .prj: chỉ chấp nhận nếu tọa độ nằm trong miền kinh/vĩ độ.
+ */
+const assumeWgs84 = (features) => {
+  assertGeographic(features, 'Missing .prj file and coordinates are not longitude/latitude');
+  return {
+    info: { srid: WGS84_SRID, name: 'WGS 84', identifiedBy: 'assumed' },
+    converter: null
+  };
+};
+
+/**
+ * Chiếu lại geometry của các feature về EPSG:4326 (giữ nguyên Z nếu có).
+ */
+const reprojectFeatures = (features, { info, converter }) => {
+  const reprojected = !converter || info.srid === WGS84_SRID
+    ? features
+    : features.map(feature => ({
+      ...feature,
+      geometry: transformGeometry(feature.geometry, ([x, y, ...rest]) => [...converter.forward([x, y]), ...rest])
+    }));
+  assertGeographic(reprojected, `Coordinates do not match the declared CRS ${info.name || ''}`.trim());
+  return reprojected;
+};
+
+/**
+ * Chiếu feature từ EPSG:4326 sang CRS đầu ra (dùng khi export).
+ */
+const fromWgs84Features = (features, { converter }) => (
+  converter
+    ? features.map(feature => ({
+      ...feature,
+      geometry: transformGeometry(feature.geometry, ([x, y, ...rest]) => [...converter.inverse([x, y]), ...rest])
+    }))
+    : features
+);
+
+module.exports = {
+  WGS84_SRID,
+  CrsError,
+  resolveCrs,
+  resolveEpsg,
+  assumeWgs84,
+  reprojectFeatures,
+  fromWgs84Features,
+  transformGeometry
+};
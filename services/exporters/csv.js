@@ -0,0 +1,28 @@
+const wkx = require('wkx');
+
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV với cột WKT cho geometry. Có BOM để Excel đọc đúng tiếng Việt.
+ */
+const writeCsv = async ({ features }) => {
+  const keys = [...new Set(features.flatMap(feature => Object.keys(feature.properties || {})))]
+    .filter(key => !['id', 'wkt'].includes(key.toLowerCase()));
+  const lines = [['id', ...keys, 'wkt'].map(escapeCsv).join(',')];
+
+  features.forEach(feature => {
+    lines.push([
+      feature.id,
+      ...keys.map(key => feature.properties?.[key]),
+      wkx.Geometry.parseGeoJSON(feature.geometry).toWkt()
+    ].map(escapeCsv).join(','));
+  });
+
+  return { buffer: Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8') };
+};
+
+module.exports = { writeCsv, escapeCsv };
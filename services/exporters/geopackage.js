@@ -0,0 +1,165 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const wkx = require('wkx');
+const { v4: uuidv4 } = require('uuid');
+
+// srs_id dùng cho CRS không có mã EPSG (ví dụ VN-2000 TM-3 địa phương)
+const CUSTOM_SRS_ID = 100000;
+
+const quoteIdentifier = (name) => `"${name.replace(/"/g, '""')}"`;
+
+const boundsOf = (geometry) => {
+  const box = [Infinity, Infinity, -Infinity, -Infinity];
+  const visit = (coordinates) => {
+    if (typeof coordinates[0] === 'number') {
+      box[0] = Math.min(box[0], coordinates[0]);
+      box[1] = Math.min(box[1], coordinates[1]);
+      box[2] = Math.max(box[2], coordinates[0]);
+      box[3] = Math.max(box[3], coordinates[1]);
+    } else {
+      coordinates.forEach(visit);
+    }
+  };
+  if (geometry.type === 'GeometryCollection') {
+    geometry.geometries.forEach(child => visit(child.coordinates));
+  } else {
+    visit(geometry.coordinates);
+  }
+  return box;
+};
+
+/**
+ * GeoPackageBinary: header "GP" little-endian kèm envelope XY rồi tới WKB.
+ */
+const encodeGeometry = (geometry, srsId) => {
+  const [minX, minY, maxX, maxY] = boundsOf(geometry);
+  const header = Buffer.alloc(40);
+  header.write('GP', 0, 'ascii');
+  header.writeUInt8(0, 2); // version
+  header.writeUInt8(0x03, 3); // envelope XY (1 << 1) | little-endian
+  header.writeInt32LE(srsId, 4);
+  [minX, maxX, minY, maxY].forEach((value, index) => header.writeDoubleLE(value, 8 + index * 8));
+  return Buffer.concat([header, wkx.Geometry.parseGeoJSON(geometry).toWkb()]);
+};
+
+const columnType = (values) => {
+  const present = values.filter(value => value !== null && value !== undefined);
+  if (present.length > 0 && present.every(value => typeof value === 'boolean')) return 'BOOLEAN';
+  if (present.length > 0 && present.every(value => Number.isInteger(value))) return 'INTEGER';
+  if (present.length > 0 && present.every(value => typeof value === 'number')) return 'REAL';
+  return 'TEXT';
+};
+
+const toSqlValue = (value, type) => {
+  if (value === null || value === undefined) return null;
+  if (type === 'BOOLEAN') return value ? 1 : 0;
+  if (type === 'TEXT' && typeof value === 'object') return JSON.stringify(value);
+  if (type === 'TEXT') return String(value);
+  return value;
+};
+
+const createSchema = (db) => {
+  db.pragma('application_id = 0x47504B47');
+  db.pragma('user_version = 10200');
+  db.exec(`
+    CREATE TABLE gpkg_spatial_ref_sys (
+      srs_name TEXT NOT NULL,
+      srs_id INTEGER PRIMARY KEY,
+      organization TEXT NOT NULL,
+      organization_coordsys_id INTEGER NOT NULL,
+      definition TEXT NOT NULL,
+      description TEXT
+    );
+    CREATE TABLE gpkg_contents (
+      table_name TEXT NOT NULL PRIMARY KEY,
+      data_type TEXT NOT NULL,
+      identifier TEXT UNIQUE,
+      description TEXT DEFAULT '',
+      last_change DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now')),
+      min_x DOUBLE, min_y DOUBLE, max_x DOUBLE, max_y DOUBLE,
+      srs_id INTEGER REFERENCES gpkg_spatial_ref_sys(srs_id)
+    );
+    CREATE TABLE gpkg_geometry_columns (
+      table_name TEXT NOT NULL REFERENCES gpkg_contents(table_name),
+      column_name TEXT NOT NULL,
+      geometry_type_name TEXT NOT NULL,
+      srs_id INTEGER NOT NULL REFERENCES gpkg_spatial_ref_sys(srs_id),
+      z TINYINT NOT NULL,
+      m TINYINT NOT NULL,
+      PRIMARY KEY (table_name, column_name)
+    );
+    INSERT INTO gpkg_spatial_ref_sys VALUES
+      ('Undefined cartesian SRS', -1, 'NONE', -1, 'undefined', NULL),
+      ('Undefined geographic SRS', 0, 'NONE', 0, 'undefined', NULL);
+  `);
+};
+
+/**
+ * Ghi một lớp feature ra file GeoPackage tạm. Route có trách nhiệm xóa file sau khi gửi.
+ */
+const writeGeoPackage = async ({ name, features, crs }) => {
+  const filePath = path.join(os.tmpdir(), `satgeo-export-${uuidv4()}.gpkg`);
+  const db = new Database(filePath);
+  try {
+    createSchema(db);
+
+    const srsId = crs.srid || CUSTOM_SRS_ID;
+    db.prepare('INSERT INTO gpkg_spatial_ref_sys VALUES (?, ?, ?, ?, ?, ?)').run(
+      crs.name || `EPSG:${srsId}`,
+      srsId,
+      crs.srid ? 'EPSG' : 'NONE',
+      srsId,
+      crs.wkt || 'undefined',
+      null
+    );
+
+    const keys = [...new Set(features.flatMap(feature => Object.keys(feature.properties || {})))]
+      .filter(key => !['fid', 'geom'].includes(key.toLowerCase()));
+    const columns = keys.map(key => ({
+      key,
+      type: columnType(features.map(feature => feature.properties?.[key]))
+    }));
+    const geometryTypes = [...new Set(features.map(feature => feature.geometry.type))];
+    const geometryTypeName = geometryTypes.length === 1 ? geometryTypes[0].toUpperCase() : 'GEOMETRY';
+
+    db.exec(`CREATE TABLE ${quoteIdentifier(name)} (
+      fid INTEGER PRIMARY KEY AUTOINCREMENT,
+      geom ${geometryTypeName}${columns.map(column => `, ${quoteIdentifier(column.key)} ${column.type}`).join('')}
+    )`);
+
+    const box = features.reduce((extent, feature) => {
+      const [minX, minY, maxX, maxY] = boundsOf(feature.geometry);
+      return [Math.min(extent[0], minX), Math.min(extent[1], minY), Math.max(extent[2], maxX), Math.max(extent[3], maxY)];
+    }, [Infinity, Infinity, -Infinity, -Infinity]);
+    db.prepare(
+      `INSERT INTO gpkg_contents (table_name, data_type, identifier, min_x, min_y, max_x, max_y, srs_id)
+       VALUES (?, 'features', ?, ?, ?, ?, ?, ?)`
+    ).run(name, name, ...box.map(value => (Number.isFinite(value) ? value : null)), srsId);
+    db.prepare(
+      `INSERT INTO gpkg_geometry_columns (table_name, column_name, geometry_type_name, srs_id, z, m)
+       VALUES (?, 'geom', ?, ?, 0, 0)`
+    ).run(name, geometryTypeName, srsId);
+
+    const insert = db.prepare(
+      `INSERT INTO ${quoteIdentifier(name)} (geom${columns.map(column => `, ${quoteIdentifier(column.key)}`).join('')})
+       VALUES (?${', ?'.repeat(columns.length)})`
+    );
+    db.transaction(() => {
+      features.forEach(feature => insert.run(
+        encodeGeometry(feature.geometry, srsId),
+        ...columns.map(column => toSqlValue(feature.properties?.[column.key], column.type))
+      ));
+    })();
+  } catch (error) {
+    db.close();
+    fs.rmSync(filePath, { force: true });
+    throw error;
+  }
+
+  db.close();
+  return { filePath };
+};
+
+module.exports = { writeGeoPackage };
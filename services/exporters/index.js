@@ -0,0 +1,37 @@
+const { writeShapefileZip } = require('./shapefile');
+const { writeKml } = require('./kml');
+const { writeGeoPackage } = require('./geopackage');
+const { writeCsv } = require('./csv');
+
+const writeGeoJson = async ({ name, features, crs }) => {
+  const collection = { type: 'FeatureCollection', name, features };
+  // RFC 7946 chỉ dùng WGS84; CRS khác ghi thêm thành viên "crs" kiểu cũ cho QGIS/GDAL
+  if (crs.srid && crs.srid !== 4326) {
+    collection.crs = { type: 'name', properties: { name: `urn:ogc:def:crs:EPSG::${crs.srid}` } };
+  }
+  return { buffer: Buffer.from(JSON.stringify(collection), 'utf8') };
+};
+
+const EXPORT_FORMATS = {
+  geojson: { extension: 'geojson', contentType: 'application/geo+json', write: writeGeoJson },
+  shapefile: { extension: 'zip', contentType: 'application/zip', write: writeShapefileZip },
+  kml: { extension: 'kml', contentType: 'application/vnd.google-earth.kml+xml', write: writeKml, wgs84Only: true },
+  gpkg: { extension: 'gpkg', contentType: 'application/geopackage+sqlite3', write: writeGeoPackage },
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8', write: writeCsv }
+};
+
+const FORMAT_ALIASES = {
+  shp: 'shapefile',
+  zip: 'shapefile',
+  geopackage: 'gpkg',
+  json: 'geojson',
+  wkt: 'csv'
+};
+
+const getExportFormat = (format) => {
+  const key = String(format || 'geojson').toLowerCase();
+  const resolved = FORMAT_ALIASES[key] || key;
+  return EXPORT_FORMATS[resolved] ? { key: resolved, ...EXPORT_FORMATS[resolved] } : null;
+};
+
+module.exports = { EXPORT_FORMATS, getExportFormat };
@@ -0,0 +1,15 @@
+const tokml = require('tokml');
+
+/**
+ * KML cho Google Earth; thuộc tính ghi vào ExtendedData. Tọa độ phải là WGS84.
+ */
+const writeKml = async ({ name, features }) => {
+  const kml = tokml({ type: 'FeatureCollection', features }, {
+    documentName: name,
+    name: 'name',
+    description: 'description'
+  });
+  return { buffer: Buffer.from(kml, 'utf8') };
+};
+
+module.exports = { writeKml };
@@ -0,0 +1,276 @@
+const AdmZip = require('adm-zip');
+
+/**
+ * Ghi shapefile (.shp/.shx/.dbf/.prj/.cpg) nén zip từ GeoJSON Feature.
+ * Mỗi loại shape một layer vì shapefile chỉ chứa được một kiểu geometry.
+ */
+
+const SHAPE_TYPES = {
+  POINT: 1,
+  POLYLINE: 3,
+  POLYGON: 5,
+  MULTIPOINT: 8
+};
+
+const GEOJSON_TO_SHAPE = {
+  Point: 'POINT',
+  MultiPoint: 'MULTIPOINT',
+  LineString: 'POLYLINE',
+  MultiLineString: 'POLYLINE',
+  Polygon: 'POLYGON',
+  MultiPolygon: 'POLYGON'
+};
+
+// Tách GeometryCollection thành các geometry thành phần, giữ nguyên thuộc tính
+const flattenFeatures = (features) => features.flatMap(feature => (
+  feature.geometry.type === 'GeometryCollection'
+    ? feature.geometry.geometries.map(geometry => ({ ...feature, geometry }))
+    : [feature]
+));
+
+// Shapefile yêu cầu vòng ngoài theo chiều kim đồng hồ, lỗ ngược chiều
+const isClockwise = (ring) => {
+  let sum = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    sum += (ring[i + 1][0] - ring[i][0]) * (ring[i + 1][1] + ring[i][1]);
+  }
+  return sum > 0;
+};
+
+const orientRing = (ring, clockwise) => (isClockwise(ring) === clockwise ? ring : [...ring].reverse());
+
+// Danh sách part (mảng điểm) của một geometry theo định dạng shapefile
+const toParts = (geometry) => {
+  switch (geometry.type) {
+    case 'Point':
+      return [[geometry.coordinates]];
+    case 'MultiPoint':
+      return [geometry.coordinates];
+    case 'LineString':
+      return [geometry.coordinates];
+    case 'MultiLineString':
+      return geometry.coordinates;
+    case 'Polygon':
+      return geometry.coordinates.map((ring, index) => orientRing(ring, index === 0));
+    case 'MultiPolygon':
+      return geometry.coordinates.flatMap(polygon => polygon.map((ring, index) => orientRing(ring, index === 0)));
+    default:
+      return [];
+  }
+};
+
+const boundsOf = (points) => points.reduce((box, [x, y]) => [
+  Math.min(box[0], x), Math.min(box[1], y), Math.max(box[2], x), Math.max(box[3], y)
+], [Infinity, Infinity, -Infinity, -Infinity]);
+
+const writeHeader = (buffer, shapeType, fileLength, box) => {
+  buffer.writeInt32BE(9994, 0);
+  buffer.writeInt32BE(fileLength / 2, 24);
+  buffer.writeInt32LE(1000, 28);
+  buffer.writeInt32LE(shapeType, 32);
+  box.forEach((value, index) => buffer.writeDoubleLE(Number.isFinite(value) ? value : 0, 36 + index * 8));
+};
+
+// Nội dung một bản ghi (không gồm 8 byte header)
+const encodeRecord = (shapeType, parts) => {
+  const points = parts.flat();
+
+  if (shapeType === SHAPE_TYPES.POINT) {
+    const content = Buffer.alloc(20);
+    content.writeInt32LE(shapeType, 0);
+    content.writeDoubleLE(points[0][0], 4);
+    content.writeDoubleLE(points[0][1], 12);
+    return content;
+  }
+
+  const box = boundsOf(points);
+  if (shapeType === SHAPE_TYPES.MULTIPOINT) {
+    const content = Buffer.alloc(40 + points.length * 16);
+    content.writeInt32LE(shapeType, 0);
+    box.forEach((value, index) => content.writeDoubleLE(value, 4 + index * 8));
+    content.writeInt32LE(points.length, 36);
+    points.forEach(([x, y], index) => {
+      content.writeDoubleLE(x, 40 + index * 16);
+      content.writeDoubleLE(y, 48 + index * 16);
+    });
+    return content;
+  }
+
+  const pointsOffset = 44 + parts.length * 4;
+  const content = Buffer.alloc(pointsOffset + points.length * 16);
+  content.writeInt32LE(shapeType, 0);
+  box.forEach((value, index) => content.writeDoubleLE(value, 4 + index * 8));
+  content.writeInt32LE(parts.length, 36);
+  content.writeInt32LE(points.length, 40);
+  let start = 0;
+  parts.forEach((part, index) => {
+    content.writeInt32LE(start, 44 + index * 4);
+    start += part.length;
+  });
+  points.forEach(([x, y], index) => {
+    content.writeDoubleLE(x, pointsOffset + index * 16);
+    content.writeDoubleLE(y, pointsOffset + 8 + index * 16);
+  });
+  return content;
+};
+
+const writeShpShx = (shapeType, geometries) => {
+  const records = geometries.map(geometry => encodeRecord(shapeType, toParts(geometry)));
+  const box = boundsOf(geometries.flatMap(geometry => toParts(geometry).flat()));
+
+  const shpLength = 100 + records.reduce((sum, record) => sum + 8 + record.length, 0);
+  const shp = Buffer.alloc(shpLength);
+  const shx = Buffer.alloc(100 + records.length * 8);
+  writeHeader(shp, shapeType, shpLength, box);
+  writeHeader(shx, shapeType, shx.length, box);
+
+  let offset = 100;
+  records.forEach((record, index) => {
+    shx.writeInt32BE(offset / 2, 100 + index * 8);
+    shx.writeInt32BE(record.length / 2, 104 + index * 8);
+    shp.writeInt32BE(index + 1, offset);
+    shp.writeInt32BE(record.length / 2, offset + 4);
+    record.copy(shp, offset + 8);
+    offset += 8 + record.length;
+  });
+
+  return { shp, shx };
+};
+
+// Tên trường DBF: tối đa 10 ký tự ASCII, không dấu, không trùng
+const toFieldNames = (keys) => {
+  const used = new Set();
+  return keys.map(key => {
+    const base = key
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/đ/g, 'd')
+      .replace(/Đ/g, 'D')
+      .replace(/[^A-Za-z0-9_]/g, '_')
+      .slice(0, 10) || 'FIELD';
+    let name = base;
+    for (let counter = 1; used.has(name.toUpperCase()); counter++) {
+      name = `${base.slice(0, 10 - String(counter).length)}${counter}`;
+    }
+    used.add(name.toUpperCase());
+    return name;
+  });
+};
+
+// Cắt chuỗi UTF-8 theo số byte mà không làm vỡ ký tự nhiều byte
+const truncateUtf8 = (text, maxBytes) => {
+  let result = '';
+  let bytes = 0;
+  for (const char of text) {
+    const size = Buffer.byteLength(char);
+    if (bytes + size > maxBytes) break;
+    result += char;
+    bytes += size;
+  }
+  return result;
+};
+
+const toText = (value) => (typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+const describeField = (values) => {
+  const present = values.filter(value => value !== null && value !== undefined);
+  if (present.length > 0 && present.every(value => typeof value === 'boolean')) {
+    return { type: 'L', length: 1, decimals: 0 };
+  }
+  if (present.length > 0 && present.every(value => typeof value === 'number' && Number.isFinite(value))) {
+    const decimals = present.every(Number.isInteger) ? 0 : 8;
+    const length = Math.min(Math.max(...present.map(value => value.toFixed(decimals).length), 1), 20);
+    return { type: 'N', length, decimals };
+  }
+  const length = Math.min(Math.max(...present.map(value => Buffer.byteLength(toText(value))), 1), 254);
+  return { type: 'C', length, decimals: 0 };
+};
+
+const formatValue = (field, value) => {
+  if (value === null || value === undefined) {
+    return Buffer.alloc(field.length, ' ');
+  }
+  if (field.type === 'L') {
+    return Buffer.from(value ? 'T' : 'F');
+  }
+  if (field.type === 'N') {
+    const text = value.toFixed(field.decimals);
+    return Buffer.from(text.length > field.length ? '*'.repeat(field.length) : text.padStart(field.length, ' '));
+  }
+  const encoded = Buffer.from(truncateUtf8(toText(value), field.length));
+  return Buffer.concat([encoded, Buffer.alloc(field.length - encoded.length, ' ')]);
+};
+
+const writeDbf = (propertiesList) => {
+  const keys = [...new Set(propertiesList.flatMap(properties => Object.keys(properties || {})))];
+  const names = toFieldNames(keys);
+  const fields = keys.map((key, index) => ({
+    key,
+    name: names[index],
+    ...describeField(propertiesList.map(properties => properties?.[key]))
+  }));
+  // DBF cần ít nhất một trường
+  if (fields.length === 0) {
+    fields.push({ key: null, name: 'ID', type: 'N', length: 10, decimals: 0 });
+  }
+
+  const headerLength = 32 + fields.length * 32 + 1;
+  const recordLength = 1 + fields.reduce((sum, field) => sum + field.length, 0);
+  const header = Buffer.alloc(headerLength);
+  const now = new Date();
+  header.writeUInt8(0x03, 0);
+  header.writeUInt8(now.getFullYear() - 1900, 1);
+  header.writeUInt8(now.getMonth() + 1, 2);
+  header.writeUInt8(now.getDate(), 3);
+  header.writeUInt32LE(propertiesList.length, 4);
+  header.writeUInt16LE(headerLength, 8);
+  header.writeUInt16LE(recordLength, 10);
+  fields.forEach((field, index) => {
+    const offset = 32 + index * 32;
+    header.write(field.name, offset, 10, 'ascii');
+    header.write(field.type, offset + 11, 1, 'ascii');
+    header.writeUInt8(field.length, offset + 16);
+    header.writeUInt8(field.decimals, offset + 17);
+  });
+  header.writeUInt8(0x0d, headerLength - 1);
+
+  const records = propertiesList.map((properties, recordIndex) => Buffer.concat([
+    Buffer.from(' '),
+    ...fields.map(field => formatValue(field, field.key === null ? recordIndex + 1 : properties?.[field.key]))
+  ]));
+
+  return Buffer.concat([header, ...records, Buffer.from([0x1a])]);
+};
+
+/**
+ * Tạo file zip shapefile. crs.wkt (nếu có) được ghi ra .prj, thuộc tính mã hóa UTF-8 (.cpg).
+ */
+const writeShapefileZip = async ({ name, features, crs }) => {
+  const groups = {};
+  flattenFeatures(features).forEach(feature => {
+    const shapeName = GEOJSON_TO_SHAPE[feature.geometry.type];
+    if (shapeName && toParts(feature.geometry).flat().length > 0) {
+      (groups[shapeName] = groups[shapeName] || []).push(feature);
+    }
+  });
+
+  const shapeNames = Object.keys(groups);
+  const zip = new AdmZip();
+  shapeNames.forEach(shapeName => {
+    const layerName = shapeNames.length > 1 ? `${name}_${shapeName.toLowerCase()}` : name;
+    const layerFeatures = groups[shapeName];
+    const { shp, shx } = writeShpShx(SHAPE_TYPES[shapeName], layerFeatures.map(feature => feature.geometry));
+
+    zip.addFile(`${layerName}.shp`, shp);
+    zip.addFile(`${layerName}.shx`, shx);
+    zip.addFile(`${layerName}.dbf`, writeDbf(layerFeatures.map(feature => feature.properties)));
+    zip.addFile(`${layerName}.cpg`, Buffer.from('UTF-8'));
+    if (crs.wkt) {
+      zip.addFile(`${layerName}.prj`, Buffer.from(crs.wkt));
+    }
+  });
+
+  return { buffer: zip.toBuffer() };
+};
+
+module.exports = { writeShapefileZip };
@@ -0,0 +1,182 @@
+/**
+ * Dựng câu truy vấn không gian/thuộc tính trên bảng shapefile_features.
+ * Tham số giống nhau cho GET (query string) và POST (JSON body).
+ */
+
+const { activeFeatureSql } = require('./featureStore');
+
+const MAX_LIMIT = 1000;
+const METERS_PER_DEGREE = 111320;
+
+const OPERATORS = {
+  eq: '=',
+  ne: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<='
+};
+
+class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryError';
+  }
+}
+
+const parseNumbers = (value, count, label) => {
+  const numbers = (Array.isArray(value) ? value : String(value).split(',')).map(Number);
+  if (numbers.length !== count || numbers.some(number => !Number.isFinite(number))) {
+    throw new QueryError(`${label} must be ${count} comma-separated numbers`);
+  }
+  return numbers;
+};
+
+const parseLonLat = (value, label) => {
+  const [lon, lat] = parseNumbers(value, 2, label);
+  if (Math.abs(lon) > 180 || Math.abs(lat) > 90) {
+    throw new QueryError(`${label} must be longitude,latitude in EPSG:4326`);
+  }
+  return [lon, lat];
+};
+
+const parseGeometry = (value) => {
+  let geometry = value;
+  if (typeof value === 'string') {
+    try {
+      geometry = JSON.parse(value);
+    } catch (error) {
+      throw new QueryError('intersects must be a GeoJSON geometry');
+    }
+  }
+  if (geometry?.type === 'Feature') geometry = geometry.geometry;
+  if (!geometry?.type || !(geometry.coordinates || geometry.geometries)) {
+    throw new QueryError('intersects must be a GeoJSON geometry');
+  }
+  return geometry;
+};
+
+const parseIds = (value) => {
+  const ids = (Array.isArray(value) ? value : String(value).split(',')).map(id => parseInt(id));
+  if (ids.some(id => !Number.isInteger(id))) {
+    throw new QueryError('shapefileId must be one or more integer ids');
+  }
+  return ids;
+};
+
+/**
+ * Trả về { where, values, orderBy, distanceSelect, page, limit, nearest }.
+ * user giới hạn kết quả trong các dataset người dùng được đọc.
+ */
+const buildFeatureQuery = (params, { user = null } = {}) => {
+  const where = [];
+  const values = [];
+  const addValue = (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+  let orderBy = 'f.shapefile_id, f.feature_index';
+  let distanceSelect = null;
+  let nearest = null;
+
+  where.push(activeFeatureSql('f', user));
+
+  if (params.shapefileId !== undefined) {
+    where.push(`f.shapefile_id = ANY(${addValue(parseIds(params.shapefileId))}::int[])`);
+  }
+
+  if (params.bbox !== undefined) {
+    const [minX, minY, maxX, maxY] = parseNumbers(params.bbox, 4, 'bbox');
+    if (minX > maxX || minY > maxY) {
+      throw new QueryError('bbox must be minLon,minLat,maxLon,maxLat');
+    }
+    const envelope = `ST_MakeEnvelope(${addValue(minX)}, ${addValue(minY)}, ${addValue(maxX)}, ${addValue(maxY)}, 4326)`;
+    where.push(`f.geom && ${envelope} AND ST_Intersects(f.geom, ${envelope})`);
+  }
+
+  if (params.intersects !== undefined) {
+    const geometry = `ST_SetSRID(ST_GeomFromGeoJSON(${addValue(JSON.stringify(parseGeometry(params.intersects)))}), 4326)`;
+    where.push(`ST_Intersects(f.geom, ${geometry})`);
+  }
+
+  if (params.point !== undefined) {
+    const [lon, lat] = parseLonLat(params.point, 'point');
+    where.push(`ST_Intersects(f.geom, ST_SetSRID(ST_MakePoint(${addValue(lon)}, ${addValue(lat)}), 4326))`);
+  }
+
+  if (params.near !== undefined) {
+    const [lon, lat] = parseLonLat(params.near, 'near');
+    const point = `ST_SetSRID(ST_MakePoint(${addValue(lon)}, ${addValue(lat)}), 4326)`;
+    distanceSelect = `ST_Distance(f.geom::geography, ${point}::geography) AS distance_m`;
+
+    if (params.distance !== undefined) {
+      const distance = Number(params.distance);
+      if (!Number.isFinite(distance) || distance < 0) {
+        throw new QueryError('distance must be a non-negative number of meters');
+      }
+      // Lọc thô bằng hộp độ trước để dùng chỉ mục GiST, sau đó mới tính trên geography
+      const degrees = distance / (METERS_PER_DEGREE * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+      where.push(`f.geom && ST_Expand(${point}, ${addValue(degrees)})`);
+      where.push(`ST_DWithin(f.geom::geography, ${point}::geography, ${addValue(distance)})`);
+    }
+
+    orderBy = `f.geom <-> ${point}`;
+    if (params.nearest !== undefined) {
+      nearest = parseInt(params.nearest);
+      if (!Number.isInteger(nearest) || nearest < 1 || nearest > MAX_LIMIT) {
+        throw new QueryError(`nearest must be an integer between 1 and ${MAX_LIMIT}`);
+      }
+    }
+  } else if (params.distance !== undefined || params.nearest !== undefined) {
+    throw new QueryError('distance and nearest require near=lon,lat');
+  }
+
+  if (params.properties !== undefined) {
+    let filters = params.properties;
+    if (typeof filters === 'string') {
+      try {
+        filters = JSON.parse(filters);
+      } catch (error) {
+        throw new QueryError('properties must be an object of attribute filters');
+      }
+    }
+    if (typeof filters !== 'object' || filters === null || Array.isArray(filters)) {
+      throw new QueryError('properties must be an object of attribute filters');
+    }
+
+    Object.entries(filters).forEach(([key, condition]) => {
+      const conditions = typeof condition === 'object' && condition !== null ? condition : { eq: condition };
+      if (Object.keys(conditions).length === 0) {
+        throw new QueryError(`Empty filter for attribute: ${key}`);
+      }
+      const keyParam = `${addValue(key)}::text`;
+      const field = `f.properties->>${keyParam}`;
+      Object.entries(conditions).forEach(([operator, value]) => {
+        if (operator === 'like') {
+          // Tìm chuỗi con: %, _ và \ trong giá trị là ký tự thường
+          const pattern = String(value).replace(/[\\%_]/g, '\\$&');
+          where.push(`${field} ILIKE ${addValue(`%${pattern}%`)} ESCAPE '\\'`);
+        } else if (operator === 'in') {
+          where.push(`${field} = ANY(${addValue((Array.isArray(value) ? value : String(value).split(',')).map(String))}::text[])`);
+        } else if (operator === 'exists') {
+          where.push(`${['false', false, '0', 0].includes(value) ? 'NOT ' : ''}f.properties ? ${keyParam}`);
+        } else if (OPERATORS[operator]) {
+          // So sánh số nếu giá trị là số, ngược lại so sánh chuỗi
+          const numeric = value !== '' && Number.isFinite(Number(value)) && operator !== 'eq' && operator !== 'ne';
+          where.push(numeric
+            ? `(CASE WHEN jsonb_typeof(f.properties->${keyParam}) = 'number' THEN (${field})::numeric END) ${OPERATORS[operator]} ${addValue(Number(value))}`
+            : `${field} ${OPERATORS[operator]} ${addValue(String(value))}`);
+        } else {
+          throw new QueryError(`Unsupported attribute operator: ${operator}`);
+        }
+      });
+    });
+  }
+
+  const page = Math.max(parseInt(params.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(params.limit) || 100, 1), MAX_LIMIT);
+
+  return { where, values, orderBy, distanceSelect, page, limit, nearest };
+};
+
+module.exports = { buildFeatureQuery, QueryError };
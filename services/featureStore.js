@@ -0,0 +1,107 @@
+/**
+ * Lưu trữ dataset (bảng shapefiles) và các feature con (bảng shapefile_features).
+ * Các hàm nhận client để chạy trong transaction của route gọi tới.
+ */
+const { recordCreated } = require('./versioning');
+const { ownerSql } = require('./auth');
+
+// Điều kiện feature thuộc dataset chưa bị xóa mềm (và người dùng user được đọc, nếu truyền vào)
+const activeFeatureSql = (alias = 'f', user = null) => (
+  `${alias}.shapefile_id IN (SELECT id FROM shapefiles WHERE deleted_at IS NULL AND ${ownerSql(user)})`
+);
+
+// Sửa geometry không hợp lệ; polygon chỉ giữ lại phần polygon sau khi sửa
+const makeValidSql = (column) => (
+  `CASE WHEN ST_IsValid(${column}) THEN ${column}
+        WHEN ST_Dimension(${column}) = 2 THEN ST_CollectionExtract(ST_MakeValid(${column}), 3)
+        ELSE ST_MakeValid(${column}) END`
+);
+
+/**
+ * Cập nhật geometry gộp, bbox và số feature của dataset từ bảng feature.
+ * geom gộp được dùng bởi fetch-image, process-image và export GEE.
+ */
+const refreshDatasetGeometry = async (client, shapefileId) => {
+  await client.query(
+    `UPDATE shapefiles s
+     SET geom = agg.geom,
+         bbox = ST_Envelope(agg.geom),
+         feature_count = agg.count,
+         updated_at = NOW()
+     FROM (
+       SELECT ST_Collect(d.geom) AS geom, COUNT(DISTINCT f.id) AS count
+       FROM shapefile_features f, LATERAL ST_Dump(f.geom) d
+       WHERE f.shapefile_id = $1
+     ) agg
+     WHERE s.id = $1`,
+    [shapefileId]
+  );
+};
+
+/**
+ * Liệt kê feature có geometry không hợp lệ; repair = true thì sửa bằng ST_MakeValid.
+ */
+const validateDataset = async (client, shapefileId, { repair = false } = {}) => {
+  const invalid = await client.query(
+    `SELECT id, feature_index, ST_IsValidReason(geom) AS reason
+     FROM shapefile_features
+     WHERE shapefile_id = $1 AND NOT ST_IsValid(geom)
+     ORDER BY feature_index`,
+    [shapefileId]
+  );
+
+  if (repair && invalid.rowCount > 0) {
+    await client.query(
+      `UPDATE shapefile_features
+       SET geom = repaired.geom, bbox = ST_Envelope(repaired.geom), updated_at = NOW()
+       FROM (
+         SELECT id, ${makeValidSql('geom')} AS geom
+         FROM shapefile_features
+         WHERE shapefile_id = $1 AND NOT ST_IsValid(geom)
+       ) repaired
+       WHERE shapefile_features.id = repaired.id`,
+      [shapefileId]
+    );
+  }
+
+  return {
+    invalidCount: invalid.rowCount,
+    repaired: repair && invalid.rowCount > 0,
+    invalid: invalid.rows.map(row => ({ featureId: row.id, index: row.feature_index, reason: row.reason }))
+  };
+};
+
+/**
+ * Tạo một dataset mới kèm toàn bộ feature GeoJSON.
+ * features: mảng GeoJSON Feature (geometry khác null) đã ở EPSG:4326.
+ * Trả về thêm báo cáo geometry không hợp lệ (sửa nếu repair = true). Ghi phiên bản đầu tiên của dataset,
+ * ownerId là người dùng sở hữu dataset.
+ */
+const createDataset = async (client, { name, metadata = null, features, repair = false, actor = null, ownerId = null }) => {
+  const dataset = await client.query(
+    'INSERT INTO shapefiles (name, metadata, owner_id) VALUES ($1, $2, $3) RETURNING id',
+    [name, metadata ? JSON.stringify(metadata) : null, ownerId]
+  );
+  const shapefileId = dataset.rows[0].id;
+
+  for (const [index, feature] of features.entries()) {
+    const geom = JSON.stringify(feature.geometry);
+    await client.query(
+      `INSERT INTO shapefile_features (shapefile_id, feature_index, geom, bbox, properties)
+       VALUES ($1, $2, ST_SetSRID(ST_GeomFromGeoJSON($3), 4326), ST_SetSRID(ST_Envelope(ST_GeomFromGeoJSON($3)), 4326), $4)`,
+      [
+        shapefileId,
+        index,
+        geom,
+        feature.properties ? JSON.stringify(feature.properties) : null
+      ]
+    );
+  }
+
+  const validation = await validateDataset(client, shapefileId, { repair });
+  await refreshDatasetGeometry(client, shapefileId);
+  await recordCreated(client, shapefileId, { actor });
+  return { id: shapefileId, count: features.length, validation };
+};
+
+module.exports = { createDataset, refreshDatasetGeometry, validateDataset, makeValidSql, activeFeatureSql };
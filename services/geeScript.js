@@ -0,0 +1,274 @@
+/**
+ * Sinh script Google Earth Engine cho /api/export/gee từ template cố định.
+ * Mọi giá trị chèn vào script đều đã được kiểm tra và đưa vào qua JSON.stringify.
+ * Chỉ số lấy biểu thức và style từ services/indices.json, band theo bảng của từng collection.
+ */
+const { INDICES, resolveStyle, parseExpression } = require('./indices');
+
+const GEE_COLLECTIONS = {
+  'sentinel-2': {
+    ids: ['COPERNICUS/S2_SR_HARMONIZED'],
+    cloudProperty: 'CLOUDY_PIXEL_PERCENTAGE',
+    bands: { blue: 'B2', green: 'B3', red: 'B4', nir: 'B8', swir1: 'B11', swir2: 'B12' },
+    scale: 0.0001,
+    offset: 0,
+    resolution: 10,
+    // SCL: bóng mây, mây trung bình, mây dày, mây ti
+    maskFunction: `function maskClouds(image) {
+  var scl = image.select('SCL');
+  var clear = scl.neq(3).and(scl.neq(8)).and(scl.neq(9)).and(scl.neq(10));
+  return image.updateMask(clear);
+}`
+  },
+  'landsat-8-9': {
+    ids: ['LANDSAT/LC08/C02/T1_L2', 'LANDSAT/LC09/C02/T1_L2'],
+    cloudProperty: 'CLOUD_COVER',
+    bands: { blue: 'SR_B2', green: 'SR_B3', red: 'SR_B4', nir: 'SR_B5', swir1: 'SR_B6', swir2: 'SR_B7' },
+    scale: 0.0000275,
+    offset: -0.2,
+    resolution: 30,
+    // QA_PIXEL: bit 3 mây, bit 4 bóng mây
+    maskFunction: `function maskClouds(image) {
+  var qa = image.select('QA_PIXEL');
+  var clear = qa.bitwiseAnd(1 << 3).eq(0).and(qa.bitwiseAnd(1 << 4).eq(0));
+  return image.updateMask(clear);
+}`
+  }
+};
+
+const DEFAULT_COLLECTION = 'sentinel-2';
+const COMPOSITES = ['median', 'mean', 'max', 'greenest'];
+const DEFAULT_DATE_FROM = '2023-01-01';
+const DEFAULT_DATE_TO = '2023-12-31';
+const DEFAULT_CLOUD_COVER = 20;
+const MAX_ZONAL_FEATURES = 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const FOLDER_PATTERN = /^[\w\- ]{1,100}$/;
+// Ký tự GEE cho phép trong tên task
+const DESCRIPTION_PATTERN = /^[\w.,:;-]{1,100}$/;
+
+class GeeScriptError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GeeScriptError';
+  }
+}
+
+const parseDate = (value, fallback, key) => {
+  const date = value === undefined || value === null || value === '' ? fallback : String(value);
+  // Date chấp nhận cả ngày tràn tháng (2023-02-30), so lại chuỗi ISO để loại
+  if (!DATE_PATTERN.test(date) || Number.isNaN(new Date(date).getTime())
+    || new Date(date).toISOString().slice(0, 10) !== date) {
+    throw new GeeScriptError(`${key} must be a date in YYYY-MM-DD form`);
+  }
+  return date;
+};
+
+const parseName = (value, key, pattern) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (!pattern.test(String(value))) {
+    throw new GeeScriptError(`${key} contains unsupported characters or is longer than 100 characters`);
+  }
+  return String(value);
+};
+
+/**
+ * Kiểm tra tham số request, trả về tham số đầy đủ (đã điền mặc định) để sinh script.
+ * export: true hoặc { folder, description } để thêm Export.image.toDrive.
+ */
+const parseGeeParams = (body) => {
+  const type = String(body.type || '').toLowerCase();
+  if (!INDICES[type]) {
+    throw new GeeScriptError(`type must be one of ${Object.keys(INDICES).join(', ')}`);
+  }
+
+  const collection = String(body.collection || DEFAULT_COLLECTION).toLowerCase();
+  const config = GEE_COLLECTIONS[collection];
+  if (!config) {
+    throw new GeeScriptError(`collection must be one of ${Object.keys(GEE_COLLECTIONS).join(', ')}`);
+  }
+  const missing = parseExpression(INDICES[type].expression).filter(band => !config.bands[band]);
+  if (missing.length > 0) {
+    throw new GeeScriptError(`Collection ${collection} has no band for: ${missing.join(', ')}`);
+  }
+
+  const dateFrom = parseDate(body.dateFrom, DEFAULT_DATE_FROM, 'dateFrom');
+  const dateTo = parseDate(body.dateTo, DEFAULT_DATE_TO, 'dateTo');
+  if (dateFrom > dateTo) {
+    throw new GeeScriptError('dateFrom must not be after dateTo');
+  }
+
+  const cloudCover = body.cloudCover === undefined || body.cloudCover === null
+    ? DEFAULT_CLOUD_COVER
+    : Number(body.cloudCover);
+  if (!(cloudCover >= 0 && cloudCover <= 100)) {
+    throw new GeeScriptError('cloudCover must be a percentage between 0 and 100');
+  }
+
+  const composite = String(body.composite || 'median').toLowerCase();
+  if (!COMPOSITES.includes(composite)) {
+    throw new GeeScriptError(`composite must be one of ${COMPOSITES.join(', ')}`);
+  }
+  if (composite === 'greenest' && (!config.bands.nir || !config.bands.red)) {
+    throw new GeeScriptError('composite greenest requires nir and red bands');
+  }
+
+  const scale = body.scale === undefined || body.scale === null ? config.resolution : Number(body.scale);
+  if (!Number.isFinite(scale) || scale < 1 || scale > 10000) {
+    throw new GeeScriptError('scale must be a number of metres between 1 and 10000');
+  }
+
+  let exportOptions = null;
+  if (body.export) {
+    const options = typeof body.export === 'object' ? body.export : {};
+    exportOptions = {
+      folder: parseName(options.folder, 'export.folder', FOLDER_PATTERN),
+      description: parseName(options.description, 'export.description', DESCRIPTION_PATTERN)
+        || `${type}_${dateFrom}_${dateTo}`
+    };
+  }
+
+  return {
+    type,
+    collection,
+    dateFrom,
+    dateTo,
+    cloudCover,
+    composite,
+    scale,
+    export: exportOptions,
+    zonalStats: [true, 'true', '1'].includes(body.zonalStats)
+  };
+};
+
+// Biểu thức chỉ số theo tên band thật của collection (để hiển thị)
+const collectionFormula = (type, config) => INDICES[type].expression
+  .replace(/[a-z_][a-z0-9_]*/g, band => config.bands[band] || band);
+
+/**
+ * Sinh script GEE. geometry là GeoJSON của shapefile; features (khi zonalStats) là
+ * [{ id, feature_index, geometry }] của các feature.
+ */
+const buildGeeScript = (params, { geometry, features = [] }) => {
+  const config = GEE_COLLECTIONS[params.collection];
+  const index = INDICES[params.type];
+  const bandName = params.type.toUpperCase();
+  const style = resolveStyle(params.type);
+  const [min, max] = style.type === 'classes'
+    ? [style.breaks[0], style.breaks[style.breaks.length - 1]]
+    : style.range;
+  const bands = Object.values(config.bands);
+  const variables = parseExpression(index.expression);
+
+  if (params.zonalStats && features.length > MAX_ZONAL_FEATURES) {
+    throw new GeeScriptError(`zonalStats supports at most ${MAX_ZONAL_FEATURES} features`);
+  }
+
+  const source = config.ids
+    .map(id => `ee.ImageCollection(${JSON.stringify(id)})`)
+    .reduce((merged, next) => `${merged}\n  .merge(${next})`);
+  const composite = {
+    median: 'collection.select(INDEX_BAND).median()',
+    mean: 'collection.select(INDEX_BAND).mean()',
+    max: 'collection.select(INDEX_BAND).max()',
+    greenest: 'collection.qualityMosaic(\'greenness\').select(INDEX_BAND)'
+  }[params.composite];
+
+  const lines = [
+    `// ${bandName} (${index.name}), ${params.collection} ${params.dateFrom} - ${params.dateTo}`,
+    `var INDEX_BAND = ${JSON.stringify(bandName)};`,
+    `var geometry = ee.Geometry(${JSON.stringify(geometry)});`,
+    '',
+    config.maskFunction,
+    '',
+    'function addIndex(image) {',
+    `  var reflectance = image.select(${JSON.stringify(bands)}).multiply(${config.scale}).add(${config.offset});`,
+    `  var index = reflectance.expression(${JSON.stringify(index.expression)}, {`,
+    variables.map(band => `    ${band}: reflectance.select(${JSON.stringify(config.bands[band])})`).join(',\n'),
+    '  }).rename(INDEX_BAND);',
+    ...(params.composite === 'greenest'
+      ? [`  var greenness = reflectance.normalizedDifference(${JSON.stringify([config.bands.nir, config.bands.red])}).rename('greenness');`,
+        '  return image.addBands(index).addBands(greenness);']
+      : ['  return image.addBands(index);']),
+    '}',
+    '',
+    `var collection = ${source}`,
+    '  .filterBounds(geometry)',
+    // filterDate không lấy ngày kết thúc, cộng thêm một ngày để dateTo được tính
+    `  .filterDate(${JSON.stringify(params.dateFrom)}, ee.Date(${JSON.stringify(params.dateTo)}).advance(1, 'day'))`,
+    `  .filter(ee.Filter.lte(${JSON.stringify(config.cloudProperty)}, ${params.cloudCover}))`,
+    '  .map(maskClouds)',
+    '  .map(addIndex);',
+    `var composite = ${composite}.clip(geometry);`,
+    '',
+    'print(\'Images in composite\', collection.size());',
+    'Map.centerObject(geometry, 10);',
+    'Map.addLayer(composite, {',
+    `  min: ${min},`,
+    `  max: ${max},`,
+    `  palette: ${JSON.stringify(style.palette)}`,
+    `}, ${JSON.stringify(`${bandName} (${params.composite})`)});`
+  ];
+
+  if (params.export) {
+    lines.push(
+      '',
+      'Export.image.toDrive({',
+      '  image: composite,',
+      `  description: ${JSON.stringify(params.export.description)},`,
+      ...(params.export.folder ? [`  folder: ${JSON.stringify(params.export.folder)},`] : []),
+      '  region: geometry,',
+      `  scale: ${params.scale},`,
+      '  maxPixels: 1e13',
+      '});'
+    );
+  }
+
+  if (params.zonalStats) {
+    const collectionJson = {
+      type: 'FeatureCollection',
+      features: features.map(feature => ({
+        type: 'Feature',
+        geometry: feature.geometry,
+        properties: { feature_id: feature.id, feature_index: feature.feature_index }
+      }))
+    };
+    lines.push(
+      '',
+      `var zones = ee.FeatureCollection(${JSON.stringify(collectionJson)});`,
+      'var zonalStats = composite.reduceRegions({',
+      '  collection: zones,',
+      '  reducer: ee.Reducer.mean()',
+      '    .combine(ee.Reducer.minMax(), \'\', true)',
+      '    .combine(ee.Reducer.stdDev(), \'\', true)',
+      '    .combine(ee.Reducer.count(), \'\', true),',
+      `  scale: ${params.scale}`,
+      '});',
+      'print(\'Zonal statistics\', zonalStats);',
+      ...(params.export
+        ? [
+          'Export.table.toDrive({',
+          '  collection: zonalStats,',
+          `  description: ${JSON.stringify(`${params.export.description}_zonal`)},`,
+          ...(params.export.folder ? [`  folder: ${JSON.stringify(params.export.folder)},`] : []),
+          '  fileFormat: \'CSV\'',
+          '});'
+        ]
+        : [])
+    );
+  }
+
+  return {
+    code: lines.join('\n'),
+    formula: collectionFormula(params.type, config),
+    collectionIds: config.ids
+  };
+};
+
+module.exports = {
+  GEE_COLLECTIONS,
+  COMPOSITES,
+  GeeScriptError,
+  parseGeeParams,
+  buildGeeScript
+};
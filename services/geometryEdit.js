@@ -0,0 +1,233 @@
+/**
+ * Sửa geometry của dataset qua API (PUT/PATCH /api/shapefile/:id/geometry) và tạo dataset
+ * một feature từ hình vẽ trên bản đồ (POST /api/shapefile).
+ * GeoJSON được kiểm tra cấu trúc, chiếu về EPSG:4326 theo thành viên "crs" rồi kiểm tra
+ * ST_IsValid trước khi ghi.
+ */
+const { readGeoJson } = require('./importers');
+const { ImportError } = require('./importers/errors');
+const { reprojectFeatures, CrsError } = require('./crs');
+
+const MAX_EDIT_FEATURES = 10000;
+
+class GeometryEditError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'GeometryEditError';
+    this.details = details;
+  }
+}
+
+/**
+ * Đọc GeoJSON gửi lên (FeatureCollection, Feature hoặc Geometry): kiểm tra cấu trúc và CRS,
+ * trả về { features, crs } với features đã ở EPSG:4326 (giữ id của Feature nếu có).
+ */
+const parseEditGeoJson = (body) => {
+  let data;
+  try {
+    data = readGeoJson(body);
+  } catch (error) {
+    if (error instanceof ImportError || error instanceof CrsError) {
+      throw new GeometryEditError(error.message, error.details);
+    }
+    throw error;
+  }
+
+  if (data.features.length === 0) {
+    throw new GeometryEditError('No features with geometry in request body');
+  }
+  if (data.features.length > MAX_EDIT_FEATURES) {
+    throw new GeometryEditError(`At most ${MAX_EDIT_FEATURES} features can be edited at once`);
+  }
+  try {
+    return { features: reprojectFeatures(data.features, data.crs), crs: data.crs };
+  } catch (error) {
+    if (error instanceof CrsError) throw new GeometryEditError(error.message);
+    throw error;
+  }
+};
+
+/**
+ * Kiểm tra ST_IsValid cho từng geometry. Trả về danh sách lỗi [{ index, featureId, reason }].
+ */
+const findInvalidGeometries = async (client, features) => {
+  const result = await client.query(
+    `SELECT input.ordinality - 1 AS index, ST_IsValidReason(g.geom) AS reason
+     FROM unnest($1::text[]) WITH ORDINALITY AS input(geojson),
+       LATERAL (SELECT ST_SetSRID(ST_GeomFromGeoJSON(input.geojson), 4326) AS geom) g
+     WHERE NOT ST_IsValid(g.geom)
+     ORDER BY input.ordinality`,
+    [features.map(feature => JSON.stringify(feature.geometry))]
+  );
+  return result.rows.map(row => ({
+    index: parseInt(row.index),
+    ...(features[row.index].id !== undefined && { featureId: features[row.index].id }),
+    reason: row.reason
+  }));
+};
+
+/**
+ * Chặn geometry không hợp lệ trừ khi repair = true (khi đó được sửa sau khi ghi).
+ */
+const assertValidGeometries = async (client, features, { repair = false } = {}) => {
+  const invalid = await findInvalidGeometries(client, features);
+  if (invalid.length > 0 && !repair) {
+    throw new GeometryEditError('Invalid geometry; fix it or send repair=true', {
+      invalid: invalid.slice(0, 100)
+    });
+  }
+  return invalid;
+};
+
+const GEOMETRY_SQL = (param) => `ST_SetSRID(ST_GeomFromGeoJSON(${param}), 4326)`;
+
+// Id feature gửi lên phải thuộc dataset đang sửa
+const assertOwnedFeatures = async (client, shapefileId, ids) => {
+  const owned = await client.query(
+    'SELECT id FROM shapefile_features WHERE shapefile_id = $1 AND id = ANY($2::int[])',
+    [shapefileId, ids]
+  );
+  const ownedIds = new Set(owned.rows.map(row => row.id));
+  const unknown = ids.filter(id => !ownedIds.has(id));
+  if (unknown.length > 0) {
+    throw new GeometryEditError(`Features do not belong to shapefile ${shapefileId}: ${unknown.slice(0, 20).join(', ')}`);
+  }
+};
+
+const toFeatureId = (value) => {
+  const id = Number(value);
+  if (!Number.isInteger(id)) {
+    throw new GeometryEditError('Feature id must be an integer');
+  }
+  return id;
+};
+
+/**
+ * PATCH: chỉ thay geometry của các feature được chỉ định (thuộc tính giữ nguyên).
+ * Feature không có id dùng featureId (tham số query), hoặc feature duy nhất của dataset.
+ * Trả về id các feature đã sửa.
+ */
+const updateFeatureGeometries = async (client, shapefileId, features, { featureId } = {}) => {
+  let edits = features;
+  if (features.some(feature => feature.id === undefined)) {
+    if (features.length > 1) {
+      throw new GeometryEditError('Each feature must have an id when editing several features');
+    }
+    let targetId = featureId;
+    if (targetId === undefined) {
+      const only = await client.query(
+        'SELECT id FROM shapefile_features WHERE shapefile_id = $1 LIMIT 2',
+        [shapefileId]
+      );
+      if (only.rowCount !== 1) {
+        throw new GeometryEditError('featureId is required when the shapefile has several features');
+      }
+      targetId = only.rows[0].id;
+    }
+    edits = [{ ...features[0], id: targetId }];
+  }
+
+  const ids = edits.map(feature => toFeatureId(feature.id));
+  if (new Set(ids).size !== ids.length) {
+    throw new GeometryEditError('Feature ids must be unique');
+  }
+  await assertOwnedFeatures(client, shapefileId, ids);
+
+  for (const [index, feature] of edits.entries()) {
+    await client.query(
+      `UPDATE shapefile_features
+       SET geom = ${GEOMETRY_SQL('$1')}, bbox = ST_Envelope(${GEOMETRY_SQL('$1')}), updated_at = NOW()
+       WHERE id = $2 AND shapefile_id = $3`,
+      [JSON.stringify(feature.geometry), ids[index], shapefileId]
+    );
+  }
+  return ids;
+};
+
+/**
+ * PUT: thay toàn bộ feature của dataset. Feature có id thuộc dataset được cập nhật tại chỗ
+ * (giữ thống kê theo feature), feature không id được thêm mới, feature không được gửi lên bị xóa.
+ * Trả về id các feature sau khi thay.
+ */
+const replaceFeatures = async (client, shapefileId, features) => {
+  const keptIds = features.filter(feature => feature.id !== undefined).map(feature => toFeatureId(feature.id));
+  if (new Set(keptIds).size !== keptIds.length) {
+    throw new GeometryEditError('Feature ids must be unique');
+  }
+  await assertOwnedFeatures(client, shapefileId, keptIds);
+
+  await client.query(
+    'DELETE FROM shapefile_features WHERE shapefile_id = $1 AND NOT (id = ANY($2::int[]))',
+    [shapefileId, keptIds]
+  );
+
+  const ids = [];
+  for (const [index, feature] of features.entries()) {
+    const values = [shapefileId, index, JSON.stringify(feature.geometry), JSON.stringify(feature.properties || {})];
+    const result = feature.id !== undefined
+      ? await client.query(
+        `UPDATE shapefile_features
+         SET feature_index = $2, geom = ${GEOMETRY_SQL('$3')}, bbox = ST_Envelope(${GEOMETRY_SQL('$3')}),
+             properties = $4, updated_at = NOW()
+         WHERE id = $5 AND shapefile_id = $1
+         RETURNING id`,
+        [...values, toFeatureId(feature.id)]
+      )
+      : await client.query(
+        `INSERT INTO shapefile_features (shapefile_id, feature_index, geom, bbox, properties)
+         VALUES ($1, $2, ${GEOMETRY_SQL('$3')}, ST_Envelope(${GEOMETRY_SQL('$3')}), $4)
+         RETURNING id`,
+        values
+      );
+    ids.push(result.rows[0].id);
+  }
+  return ids;
+};
+
+/**
+ * Diện tích (m², ha) và bbox của dataset cùng diện tích các feature vừa sửa
+ * (featureIds = null: mọi feature).
+ */
+const measureDataset = async (client, shapefileId, featureIds = null) => {
+  const dataset = await client.query(
+    `SELECT s.feature_count, s.updated_at,
+       ST_XMin(s.bbox) AS min_x, ST_YMin(s.bbox) AS min_y, ST_XMax(s.bbox) AS max_x, ST_YMax(s.bbox) AS max_y,
+       (SELECT COALESCE(SUM(ST_Area(f.geom::geography)), 0) FROM shapefile_features f WHERE f.shapefile_id = s.id) AS area_m2
+     FROM shapefiles s
+     WHERE s.id = $1`,
+    [shapefileId]
+  );
+  const features = await client.query(
+    `SELECT id, ST_GeometryType(geom) AS geometry_type, ST_Area(geom::geography) AS area_m2
+     FROM shapefile_features
+     WHERE shapefile_id = $1 AND ($2::int[] IS NULL OR id = ANY($2::int[]))
+     ORDER BY feature_index`,
+    [shapefileId, featureIds]
+  );
+
+  const row = dataset.rows[0];
+  const areaM2 = Number(row.area_m2);
+  return {
+    feature_count: row.feature_count,
+    bbox: row.min_x !== null ? [row.min_x, row.min_y, row.max_x, row.max_y] : null,
+    area_m2: areaM2,
+    area_ha: areaM2 / 10000,
+    updated_at: row.updated_at,
+    features: features.rows.map(feature => ({
+      id: feature.id,
+      geometry_type: feature.geometry_type.replace(/^ST_/, ''),
+      area_m2: feature.area_m2,
+      area_ha: feature.area_m2 / 10000
+    }))
+  };
+};
+
+module.exports = {
+  MAX_EDIT_FEATURES,
+  GeometryEditError,
+  parseEditGeoJson,
+  assertValidGeometries,
+  updateFeatureGeometries,
+  replaceFeatures,
+  measureDataset
+};
@@ -0,0 +1,190 @@
+/**
+ * Dựng câu SQL cho các phép toán hình học trên feature đã lưu hoặc geometry gửi kèm.
+ * Khoảng cách/dung sai tính bằng mét, diện tích bằng m² (geography trên ellipsoid WGS84).
+ */
+const { makeValidSql, activeFeatureSql } = require('./featureStore');
+
+const MAX_INPUT_FEATURES = 10000;
+
+class GeometryOpError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GeometryOpError';
+  }
+}
+
+// Múi UTM (WGS84) chứa tâm geometry, dùng khi cần thao tác theo mét trên hệ phẳng
+const utmSridSql = (column) => (
+  `(CASE WHEN ST_Y(ST_Centroid(${column})) >= 0 THEN 32600 ELSE 32700 END
+    + LEAST(60, FLOOR((ST_X(ST_Centroid(${column})) + 180) / 6)::int + 1))`
+);
+
+const parseIds = (value, label) => {
+  const ids = (Array.isArray(value) ? value : String(value).split(',')).map(id => parseInt(id));
+  if (ids.length === 0 || ids.some(id => !Number.isInteger(id))) {
+    throw new GeometryOpError(`${label} must be one or more integer ids`);
+  }
+  return ids;
+};
+
+const parseNumber = (value, label, { min = -Infinity } = {}) => {
+  const number = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(number) || number < min) {
+    throw new GeometryOpError(`${label} must be a number${min > -Infinity ? ` >= ${min}` : ''}`);
+  }
+  return number;
+};
+
+// geometry có thể là Geometry, Feature hoặc FeatureCollection GeoJSON (EPSG:4326)
+const parseInlineFeatures = (value) => {
+  let geojson = value;
+  if (typeof value === 'string') {
+    try {
+      geojson = JSON.parse(value);
+    } catch (error) {
+      throw new GeometryOpError('geometry must be GeoJSON');
+    }
+  }
+  const features = geojson?.type === 'FeatureCollection'
+    ? geojson.features || []
+    : [geojson?.type === 'Feature' ? geojson : { type: 'Feature', geometry: geojson, properties: null }];
+  if (features.length === 0 || features.some(feature => !feature?.geometry?.type)) {
+    throw new GeometryOpError('geometry must be GeoJSON');
+  }
+  return features.map(feature => ({ geometry: feature.geometry, properties: feature.properties || null }));
+};
+
+const OPERATIONS = {
+  buffer: (params, addValue) => {
+    const distance = parseNumber(params.distance, 'distance');
+    const segments = params.segments === undefined ? 8 : parseNumber(params.segments, 'segments', { min: 1 });
+    return `SELECT feature_id, shapefile_id, properties,
+              ST_Buffer(geom::geography, ${addValue(distance)}, ${addValue(`quad_segs=${Math.round(segments)}`)})::geometry AS geom,
+              NULL::jsonb AS info
+            FROM input`;
+  },
+
+  simplify: (params, addValue) => {
+    const tolerance = parseNumber(params.tolerance, 'tolerance', { min: 0 });
+    return `SELECT feature_id, shapefile_id, properties,
+              ST_Transform(ST_SimplifyPreserveTopology(ST_Transform(geom, ${utmSridSql('geom')}), ${addValue(tolerance)}), 4326) AS geom,
+              jsonb_build_object('vertices_before', ST_NPoints(geom)) AS info
+            FROM input`;
+  },
+
+  union: (params, addValue) => {
+    const geom = `ST_UnaryUnion(ST_Collect(${makeValidSql('geom')}))`;
+    if (params.dissolveBy === undefined) {
+      return `SELECT NULL::int AS feature_id, NULL::int AS shapefile_id,
+                jsonb_build_object('source_count', COUNT(*)) AS properties,
+                ${geom} AS geom, NULL::jsonb AS info
+              FROM input`;
+    }
+    if (typeof params.dissolveBy !== 'string' || params.dissolveBy === '') {
+      throw new GeometryOpError('dissolveBy must be an attribute name');
+    }
+    const key = `${addValue(params.dissolveBy)}::text`;
+    return `SELECT NULL::int AS feature_id, NULL::int AS shapefile_id,
+              jsonb_build_object(${key}, properties->${key}, 'source_count', COUNT(*)) AS properties,
+              ${geom} AS geom, NULL::jsonb AS info
+            FROM input
+            GROUP BY properties->${key}`;
+  },
+
+  'make-valid': () => (
+    `SELECT feature_id, shapefile_id, properties,
+       ${makeValidSql('geom')} AS geom,
+       jsonb_build_object(
+         'was_valid', ST_IsValid(geom),
+         'reason', CASE WHEN NOT ST_IsValid(geom) THEN ST_IsValidReason(geom) END
+       ) AS info
+     FROM input`
+  ),
+
+  centroid: (params) => {
+    const pointOnSurface = [true, 'true', '1'].includes(params.pointOnSurface);
+    return `SELECT feature_id, shapefile_id, properties,
+              ${pointOnSurface ? 'ST_PointOnSurface' : 'ST_Centroid'}(geom) AS geom,
+              NULL::jsonb AS info
+            FROM input`;
+  },
+
+  measure: () => (
+    `SELECT feature_id, shapefile_id, properties, NULL::geometry AS geom,
+       jsonb_build_object(
+         'area_m2', ST_Area(geom::geography),
+         'area_ha', ST_Area(geom::geography) / 10000,
+         'perimeter_m', ST_Perimeter(geom::geography),
+         'length_m', ST_Length(geom::geography)
+       ) AS info
+     FROM input`
+  )
+};
+
+// measure chỉ trả về số đo, không tạo geometry để lưu
+const SAVABLE_OPERATIONS = ['buffer', 'simplify', 'union', 'make-valid', 'centroid'];
+
+/**
+ * Trả về { sql, values } cho phép toán operation.
+ * Nguồn: shapefileIds (cả dataset), featureIds và/hoặc geometry GeoJSON gửi kèm;
+ * feature đã lưu chỉ lấy từ các dataset user được đọc.
+ */
+const buildGeometryOperation = (operation, params, { user = null } = {}) => {
+  if (!OPERATIONS[operation]) {
+    throw new GeometryOpError(`Unsupported operation: ${operation}. Expected one of ${Object.keys(OPERATIONS).join(', ')}`);
+  }
+
+  const values = [];
+  const addValue = (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+
+  const sources = [];
+  const stored = [];
+  if (params.shapefileIds !== undefined) {
+    stored.push(`f.shapefile_id = ANY(${addValue(parseIds(params.shapefileIds, 'shapefileIds'))}::int[])`);
+  }
+  if (params.featureIds !== undefined) {
+    stored.push(`f.id = ANY(${addValue(parseIds(params.featureIds, 'featureIds'))}::int[])`);
+  }
+  if (stored.length > 0) {
+    sources.push(
+      `SELECT f.id AS feature_id, f.shapefile_id, f.properties, f.geom
+       FROM shapefile_features f
+       WHERE (${stored.join(' OR ')}) AND ${activeFeatureSql('f', user)}`
+    );
+  }
+  if (params.geometry !== undefined) {
+    sources.push(
+      `SELECT NULL::int AS feature_id, NULL::int AS shapefile_id,
+         NULLIF(e->'properties', 'null'::jsonb) AS properties,
+         ST_SetSRID(ST_GeomFromGeoJSON(e->>'geometry'), 4326) AS geom
+       FROM jsonb_array_elements(${addValue(JSON.stringify(parseInlineFeatures(params.geometry)))}::jsonb) e`
+    );
+  }
+  if (sources.length === 0) {
+    throw new GeometryOpError('Provide shapefileIds, featureIds or geometry');
+  }
+
+  const operationSql = OPERATIONS[operation](params, addValue);
+  const sql = `WITH input AS (
+      SELECT * FROM (${sources.join(' UNION ALL ')}) sources
+      LIMIT ${MAX_INPUT_FEATURES + 1}
+    ),
+    result AS (${operationSql})
+    SELECT feature_id, shapefile_id, properties, ST_AsGeoJSON(geom) AS geometry, info,
+      (SELECT COUNT(*) FROM input) AS input_count
+    FROM result
+    ${operation === 'measure' ? '' : 'WHERE geom IS NOT NULL AND NOT ST_IsEmpty(geom)'}
+    ORDER BY shapefile_id, feature_id`;
+
+  return { sql, values };
+};
+
+module.exports = {
+  buildGeometryOperation,
+  GeometryOpError,
+  SAVABLE_OPERATIONS,
+  MAX_INPUT_FEATURES
+};
@@ -0,0 +1,9 @@
+class ImportError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'ImportError';
+    this.details = details;
+  }
+}
+
+module.exports = { ImportError };
@@ -0,0 +1,146 @@
+const { resolveEpsg, assumeWgs84 } = require('../crs');
+const { ImportError } = require('./errors');
+
+const GEOMETRY_TYPES = [
+  'Point', 'MultiPoint', 'LineString', 'MultiLineString',
+  'Polygon', 'MultiPolygon', 'GeometryCollection'
+];
+
+// Độ sâu mảng tọa độ theo loại geometry (0 = một vị trí)
+const POSITION_DEPTH = {
+  Point: 0,
+  MultiPoint: 1,
+  LineString: 1,
+  MultiLineString: 2,
+  Polygon: 2,
+  MultiPolygon: 3
+};
+
+const isPosition = (value) => (
+  Array.isArray(value) && value.length >= 2 && value.length <= 4 && value.every(Number.isFinite)
+);
+
+const checkPositions = (coordinates, depth, fail) => {
+  if (depth === 0) {
+    if (!isPosition(coordinates)) fail('coordinates must be [x, y] number pairs');
+    return;
+  }
+  if (!Array.isArray(coordinates)) fail('coordinates have the wrong nesting');
+  coordinates.forEach(child => checkPositions(child, depth - 1, fail));
+};
+
+const samePosition = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+const checkRings = (rings, fail) => {
+  if (rings.length === 0) fail('polygon has no rings');
+  rings.forEach(ring => {
+    if (ring.length < 4) fail('polygon rings need at least 4 positions');
+    if (!samePosition(ring[0], ring[ring.length - 1])) fail('polygon rings must be closed');
+  });
+};
+
+// Kiểm tra lồng mảng tọa độ, số điểm và vòng khép kín để dữ liệu hỏng được báo lỗi
+// trước khi tới ST_GeomFromGeoJSON
+const checkGeometryStructure = (geometry, label) => {
+  const fail = (message) => {
+    throw new ImportError(`${label}: ${message}`);
+  };
+
+  if (geometry.type === 'GeometryCollection') {
+    if (!Array.isArray(geometry.geometries) || geometry.geometries.length === 0) {
+      fail('GeometryCollection has no geometries');
+    }
+    geometry.geometries.forEach(child => checkGeometryStructure(child, label));
+    return;
+  }
+
+  const depth = POSITION_DEPTH[geometry.type];
+  if (depth === undefined) fail(`unsupported geometry type ${geometry.type}`);
+  checkPositions(geometry.coordinates, depth, fail);
+  if (depth > 0 && geometry.coordinates.length === 0) fail(`${geometry.type} is empty`);
+
+  switch (geometry.type) {
+    case 'LineString':
+      if (geometry.coordinates.length < 2) fail('LineString needs at least 2 positions');
+      break;
+    case 'MultiLineString':
+      if (geometry.coordinates.some(line => line.length < 2)) fail('LineString needs at least 2 positions');
+      break;
+    case 'Polygon':
+      checkRings(geometry.coordinates, fail);
+      break;
+    case 'MultiPolygon':
+      geometry.coordinates.forEach(polygon => checkRings(polygon, fail));
+      break;
+    default:
+      break;
+  }
+};
+
+// Chuẩn hóa FeatureCollection / Feature / Geometry thành mảng Feature
+const toFeatures = (geojson) => {
+  switch (geojson?.type) {
+    case 'FeatureCollection':
+      if (!Array.isArray(geojson.features)) {
+        throw new ImportError('FeatureCollection has no features array');
+      }
+      return geojson.features;
+    case 'Feature':
+      return [geojson];
+    default:
+      if (GEOMETRY_TYPES.includes(geojson?.type)) {
+        return [{ type: 'Feature', geometry: geojson, properties: {} }];
+      }
+      throw new ImportError(`Invalid GeoJSON type: ${geojson?.type}`);
+  }
+};
+
+// GeoJSON chuẩn RFC 7946 luôn là WGS84; hỗ trợ thêm thành viên "crs" kiểu cũ
+const crsFromMember = (crsMember, features) => {
+  const name = crsMember?.properties?.name;
+  if (!name || /CRS84$/i.test(name)) {
+    return assumeWgs84(features);
+  }
+
+  const code = name.match(/EPSG:{1,2}(\d+)$/i);
+  if (!code) {
+    throw new ImportError(`Unsupported GeoJSON crs: ${name}`);
+  }
+  return resolveEpsg(code[1]);
+};
+
+/**
+ * Đọc GeoJSON từ chuỗi hoặc object đã parse (body của request).
+ */
+const readGeoJson = (input) => {
+  let geojson = input;
+  if (typeof input === 'string' || Buffer.isBuffer(input)) {
+    try {
+      geojson = JSON.parse(input.toString('utf8').replace(/^\uFEFF/, ''));
+    } catch (error) {
+      throw new ImportError(`Invalid GeoJSON: ${error.message}`);
+    }
+  }
+
+  const features = toFeatures(geojson)
+    .filter(feature => feature?.geometry)
+    .map(feature => ({
+      type: 'Feature',
+      ...(feature.id !== undefined && feature.id !== null && { id: feature.id }),
+      geometry: feature.geometry,
+      properties: feature.properties || {}
+    }));
+
+  const invalid = features.find(feature => !GEOMETRY_TYPES.includes(feature.geometry.type));
+  if (invalid) {
+    throw new ImportError(`Invalid geometry type: ${invalid.geometry.type}`);
+  }
+  features.forEach((feature, index) => checkGeometryStructure(
+    feature.geometry,
+    `Feature ${feature.id ?? index}`
+  ));
+
+  return { format: 'geojson', features, crs: crsFromMember(geojson.crs, features) };
+};
+
+module.exports = { readGeoJson };
@@ -0,0 +1,115 @@
+const Database = require('better-sqlite3');
+const wkx = require('wkx');
+const { resolveCrs, resolveEpsg, assumeWgs84, CrsError } = require('../crs');
+const { ImportError } = require('./errors');
+
+// Kích thước envelope theo chỉ số trong byte flags của GeoPackageBinary
+const ENVELOPE_SIZES = [0, 32, 48, 48, 64];
+
+const quoteIdentifier = (name) => `"${name.replace(/"/g, '""')}"`;
+
+const openDatabase = (file) => {
+  try {
+    return new Database(file.path, { readonly: true, fileMustExist: true });
+  } catch (error) {
+    throw new ImportError(`Invalid GeoPackage: ${error.message}`);
+  }
+};
+
+/**
+ * Giải mã GeoPackageBinary: header "GP", flags, srs_id, envelope rồi tới WKB.
+ */
+const parseGeometry = (blob) => {
+  if (!blob || blob[0] !== 0x47 || blob[1] !== 0x50) {
+    throw new ImportError('Invalid GeoPackage geometry blob');
+  }
+
+  const flags = blob[3];
+  const envelopeSize = ENVELOPE_SIZES[(flags >> 1) & 0x07];
+  if (envelopeSize === undefined) {
+    throw new ImportError('Invalid GeoPackage geometry envelope');
+  }
+  if ((flags >> 4) & 0x01) {
+    return null; // geometry rỗng
+  }
+
+  return wkx.Geometry.parse(blob.subarray(8 + envelopeSize)).toGeoJSON();
+};
+
+const crsFromSrs = (srs, features) => {
+  if (!srs || srs.srs_id <= 0) {
+    return assumeWgs84(features);
+  }
+  if (srs.organization?.toUpperCase() === 'EPSG') {
+    try {
+      return resolveEpsg(srs.organization_coordsys_id);
+    } catch (error) {
+      if (!(error instanceof CrsError) || !srs.definition) throw error;
+    }
+  }
+  return resolveCrs(srs.definition);
+};
+
+/**
+ * Danh sách lớp feature trong GeoPackage.
+ */
+const listLayers = (file) => {
+  const db = openDatabase(file);
+  try {
+    return db.prepare(
+      `SELECT table_name FROM gpkg_contents
+       WHERE data_type = 'features'
+       ORDER BY table_name`
+    ).all().map(row => row.table_name);
+  } catch (error) {
+    throw new ImportError(`Invalid GeoPackage: ${error.message}`);
+  } finally {
+    db.close();
+  }
+};
+
+/**
+ * Đọc toàn bộ feature của một lớp trong GeoPackage.
+ */
+const readGeoPackageLayer = (file, tableName) => {
+  const db = openDatabase(file);
+  try {
+    const column = db.prepare(
+      'SELECT column_name, srs_id FROM gpkg_geometry_columns WHERE table_name = ?'
+    ).get(tableName);
+    if (!column) {
+      throw new ImportError(`GeoPackage layer not found: ${tableName}`);
+    }
+
+    const srs = db.prepare(
+      `SELECT srs_id, organization, organization_coordsys_id, definition
+       FROM gpkg_spatial_ref_sys WHERE srs_id = ?`
+    ).get(column.srs_id);
+    const primaryKey = db.prepare(`PRAGMA table_info(${quoteIdentifier(tableName)})`)
+      .all()
+      .find(info => info.pk === 1)?.name;
+
+    const features = [];
+    for (const row of db.prepare(`SELECT * FROM ${quoteIdentifier(tableName)}`).iterate()) {
+      const geometry = parseGeometry(row[column.column_name]);
+      if (!geometry) continue;
+
+      const properties = {};
+      Object.entries(row).forEach(([key, value]) => {
+        if (key !== column.column_name && key !== primaryKey && !Buffer.isBuffer(value)) {
+          properties[key] = value;
+        }
+      });
+      features.push({ type: 'Feature', geometry, properties });
+    }
+
+    return { format: 'geopackage', features, crs: crsFromSrs(srs, features) };
+  } catch (error) {
+    if (error instanceof ImportError || error instanceof CrsError) throw error;
+    throw new ImportError(`Failed to read GeoPackage layer ${tableName}: ${error.message}`);
+  } finally {
+    db.close();
+  }
+};
+
+module.exports = { listLayers, readGeoPackageLayer };
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { readShapefile } = require('./shapefile');
+const { readGeoJson } = require('./geojson');
+const { readKml } = require('./kml');
+const { listLayers, readGeoPackageLayer } = require('./geopackage');
+const { ImportError } = require('./errors');
+
+const SHAPEFILE_EXTENSIONS = ['.shp', '.shx', '.dbf', '.prj', '.cpg'];
+const SUPPORTED_EXTENSIONS = [...SHAPEFILE_EXTENSIONS, '.zip', '.geojson', '.json', '.kml', '.kmz', '.gpkg'];
+const MAX_EXTRACTED_SIZE = 200 * 1024 * 1024;
+
+const extensionOf = (file) => path.extname(file.originalname).toLowerCase();
+
+// Giải nén zip/kmz vào thư mục tạm; tên file ghi ra đĩa không lấy từ archive
+const extractArchive = (file, workDir) => {
+  let entries;
+  try {
+    entries = new AdmZip(file.path).getEntries().filter(entry => (
+      !entry.isDirectory
+      && !entry.entryName.startsWith('__MACOSX/')
+      && !path.basename(entry.entryName).startsWith('.')
+    ));
+  } catch (error) {
+    throw new ImportError(`Invalid archive ${file.originalname}: ${error.message}`);
+  }
+
+  const totalSize = entries.reduce((sum, entry) => sum + entry.header.size, 0);
+  if (totalSize > MAX_EXTRACTED_SIZE) {
+    throw new ImportError(`Archive ${file.originalname} is too large when extracted (max 200MB)`);
+  }
+
+  return entries.map((entry, index) => {
+    const target = path.join(workDir, `${path.basename(file.path)}_${index}${path.extname(entry.entryName).toLowerCase()}`);
+    fs.writeFileSync(target, entry.getData());
+    return { path: target, originalname: entry.entryName };
+  });
+};
+
+// Mỗi layer là một nguồn dữ liệu có thể đọc độc lập
+const collectLayers = (files) => {
+  const layers = [];
+
+  const shapefileGroups = {};
+  files.filter(file => SHAPEFILE_EXTENSIONS.includes(extensionOf(file))).forEach(file => {
+    const key = file.originalname.slice(0, -path.extname(file.originalname).length).toLowerCase();
+    shapefileGroups[key] = { ...shapefileGroups[key], [extensionOf(file).slice(1)]: file };
+  });
+  Object.values(shapefileGroups)
+    .filter(group => group.shp)
+    .forEach(group => layers.push({
+      name: path.basename(group.shp.originalname),
+      read: () => readShapefile(group)
+    }));
+
+  files.forEach(file => {
+    const extension = extensionOf(file);
+    if (extension === '.geojson' || extension === '.json') {
+      layers.push({ name: path.basename(file.originalname), read: () => readGeoJson(fs.readFileSync(file.path)) });
+    } else if (extension === '.kml') {
+      layers.push({ name: path.basename(file.originalname), read: () => readKml(file) });
+    } else if (extension === '.gpkg') {
+      listLayers(file).forEach(table => layers.push({
+        name: table,
+        read: () => readGeoPackageLayer(file, table)
+      }));
+    }
+  });
+
+  return layers;
+};
+
+/**
+ * Đọc dữ liệu vector từ các file upload (shapefile rời, zip, GeoJSON, KML/KMZ, GeoPackage).
+ * Trả về { name, format, features, crs } với features chưa chiếu lại.
+ * Nếu có nhiều layer thì phải chọn bằng tham số layer.
+ */
+const readUploadedFiles = async (files, { layer } = {}) => {
+  const unsupported = files.find(file => !SUPPORTED_EXTENSIONS.includes(extensionOf(file)));
+  if (unsupported) {
+    throw new ImportError(`Unsupported file type: ${extensionOf(unsupported) || unsupported.originalname}`);
+  }
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'satgeo-import-'));
+  try {
+    let expanded = [];
+    files.forEach(file => {
+      const extension = extensionOf(file);
+      if (extension === '.zip' || extension === '.kmz') {
+        const extracted = extractArchive(file, workDir);
+        // KMZ chứa doc.kml cùng ảnh/biểu tượng, chỉ giữ file KML
+        expanded.push(...(extension === '.kmz' ? extracted.filter(entry => extensionOf(entry) === '.kml') : extracted));
+      } else {
+        expanded.push(file);
+      }
+    });
+    expanded = expanded.filter(file => SUPPORTED_EXTENSIONS.includes(extensionOf(file)) && extensionOf(file) !== '.zip');
+
+    const layers = collectLayers(expanded);
+    if (layers.length === 0) {
+      throw new ImportError('No supported vector data found. Upload .shp/.shx/.dbf(.prj/.cpg), .zip, .geojson, .kml, .kmz or .gpkg');
+    }
+
+    let selected = layers[0];
+    if (layer) {
+      selected = layers.find(candidate => candidate.name.toLowerCase() === String(layer).toLowerCase());
+      if (!selected) {
+        throw new ImportError(`Layer not found: ${layer}`, { layers: layers.map(candidate => candidate.name) });
+      }
+    } else if (layers.length > 1) {
+      throw new ImportError('Upload contains several layers, choose one with the layer parameter', {
+        layers: layers.map(candidate => candidate.name)
+      });
+    }
+
+    const data = await selected.read();
+    if (data.features.length === 0) {
+      throw new ImportError(`No valid features found in ${selected.name}`);
+    }
+    return { name: selected.name, ...data };
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+};
+
+module.exports = {
+  SUPPORTED_EXTENSIONS,
+  ImportError,
+  readUploadedFiles,
+  readGeoJson
+};
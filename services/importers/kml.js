@@ -0,0 +1,27 @@
+const fs = require('fs');
+const { DOMParser } = require('@xmldom/xmldom');
+const { kml } = require('@tmcw/togeojson');
+const { assumeWgs84 } = require('../crs');
+const { ImportError } = require('./errors');
+
+/**
+ * Đọc file KML (KMZ được giải nén trước ở importers/index.js).
+ * KML luôn dùng kinh/vĩ độ WGS84.
+ */
+const readKml = (file) => {
+  const text = fs.readFileSync(file.path, 'utf8');
+  let document;
+  try {
+    document = new DOMParser({ onError: () => {} }).parseFromString(text, 'text/xml');
+  } catch (error) {
+    throw new ImportError(`Invalid KML: ${error.message}`);
+  }
+  if (!document?.documentElement) {
+    throw new ImportError('Invalid KML: empty document');
+  }
+
+  const features = kml(document).features.filter(feature => feature.geometry);
+  return { format: 'kml', features, crs: assumeWgs84(features) };
+};
+
+module.exports = { readKml };
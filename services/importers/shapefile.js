@@ -0,0 +1,54 @@
+const fs = require('fs');
+const shapefile = require('shapefile');
+const { resolveCrs, assumeWgs84 } = require('../crs');
+const { ImportError } = require('./errors');
+
+// Nội dung .cpg -> tên encoding cho TextDecoder (1258 là bảng mã tiếng Việt của Windows)
+const CPG_ENCODINGS = {
+  'utf-8': 'utf-8',
+  'utf8': 'utf-8',
+  '65001': 'utf-8',
+  'ansi 1258': 'windows-1258',
+  'ansi 1252': 'windows-1252',
+  'iso-8859-1': 'iso-8859-1'
+};
+
+const encodingFromCpg = (text) => {
+  const value = text.trim().toLowerCase();
+  const encoding = CPG_ENCODINGS[value] || (/^\d+$/.test(value) ? `windows-${value}` : value);
+  try {
+    new TextDecoder(encoding);
+    return encoding;
+  } catch (error) {
+    throw new ImportError(`Unsupported DBF encoding in .cpg: ${text.trim()}`);
+  }
+};
+
+/**
+ * Đọc một shapefile từ các file thành phần { shp, dbf, prj, cpg }.
+ */
+const readShapefile = async ({ shp, dbf, prj, cpg }) => {
+  if (!dbf) {
+    throw new ImportError(`Missing .dbf file for ${shp.originalname}`);
+  }
+
+  const encoding = cpg ? encodingFromCpg(fs.readFileSync(cpg.path, 'utf8')) : undefined;
+  const features = [];
+  try {
+    const source = await shapefile.open(shp.path, dbf.path, encoding ? { encoding } : undefined);
+    let result;
+    while ((result = await source.read()) && !result.done) {
+      if (result.value.geometry) {
+        features.push(result.value);
+      }
+    }
+  } catch (error) {
+    // .shp/.dbf hỏng hoặc bị cắt cụt
+    throw new ImportError(`Invalid shapefile ${shp.originalname}: ${error.message}`);
+  }
+
+  const crs = prj ? resolveCrs(fs.readFileSync(prj.path, 'utf8')) : assumeWgs84(features);
+  return { format: 'shapefile', features, crs, encoding: encoding || null };
+};
+
+module.exports = { readShapefile };
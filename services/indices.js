@@ -0,0 +1,246 @@
+/**
+ * Danh mục chỉ số phổ và bảng band của từng cảm biến, dùng chung với process_satellite.py
+ * (cả hai cùng đọc services/indices.json).
+ * Biểu thức band-math chỉ gồm số, tên band (nir, red...) hoặc b<N>, + - * / và ngoặc.
+ * Style preview: ramp (dải màu nội suy trên range cố định) hoặc classes (màu theo ngưỡng breaks).
+ */
+const registry = require('./indices.json');
+
+const SENSORS = registry.sensors;
+const INDICES = registry.indices;
+const DEFAULT_SENSOR = registry.defaultSensor;
+const STYLES = registry.styles;
+const MAX_EXPRESSION_LENGTH = 500;
+const MAX_PALETTE_COLORS = 32;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+class SpectralIndexError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SpectralIndexError';
+  }
+}
+
+const tokenize = (expression) => {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d+)?(?:e[+-]?\d+)?|\.\d+)|([a-z_][a-z0-9_]*)|([-+*/()]))\s*/y;
+  let position = 0;
+  while (position < expression.length) {
+    pattern.lastIndex = position;
+    const match = pattern.exec(expression);
+    if (!match) {
+      throw new SpectralIndexError(`Invalid character in expression at position ${position}`);
+    }
+    if (match[1]) tokens.push({ type: 'number', value: match[1] });
+    else if (match[2]) tokens.push({ type: 'band', value: match[2] });
+    else tokens.push({ type: 'op', value: match[3] });
+    position = pattern.lastIndex;
+  }
+  return tokens;
+};
+
+/**
+ * Kiểm tra cú pháp biểu thức, trả về danh sách tên band được dùng.
+ */
+const parseExpression = (expression) => {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new SpectralIndexError('expression must be a non-empty string');
+  }
+  if (expression.length > MAX_EXPRESSION_LENGTH) {
+    throw new SpectralIndexError(`expression must be at most ${MAX_EXPRESSION_LENGTH} characters`);
+  }
+
+  const tokens = tokenize(expression.toLowerCase());
+  const bands = new Set();
+  let position = 0;
+  const peek = () => tokens[position];
+  const expect = (value) => {
+    if (peek()?.value !== value) {
+      throw new SpectralIndexError(`Expected "${value}" in expression`);
+    }
+    position++;
+  };
+
+  // expr := term (('+'|'-') term)*, term := unary (('*'|'/') unary)*
+  const parsePrimary = () => {
+    const token = tokens[position++];
+    if (!token) throw new SpectralIndexError('Unexpected end of expression');
+    if (token.type === 'number') return;
+    if (token.type === 'band') {
+      bands.add(token.value);
+      return;
+    }
+    if (token.value === '(') {
+      parseSum();
+      expect(')');
+      return;
+    }
+    throw new SpectralIndexError(`Unexpected "${token.value}" in expression`);
+  };
+  const parseUnary = () => {
+    if (peek()?.value === '-' || peek()?.value === '+') {
+      position++;
+      return parseUnary();
+    }
+    return parsePrimary();
+  };
+  const parseProduct = () => {
+    parseUnary();
+    while (peek()?.value === '*' || peek()?.value === '/') {
+      position++;
+      parseUnary();
+    }
+  };
+  const parseSum = () => {
+    parseProduct();
+    while (peek()?.value === '+' || peek()?.value === '-') {
+      position++;
+      parseProduct();
+    }
+  };
+
+  parseSum();
+  if (position < tokens.length) {
+    throw new SpectralIndexError(`Unexpected "${tokens[position].value}" in expression`);
+  }
+  return [...bands];
+};
+
+// Band cảm biến không có: tên vai trò chưa khai báo hoặc b<N> vượt số band
+const missingBands = (bands, sensor) => {
+  const bandCount = Math.max(...Object.values(sensor.bands));
+  return bands.filter(band => {
+    const raw = band.match(/^b(\d+)$/);
+    return raw ? parseInt(raw[1]) < 1 || parseInt(raw[1]) > bandCount : !(band in sensor.bands);
+  });
+};
+
+/**
+ * Xác định chỉ số cần tính từ { type, expression, sensor }.
+ * type là mã chỉ số trong danh mục, hoặc 'custom' kèm expression.
+ * Trả về { type, expression, sensor, bands } để lưu vào job.
+ */
+const resolveIndex = ({ type, expression, sensor = DEFAULT_SENSOR }) => {
+  const sensorId = String(sensor).toLowerCase();
+  if (!SENSORS[sensorId]) {
+    throw new SpectralIndexError(`sensor must be one of ${Object.keys(SENSORS).join(', ')}`);
+  }
+
+  const indexType = type ? String(type).toLowerCase() : (expression ? 'custom' : null);
+  if (!indexType) {
+    throw new SpectralIndexError('Missing type or expression');
+  }
+  if (indexType !== 'custom' && !INDICES[indexType]) {
+    throw new SpectralIndexError(`Type must be one of ${[...Object.keys(INDICES), 'custom'].join(', ')}`);
+  }
+  if (indexType === 'custom' && !expression) {
+    throw new SpectralIndexError('type custom requires an expression');
+  }
+
+  const formula = indexType === 'custom' ? expression : INDICES[indexType].expression;
+  const bands = parseExpression(formula);
+  const missing = missingBands(bands, SENSORS[sensorId]);
+  if (missing.length > 0) {
+    throw new SpectralIndexError(
+      `Sensor ${sensorId} has no band for: ${missing.join(', ')}. Available bands: ${Object.keys(SENSORS[sensorId].bands).join(', ')}`
+    );
+  }
+
+  return {
+    type: indexType,
+    expression: indexType === 'custom' ? formula.toLowerCase() : null,
+    sensor: sensorId,
+    bands
+  };
+};
+
+const isAscending = (values) => values.every((value, i) => i === 0 || value > values[i - 1]);
+
+// Nhãn mặc định cho các lớp: "< b0", "b0 - b1", ..., ">= bn"
+const classLabels = (breaks) => [
+  `< ${breaks[0]}`,
+  ...breaks.slice(1).map((value, i) => `${breaks[i]} - ${value}`),
+  `>= ${breaks[breaks.length - 1]}`
+];
+
+/**
+ * Style tô màu preview: style gửi kèm request (đã kiểm tra), style của chỉ số trong danh mục,
+ * hoặc style 'default'. key có thể là mã chỉ số hoặc tên style trong registry (vd. 'change').
+ */
+const resolveStyle = (key, override) => {
+  if (override === undefined || override === null) {
+    return INDICES[key]?.style || STYLES[key] || STYLES.default;
+  }
+  if (typeof override !== 'object' || Array.isArray(override)) {
+    throw new SpectralIndexError('style must be an object');
+  }
+
+  const { type = override.breaks ? 'classes' : 'ramp', palette, range, breaks, labels } = override;
+  if (!['ramp', 'classes'].includes(type)) {
+    throw new SpectralIndexError('style.type must be one of ramp, classes');
+  }
+  if (!Array.isArray(palette) || palette.length < 2 || palette.length > MAX_PALETTE_COLORS
+    || !palette.every(color => COLOR_PATTERN.test(color))) {
+    throw new SpectralIndexError(`style.palette must be 2-${MAX_PALETTE_COLORS} colours in #RRGGBB form`);
+  }
+
+  if (type === 'ramp') {
+    if (!Array.isArray(range) || range.length !== 2 || !range.every(Number.isFinite) || range[0] >= range[1]) {
+      throw new SpectralIndexError('style.range must be [min, max] with min < max');
+    }
+    return { type, range, palette };
+  }
+
+  if (!Array.isArray(breaks) || !breaks.every(Number.isFinite) || !isAscending(breaks)) {
+    throw new SpectralIndexError('style.breaks must be an ascending array of numbers');
+  }
+  if (palette.length !== breaks.length + 1) {
+    throw new SpectralIndexError('style.palette must have one more colour than style.breaks');
+  }
+  if (labels !== undefined && (!Array.isArray(labels) || labels.length !== palette.length
+    || !labels.every(label => typeof label === 'string'))) {
+    throw new SpectralIndexError('style.labels must be one string per palette colour');
+  }
+  return { type, breaks, palette, labels: labels || classLabels(breaks) };
+};
+
+/**
+ * Chú giải dạng JSON khớp với ảnh legend do Python vẽ từ cùng style.
+ */
+const buildLegend = (style, title) => {
+  if (style.type === 'classes') {
+    return {
+      title,
+      type: 'classes',
+      items: style.palette.map((color, i) => ({
+        color,
+        label: style.labels[i],
+        min: i > 0 ? style.breaks[i - 1] : null,
+        max: i < style.breaks.length ? style.breaks[i] : null
+      }))
+    };
+  }
+  const [min, max] = style.range;
+  return {
+    title,
+    type: 'ramp',
+    min,
+    max,
+    stops: style.palette.map((color, i) => ({
+      value: Number((min + (max - min) * i / (style.palette.length - 1)).toFixed(6)),
+      color
+    }))
+  };
+};
+
+module.exports = {
+  SENSORS,
+  INDICES,
+  STYLES,
+  DEFAULT_SENSOR,
+  SpectralIndexError,
+  parseExpression,
+  resolveIndex,
+  resolveStyle,
+  buildLegend
+};
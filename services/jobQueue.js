@@ -0,0 +1,300 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../config/logger');
+const pool = require('../db');
+
+// Số job xử lý đồng thời tối đa trên một instance
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+
+const FINISHED_STATUSES = ['done', 'failed', 'cancelled'];
+// Job đang chờ (wait) được kiểm tra lại định kỳ, kể cả job của instance khác/trước khi khởi động lại
+const WAIT_CHECK_INTERVAL = 15000;
+// Job đang chạy cập nhật updated_at mỗi HEARTBEAT_INTERVAL; quá LEASE_TIMEOUT không cập nhật
+// thì coi instance chạy nó đã dừng và đưa job lại vào hàng đợi
+const HEARTBEAT_INTERVAL = 30000;
+const LEASE_TIMEOUT = 120000;
+
+const handlers = {};
+const running = new Map(); // jobId -> AbortController
+let started = false;
+let draining = false;
+let drainAgain = false;
+
+class JobCancelledError extends Error {
+  constructor(jobId) {
+    super(`Job ${jobId} was cancelled`);
+    this.name = 'JobCancelledError';
+  }
+}
+
+// Kết quả handler trả về khi cần chờ dịch vụ ngoài: nhả slot xử lý, chạy lại sau delay ms
+class JobWait {
+  constructor(delay, { params = null, progress = null } = {}) {
+    this.delay = delay;
+    this.params = params;
+    this.progress = progress;
+  }
+}
+
+/**
+ * Đăng ký hàm xử lý cho một loại job.
+ * handler(job, { signal, update, wait }) trả về kết quả lưu vào cột result, hoặc
+ * wait(delay, { params, progress }) để chạy lại handler sau delay ms mà không giữ slot xử lý;
+ * params được gộp vào job.params (ví dụ id đơn hàng) cho lần chạy sau.
+ */
+const registerHandler = (type, handler, { initialStatus = 'processing' } = {}) => {
+  handlers[type] = { handler, initialStatus };
+};
+
+const createJob = async (type, params, { ownerId = null } = {}) => {
+  if (!handlers[type]) {
+    throw new Error(`No handler registered for job type: ${type}`);
+  }
+
+  const result = await pool.query(
+    `INSERT INTO jobs (id, type, params, owner_id)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [uuidv4(), type, params, ownerId]
+  );
+  setImmediate(drain);
+  return result.rows[0];
+};
+
+const getJob = async (id) => {
+  const result = await pool.query('SELECT * FROM jobs WHERE id = $1', [id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Cập nhật trạng thái/tiến độ; params được gộp vào job.params (giữ lại nếu server khởi động lại).
+ * Nếu job đã bị hủy (kể cả từ instance khác) thì ném JobCancelledError để handler dừng lại.
+ */
+const updateJob = async (id, { status, progress, params }) => {
+  const result = await pool.query(
+    `UPDATE jobs
+     SET status = COALESCE($2, status),
+         progress = COALESCE($3, progress),
+         params = params || COALESCE($4::jsonb, '{}'::jsonb),
+         updated_at = NOW()
+     WHERE id = $1 AND status <> 'cancelled'`,
+    [id, status || null, progress ?? null, params || null]
+  );
+  if (result.rowCount === 0) {
+    running.get(id)?.abort();
+    throw new JobCancelledError(id);
+  }
+};
+
+/**
+ * Kết thúc job. Lỗi mang mã HTTP (status) như PythonScriptError, ProviderError được lưu kèm
+ * code và details để API trả về đúng mã lỗi thay vì chỉ một thông báo.
+ */
+const finishJob = async (id, { status, result = null, error = null }) => {
+  const typed = error && Number.isInteger(error.status);
+  await pool.query(
+    `UPDATE jobs
+     SET status = $2,
+         progress = CASE WHEN $2 = 'done' THEN 100 ELSE progress END,
+         result = $3,
+         error = $4,
+         error_code = $5,
+         error_status = $6,
+         error_details = $7,
+         finished_at = NOW(),
+         updated_at = NOW()
+     WHERE id = $1 AND status <> 'cancelled'`,
+    [
+      id, status, result, error ? error.message : null,
+      typed && typeof error.code === 'string' ? error.code : null,
+      typed ? error.status : null,
+      typed && error.details !== undefined ? JSON.stringify(error.details) : null
+    ]
+  );
+};
+
+// Đặt lịch chạy lại job sau delay ms; trạng thái giữ nguyên để client thấy job vẫn đang chờ
+const deferJob = async (id, { delay, params, progress }) => {
+  await pool.query(
+    `UPDATE jobs
+     SET run_after = NOW() + make_interval(secs => $2::double precision / 1000),
+         params = params || COALESCE($3::jsonb, '{}'::jsonb),
+         progress = COALESCE($4, progress),
+         updated_at = NOW()
+     WHERE id = $1 AND status <> ALL($5)`,
+    [id, delay, params, progress, FINISHED_STATUSES]
+  );
+};
+
+/**
+ * Hủy job: job đang chờ chuyển sang cancelled, job đang chạy bị abort.
+ * Trả về null nếu không tìm thấy, job hiện tại nếu job đã kết thúc trước đó.
+ */
+const cancelJob = async (id) => {
+  const result = await pool.query(
+    `UPDATE jobs
+     SET status = 'cancelled', finished_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status <> ALL($2)
+     RETURNING *`,
+    [id, FINISHED_STATUSES]
+  );
+  if (result.rows[0]) {
+    running.get(id)?.abort();
+    return { cancelled: true, job: result.rows[0] };
+  }
+
+  const job = await getJob(id);
+  return job ? { cancelled: false, job } : null;
+};
+
+// Lấy job cũ nhất đang chờ (queued hoặc đã tới lúc chạy lại), khóa dòng để nhiều instance không lấy trùng
+const claimNextJob = async () => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const types = Object.keys(handlers);
+    const next = await client.query(
+      `SELECT id, type FROM jobs
+       WHERE type = ANY($1)
+         AND (status = 'queued' OR (run_after <= NOW() AND status <> ALL($2)))
+       ORDER BY created_at
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED`,
+      [types, FINISHED_STATUSES]
+    );
+    if (!next.rows[0]) {
+      await client.query('COMMIT');
+      return null;
+    }
+
+    const { id, type } = next.rows[0];
+    const claimed = await client.query(
+      `UPDATE jobs
+       SET status = $2, started_at = COALESCE(started_at, NOW()), run_after = NULL, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id, handlers[type].initialStatus]
+    );
+    await client.query('COMMIT');
+    return claimed.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const heartbeat = (id) => pool.query(
+  `UPDATE jobs SET updated_at = NOW() WHERE id = $1 AND status <> ALL($2)`,
+  [id, FINISHED_STATUSES]
+).catch(error => logger.warn(`[${id}] Job heartbeat failed`, { error: error.message }));
+
+const runJob = async (job) => {
+  const controller = new AbortController();
+  running.set(job.id, controller);
+  const timer = setInterval(() => heartbeat(job.id), HEARTBEAT_INTERVAL);
+  timer.unref();
+  logger.info(`[${job.id}] Job started`, { type: job.type });
+
+  try {
+    const result = await handlers[job.type].handler(job, {
+      signal: controller.signal,
+      update: (fields) => updateJob(job.id, fields),
+      wait: (delay, options) => new JobWait(delay, options)
+    });
+    if (result instanceof JobWait) {
+      await deferJob(job.id, result);
+      logger.info(`[${job.id}] Job waiting ${Math.round(result.delay / 1000)}s`);
+      setTimeout(drain, result.delay).unref();
+      return;
+    }
+    await finishJob(job.id, { status: 'done', result });
+    logger.info(`[${job.id}] Job finished`);
+  } catch (error) {
+    if (controller.signal.aborted || error instanceof JobCancelledError) {
+      logger.info(`[${job.id}] Job cancelled`);
+    } else {
+      logger.error(`[${job.id}] Job failed`, { error: error.message, code: error.code });
+      await finishJob(job.id, { status: 'failed', error });
+    }
+  } finally {
+    clearInterval(timer);
+    running.delete(job.id);
+  }
+};
+
+const drain = async () => {
+  if (!started) return;
+  if (draining) {
+    drainAgain = true;
+    return;
+  }
+
+  draining = true;
+  try {
+    while (running.size < JOB_CONCURRENCY) {
+      const job = await claimNextJob();
+      if (!job) break;
+      runJob(job)
+        .catch(error => logger.error(`[${job.id}] Job bookkeeping failed`, { error: error.message }))
+        .finally(() => setImmediate(drain));
+    }
+  } catch (error) {
+    logger.error('Failed to claim job', { error: error.message });
+  } finally {
+    draining = false;
+  }
+
+  if (drainAgain) {
+    drainAgain = false;
+    setImmediate(drain);
+  }
+};
+
+/**
+ * Đưa lại vào hàng đợi job bị gián đoạn (instance chạy nó dừng giữa chừng): job đang chạy mà
+ * quá LEASE_TIMEOUT không có heartbeat. Job của instance khác còn sống và job đang chờ
+ * (run_after) giữ nguyên.
+ */
+const requeueStaleJobs = async () => {
+  const requeued = await pool.query(
+    `UPDATE jobs
+     SET status = 'queued', progress = 0, started_at = NULL, updated_at = NOW()
+     WHERE status <> ALL($1) AND status <> 'queued' AND run_after IS NULL
+       AND updated_at < NOW() - make_interval(secs => $2::double precision / 1000)`,
+    [FINISHED_STATUSES, LEASE_TIMEOUT]
+  );
+  if (requeued.rowCount > 0) {
+    logger.warn(`Requeued ${requeued.rowCount} interrupted jobs`);
+  }
+};
+
+const checkJobs = async () => {
+  try {
+    await requeueStaleJobs();
+  } catch (error) {
+    logger.error('Failed to requeue interrupted jobs', { error: error.message });
+  }
+  drain();
+};
+
+/**
+ * Khởi động worker pool sau khi bảng đã sẵn sàng.
+ */
+const start = async () => {
+  await requeueStaleJobs();
+
+  started = true;
+  logger.info(`Job queue started with concurrency ${JOB_CONCURRENCY}`);
+  drain();
+  setInterval(checkJobs, WAIT_CHECK_INTERVAL).unref();
+};
+
+module.exports = {
+  registerHandler,
+  createJob,
+  getJob,
+  cancelJob,
+  start,
+  JobCancelledError
+};
@@ -0,0 +1,221 @@
+/**
+ * Ghép nhiều scene phủ một shapefile (process-image với scenes).
+ * Node chọn/kiểm tra scene và tải về; process_satellite.py chiếu các scene về cùng lưới,
+ * ghép theo phương pháp đã chọn rồi cắt theo shapefile trước khi tính chỉ số.
+ */
+const logger = require('../config/logger');
+const pool = require('../db');
+const { ProviderError } = require('./providers/errors');
+
+// first-valid: scene đầu tiên có pixel quang; least-cloudy: như first-valid nhưng xếp scene ít mây trước;
+// median: trung vị từng band của các scene có pixel quang
+const MOSAIC_METHODS = ['first-valid', 'least-cloudy', 'median'];
+const DEFAULT_MOSAIC_METHOD = 'first-valid';
+const MAX_MOSAIC_SCENES = parseInt(process.env.MAX_MOSAIC_SCENES) || 10;
+// Chọn tự động: số ảnh tìm được xét tối đa, dừng khi phủ đủ, bỏ scene thêm vào ít hơn MIN_GAIN %
+const CANDIDATE_LIMIT = 50;
+const TARGET_COVERAGE = 99.5;
+const MIN_GAIN = 0.5;
+
+// Hình dạng để tính độ phủ: phần polygon đã sửa lỗi và gộp của shapefile
+const SHAPE_SQL = `ST_UnaryUnion(ST_CollectionExtract(ST_MakeValid(s.geom), 3))`;
+
+class MosaicError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MosaicError';
+  }
+}
+
+// Provider tải được scene theo itemId của kết quả tìm ảnh; Planet cần kích hoạt asset trước
+const AUTO_SELECT_PROVIDERS = ['stac', 'local'];
+
+// Kiểm tra trước khi tìm ảnh để scenes: "auto" không tìm kiếm rồi mới báo lỗi
+const checkAutoSelect = (provider) => {
+  if (!AUTO_SELECT_PROVIDERS.includes(provider.name)) {
+    throw new MosaicError(
+      `scenes: "auto" is not supported for provider ${provider.name}: activate the scenes first ` +
+      '(/api/satellite/planet/activate) and list them in scenes'
+    );
+  }
+};
+
+/**
+ * Phần trăm diện tích shapefile nằm trong từng footprint. Trả về mảng cùng thứ tự footprints.
+ */
+const footprintOverlaps = async (shapefileId, footprints) => {
+  if (footprints.length === 0) return [];
+  const result = await pool.query(
+    `WITH shape AS (
+       SELECT ${SHAPE_SQL} AS geom, s.geom AS raw FROM shapefiles s WHERE s.id = $1 AND s.deleted_at IS NULL
+     )
+     SELECT e.ordinality - 1 AS index,
+       CASE WHEN ST_Area(shape.geom::geography) > 0
+         THEN ROUND((ST_Area(ST_Intersection(shape.geom, fp.geom)::geography)
+              / ST_Area(shape.geom::geography) * 100)::numeric, 2)
+         WHEN ST_Intersects(shape.raw, fp.geom) THEN 100
+         ELSE 0 END AS overlap
+     FROM shape,
+       jsonb_array_elements($2::jsonb) WITH ORDINALITY e(footprint, ordinality),
+       LATERAL (SELECT ST_MakeValid(ST_SetSRID(ST_GeomFromGeoJSON(e.footprint::text), 4326)) AS geom) fp`,
+    [shapefileId, JSON.stringify(footprints)]
+  );
+  const overlaps = new Array(footprints.length).fill(null);
+  result.rows.forEach(row => { overlaps[parseInt(row.index)] = Number(row.overlap); });
+  return overlaps;
+};
+
+/**
+ * Phần trăm shapefile được phủ khi thêm từng ứng viên vào các footprint đã chọn.
+ */
+const coverageWith = async (shapefileId, selected, candidates) => {
+  const result = await pool.query(
+    `WITH shape AS (
+       SELECT ${SHAPE_SQL} AS geom, s.geom AS raw FROM shapefiles s WHERE s.id = $1 AND s.deleted_at IS NULL
+     ),
+     covered AS (
+       SELECT COALESCE(ST_Union(geom), ST_GeomFromText('GEOMETRYCOLLECTION EMPTY', 4326)) AS geom
+       FROM (
+         SELECT ST_MakeValid(ST_SetSRID(ST_GeomFromGeoJSON(f.footprint::text), 4326)) AS geom
+         FROM jsonb_array_elements($2::jsonb) f(footprint)
+       ) selected
+     )
+     SELECT e.ordinality - 1 AS index,
+       CASE WHEN ST_Area(shape.geom::geography) > 0
+         THEN ROUND((ST_Area(ST_Intersection(shape.geom, ST_Union(covered.geom, fp.geom))::geography)
+              / ST_Area(shape.geom::geography) * 100)::numeric, 2)
+         WHEN ST_Intersects(shape.raw, ST_Union(covered.geom, fp.geom)) THEN 100
+         ELSE 0 END AS covered
+     FROM shape, covered,
+       jsonb_array_elements($3::jsonb) WITH ORDINALITY e(footprint, ordinality),
+       LATERAL (SELECT ST_MakeValid(ST_SetSRID(ST_GeomFromGeoJSON(e.footprint::text), 4326)) AS geom) fp`,
+    [shapefileId, JSON.stringify(selected), JSON.stringify(candidates)]
+  );
+  const covered = new Array(candidates.length).fill(0);
+  result.rows.forEach(row => { covered[parseInt(row.index)] = Number(row.covered); });
+  return covered;
+};
+
+const readCloudCover = (value, label) => {
+  if (value === undefined || value === null) return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || number > 1) {
+    throw new MosaicError(`${label} must be between 0 and 1`);
+  }
+  return number;
+};
+
+/**
+ * Kiểm tra danh sách scene gửi lên: mỗi scene là tham số tải ảnh của provider
+ * (như process-image một ảnh) kèm sceneId, acquired, cloudCover (0-1) tùy chọn.
+ */
+const validateScenes = (provider, scenes) => {
+  if (!Array.isArray(scenes) || scenes.length < 2 || scenes.length > MAX_MOSAIC_SCENES) {
+    throw new MosaicError(`scenes must be an array of 2 to ${MAX_MOSAIC_SCENES} scenes, or "auto"`);
+  }
+  return scenes.map((scene, index) => {
+    if (typeof scene !== 'object' || scene === null) {
+      throw new MosaicError(`scenes[${index}] must be an object`);
+    }
+    let source;
+    try {
+      source = provider.validateDownload(scene);
+    } catch (error) {
+      if (!(error instanceof ProviderError)) throw error;
+      throw new MosaicError(`scenes[${index}]: ${error.message}`);
+    }
+    if (scene.acquired !== undefined && scene.acquired !== null && Number.isNaN(new Date(scene.acquired).getTime())) {
+      throw new MosaicError(`scenes[${index}].acquired must be an ISO 8601 date`);
+    }
+    const cloudCover = readCloudCover(scene.cloudCover, `scenes[${index}].cloudCover`);
+    const sceneId = scene.sceneId || scene.itemId || null;
+    return {
+      ...source,
+      ...(sceneId && { sceneId: String(sceneId) }),
+      ...(scene.acquired && { acquired: new Date(scene.acquired).toISOString() }),
+      ...(cloudCover !== null && { cloudCover })
+    };
+  });
+};
+
+/**
+ * Chọn scene tự động từ kết quả tìm ảnh (như fetch-image): mỗi lượt lấy ứng viên phủ thêm nhiều
+ * diện tích shapefile nhất, ưu tiên ít mây (phần phủ thêm x (1 - cloudCover)), tới khi phủ đủ
+ * hoặc đủ MAX_MOSAIC_SCENES. Provider phải tải được scene theo itemId (stac, local).
+ * Trả về { scenes, coverage, candidates }.
+ */
+const selectScenes = async (provider, search, shapefileId) => {
+  checkAutoSelect(provider);
+  const shape = await pool.query(
+    `SELECT ST_AsGeoJSON(s.bbox) AS bbox, ST_AsGeoJSON(${SHAPE_SQL}) AS geometry
+     FROM shapefiles s WHERE s.id = $1 AND s.deleted_at IS NULL`,
+    [shapefileId]
+  );
+  const geometry = shape.rows[0]?.geometry && JSON.parse(shape.rows[0].geometry);
+  const bboxGeoJSON = shape.rows[0]?.bbox && JSON.parse(shape.rows[0].bbox);
+  if (!bboxGeoJSON?.coordinates?.[0]) {
+    throw new MosaicError('Invalid bounding box in shapefile');
+  }
+  if (search.geometryMode === 'exact' && !geometry?.coordinates?.length) {
+    throw new MosaicError('geometry=exact requires polygon features, use geometry=bbox');
+  }
+
+  const found = await provider.search({ ...search, limit: Math.min(search.limit, CANDIDATE_LIMIT) }, {
+    geometry,
+    bbox: { type: 'Polygon', coordinates: [bboxGeoJSON.coordinates[0]] }
+  });
+  const overlaps = await footprintOverlaps(shapefileId, found.items.map(item => item.footprint));
+  let candidates = found.items
+    .map((item, index) => ({ item, overlap: overlaps[index] }))
+    .filter(candidate => candidate.item.footprint && candidate.overlap > 0)
+    .slice(0, CANDIDATE_LIMIT);
+  if (candidates.length === 0) {
+    throw new MosaicError(`No ${provider.name} scene found over the shapefile`);
+  }
+
+  const selected = [];
+  let coverage = 0;
+  while (selected.length < MAX_MOSAIC_SCENES && candidates.length > 0 && coverage < TARGET_COVERAGE) {
+    const covered = await coverageWith(
+      shapefileId,
+      selected.map(({ item }) => item.footprint),
+      candidates.map(({ item }) => item.footprint)
+    );
+    const scored = candidates.map((candidate, index) => ({
+      index,
+      covered: covered[index],
+      score: (covered[index] - coverage) * (1 - (candidate.item.cloudCover ?? 0.5))
+    })).filter(({ covered: total }) => total - coverage >= MIN_GAIN);
+    if (scored.length === 0) break;
+
+    const best = scored.reduce((a, b) => (b.score > a.score ? b : a));
+    selected.push({ ...candidates[best.index], gain: Math.round((best.covered - coverage) * 100) / 100 });
+    coverage = best.covered;
+    candidates = candidates.filter((candidate, index) => index !== best.index);
+  }
+
+  const scenes = selected.map(({ item, overlap, gain }) => {
+    const source = provider.validateDownload({ itemId: item.id, collection: item.itemType });
+    return {
+      ...source,
+      sceneId: String(item.id),
+      ...(item.acquired && { acquired: new Date(item.acquired).toISOString() }),
+      ...(typeof item.cloudCover === 'number' && { cloudCover: item.cloudCover }),
+      overlapPercent: overlap,
+      gainPercent: gain
+    };
+  });
+  logger.info(`Selected ${scenes.length} scenes for mosaic`, { shapefileId, coverage, candidates: found.items.length });
+  return { scenes, coverage, candidates: found.items.length };
+};
+
+module.exports = {
+  MOSAIC_METHODS,
+  DEFAULT_MOSAIC_METHOD,
+  MAX_MOSAIC_SCENES,
+  MosaicError,
+  checkAutoSelect,
+  footprintOverlaps,
+  validateScenes,
+  selectScenes
+};
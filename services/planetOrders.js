@@ -0,0 +1,145 @@
+/**
+ * Lấy ảnh Planet cho process-image không cần thao tác tay:
+ * - 'planet-activate': kích hoạt asset của item (ảnh + UDM2) qua Data API
+ * - 'planet-order': đặt hàng qua Orders API, cắt theo geometry của shapefile
+ * Job không giữ slot xử lý khi chờ Planet: mỗi lần chạy hỏi trạng thái một lần rồi hẹn chạy lại
+ * sau PLANET_POLL_INTERVAL. Id đơn hàng lưu trong job.params nên khởi động lại không đặt hàng lần nữa.
+ * Khi tải được thì xếp job process-image với link vừa có (nếu có tham số xử lý).
+ */
+const logger = require('../config/logger');
+const pool = require('../db');
+const jobQueue = require('./jobQueue');
+const planet = require('./providers/planet');
+const { ProviderError } = require('./providers/errors');
+
+// Hẹn hỏi lại Planet; tiến độ tăng theo thời gian chờ (10-90%), quá PLANET_WAIT_TIMEOUT thì job lỗi
+const waitForPlanet = (job, wait, what) => {
+  const waitingSince = job.params.waitingSince || new Date().toISOString();
+  const elapsed = Date.now() - new Date(waitingSince).getTime();
+  if (elapsed >= planet.WAIT_TIMEOUT) {
+    throw new ProviderError(`Timed out waiting for ${what}`, { status: 504 });
+  }
+  return wait(planet.POLL_INTERVAL, {
+    params: { waitingSince },
+    progress: Math.min(90, 10 + Math.floor(80 * elapsed / planet.WAIT_TIMEOUT))
+  });
+};
+
+// Xếp job process-image với nguồn ảnh vừa có; params.process là tham số xử lý đã kiểm tra ở route
+const queueProcessing = async (job, source) => {
+  const { process: options, itemId } = job.params;
+  if (!options) return {};
+  const processJob = await jobQueue.createJob('process-image', {
+    provider: 'planet',
+    ...planet.validateDownload(source),
+    ...options,
+    sceneId: itemId,
+    ...(!options.acquired && source.acquired && { acquired: source.acquired })
+  }, { ownerId: job.owner_id });
+  logger.info(`[${job.id}] Queued process-image job ${processJob.id}`);
+  return { processJobId: processJob.id, processStatusUrl: `/api/jobs/${processJob.id}` };
+};
+
+/**
+ * Handler cho job 'planet-activate'.
+ */
+const planetActivateJob = async (job, { signal, wait }) => {
+  const { itemType, itemId, assetType, maskAssetType } = job.params;
+  const assets = await planet.checkAssets({
+    itemType,
+    itemId,
+    assetTypes: [assetType, maskAssetType].filter(Boolean),
+    optional: [maskAssetType]
+  }, { signal });
+  if (!assets) {
+    return waitForPlanet(job, wait, `activation of ${itemId}`);
+  }
+
+  const warnings = [];
+  if (maskAssetType && !assets[maskAssetType]) {
+    warnings.push(`Item has no ${maskAssetType} asset, clouds will not be masked`);
+  }
+  logger.info(`[${job.id}] Planet assets active: ${itemId}`, { assets: Object.keys(assets) });
+
+  const item = await planet.getItem(itemType, itemId, { signal });
+  const source = {
+    imageUrl: assets[assetType].location,
+    maskUrl: assets[maskAssetType]?.location,
+    checksum: assets[assetType].md5,
+    acquired: item.properties?.acquired || null
+  };
+  return {
+    itemId,
+    itemType,
+    assets,
+    ...(warnings.length > 0 && { warnings }),
+    ...(await queueProcessing(job, source))
+  };
+};
+
+/**
+ * Handler cho job 'planet-order'. Lần chạy đầu đặt hàng và lưu orderId (cùng ngày chụp) vào
+ * job.params; các lần sau chỉ hỏi trạng thái đơn hàng đó.
+ */
+const planetOrderJob = async (job, { signal, update, wait }) => {
+  const { itemType, itemId, productBundle, shapefileId } = job.params;
+  let { orderId, acquired } = job.params;
+
+  if (!orderId) {
+    const shape = await pool.query(
+      `SELECT ST_AsGeoJSON(ST_UnaryUnion(ST_CollectionExtract(ST_MakeValid(geom), 3))) AS geometry
+       FROM shapefiles WHERE id = $1 AND deleted_at IS NULL`,
+      [shapefileId]
+    );
+    if (!shape.rows[0]) {
+      throw new Error(`Shapefile not found: ${shapefileId}`);
+    }
+    const geometry = JSON.parse(shape.rows[0].geometry);
+    if (!geometry?.coordinates?.length) {
+      throw new ProviderError('Shapefile has no polygon geometry to clip the order with');
+    }
+
+    const item = await planet.getItem(itemType, itemId, { signal });
+    const order = await planet.placeOrder({
+      itemType,
+      itemId,
+      productBundle,
+      geometry,
+      name: `satgeo_${job.id}`
+    }, { signal });
+    orderId = order.id;
+    acquired = item.properties?.acquired || null;
+    // Lưu ngay để job chạy lại (sau khi server khởi động lại) không đặt đơn thứ hai
+    await update({ progress: 10, params: { orderId, acquired } });
+    logger.info(`[${job.id}] Planet order placed: ${orderId}`, { itemId, productBundle });
+  }
+
+  const results = await planet.checkOrder(orderId, { signal });
+  if (!results) {
+    return waitForPlanet(job, wait, `order ${orderId}`);
+  }
+  const { image, mask } = planet.pickOrderFiles(results);
+  if (!image) {
+    throw new ProviderError(`Planet order ${orderId} has no image file`, {
+      status: 502,
+      details: { files: results.map(result => result.name) }
+    });
+  }
+  logger.info(`[${job.id}] Planet order ready: ${orderId}`, { files: results.length });
+
+  const source = {
+    imageUrl: image.location,
+    maskUrl: mask?.location,
+    acquired
+  };
+  return {
+    orderId,
+    itemId,
+    itemType,
+    files: results.map(({ name, location }) => ({ name, location })),
+    ...(!mask && { warnings: ['Order has no UDM2 file, clouds will not be masked'] }),
+    ...(await queueProcessing(job, source))
+  };
+};
+
+module.exports = { planetActivateJob, planetOrderJob };
@@ -0,0 +1,240 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../config/logger');
+const pool = require('../db');
+const { getProvider } = require('./providers');
+const { loadZones, saveZonalStats } = require('./zonalStats');
+const { runPythonScript, removeOutputs } = require('./pythonScript');
+const { resolveStyle, buildLegend } = require('./indices');
+const { storeOutputs, discardProducts, productUrl, tileJsonUrl } = require('./products');
+const { DEFAULT_MOSAIC_METHOD } = require('./mosaic');
+
+// Thư mục làm việc của job (ảnh tải về, file tạm); kết quả được chuyển vào kho sản phẩm
+const DATA_DIR = path.join(__dirname, '../data');
+
+// Ngưỡng % diện tích shapefile không mây/nodata; dưới ngưỡng thì cảnh báo (warn) hoặc làm job lỗi (fail)
+const MIN_CLEAR_PERCENT = process.env.MIN_CLEAR_PERCENT ? Number(process.env.MIN_CLEAR_PERCENT) : null;
+const CLOUD_POLICY = process.env.CLOUD_POLICY || 'warn';
+const CLOUD_POLICIES = ['warn', 'fail'];
+
+// Link tải các sản phẩm đã lưu (cần API key); bounds dạng [[south, west], [north, east]] cho Leaflet imageOverlay
+const describeOutputs = (products, bounds) => ({
+  geotiffUrl: productUrl(products.geotiff.id),
+  previewUrl: productUrl(products.preview.id),
+  legendUrl: products.legend ? productUrl(products.legend.id) : null,
+  worldFileUrl: products.worldfile ? productUrl(products.worldfile.id) : null,
+  tileJsonUrl: tileJsonUrl(products.geotiff.id),
+  bounds,
+  products: Object.fromEntries(Object.entries(products).map(([kind, product]) => [kind, product.id]))
+});
+
+/**
+ * Handler cho job 'process-image': tải ảnh (kèm mặt nạ mây nếu provider có), chạy process_satellite.py,
+ * lưu GeoTIFF, preview và chú giải vào kho sản phẩm. params.scenes (mosaic) thay cho một ảnh:
+ * các scene được ghép theo params.mosaic rồi mới cắt theo shapefile.
+ */
+const processImageJob = async (job, { signal, update }) => {
+  const {
+    type, shapefileId, sensor, expression, zonalStats = true, threshold,
+    minClearPercent = MIN_CLEAR_PERCENT, cloudPolicy = CLOUD_POLICY, outline = false
+  } = job.params;
+  const style = job.params.style || resolveStyle(type);
+  const scenes = job.params.scenes || null;
+  const imagePath = path.join(DATA_DIR, `temp_${job.id}.tif`);
+  const maskPath = path.join(DATA_DIR, `mask_${job.id}.tif`);
+  const shpGeoJsonPath = path.join(DATA_DIR, `shp_${job.id}.json`);
+  const zonesPath = path.join(DATA_DIR, `zones_${job.id}.json`);
+  // File đầu ra của process_satellite.py (<ảnh>_<chỉ số>...): xóa cả khi Python lỗi sau khi đã ghi một phần
+  const outputBase = `${imagePath.replace(/\.tif$/, '')}_${type}`;
+  const outputFiles = ['.tif', '_preview.png', '_preview.pgw', '_legend.png'].map(suffix => `${outputBase}${suffix}`);
+  const tempFiles = [shpGeoJsonPath, zonesPath, ...outputFiles];
+  let output;
+  let products = {};
+
+  try {
+    // Lấy geometry từ shapefile
+    const shpResult = await pool.query(
+      'SELECT ST_AsGeoJSON(geom) AS geometry FROM shapefiles WHERE id = $1 AND deleted_at IS NULL',
+      [shapefileId]
+    );
+    if (!shpResult.rows[0]) {
+      throw new Error(`Shapefile not found: ${shapefileId}`);
+    }
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(shpGeoJsonPath, shpResult.rows[0].geometry);
+    if (zonalStats) {
+      fs.writeFileSync(zonesPath, JSON.stringify(await loadZones(pool, shapefileId)));
+    }
+
+    // Tải ảnh từ provider (job cũ không có provider đều là Planet); mosaic tải lần lượt từng scene
+    const provider = getProvider(job.params.provider || 'planet');
+    const sources = scenes
+      ? scenes.map((scene, index) => ({
+        params: scene,
+        imagePath: path.join(DATA_DIR, `temp_${job.id}_${index + 1}.tif`),
+        maskPath: path.join(DATA_DIR, `mask_${job.id}_${index + 1}.tif`)
+      }))
+      : [{ params: job.params, imagePath, maskPath }];
+    tempFiles.push(...sources.flatMap(source => [source.imagePath, source.maskPath]));
+    let reported = 0;
+    for (const [index, source] of sources.entries()) {
+      source.downloaded = await provider.download(source.params, source.imagePath, {
+        signal,
+        maskPath: source.maskPath,
+        onProgress: fraction => {
+          const percent = Math.floor((index + fraction) / sources.length * 40);
+          if (percent >= reported + 10) {
+            reported = percent;
+            update({ progress: 5 + percent }).catch(() => {}); // hủy job sẽ abort signal
+          }
+        }
+      }) || {};
+      logger.info(`[${job.id}] Image downloaded`, {
+        imagePath: source.imagePath,
+        cloudMask: source.downloaded.cloudMask || null
+      });
+    }
+    await update({ status: 'processing', progress: 50 });
+
+    // Xử lý ảnh với Python
+    const common = {
+      index: type,
+      geometry: shpGeoJsonPath,
+      sensor: sensor || null,
+      expression: expression || null,
+      zones: zonalStats ? zonesPath : null,
+      threshold: threshold ?? null,
+      style,
+      outline
+    };
+    const cloudMask = ({ downloaded, maskPath: sourceMaskPath }) => (
+      downloaded.cloudMask ? { path: sourceMaskPath, type: downloaded.cloudMask } : null
+    );
+    output = await runPythonScript('process_satellite.py', scenes
+      ? {
+        ...common,
+        images: sources.map(source => ({
+          path: source.imagePath,
+          id: source.params.sceneId || null,
+          acquired: source.params.acquired || source.downloaded.acquired || null,
+          cloudCover: source.params.cloudCover ?? null,
+          cloudMask: cloudMask(source)
+        })),
+        mosaic: job.params.mosaic || DEFAULT_MOSAIC_METHOD,
+        outputPrefix: imagePath.replace(/\.tif$/, '')
+      }
+      : { ...common, image: imagePath, cloudMask: cloudMask(sources[0]) },
+    { signal, jobId: job.id });
+    await update({ progress: 90 });
+
+    // Kiểm tra phần diện tích quang mây trước khi lưu kết quả
+    const warnings = [...output.warnings];
+    const clearPercent = output.coverage?.clear_percent ?? null;
+    if (minClearPercent !== null && minClearPercent !== undefined && clearPercent !== null && clearPercent < minClearPercent) {
+      const message = `Cloud-free coverage ${clearPercent}% is below ${minClearPercent}%`;
+      if (cloudPolicy === 'fail') {
+        throw new Error(message);
+      }
+      logger.warn(`[${job.id}] ${message}`);
+      warnings.push(message);
+    }
+
+    // Ghi lại lần chạy (chuỗi thời gian), sản phẩm, preview mới nhất và thống kê theo feature
+    const legend = buildLegend(style, type.toUpperCase());
+    // Mosaic: id các scene có đóng góp, ngày chụp của scene mới nhất trong số đó
+    const contributing = output.mosaic?.scenes.filter(scene => scene.pixels > 0) || [];
+    const sceneId = job.params.sceneId || job.params.itemId
+      || contributing.map(scene => scene.id).filter(Boolean).join('+') || null;
+    const acquiredAt = job.params.acquired || (scenes
+      ? contributing.map(scene => scene.acquired).filter(Boolean).sort().pop() || null
+      : sources[0].downloaded.acquired || null);
+    let resultId;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const inserted = await client.query(
+        `INSERT INTO index_results (
+           shapefile_id, job_id, scene_id, provider, acquired_at, index_type, sensor, expression,
+           stats, clear_percent, coverage, preview_bounds, legend
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+         RETURNING id`,
+        [
+          shapefileId, job.id, sceneId, job.params.provider || 'planet', acquiredAt, type,
+          sensor || null, expression || null, output.summary ? JSON.stringify(output.summary) : null,
+          clearPercent, output.coverage ? JSON.stringify(output.coverage) : null,
+          output.bounds ? JSON.stringify(output.bounds) : null, JSON.stringify(legend)
+        ]
+      );
+      resultId = inserted.rows[0].id;
+      products = await storeOutputs(client, output, {
+        shapefileId,
+        ownerId: job.owner_id,
+        jobId: job.id,
+        resultId,
+        indexType: type,
+        sceneId
+      });
+      // Metadata giữ id sản phẩm; link ký được tạo mỗi lần đọc preview
+      await client.query(
+        `UPDATE shapefiles
+         SET metadata = (COALESCE(metadata, '{}'::jsonb) - 'previewUrl' - 'legendUrl') || $1
+         WHERE id = $2`,
+        [{
+          previewProductId: products.preview.id,
+          previewBounds: output.bounds,
+          legendProductId: products.legend?.id || null
+        }, shapefileId]
+      );
+      if (output.stats) {
+        await saveZonalStats(client, {
+          shapefileId,
+          resultId,
+          jobId: job.id,
+          sceneId,
+          provider: job.params.provider || 'planet',
+          indexType: type,
+          sensor: sensor || null,
+          stats: output.stats
+        });
+      }
+      await client.query('COMMIT');
+    } catch (dbError) {
+      await client.query('ROLLBACK');
+      throw dbError;
+    } finally {
+      client.release();
+    }
+
+    return {
+      resultId,
+      ...describeOutputs(products, output.bounds),
+      legend,
+      summary: output.summary,
+      coverage: output.coverage,
+      ...(output.mosaic && { mosaic: output.mosaic }),
+      ...(warnings.length > 0 && { warnings }),
+      ...(output.stats && {
+        zonalStats: {
+          features: output.stats.length,
+          url: `/api/satellite/zonal-stats?shapefileId=${shapefileId}&jobId=${job.id}`
+        }
+      })
+    };
+  } catch (error) {
+    // Job lỗi hoặc bị hủy thì không giữ sản phẩm (transaction đã rollback)
+    await discardProducts(Object.values(products));
+    throw error;
+  } finally {
+    // File đầu ra đã được sao chép vào kho
+    if (output) removeOutputs(output);
+    tempFiles.forEach(file => {
+      try { fs.unlinkSync(file); } catch (e) {
+        if (e.code !== 'ENOENT') {
+          logger.warn(`[${job.id}] Cleanup failed: ${file}`, { error: e.message });
+        }
+      }
+    });
+  }
+};
+
+module.exports = { processImageJob, describeOutputs, DATA_DIR, CLOUD_POLICIES };
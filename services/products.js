@@ -0,0 +1,391 @@
+/**
+ * Danh mục sản phẩm xử lý (bảng products): GeoTIFF, preview, chú giải và world file do
+ * process-image/change-detection tạo ra. File nằm trong backend lưu trữ (services/storage),
+ * chỉ tải được qua API (có API key) hoặc qua link ký HMAC có hạn dùng cho thẻ <img>/lớp ảnh bản đồ.
+ * Sản phẩm hết hạn sau PRODUCT_RETENTION_DAYS ngày (0 = giữ mãi) và được dọn định kỳ.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../config/logger');
+const pool = require('../db');
+const { getStorage, DEFAULT_STORAGE_BACKEND } = require('./storage');
+
+// Mặc định giữ mãi: GeoTIFF của index_results còn được chuỗi thời gian, change detection và tile dùng lại
+const PRODUCT_RETENTION_DAYS = process.env.PRODUCT_RETENTION_DAYS !== undefined
+  ? Number(process.env.PRODUCT_RETENTION_DAYS)
+  : 0;
+const FILE_URL_TTL = parseInt(process.env.FILE_URL_TTL) || 3600;
+const CLEANUP_INTERVAL = 60 * 60 * 1000;
+const CLEANUP_BATCH = 500;
+const MAX_LIMIT = 500;
+
+const PRODUCT_FORMATS = {
+  geotiff: { extension: 'tif', contentType: 'image/tiff' },
+  png: { extension: 'png', contentType: 'image/png' },
+  pgw: { extension: 'pgw', contentType: 'text/plain' }
+};
+
+// Loại file đầu ra của script Python -> định dạng
+const OUTPUT_KINDS = {
+  geotiff: 'geotiff',
+  preview: 'png',
+  legend: 'png',
+  worldfile: 'pgw'
+};
+
+// Khóa ký link; không cấu hình thì sinh ngẫu nhiên, link cũ mất hiệu lực khi khởi động lại
+const FILE_URL_SECRET = process.env.FILE_URL_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.FILE_URL_SECRET) {
+  logger.warn('FILE_URL_SECRET is not set, signed product links will not survive a restart');
+}
+
+class ProductError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProductError';
+  }
+}
+
+const checksumFile = async (filePath) => {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+};
+
+/**
+ * Đưa một file lên kho và ghi vào danh mục. meta: { kind, shapefileId, ownerId, jobId, resultId,
+ * indexType, sceneId }. Trả về dòng products.
+ */
+const storeProduct = async (client, filePath, meta) => {
+  const format = OUTPUT_KINDS[meta.kind];
+  const { extension, contentType } = PRODUCT_FORMATS[format];
+  const id = uuidv4();
+  const now = new Date();
+  const key = `${now.getUTCFullYear()}/${String(now.getUTCMonth() + 1).padStart(2, '0')}/${id}.${extension}`;
+  const storage = getStorage();
+
+  const { size } = await fs.promises.stat(filePath);
+  const checksum = await checksumFile(filePath);
+  await storage.put(key, filePath, { contentType });
+
+  try {
+    const result = await client.query(
+      `INSERT INTO products (
+         id, shapefile_id, owner_id, job_id, result_id, kind, format, index_type, scene_id,
+         storage, storage_key, size_bytes, checksum, expires_at
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13,
+         CASE WHEN $14::int > 0 THEN NOW() + make_interval(days => $14::int) END)
+       RETURNING *`,
+      [
+        id, meta.shapefileId || null, meta.ownerId || null, meta.jobId || null, meta.resultId || null,
+        meta.kind, format, meta.indexType || null, meta.sceneId || null,
+        storage.name, key, size, checksum, PRODUCT_RETENTION_DAYS
+      ]
+    );
+    return result.rows[0];
+  } catch (error) {
+    await storage.remove(key).catch(() => {});
+    throw error;
+  }
+};
+
+/**
+ * Lưu các file đầu ra của runPythonScript (geotiff, preview, legend, worldFile).
+ * Trả về { geotiff, preview, legend, worldfile } là các dòng products đã tạo.
+ */
+const storeOutputs = async (client, output, meta) => {
+  const files = {
+    geotiff: output.geotiff,
+    preview: output.preview,
+    legend: output.legend,
+    worldfile: output.worldFile
+  };
+  const products = {};
+  try {
+    for (const [kind, filePath] of Object.entries(files)) {
+      if (filePath) {
+        products[kind] = await storeProduct(client, filePath, { ...meta, kind });
+      }
+    }
+  } catch (error) {
+    await discardProducts(Object.values(products));
+    throw error;
+  }
+  return products;
+};
+
+// Bỏ các sản phẩm của job lỗi/bị hủy (dòng trong transaction đã rollback thì chỉ còn file)
+const discardProducts = async (products) => {
+  if (products.length === 0) return;
+  for (const product of products) {
+    await getStorage(product.storage).remove(product.storage_key).catch(error => {
+      logger.warn(`Failed to discard product ${product.id}`, { error: error.message });
+    });
+  }
+  await pool.query('DELETE FROM products WHERE id = ANY($1::uuid[])', [products.map(product => product.id)]);
+};
+
+// Link tải qua API (cần API key)
+const productUrl = (id) => `/api/products/${id}/download`;
+
+// TileJSON của GeoTIFF để hiển thị dạng lớp tile trên bản đồ (services/tiles.js)
+const tileJsonUrl = (id) => `/api/satellite/tiles/${id}/tilejson.json`;
+
+// Mục đích ('file', 'tiles') nằm trong chữ ký: link tile nhúng trên bản đồ không tải được cả file sản phẩm
+const signature = (purpose, id, expires) => crypto
+  .createHmac('sha256', FILE_URL_SECRET)
+  .update(`${purpose}:${id}:${expires}`)
+  .digest('base64url');
+
+// Tham số ký có hạn dùng FILE_URL_TTL giây (link file, link tile của sản phẩm)
+const signParams = (id, purpose) => {
+  const expires = Math.floor(Date.now() / 1000) + FILE_URL_TTL;
+  return { expires, signature: signature(purpose, id, expires) };
+};
+
+/**
+ * Link ký có hạn dùng (FILE_URL_TTL giây), không cần API key.
+ */
+const signedUrl = (id) => {
+  if (!id) return null;
+  const { expires, signature: signed } = signParams(id, 'file');
+  return `/api/files/${id}?expires=${expires}&signature=${signed}`;
+};
+
+const verifySignedUrl = (id, expires, provided, purpose) => {
+  const expiresAt = parseInt(expires);
+  if (!Number.isInteger(expiresAt) || expiresAt < Date.now() / 1000 || typeof provided !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(signature(purpose, id, expiresAt));
+  const actual = Buffer.from(provided);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Sản phẩm theo id; where thêm điều kiện (ví dụ quyền chủ sở hữu) trên bí danh p.
+ */
+const getProduct = async (id, where = 'TRUE') => {
+  const result = await pool.query(
+    `SELECT p.* FROM products p
+     WHERE p.id::text = $1 AND (p.expires_at IS NULL OR p.expires_at > NOW()) AND ${where}`,
+    [String(id)]
+  );
+  return result.rows[0] || null;
+};
+
+// Tên file khi tải: <chỉ số>_<scene hoặc ngày>_<loại>.<đuôi>
+const downloadName = (product) => {
+  const label = product.scene_id || product.created_at.toISOString().slice(0, 10);
+  const name = [product.index_type || 'product', label, product.kind].join('_').replace(/[^\w.-]+/g, '_');
+  return `${name}.${PRODUCT_FORMATS[product.format].extension}`;
+};
+
+/**
+ * Gửi file sản phẩm về client. attachment = true để trình duyệt tải về thay vì hiển thị.
+ * Trả về false nếu file không còn trong kho.
+ */
+const sendProduct = async (res, product, { attachment = true, fileName = downloadName(product) } = {}) => {
+  const stream = await getStorage(product.storage).open(product.storage_key);
+  if (!stream) return false;
+
+  res.setHeader('Content-Type', PRODUCT_FORMATS[product.format].contentType);
+  res.setHeader('Content-Length', product.size_bytes);
+  res.setHeader('ETag', `"${product.checksum}"`);
+  res.setHeader('Content-Disposition', `${attachment ? 'attachment' : 'inline'}; filename="${fileName}"`);
+  await pipeline(stream, res);
+  return true;
+};
+
+/**
+ * Tải file sản phẩm về đĩa để xử lý tiếp (ví dụ change detection).
+ */
+const fetchProduct = (product, destPath, { signal } = {}) => (
+  getStorage(product.storage).download(product.storage_key, destPath, { signal })
+);
+
+/**
+ * Xóa sản phẩm khỏi kho và danh mục. Trả về số sản phẩm đã xóa.
+ */
+const deleteProducts = async (where, values) => {
+  const result = await pool.query(`SELECT * FROM products p WHERE ${where}`, values);
+  let deleted = 0;
+  for (const product of result.rows) {
+    try {
+      await getStorage(product.storage).remove(product.storage_key);
+      await pool.query('DELETE FROM products WHERE id = $1', [product.id]);
+      deleted += 1;
+    } catch (error) {
+      logger.error(`Failed to delete product ${product.id}`, { error: error.message });
+    }
+  }
+  return deleted;
+};
+
+/**
+ * Dựng điều kiện lọc danh mục: shapefileId, jobId, resultId, index, sceneId, kind, format, from, to.
+ * Trả về { where, values, page, limit }.
+ */
+const buildProductQuery = (params) => {
+  const where = ['(p.expires_at IS NULL OR p.expires_at > NOW())'];
+  const values = [];
+  const addValue = (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+
+  for (const key of ['shapefileId', 'resultId']) {
+    if (params[key] === undefined) continue;
+    const id = parseInt(params[key]);
+    if (!Number.isInteger(id)) {
+      throw new ProductError(`${key} must be an integer id`);
+    }
+    where.push(`p.${key === 'shapefileId' ? 'shapefile_id' : 'result_id'} = ${addValue(id)}`);
+  }
+  if (params.jobId !== undefined) {
+    where.push(`p.job_id::text = ${addValue(String(params.jobId))}`);
+  }
+  if (params.index !== undefined) {
+    where.push(`p.index_type = ${addValue(String(params.index).toLowerCase())}`);
+  }
+  if (params.sceneId !== undefined) {
+    where.push(`p.scene_id = ${addValue(String(params.sceneId))}`);
+  }
+  if (params.kind !== undefined) {
+    if (!OUTPUT_KINDS[params.kind]) {
+      throw new ProductError(`kind must be one of ${Object.keys(OUTPUT_KINDS).join(', ')}`);
+    }
+    where.push(`p.kind = ${addValue(params.kind)}`);
+  }
+  if (params.format !== undefined) {
+    if (!PRODUCT_FORMATS[params.format]) {
+      throw new ProductError(`format must be one of ${Object.keys(PRODUCT_FORMATS).join(', ')}`);
+    }
+    where.push(`p.format = ${addValue(params.format)}`);
+  }
+  [['from', '>='], ['to', '<=']].forEach(([key, operator]) => {
+    if (params[key] === undefined) return;
+    const date = new Date(params[key]);
+    if (Number.isNaN(date.getTime())) {
+      throw new ProductError(`${key} must be an ISO 8601 date`);
+    }
+    where.push(`p.created_at ${operator} ${addValue(date.toISOString())}`);
+  });
+
+  const page = Math.max(parseInt(params.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(params.limit) || 50, 1), MAX_LIMIT);
+  return { where, values, page, limit };
+};
+
+// Thông tin sản phẩm trả về client, kèm link tải
+const formatProduct = (product) => ({
+  id: product.id,
+  shapefileId: product.shapefile_id,
+  jobId: product.job_id,
+  resultId: product.result_id,
+  kind: product.kind,
+  format: product.format,
+  index: product.index_type,
+  sceneId: product.scene_id,
+  size: Number(product.size_bytes),
+  checksum: product.checksum,
+  storage: product.storage,
+  createdAt: product.created_at,
+  expiresAt: product.expires_at,
+  downloadUrl: productUrl(product.id),
+  signedUrl: signedUrl(product.id),
+  ...(product.format === 'geotiff' && { tileJsonUrl: tileJsonUrl(product.id) })
+});
+
+/**
+ * Xóa các sản phẩm đã hết hạn (theo lô).
+ */
+const purgeExpiredProducts = async () => {
+  const deleted = await deleteProducts(
+    `p.id IN (SELECT id FROM products WHERE expires_at <= NOW() ORDER BY expires_at LIMIT ${CLEANUP_BATCH})`,
+    []
+  );
+  if (deleted > 0) {
+    logger.info(`Purged ${deleted} expired products`);
+  }
+  return deleted;
+};
+
+/**
+ * Đưa file kết quả cũ còn trong thư mục data (trước khi có danh mục) vào kho.
+ * Đường dẫn trong index_results được xóa sau khi chuyển để không xử lý lại.
+ */
+const adoptLegacyOutputs = async (dataDir) => {
+  const columns = { geotiff: 'geotiff_path', preview: 'preview_path', legend: 'legend_path' };
+  const result = await pool.query(
+    `SELECT r.id, r.shapefile_id, r.job_id, r.index_type, r.scene_id, r.geotiff_path, r.preview_path, r.legend_path,
+       s.owner_id
+     FROM index_results r
+     JOIN shapefiles s ON s.id = r.shapefile_id
+     WHERE r.geotiff_path IS NOT NULL OR r.preview_path IS NOT NULL OR r.legend_path IS NOT NULL`
+  );
+
+  let adopted = 0;
+  for (const row of result.rows) {
+    for (const [kind, column] of Object.entries(columns)) {
+      const filePath = row[column] && path.join(dataDir, path.basename(row[column]));
+      if (filePath && fs.existsSync(filePath)) {
+        await storeProduct(pool, filePath, {
+          kind,
+          shapefileId: row.shapefile_id,
+          ownerId: row.owner_id,
+          jobId: row.job_id,
+          resultId: row.id,
+          indexType: row.index_type,
+          sceneId: row.scene_id
+        });
+        fs.unlinkSync(filePath);
+        adopted += 1;
+      }
+    }
+    await pool.query(
+      'UPDATE index_results SET geotiff_path = NULL, preview_path = NULL, legend_path = NULL WHERE id = $1',
+      [row.id]
+    );
+  }
+  if (adopted > 0) {
+    logger.info(`Moved ${adopted} legacy output files into ${DEFAULT_STORAGE_BACKEND} storage`);
+  }
+};
+
+/**
+ * Dọn sản phẩm hết hạn mỗi giờ.
+ */
+const startRetention = () => {
+  const run = () => purgeExpiredProducts().catch(error => {
+    logger.error('Product cleanup failed', { error: error.message });
+  });
+  run();
+  setInterval(run, CLEANUP_INTERVAL).unref();
+};
+
+module.exports = {
+  FILE_URL_TTL,
+  PRODUCT_FORMATS,
+  OUTPUT_KINDS,
+  ProductError,
+  storeOutputs,
+  discardProducts,
+  productUrl,
+  tileJsonUrl,
+  signParams,
+  signedUrl,
+  verifySignedUrl,
+  getProduct,
+  sendProduct,
+  fetchProduct,
+  deleteProducts,
+  buildProductQuery,
+  formatProduct,
+  purgeExpiredProducts,
+  adoptLegacyOutputs,
+  startRetention
+};
@@ -0,0 +1,336 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const logger = require('../../config/logger');
+const { ProviderError } = require('./errors');
+
+const MAX_IMAGE_SIZE = (parseInt(process.env.MAX_IMAGE_SIZE_MB) || 100) * 1024 * 1024;
+const DOWNLOAD_RETRIES = parseInt(process.env.DOWNLOAD_RETRIES) || 3;
+const DOWNLOAD_TIMEOUT = 60000;
+const MAX_REDIRECTS = 5;
+
+// Cache scene theo nội dung (checksum đã kiểm tra) hoặc URL đã tải; SCENE_CACHE_MAX_GB=0 tắt cache
+const SCENE_CACHE_DIR = path.resolve(process.env.SCENE_CACHE_DIR || path.join(__dirname, '../../data/cache'));
+const SCENE_CACHE_MAX_BYTES = (process.env.SCENE_CACHE_MAX_GB !== undefined
+  ? Number(process.env.SCENE_CACHE_MAX_GB) : 5) * 1024 * 1024 * 1024;
+
+// Mã multihash (file:checksum của STAC) -> thuật toán
+const MULTIHASH_PREFIXES = { '1220': 'sha256', d50110: 'md5' };
+
+// Lỗi mạng tạm thời thì thử lại (tiếp tục từ byte đã tải nếu server hỗ trợ Range)
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ERR_STREAM_PREMATURE_CLOSE'];
+
+class RetryableError extends Error {}
+
+/**
+ * Danh sách host được phép: tên đầy đủ hoặc "*.domain" (mọi subdomain).
+ */
+const parseHosts = (value) => (value || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+
+const matchesHost = (hostname, allowedHosts) => allowedHosts.some(pattern => (
+  pattern.startsWith('*.') ? hostname.endsWith(pattern.slice(1)) : hostname === pattern
+));
+
+/**
+ * Chỉ tải ảnh từ host của nguồn ảnh đã cấu hình, tránh client dùng server gọi vào dịch vụ nội bộ.
+ * Trả về URL đã chuẩn hóa; sai thì ném ProviderError 400.
+ */
+const checkDownloadUrl = (value, allowedHosts) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new ProviderError(`Invalid image URL: ${value}`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol) || url.username || url.password) {
+    throw new ProviderError(`Unsupported image URL: ${url.protocol}//${url.host}`);
+  }
+  if (!matchesHost(url.hostname.toLowerCase(), allowedHosts)) {
+    throw new ProviderError(`Image host is not allowed: ${url.hostname}`);
+  }
+  return url.toString();
+};
+
+/**
+ * Checksum dạng "md5:<hex>", "sha256:<hex>", hex trần (md5_digest của Planet) hoặc multihash hex
+ * (file:checksum của STAC). Trả về null nếu không có.
+ */
+const parseChecksum = (value) => {
+  if (!value) return null;
+  const text = String(value).trim().toLowerCase();
+  const prefixed = text.match(/^(md5|sha256):([0-9a-f]+)$/);
+  if (prefixed) return { algorithm: prefixed[1], digest: prefixed[2] };
+  if (/^[0-9a-f]{32}$/.test(text)) return { algorithm: 'md5', digest: text };
+  if (/^[0-9a-f]{64}$/.test(text)) return { algorithm: 'sha256', digest: text };
+  const prefix = Object.keys(MULTIHASH_PREFIXES).find(key => text.startsWith(key));
+  if (prefix && /^[0-9a-f]+$/.test(text)) {
+    return { algorithm: MULTIHASH_PREFIXES[prefix], digest: text.slice(prefix.length) };
+  }
+  throw new ProviderError('checksum must be an md5 or sha256 hex digest, or a multihash');
+};
+
+const hashFile = async (filePath, algorithm) => {
+  const hash = crypto.createHash(algorithm);
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+};
+
+/**
+ * Khóa cache chỉ lấy từ dữ liệu server đã kiểm chứng, không theo nhãn (sceneId...) trong request:
+ * checksum mà file tải về phải khớp, không có thì URL thực sự được tải.
+ */
+const cacheKeyOf = (url, expected) => (
+  expected ? `${expected.algorithm}:${expected.digest}` : `url:${url}`
+);
+
+const cachePath = (cacheKey) => path.join(
+  SCENE_CACHE_DIR,
+  `${crypto.createHash('sha256').update(cacheKey).digest('hex')}.tif`
+);
+
+// Digest của file cache lưu kèm (<file>.json), kiểm tra lại mỗi lần dùng
+const digestPath = (cached) => `${cached.slice(0, -'.tif'.length)}.json`;
+
+const removeCached = (cached) => {
+  fs.rmSync(cached, { force: true });
+  fs.rmSync(digestPath(cached), { force: true });
+};
+
+// Xóa file cũ nhất (theo lần dùng gần nhất) khi cache vượt dung lượng
+const evictCache = () => {
+  const files = fs.readdirSync(SCENE_CACHE_DIR)
+    .filter(name => name.endsWith('.tif'))
+    .map(name => {
+      const filePath = path.join(SCENE_CACHE_DIR, name);
+      const { size, mtimeMs } = fs.statSync(filePath);
+      return { filePath, size, mtimeMs };
+    })
+    .sort((a, b) => a.mtimeMs - b.mtimeMs);
+  let total = files.reduce((sum, file) => sum + file.size, 0);
+  for (const file of files) {
+    if (total <= SCENE_CACHE_MAX_BYTES) break;
+    removeCached(file.filePath);
+    total -= file.size;
+  }
+};
+
+/**
+ * Chép scene từ cache ra destPath. File chép ra được băm lại và so với digest đã lưu
+ * (và checksum yêu cầu nếu có); không khớp thì bỏ mục cache và tải lại.
+ */
+const readCache = async (cacheKey, destPath, expected) => {
+  if (SCENE_CACHE_MAX_BYTES <= 0) return false;
+  const cached = cachePath(cacheKey);
+  let stored;
+  try {
+    stored = JSON.parse(fs.readFileSync(digestPath(cached), 'utf8'));
+    fs.copyFileSync(cached, destPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    logger.warn('Unreadable scene cache entry, downloading again', { cacheKey, error: error.message });
+    removeCached(cached);
+    return false;
+  }
+
+  const digest = await hashFile(destPath, stored.algorithm);
+  if (digest !== stored.digest || (expected && (expected.algorithm !== stored.algorithm || expected.digest !== digest))) {
+    logger.warn('Scene cache entry does not match its checksum, downloading again', { cacheKey });
+    removeCached(cached);
+    fs.rmSync(destPath, { force: true });
+    return false;
+  }
+  const now = new Date();
+  fs.utimesSync(cached, now, now);
+  return true;
+};
+
+// Ghi vào cache qua file tạm rồi đổi tên để job chạy song song không đọc file dở
+const writeCache = async (cacheKey, sourcePath, expected) => {
+  if (SCENE_CACHE_MAX_BYTES <= 0) return;
+  try {
+    fs.mkdirSync(SCENE_CACHE_DIR, { recursive: true });
+    const cached = cachePath(cacheKey);
+    const temp = `${cached}.${process.pid}.${Date.now()}`;
+    const algorithm = expected ? expected.algorithm : 'sha256';
+    const digest = expected ? expected.digest : await hashFile(sourcePath, algorithm);
+    fs.copyFileSync(sourcePath, temp);
+    fs.writeFileSync(`${temp}.json`, JSON.stringify({ algorithm, digest }));
+    fs.renameSync(`${temp}.json`, digestPath(cached));
+    fs.renameSync(temp, cached);
+    evictCache();
+  } catch (error) {
+    logger.warn('Failed to cache scene', { cacheKey, error: error.message });
+  }
+};
+
+/**
+ * Mở stream tải url, tự đi theo redirect nhưng kiểm tra host của từng bước.
+ * Header xác thực chỉ gửi cho origin ban đầu (không lộ API key cho host lưu trữ).
+ */
+const openStream = async (url, { allowedHosts, headers, signal, offset }) => {
+  const origin = new URL(url).origin;
+  let current = url;
+  for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects += 1) {
+    const response = await axios.get(current, {
+      headers: {
+        ...(new URL(current).origin === origin && headers),
+        ...(offset > 0 && { Range: `bytes=${offset}-` })
+      },
+      responseType: 'stream',
+      timeout: DOWNLOAD_TIMEOUT,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      signal
+    });
+    if (response.status >= 300 && response.status < 400 && response.headers.location) {
+      response.data.destroy();
+      current = checkDownloadUrl(new URL(response.headers.location, current).toString(), allowedHosts);
+      continue;
+    }
+    return response;
+  }
+  throw new ProviderError('Too many redirects downloading image', { status: 502 });
+};
+
+const downloadAttempt = async (url, partPath, options) => {
+  const { onProgress } = options;
+  let offset = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+  const response = await openStream(url, { ...options, offset });
+
+  if (response.status === 416 && offset > 0) {
+    // File tạm không khớp với file trên server: tải lại từ đầu
+    response.data.destroy();
+    fs.unlinkSync(partPath);
+    throw new RetryableError('Range not satisfiable, restarting download');
+  }
+  if (response.status >= 400) {
+    response.data.destroy();
+    const retryable = response.status >= 500 || [408, 429].includes(response.status);
+    if (retryable) throw new RetryableError(`HTTP ${response.status}`);
+    throw new ProviderError(`Image download failed with HTTP ${response.status}`, {
+      status: response.status === 404 ? 404 : 502
+    });
+  }
+
+  // 206 thì ghi tiếp; 200 nghĩa là server không hỗ trợ Range, tải lại từ đầu
+  const resumed = response.status === 206 && (response.headers['content-range'] || '').startsWith(`bytes ${offset}-`);
+  if (response.status === 206 && !resumed) {
+    response.data.destroy();
+    fs.rmSync(partPath, { force: true });
+    throw new RetryableError('Unexpected Content-Range, restarting download');
+  }
+  if (!resumed) offset = 0;
+  const length = parseInt(response.headers['content-length']);
+  const rangeTotal = parseInt((response.headers['content-range'] || '').split('/')[1]);
+  const total = Number.isFinite(rangeTotal) ? rangeTotal : (Number.isFinite(length) ? offset + length : null);
+  if (total > MAX_IMAGE_SIZE) {
+    response.data.destroy();
+    throw new ProviderError(`Image too large: ${total} bytes (max ${MAX_IMAGE_SIZE} bytes)`, { status: 413 });
+  }
+
+  // Giới hạn theo số byte thực nhận, không tin content-length (có thể thiếu hoặc sai)
+  let received = offset;
+  response.data.on('data', chunk => {
+    received += chunk.length;
+    if (received > MAX_IMAGE_SIZE) {
+      response.data.destroy(new ProviderError(`Image too large: more than ${MAX_IMAGE_SIZE} bytes`, { status: 413 }));
+    } else if (total) {
+      onProgress(received / total);
+    }
+  });
+  await pipeline(response.data, fs.createWriteStream(partPath, { flags: resumed ? 'a' : 'w' }), { signal: options.signal });
+  if (total && received !== total) {
+    throw new RetryableError(`Incomplete download: ${received} of ${total} bytes`);
+  }
+};
+
+const isRetryable = (error) => (
+  error instanceof RetryableError || RETRYABLE_CODES.includes(error.code) || (error.isAxiosError && !error.response)
+);
+
+/**
+ * Tải url về destPath:
+ * - chỉ tới host trong allowedHosts (kể cả sau redirect)
+ * - giới hạn MAX_IMAGE_SIZE theo số byte thực nhận
+ * - thử lại DOWNLOAD_RETRIES lần, tiếp tục bằng HTTP Range từ phần đã tải
+ * - kiểm tra checksum ("md5:<hex>", "sha256:<hex>", multihash) nếu có
+ * - cache: true thì dùng lại scene đã tải trong SCENE_CACHE_DIR (theo checksum, không có thì theo URL)
+ * onProgress(fraction) được gọi khi biết tổng dung lượng. Trả về { cached }.
+ */
+const downloadToFile = async (url, destPath, {
+  allowedHosts, headers, signal, checksum, cache = false, onProgress = () => {}
+} = {}) => {
+  const target = checkDownloadUrl(url, allowedHosts || []);
+  const expected = parseChecksum(checksum);
+  const cacheKey = cache ? cacheKeyOf(target, expected) : null;
+
+  if (cacheKey && await readCache(cacheKey, destPath, expected)) {
+    logger.info('Scene served from cache', { host: new URL(target).hostname, checksum: Boolean(expected) });
+    onProgress(1);
+    return { cached: true };
+  }
+
+  const partPath = `${destPath}.part`;
+  try {
+    for (let attempt = 1; ; attempt += 1) {
+      try {
+        await downloadAttempt(target, partPath, { allowedHosts, headers, signal, onProgress });
+        if (expected) {
+          const digest = await hashFile(partPath, expected.algorithm);
+          if (digest !== expected.digest) {
+            fs.unlinkSync(partPath);
+            throw new RetryableError(`Checksum mismatch (${expected.algorithm} ${digest})`);
+          }
+        }
+        break;
+      } catch (error) {
+        if (signal?.aborted || !isRetryable(error)) throw error;
+        if (attempt >= DOWNLOAD_RETRIES) {
+          throw new ProviderError(`Image download failed after ${attempt} attempts: ${error.message}`, { status: 502 });
+        }
+        logger.warn(`Image download interrupted, retrying (${attempt}/${DOWNLOAD_RETRIES})`, {
+          host: new URL(target).hostname,
+          error: error.message
+        });
+        await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (attempt - 1)));
+      }
+    }
+    fs.renameSync(partPath, destPath);
+  } finally {
+    try { fs.unlinkSync(partPath); } catch (e) { /* đã đổi tên hoặc chưa tạo */ }
+  }
+
+  if (cacheKey) {
+    await writeCache(cacheKey, destPath, expected);
+  }
+  return { cached: false };
+};
+
+/**
+ * Sao chép file ảnh cục bộ, cùng giới hạn dung lượng như khi tải qua HTTP.
+ */
+const copyToFile = async (sourcePath, destPath, { signal, onProgress = () => {} } = {}) => {
+  const { size } = fs.statSync(sourcePath);
+  if (size > MAX_IMAGE_SIZE) {
+    throw new ProviderError(`Image too large: ${size} bytes (max ${MAX_IMAGE_SIZE} bytes)`, { status: 413 });
+  }
+
+  const source = fs.createReadStream(sourcePath);
+  let copied = 0;
+  source.on('data', chunk => {
+    copied += chunk.length;
+    if (size) onProgress(copied / size);
+  });
+  await pipeline(source, fs.createWriteStream(destPath), { signal });
+};
+
+module.exports = {
+  downloadToFile,
+  copyToFile,
+  checkDownloadUrl,
+  parseChecksum,
+  parseHosts,
+  MAX_IMAGE_SIZE
+};
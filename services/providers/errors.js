@@ -0,0 +1,18 @@
+class SearchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SearchError';
+  }
+}
+
+// Lỗi từ nguồn ảnh (API trả lỗi, không tìm thấy scene/asset); status dùng làm mã HTTP trả về
+class ProviderError extends Error {
+  constructor(message, { status = 400, details } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+module.exports = { SearchError, ProviderError };
@@ -0,0 +1,33 @@
+const planet = require('./planet');
+const stac = require('./stac');
+const local = require('./local');
+const { parseSearchParams } = require('./searchParams');
+const { SearchError, ProviderError } = require('./errors');
+
+/**
+ * Nguồn ảnh cho fetch-image/process-image. Mỗi provider có:
+ * - search(params, { geometry, bbox }) -> { items, nextPage }
+ * - validateDownload(params) -> tham số lưu vào job
+ * - download(params, destPath, { signal, onProgress, maskPath }) -> { acquired, cloudMask }:
+ *   acquired nếu provider biết ngày chụp; cloudMask ('udm2' | 'scl') khi đã ghi mặt nạ mây vào maskPath
+ */
+const PROVIDERS = { planet, stac, local };
+
+const DEFAULT_PROVIDER = process.env.IMAGERY_PROVIDER || 'planet';
+
+const getProvider = (name) => {
+  const provider = PROVIDERS[(name || DEFAULT_PROVIDER).toLowerCase()];
+  if (!provider) {
+    throw new SearchError(`provider must be one of ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return provider;
+};
+
+module.exports = {
+  PROVIDERS,
+  DEFAULT_PROVIDER,
+  getProvider,
+  parseSearchParams,
+  SearchError,
+  ProviderError
+};
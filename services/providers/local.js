@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../config/logger');
+const { copyToFile } = require('./download');
+const { ProviderError } = require('./errors');
+
+/**
+ * Provider thư mục GeoTIFF cục bộ. Mỗi scene là một file .tif kèm file mô tả cùng tên .json:
+ * một STAC item, hoặc { acquired, cloudCover, sunElevation, itemType, geometry | bbox }.
+ * Scene không có footprint bị bỏ qua. Mặt nạ mây đặt cạnh ảnh: <tên>_udm2.tif hoặc <tên>_scl.tif.
+ */
+
+const LOCAL_IMAGERY_DIR = path.resolve(process.env.LOCAL_IMAGERY_DIR || path.join(__dirname, '../../data/archive'));
+const IMAGE_EXTENSIONS = ['.tif', '.tiff'];
+const MASK_TYPES = ['udm2', 'scl'];
+const MASK_FILE_PATTERN = /_(udm2|scl)\.tiff?$/i;
+
+const listImages = (dir) => {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listImages(fullPath);
+    const isImage = IMAGE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase());
+    return isImage && !MASK_FILE_PATTERN.test(entry.name) ? [fullPath] : [];
+  });
+};
+
+const bboxPolygon = ([minX, minY, maxX, maxY]) => ({
+  type: 'Polygon',
+  coordinates: [[[minX, minY], [maxX, minY], [maxX, maxY], [minX, maxY], [minX, minY]]]
+});
+
+const toIsoDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+};
+
+const readScene = (imagePath) => {
+  const sidecarPath = imagePath.replace(/\.tiff?$/i, '.json');
+  const id = path.relative(LOCAL_IMAGERY_DIR, imagePath).replace(/\.tiff?$/i, '').split(path.sep).join('/');
+  if (!fs.existsSync(sidecarPath)) {
+    logger.warn(`Local scene has no metadata file: ${id}`);
+    return null;
+  }
+
+  let meta;
+  try {
+    meta = JSON.parse(fs.readFileSync(sidecarPath, 'utf8'));
+  } catch (error) {
+    logger.warn(`Invalid metadata for local scene: ${id}`, { error: error.message });
+    return null;
+  }
+
+  const properties = meta.properties || meta;
+  const footprint = meta.geometry || meta.footprint || (Array.isArray(meta.bbox) && bboxPolygon(meta.bbox));
+  if (!footprint?.coordinates) {
+    logger.warn(`Local scene has no footprint: ${id}`);
+    return null;
+  }
+  const stacCloud = properties['eo:cloud_cover'];
+
+  return {
+    id,
+    path: imagePath,
+    itemType: meta.collection || properties.itemType || 'local',
+    acquired: toIsoDate(properties.acquired || properties.datetime),
+    published: toIsoDate(properties.published || properties.created || properties.acquired || properties.datetime),
+    cloudCover: properties.cloudCover ?? (typeof stacCloud === 'number' ? stacCloud / 100 : null),
+    sunElevation: properties.sunElevation ?? properties['view:sun_elevation'] ?? null,
+    footprint
+  };
+};
+
+// Hộp bao của geometry GeoJSON: [minX, minY, maxX, maxY]
+const boundsOf = (geometry) => {
+  const box = [Infinity, Infinity, -Infinity, -Infinity];
+  const visit = (coordinates) => {
+    if (typeof coordinates[0] === 'number') {
+      box[0] = Math.min(box[0], coordinates[0]);
+      box[1] = Math.min(box[1], coordinates[1]);
+      box[2] = Math.max(box[2], coordinates[0]);
+      box[3] = Math.max(box[3], coordinates[1]);
+    } else {
+      coordinates.forEach(visit);
+    }
+  };
+  visit(geometry.coordinates);
+  return box;
+};
+
+const inRange = (value, range) => (
+  value === null || value === undefined
+  || ((range.gte === undefined || value >= range.gte) && (range.lte === undefined || value <= range.lte))
+);
+
+const normalizeItem = (scene) => ({
+  id: scene.id,
+  itemType: scene.itemType,
+  acquired: scene.acquired,
+  cloudCover: scene.cloudCover,
+  sunElevation: scene.sunElevation,
+  qualityCategory: null,
+  thumbnail: null,
+  assets: null,
+  footprint: scene.footprint
+});
+
+/**
+ * Lọc scene theo thời gian, mây, góc mặt trời và giao hộp bao; phân trang theo offset.
+ */
+const search = async (params, { geometry, bbox }) => {
+  const offset = params.nextPage ? parseInt(params.nextPage) : 0;
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new ProviderError('nextPage must be the value returned by a previous search');
+  }
+
+  const [minX, minY, maxX, maxY] = boundsOf(params.geometryMode === 'exact' ? geometry : bbox);
+  const [field, direction] = params.sort.split(' ');
+
+  const scenes = listImages(LOCAL_IMAGERY_DIR)
+    .map(readScene)
+    .filter(Boolean)
+    .filter(scene => {
+      const [sceneMinX, sceneMinY, sceneMaxX, sceneMaxY] = boundsOf(scene.footprint);
+      return sceneMinX <= maxX && sceneMaxX >= minX && sceneMinY <= maxY && sceneMaxY >= minY;
+    })
+    .filter(scene => !params.itemTypes || params.itemTypes.includes(scene.itemType))
+    .filter(scene => !scene.acquired || (
+      scene.acquired >= params.dateFrom && (!params.dateTo || scene.acquired <= params.dateTo)
+    ))
+    .filter(scene => inRange(scene.cloudCover, params.cloudCover) && inRange(scene.sunElevation, params.sunElevation))
+    .sort((a, b) => String(a[field] || '').localeCompare(String(b[field] || '')) * (direction === 'desc' ? -1 : 1));
+
+  const page = scenes.slice(offset, offset + params.limit);
+  return {
+    items: page.map(normalizeItem),
+    nextPage: offset + params.limit < scenes.length ? String(offset + params.limit) : null
+  };
+};
+
+const validateDownload = (params) => {
+  if (!params.itemId) {
+    throw new ProviderError('Missing itemId');
+  }
+  return { itemId: String(params.itemId) };
+};
+
+const download = async (params, destPath, options) => {
+  // Chỉ chấp nhận scene nằm trong thư mục đã cấu hình
+  const imagePath = IMAGE_EXTENSIONS
+    .map(extension => path.resolve(LOCAL_IMAGERY_DIR, `${params.itemId}${extension}`))
+    .find(candidate => candidate.startsWith(`${LOCAL_IMAGERY_DIR}${path.sep}`) && fs.existsSync(candidate));
+  if (!imagePath) {
+    throw new ProviderError(`Local scene not found: ${params.itemId}`, { status: 404 });
+  }
+  await copyToFile(imagePath, destPath, options);
+  const acquired = readScene(imagePath)?.acquired || null;
+
+  const base = imagePath.replace(/\.tiff?$/i, '');
+  const maskType = options.maskPath && MASK_TYPES.find(type => fs.existsSync(`${base}_${type}.tif`));
+  if (!maskType) {
+    return { acquired };
+  }
+  await copyToFile(`${base}_${maskType}.tif`, options.maskPath, { signal: options.signal });
+  return { acquired, cloudMask: maskType };
+};
+
+module.exports = { name: 'local', search, validateDownload, download };
@@ -0,0 +1,282 @@
+const axios = require('axios');
+const logger = require('../../config/logger');
+const { PLANET_API_KEY, PLANET_API_URL } = require('../../config/planet');
+const { downloadToFile, checkDownloadUrl, parseChecksum, parseHosts } = require('./download');
+const { ProviderError } = require('./errors');
+
+/**
+ * Provider Planet Data API (quick-search, kích hoạt asset) và Orders API (đặt hàng cắt theo shapefile).
+ * Mặc định giữ nguyên bộ lọc cũ: PSScene, mây <= 10%, từ 2023-01-01, chất lượng standard.
+ * PLANET_API_URL và PLANET_ORDERS_URL có thể trỏ tới server mock cục bộ khi kiểm thử.
+ */
+
+const DEFAULT_ITEM_TYPES = ['PSScene'];
+const DEFAULT_QUALITY_CATEGORY = ['standard'];
+const PAGE_SIZE = 250;
+
+const PLANET_ORDERS_URL = (process.env.PLANET_ORDERS_URL || 'https://api.planet.com/compute/ops/orders/v2').replace(/\/+$/, '');
+const DEFAULT_ASSET_TYPE = 'ortho_analytic_4b_sr';
+const DEFAULT_MASK_ASSET_TYPE = 'ortho_udm2';
+const DEFAULT_PRODUCT_BUNDLE = 'analytic_sr_udm2';
+// Chờ kích hoạt asset/đơn hàng: job hỏi lại mỗi PLANET_POLL_INTERVAL giây, tối đa PLANET_WAIT_TIMEOUT giây
+const POLL_INTERVAL = (parseInt(process.env.PLANET_POLL_INTERVAL) || 10) * 1000;
+const WAIT_TIMEOUT = (parseInt(process.env.PLANET_WAIT_TIMEOUT) || 3600) * 1000;
+const ORDER_FAILED_STATES = ['failed', 'cancelled'];
+
+// Link tải asset của Planet chuyển hướng sang kho lưu trữ (Google Cloud Storage)
+const DEFAULT_DOWNLOAD_HOSTS = 'api.planet.com,storage.googleapis.com';
+const downloadHosts = () => [
+  new URL(PLANET_API_URL).hostname,
+  new URL(PLANET_ORDERS_URL).hostname,
+  ...parseHosts(process.env.PLANET_DOWNLOAD_HOSTS || DEFAULT_DOWNLOAD_HOSTS)
+];
+
+const buildFilter = (search, geometry) => {
+  const config = [
+    { type: 'GeometryFilter', field_name: 'geometry', config: geometry },
+    { type: 'DateRangeFilter', field_name: 'acquired', config: { gte: search.dateFrom, ...(search.dateTo && { lte: search.dateTo }) } }
+  ];
+  if (Object.keys(search.cloudCover).length > 0) {
+    config.push({ type: 'RangeFilter', field_name: 'cloud_cover', config: search.cloudCover });
+  }
+  if (Object.keys(search.sunElevation).length > 0) {
+    config.push({ type: 'RangeFilter', field_name: 'sun_elevation', config: search.sunElevation });
+  }
+  const qualityCategory = search.qualityCategory || DEFAULT_QUALITY_CATEGORY;
+  if (qualityCategory.length > 0) {
+    config.push({ type: 'StringInFilter', field_name: 'quality_category', config: qualityCategory });
+  }
+  return { type: 'AndFilter', config };
+};
+
+// Chỉ đi theo link phân trang của chính Planet để không gửi API key tới host khác
+const checkNextPage = (nextPage) => {
+  const base = new URL(PLANET_API_URL);
+  let url;
+  try {
+    url = new URL(nextPage);
+  } catch (error) {
+    throw new ProviderError('nextPage must be a Planet pagination link');
+  }
+  if (url.origin !== base.origin || !url.pathname.startsWith(base.pathname)) {
+    throw new ProviderError('nextPage must be a Planet pagination link');
+  }
+  return url.toString();
+};
+
+const requestPlanet = async ({ errorMessage = 'Failed to fetch images from Planet API', ...request }) => {
+  const response = await axios({
+    ...request,
+    headers: { Authorization: `api-key ${PLANET_API_KEY}` },
+    validateStatus: status => status < 500
+  });
+  if (response.status < 200 || response.status >= 300) {
+    throw new ProviderError(errorMessage, {
+      status: response.status,
+      details: response.data
+    });
+  }
+  return response.data;
+};
+
+const normalizeItem = (feature) => ({
+  id: feature.id,
+  itemType: feature.properties?.item_type,
+  acquired: feature.properties?.acquired,
+  cloudCover: feature.properties?.cloud_cover,
+  sunElevation: feature.properties?.sun_elevation,
+  qualityCategory: feature.properties?.quality_category,
+  thumbnail: feature._links?.thumbnail || null,
+  assets: feature._links?.assets || null,
+  footprint: feature.geometry
+});
+
+/**
+ * Gọi quick-search rồi đi theo _links._next cho tới khi có ít nhất limit ảnh.
+ * Không cắt bớt trang cuối để nextPage luôn nối tiếp đúng chỗ.
+ */
+const search = async (params, { geometry, bbox }) => {
+  let page = params.nextPage
+    ? await requestPlanet({ method: 'get', url: checkNextPage(params.nextPage) })
+    : await requestPlanet({
+      method: 'post',
+      url: `${PLANET_API_URL}/quick-search`,
+      params: { _sort: params.sort, _page_size: Math.min(params.limit, PAGE_SIZE) },
+      data: {
+        item_types: params.itemTypes || DEFAULT_ITEM_TYPES,
+        filter: buildFilter(params, params.geometryMode === 'exact' ? geometry : bbox)
+      }
+    });
+
+  const features = [...(page.features || [])];
+  while (features.length < params.limit && page._links?._next && (page.features || []).length > 0) {
+    page = await requestPlanet({ method: 'get', url: page._links._next });
+    features.push(...(page.features || []));
+  }
+
+  return {
+    items: features.map(normalizeItem),
+    nextPage: (page.features || []).length > 0 ? page._links?._next || null : null
+  };
+};
+
+/**
+ * process-image với Planet nhận thẳng link tải asset đã kích hoạt, kèm link UDM2 (maskUrl) nếu có.
+ * checksum (md5_digest của asset) được kiểm tra sau khi tải và là khóa cache scene (không có thì
+ * dùng link tải).
+ */
+const validateDownload = (params) => {
+  if (!params.imageUrl) {
+    throw new ProviderError('Missing imageUrl');
+  }
+  const hosts = downloadHosts();
+  parseChecksum(params.checksum);
+  return {
+    imageUrl: checkDownloadUrl(params.imageUrl, hosts),
+    ...(params.maskUrl && { maskUrl: checkDownloadUrl(params.maskUrl, hosts) }),
+    ...(params.checksum && { checksum: String(params.checksum) })
+  };
+};
+
+const download = async (params, destPath, options) => {
+  const allowedHosts = downloadHosts();
+  await downloadToFile(params.imageUrl, destPath, {
+    ...options,
+    allowedHosts,
+    checksum: params.checksum,
+    cache: true
+  });
+  if (!params.maskUrl || !options.maskPath) {
+    return {};
+  }
+  // Thiếu mặt nạ mây thì vẫn xử lý ảnh, chỉ không loại được mây
+  try {
+    await downloadToFile(params.maskUrl, options.maskPath, {
+      signal: options.signal,
+      allowedHosts,
+      cache: true
+    });
+    return { cloudMask: 'udm2' };
+  } catch (error) {
+    if (options.signal?.aborted) throw error;
+    logger.warn('UDM2 download failed, continuing without cloud mask', { error: error.message });
+    return {};
+  }
+};
+
+const itemUrl = (itemType, itemId) => (
+  `${PLANET_API_URL}/item-types/${encodeURIComponent(itemType)}/items/${encodeURIComponent(itemId)}`
+);
+
+const getItem = (itemType, itemId, { signal } = {}) => requestPlanet({
+  method: 'get',
+  url: itemUrl(itemType, itemId),
+  signal,
+  errorMessage: `Failed to fetch Planet item ${itemType}/${itemId}`
+});
+
+/**
+ * Kiểm tra các asset của một item, yêu cầu kích hoạt asset còn inactive.
+ * Asset trong optional mà item không có thì bỏ qua. Trả về { [assetType]: { location, md5 } }
+ * khi mọi asset đã tải được, null nếu còn đang kích hoạt (job hỏi lại sau).
+ */
+const checkAssets = async ({ itemType, itemId, assetTypes, optional = [] }, { signal } = {}) => {
+  const assets = await requestPlanet({
+    method: 'get',
+    url: `${itemUrl(itemType, itemId)}/assets`,
+    signal,
+    errorMessage: `Failed to list assets of Planet item ${itemId}`
+  });
+
+  const ready = {};
+  for (const assetType of assetTypes) {
+    const asset = assets[assetType];
+    if (!asset) {
+      if (optional.includes(assetType)) continue;
+      throw new ProviderError(`Asset ${assetType} not available for item ${itemId}`, {
+        status: 404,
+        details: { available: Object.keys(assets) }
+      });
+    }
+    if (Array.isArray(asset._permissions) && !asset._permissions.includes('download')) {
+      throw new ProviderError(`No download permission for asset ${assetType} of item ${itemId}`, { status: 403 });
+    }
+    if (asset.status === 'active' && asset.location) {
+      ready[assetType] = { location: asset.location, md5: asset.md5_digest || null };
+    } else if (asset.status === 'inactive') {
+      await requestPlanet({
+        method: 'post',
+        url: asset._links.activate,
+        signal,
+        errorMessage: `Failed to activate asset ${assetType}`
+      });
+      logger.info(`Planet asset activation requested: ${itemId}/${assetType}`);
+    }
+  }
+  const pending = assetTypes.filter(assetType => assets[assetType] && !ready[assetType]);
+  return pending.length === 0 ? ready : null;
+};
+
+/**
+ * Đặt hàng qua Orders API: một item, cắt theo geometry (Polygon/MultiPolygon EPSG:4326).
+ */
+const placeOrder = ({ itemType, itemId, productBundle = DEFAULT_PRODUCT_BUNDLE, geometry, name }, { signal } = {}) => (
+  requestPlanet({
+    method: 'post',
+    url: PLANET_ORDERS_URL,
+    data: {
+      name: name || `${itemId}_clip`,
+      products: [{ item_ids: [itemId], item_type: itemType, product_bundle: productBundle }],
+      tools: geometry ? [{ clip: { aoi: geometry } }] : []
+    },
+    signal,
+    errorMessage: 'Failed to place Planet order'
+  })
+);
+
+/**
+ * Trạng thái đơn hàng: danh sách file [{ name, location }] khi xong (success/partial),
+ * null nếu đơn còn đang chạy. Đơn thất bại/bị hủy thì ném ProviderError.
+ */
+const checkOrder = async (orderId, { signal } = {}) => {
+  const order = await requestPlanet({
+    method: 'get',
+    url: `${PLANET_ORDERS_URL}/${encodeURIComponent(orderId)}`,
+    signal,
+    errorMessage: `Failed to fetch Planet order ${orderId}`
+  });
+  if (ORDER_FAILED_STATES.includes(order.state)) {
+    throw new ProviderError(`Planet order ${orderId} ${order.state}`, {
+      status: 502,
+      details: { lastMessage: order.last_message || null }
+    });
+  }
+  return ['success', 'partial'].includes(order.state) ? order._links?.results || [] : null;
+};
+
+// Chọn ảnh và mặt nạ UDM2 trong kết quả đơn hàng (bỏ metadata .json/.xml)
+const pickOrderFiles = (results) => {
+  const rasters = results.filter(result => /\.tiff?$/i.test(result.name || ''));
+  return {
+    image: rasters.find(result => !/udm/i.test(result.name)) || null,
+    mask: rasters.find(result => /udm2/i.test(result.name)) || null
+  };
+};
+
+module.exports = {
+  name: 'planet',
+  search,
+  validateDownload,
+  download,
+  getItem,
+  checkAssets,
+  placeOrder,
+  checkOrder,
+  pickOrderFiles,
+  POLL_INTERVAL,
+  WAIT_TIMEOUT,
+  DEFAULT_ITEM_TYPES,
+  DEFAULT_ASSET_TYPE,
+  DEFAULT_MASK_ASSET_TYPE,
+  DEFAULT_PRODUCT_BUNDLE
+};
@@ -0,0 +1,88 @@
+/**
+ * Tham số tìm ảnh dùng chung cho mọi provider (fetch-image).
+ * Độ che phủ mây theo thang 0-1 như Planet; provider tự quy đổi nếu cần.
+ */
+
+const { SearchError } = require('./errors');
+
+const DEFAULT_MAX_CLOUD_COVER = 0.1;
+const DEFAULT_DATE_FROM = '2023-01-01T00:00:00Z';
+const DEFAULT_LIMIT = 250;
+const MAX_LIMIT = 1000;
+const SORT_OPTIONS = ['acquired desc', 'acquired asc', 'published desc', 'published asc'];
+const GEOMETRY_MODES = ['bbox', 'exact'];
+
+const parseDate = (value, label) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new SearchError(`${label} must be an ISO 8601 date`);
+  }
+  return date.toISOString();
+};
+
+const parseRange = (min, max, label, [lower, upper]) => {
+  const config = {};
+  [['gte', min], ['lte', max]].forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < lower || number > upper) {
+      throw new SearchError(`${label} must be between ${lower} and ${upper}`);
+    }
+    config[key] = number;
+  });
+  return config;
+};
+
+const parseList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+/**
+ * Chuẩn hóa tham số request, trả về
+ * { itemTypes, dateFrom, dateTo, cloudCover, sunElevation, qualityCategory, geometryMode, sort, limit, nextPage }.
+ * itemTypes (hoặc collections với STAC) và qualityCategory là null nếu không truyền để provider dùng mặc định riêng.
+ */
+const parseSearchParams = (params) => {
+  const rawItemTypes = params.itemTypes !== undefined ? params.itemTypes : params.collections;
+  const itemTypes = rawItemTypes !== undefined ? parseList(rawItemTypes) : null;
+  if (itemTypes && itemTypes.length === 0) {
+    throw new SearchError('itemTypes must list at least one item type or collection');
+  }
+
+  const dateFrom = params.dateFrom !== undefined ? parseDate(params.dateFrom, 'dateFrom') : DEFAULT_DATE_FROM;
+  const dateTo = params.dateTo !== undefined ? parseDate(params.dateTo, 'dateTo') : null;
+  if (dateTo && dateTo < dateFrom) {
+    throw new SearchError('dateTo must not be before dateFrom');
+  }
+
+  const cloudCover = parseRange(
+    null,
+    params.maxCloudCover !== undefined ? params.maxCloudCover : DEFAULT_MAX_CLOUD_COVER,
+    'maxCloudCover',
+    [0, 1]
+  );
+  const sunElevation = parseRange(params.minSunElevation, params.maxSunElevation, 'sunElevation', [-90, 90]);
+
+  const qualityCategory = params.qualityCategory !== undefined ? parseList(params.qualityCategory) : null;
+
+  const geometryMode = params.geometry || 'bbox';
+  if (!GEOMETRY_MODES.includes(geometryMode)) {
+    throw new SearchError(`geometry must be one of ${GEOMETRY_MODES.join(', ')}`);
+  }
+
+  const sort = params.sort || SORT_OPTIONS[0];
+  if (!SORT_OPTIONS.includes(sort)) {
+    throw new SearchError(`sort must be one of ${SORT_OPTIONS.join(', ')}`);
+  }
+
+  const limit = Math.min(Math.max(parseInt(params.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  if (params.nextPage !== undefined && typeof params.nextPage !== 'string') {
+    throw new SearchError('nextPage must be the value returned by a previous search');
+  }
+  const nextPage = params.nextPage || null;
+
+  return { itemTypes, dateFrom, dateTo, cloudCover, sunElevation, qualityCategory, geometryMode, sort, limit, nextPage };
+};
+
+module.exports = { parseSearchParams, parseList, SORT_OPTIONS };
@@ -0,0 +1,217 @@
+const axios = require('axios');
+const logger = require('../../config/logger');
+const { downloadToFile, checkDownloadUrl, parseHosts } = require('./download');
+const { ProviderError } = require('./errors');
+
+/**
+ * Provider STAC API chung (Sentinel-2, Landsat...): POST /search và tải asset của item.
+ * STAC_API_URL có thể trỏ tới server mock cục bộ khi kiểm thử.
+ */
+
+const STAC_API_URL = (process.env.STAC_API_URL || '').replace(/\/+$/, '');
+const STAC_API_KEY = process.env.STAC_API_KEY;
+const DEFAULT_COLLECTIONS = (process.env.STAC_COLLECTIONS || '').split(',').map(item => item.trim()).filter(Boolean);
+const DEFAULT_ASSET = process.env.STAC_DEFAULT_ASSET || 'visual';
+const PAGE_SIZE = 100;
+// Host chứa file asset ngoài STAC API (ví dụ bucket S3 của Sentinel-2 COG), dạng host hoặc *.domain
+const STAC_ASSET_HOSTS = parseHosts(process.env.STAC_ASSET_HOSTS);
+
+// Asset mặt nạ mây thường gặp trong item STAC và loại mặt nạ tương ứng
+const MASK_ASSETS = { scl: 'scl', SCL: 'scl', udm2: 'udm2', ortho_udm2: 'udm2' };
+
+const SORT_FIELDS = {
+  acquired: 'properties.datetime',
+  published: 'properties.created'
+};
+
+const apiUrl = () => {
+  if (!STAC_API_URL) {
+    throw new ProviderError('STAC provider is not configured (STAC_API_URL)', { status: 503 });
+  }
+  return STAC_API_URL;
+};
+
+const requestStac = async (request) => {
+  const response = await axios({
+    ...request,
+    headers: STAC_API_KEY ? { Authorization: `Bearer ${STAC_API_KEY}` } : undefined,
+    timeout: 30000,
+    validateStatus: status => status < 500
+  });
+  if (response.status !== 200) {
+    throw new ProviderError('Failed to fetch images from STAC API', {
+      status: response.status === 404 ? 404 : 502,
+      details: response.data
+    });
+  }
+  return response.data;
+};
+
+// nextPage là link "next" của STAC (có thể là POST kèm body) mã hóa base64url
+const encodeNextPage = (link) => Buffer.from(JSON.stringify({
+  href: link.href,
+  method: (link.method || 'GET').toUpperCase(),
+  body: link.body,
+  merge: link.merge || false
+})).toString('base64url');
+
+const decodeNextPage = (nextPage, searchBody) => {
+  let link;
+  try {
+    link = JSON.parse(Buffer.from(nextPage, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new ProviderError('nextPage must be the value returned by a previous search');
+  }
+  // Chỉ đi theo link thuộc STAC API đã cấu hình
+  if (typeof link?.href !== 'string' || !link.href.startsWith(`${apiUrl()}/`)) {
+    throw new ProviderError('nextPage must be a link of the configured STAC API');
+  }
+  return link.method === 'POST'
+    ? { method: 'post', url: link.href, data: link.merge ? { ...searchBody, ...link.body } : link.body }
+    : { method: 'get', url: link.href };
+};
+
+const bboxOf = (polygon) => {
+  const points = polygon.coordinates[0];
+  const xs = points.map(point => point[0]);
+  const ys = points.map(point => point[1]);
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+};
+
+const buildSearchBody = (params, { geometry, bbox }) => {
+  const query = {};
+  if (Object.keys(params.cloudCover).length > 0) {
+    // STAC eo:cloud_cover tính theo phần trăm
+    query['eo:cloud_cover'] = Object.fromEntries(
+      Object.entries(params.cloudCover).map(([key, value]) => [key, value * 100])
+    );
+  }
+  if (Object.keys(params.sunElevation).length > 0) {
+    query['view:sun_elevation'] = params.sunElevation;
+  }
+
+  const [field, direction] = params.sort.split(' ');
+  const collections = params.itemTypes || DEFAULT_COLLECTIONS;
+  return {
+    ...(collections.length > 0 && { collections }),
+    ...(params.geometryMode === 'exact' ? { intersects: geometry } : { bbox: bboxOf(bbox) }),
+    datetime: `${params.dateFrom}/${params.dateTo || '..'}`,
+    limit: Math.min(params.limit, PAGE_SIZE),
+    sortby: [{ field: SORT_FIELDS[field], direction }],
+    ...(Object.keys(query).length > 0 && { query })
+  };
+};
+
+const normalizeItem = (feature) => {
+  const properties = feature.properties || {};
+  const cloudCover = properties['eo:cloud_cover'];
+  return {
+    id: feature.id,
+    itemType: feature.collection || null,
+    acquired: properties.datetime || properties.start_datetime || null,
+    cloudCover: typeof cloudCover === 'number' ? cloudCover / 100 : null,
+    sunElevation: properties['view:sun_elevation'] ?? null,
+    qualityCategory: null,
+    thumbnail: feature.assets?.thumbnail?.href
+      || (feature.links || []).find(link => link.rel === 'thumbnail')?.href
+      || null,
+    assets: Object.fromEntries(Object.entries(feature.assets || {}).map(([key, asset]) => [key, asset.href])),
+    footprint: feature.geometry
+  };
+};
+
+/**
+ * Tìm item qua /search, đi theo link "next" cho tới khi có ít nhất limit item.
+ */
+const search = async (params, geometries) => {
+  const searchBody = buildSearchBody(params, geometries);
+  let page = await requestStac(params.nextPage
+    ? decodeNextPage(params.nextPage, searchBody)
+    : { method: 'post', url: `${apiUrl()}/search`, data: searchBody });
+
+  const nextLink = (current) => (current.features || []).length > 0
+    ? (current.links || []).find(link => link.rel === 'next')
+    : null;
+
+  const features = [...(page.features || [])];
+  while (features.length < params.limit && nextLink(page)) {
+    page = await requestStac(decodeNextPage(encodeNextPage(nextLink(page)), searchBody));
+    features.push(...(page.features || []));
+  }
+
+  const next = nextLink(page);
+  return {
+    items: features.map(normalizeItem),
+    nextPage: next ? encodeNextPage(next) : null
+  };
+};
+
+const downloadHosts = () => [new URL(apiUrl()).hostname, ...STAC_ASSET_HOSTS];
+
+// process-image với STAC nhận itemId + collection (+ asset), hoặc imageUrl của asset
+const validateDownload = (params) => {
+  if (params.imageUrl) {
+    return { imageUrl: checkDownloadUrl(params.imageUrl, downloadHosts()) };
+  }
+  if (!params.itemId || !params.collection) {
+    throw new ProviderError('Missing imageUrl, or itemId and collection');
+  }
+  return {
+    itemId: String(params.itemId),
+    collection: String(params.collection),
+    asset: params.asset ? String(params.asset) : DEFAULT_ASSET
+  };
+};
+
+const download = async (params, destPath, options) => {
+  const allowedHosts = downloadHosts();
+  if (params.imageUrl) {
+    await downloadToFile(params.imageUrl, destPath, { ...options, allowedHosts });
+    return {};
+  }
+
+  const itemUrl = `${apiUrl()}/collections/${encodeURIComponent(params.collection)}/items/${encodeURIComponent(params.itemId)}`;
+  const item = await requestStac({ method: 'get', url: itemUrl, signal: options.signal });
+  const asset = item.assets?.[params.asset];
+  if (!asset?.href) {
+    throw new ProviderError(`Asset ${params.asset} not found in item ${params.itemId}`, { status: 404 });
+  }
+
+  // href của asset có thể là đường dẫn tương đối so với item
+  const authHeaders = (href) => (
+    STAC_API_KEY && href.startsWith(`${STAC_API_URL}/`) ? { Authorization: `Bearer ${STAC_API_KEY}` } : undefined
+  );
+  // Asset lấy từ item của STAC API được cache (theo file:checksum nếu có, không thì theo href)
+  const href = new URL(asset.href, itemUrl).toString();
+  await downloadToFile(href, destPath, {
+    ...options,
+    allowedHosts,
+    headers: authHeaders(href),
+    checksum: asset['file:checksum'],
+    cache: true
+  });
+  const acquired = item.properties?.datetime || item.properties?.start_datetime || null;
+
+  // Mặt nạ mây (SCL, UDM2) nếu item có; lỗi tải thì xử lý tiếp không loại mây
+  const maskKey = options.maskPath && Object.keys(MASK_ASSETS).find(key => item.assets?.[key]?.href);
+  if (!maskKey) {
+    return { acquired };
+  }
+  try {
+    const maskHref = new URL(item.assets[maskKey].href, itemUrl).toString();
+    await downloadToFile(maskHref, options.maskPath, {
+      signal: options.signal,
+      allowedHosts,
+      headers: authHeaders(maskHref),
+      checksum: item.assets[maskKey]['file:checksum'],
+      cache: true
+    });
+    return { acquired, cloudMask: MASK_ASSETS[maskKey] };
+  } catch (error) {
+    if (options.signal?.aborted) throw error;
+    logger.warn(`Cloud mask download failed for item ${params.itemId}`, { asset: maskKey, error: error.message });
+    return { acquired };
+  }
+};
+
+module.exports = { name: 'stac', search, validateDownload, download };
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const logger = require('../config/logger');
+
+const SCRIPT_TIMEOUT = 300000;
+// Phần cuối stderr giữ lại để ghi log khi script lỗi
+const STDERR_TAIL = 16 * 1024;
+
+// Mã lỗi của script Python (ProcessingError) -> mã HTTP trả về cho client
+const ERROR_STATUS = {
+  invalid_request: 400,
+  invalid_index: 400,
+  invalid_expression: 400,
+  bad_bands: 422,
+  empty_intersection: 422,
+  crs_mismatch: 422,
+  invalid_image: 422,
+  invalid_cloud_mask: 422,
+  mosaic_too_large: 422,
+  timeout: 504,
+  internal_error: 500
+};
+
+class PythonScriptError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'PythonScriptError';
+    this.code = code;
+    this.status = ERROR_STATUS[code] || 500;
+    this.details = details;
+  }
+}
+
+const parseResponse = (stdout) => {
+  const line = stdout.trim().split('\n').pop();
+  if (!line) return null;
+  try {
+    return JSON.parse(line);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Chạy script Python ở thư mục gốc (không qua shell): gửi request JSON qua stdin, nhận đúng một
+ * response JSON trên stdout. Trả về response thành công; lỗi của script thành PythonScriptError
+ * với code (bad_bands, empty_intersection...). jobId là nhãn ghi log (id job hoặc transaction).
+ */
+const callPython = (scriptName, request, { signal, jobId, timeout = SCRIPT_TIMEOUT }) => new Promise((resolve, reject) => {
+  const child = spawn('python3', [path.join(__dirname, '..', scriptName)], {
+    signal,
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+  let stdout = '';
+  let stderr = '';
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    child.kill('SIGKILL');
+  }, timeout);
+
+  child.stdout.setEncoding('utf8').on('data', chunk => { stdout += chunk; });
+  child.stderr.setEncoding('utf8').on('data', chunk => {
+    stderr = (stderr + chunk).slice(-STDERR_TAIL);
+  });
+  // Script thoát sớm (lỗi import...) thì ghi stdin báo EPIPE; lỗi thật được xử lý khi close
+  child.stdin.on('error', () => {});
+  child.stdin.end(JSON.stringify(request));
+
+  child.on('error', (error) => {
+    clearTimeout(timer);
+    if (error.name !== 'AbortError') {
+      logger.error(`[${jobId}] Failed to start Python`, { script: scriptName, error: error.message });
+    }
+    reject(error);
+  });
+
+  child.on('close', (exitCode, exitSignal) => {
+    clearTimeout(timer);
+    if (signal?.aborted) return; // đã reject qua sự kiện error
+
+    if (timedOut) {
+      return reject(new PythonScriptError('timeout', `${scriptName} timed out after ${timeout / 1000}s`));
+    }
+
+    const response = parseResponse(stdout);
+    if (!response) {
+      logger.error(`[${jobId}] Python produced no response`, { script: scriptName, exitCode, exitSignal, stderr });
+      return reject(new PythonScriptError(
+        'internal_error',
+        `${scriptName} exited with ${exitSignal || `code ${exitCode}`} without a response`
+      ));
+    }
+    if (!response.ok) {
+      const { code, message, details } = response.error || {};
+      logger.warn(`[${jobId}] Python error`, { script: scriptName, code, message });
+      if (code === 'internal_error') {
+        logger.error(`[${jobId}] Python traceback`, { script: scriptName, stderr });
+      }
+      return reject(new PythonScriptError(code || 'internal_error', message || 'Processing failed', details));
+    }
+
+    if (stderr.trim()) {
+      logger.debug(`[${jobId}] Python stderr`, { script: scriptName, stderr });
+    }
+    resolve(response);
+  });
+});
+
+/**
+ * Chạy script xử lý ảnh (process_satellite.py, change_detection.py). Trả về { geotiff, preview, legend,
+ * worldFile, bounds, summary, stats, coverage, mosaic, warnings }.
+ */
+const runPythonScript = async (scriptName, request, options) => {
+  const response = await callPython(scriptName, request, options);
+  if (response.warnings?.length > 0) {
+    logger.warn(`[${options.jobId}] Python warnings`, { script: scriptName, warnings: response.warnings });
+  }
+  const outputs = response.outputs || {};
+  if (!outputs.geotiff || !outputs.preview) {
+    throw new PythonScriptError('internal_error', 'Invalid output paths');
+  }
+  return {
+    geotiff: outputs.geotiff,
+    preview: outputs.preview,
+    legend: outputs.legend || null,
+    worldFile: outputs.worldfile || null,
+    bounds: response.bounds || null,
+    summary: response.summary || null,
+    stats: response.stats || null,
+    coverage: response.coverage || null,
+    mosaic: response.mosaic || null,
+    warnings: response.warnings || []
+  };
+};
+
+// Xóa file kết quả khi job lỗi hoặc bị hủy
+const removeOutputs = (output) => {
+  [output.geotiff, output.preview, output.legend, output.worldFile].filter(Boolean).forEach(file => {
+    try { fs.unlinkSync(file); } catch (e) { /* đã bị xóa */ }
+  });
+};
+
+module.exports = { callPython, runPythonScript, removeOutputs, PythonScriptError, ERROR_STATUS };
@@ -0,0 +1,24 @@
+const local = require('./local');
+const s3 = require('./s3');
+
+/**
+ * Backend lưu file sản phẩm (GeoTIFF, preview, chú giải). Mỗi backend có:
+ * - put(key, sourcePath, { contentType }) sao chép file lên kho
+ * - open(key) -> stream đọc, null nếu không còn
+ * - download(key, destPath, { signal }) tải về file cục bộ (dùng khi xử lý tiếp)
+ * - remove(key)
+ * Sản phẩm ghi nhớ backend đã lưu nên đổi STORAGE_BACKEND không làm mất file cũ.
+ */
+const STORAGE_BACKENDS = { local, s3 };
+
+const DEFAULT_STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'local';
+
+const getStorage = (name = DEFAULT_STORAGE_BACKEND) => {
+  const storage = STORAGE_BACKENDS[name];
+  if (!storage) {
+    throw new Error(`Unknown storage backend: ${name}. Expected one of ${Object.keys(STORAGE_BACKENDS).join(', ')}`);
+  }
+  return storage;
+};
+
+module.exports = { STORAGE_BACKENDS, DEFAULT_STORAGE_BACKEND, getStorage };
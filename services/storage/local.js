@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Lưu sản phẩm trên đĩa cục bộ, trong STORAGE_DIR (mặc định data/products).
+ * Thư mục này không được phục vụ tĩnh; file chỉ tải được qua /api/products.
+ */
+const STORAGE_DIR = path.resolve(process.env.STORAGE_DIR || path.join(__dirname, '../../data/products'));
+
+// Khóa do server sinh ra, vẫn kiểm tra để không thoát khỏi thư mục lưu trữ
+const resolveKey = (key) => {
+  const target = path.resolve(STORAGE_DIR, key);
+  if (!target.startsWith(STORAGE_DIR + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return target;
+};
+
+const put = async (key, sourcePath) => {
+  const target = resolveKey(key);
+  await fs.promises.mkdir(path.dirname(target), { recursive: true });
+  await fs.promises.copyFile(sourcePath, target);
+};
+
+// Trả về stream đọc file, null nếu file không còn
+const open = async (key) => {
+  const target = resolveKey(key);
+  try {
+    await fs.promises.access(target);
+  } catch (error) {
+    return null;
+  }
+  return fs.createReadStream(target);
+};
+
+const download = async (key, destPath, { signal } = {}) => {
+  await pipeline(fs.createReadStream(resolveKey(key)), fs.createWriteStream(destPath), { signal });
+};
+
+const remove = async (key) => {
+  try {
+    await fs.promises.unlink(resolveKey(key));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+module.exports = { name: 'local', put, open, download, remove };
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Lưu sản phẩm trên dịch vụ tương thích S3 (AWS S3, MinIO).
+ * Cấu hình: S3_BUCKET, S3_ENDPOINT (MinIO), S3_REGION, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY,
+ * S3_PREFIX, S3_FORCE_PATH_STYLE (mặc định bật khi có S3_ENDPOINT, MinIO cần kiểu path).
+ */
+const S3_BUCKET = process.env.S3_BUCKET;
+const S3_PREFIX = (process.env.S3_PREFIX || '').replace(/^\/+|\/+$/g, '');
+
+let client;
+let sdk;
+
+// Chỉ nạp SDK khi backend s3 thực sự được dùng
+const getClient = () => {
+  if (!client) {
+    if (!S3_BUCKET) {
+      throw new Error('S3_BUCKET is not configured');
+    }
+    sdk = require('@aws-sdk/client-s3');
+    client = new sdk.S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      ...(process.env.S3_ENDPOINT && { endpoint: process.env.S3_ENDPOINT }),
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+        ? ['true', '1'].includes(process.env.S3_FORCE_PATH_STYLE)
+        : Boolean(process.env.S3_ENDPOINT),
+      ...(process.env.S3_ACCESS_KEY_ID && {
+        credentials: {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        }
+      })
+    });
+  }
+  return client;
+};
+
+const objectKey = (key) => (S3_PREFIX ? `${S3_PREFIX}/${key}` : key);
+
+const put = async (key, sourcePath, { contentType } = {}) => {
+  const { size } = await fs.promises.stat(sourcePath);
+  await getClient().send(new sdk.PutObjectCommand({
+    Bucket: S3_BUCKET,
+    Key: objectKey(key),
+    Body: fs.createReadStream(sourcePath),
+    ContentLength: size,
+    ...(contentType && { ContentType: contentType })
+  }));
+};
+
+// Trả về stream đọc object, null nếu object không còn
+const open = async (key) => {
+  try {
+    const response = await getClient().send(new sdk.GetObjectCommand({ Bucket: S3_BUCKET, Key: objectKey(key) }));
+    return response.Body;
+  } catch (error) {
+    if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+    throw error;
+  }
+};
+
+const download = async (key, destPath, { signal } = {}) => {
+  const body = await open(key);
+  if (!body) {
+    // Cùng mã lỗi với backend local để nơi gọi nhận biết file không còn
+    throw Object.assign(new Error(`Object not found: ${key}`), { code: 'ENOENT' });
+  }
+  await pipeline(body, fs.createWriteStream(destPath), { signal });
+};
+
+const remove = async (key) => {
+  await getClient().send(new sdk.DeleteObjectCommand({ Bucket: S3_BUCKET, Key: objectKey(key) }));
+};
+
+module.exports = { name: 's3', put, open, download, remove };
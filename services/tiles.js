@@ -0,0 +1,325 @@
+/**
+ * Tile XYZ (Web Mercator) cho GeoTIFF chỉ số trong kho sản phẩm.
+ * GeoTIFF được tải một lần vào TILE_CACHE_DIR/<productId>/source.tif; render_tiles.py vẽ từng khối
+ * METATILE x METATILE tile trong một lần chạy Python, tile đã vẽ được giữ theo style
+ * (TILE_CACHE_DIR/<productId>/<style>/<z>/<x>/<y>.png). Tile trong suốt hoàn toàn không được lưu,
+ * route trả EMPTY_TILE dùng chung thay cho chúng.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const logger = require('../config/logger');
+const pool = require('../db');
+const { callPython } = require('./pythonScript');
+const { fetchProduct } = require('./products');
+const { INDICES, STYLES, resolveStyle, SpectralIndexError } = require('./indices');
+
+const TILE_CACHE_DIR = path.resolve(process.env.TILE_CACHE_DIR || path.join(__dirname, '../data/tiles'));
+// Dung lượng tối đa của cache tile (GB); vượt thì xóa cache của sản phẩm lâu không dùng nhất
+const TILE_CACHE_MAX_GB = process.env.TILE_CACHE_MAX_GB !== undefined ? Number(process.env.TILE_CACHE_MAX_GB) : 2;
+const TILE_RENDER_CONCURRENCY = parseInt(process.env.TILE_RENDER_CONCURRENCY) || 2;
+const METATILE = 4;
+const TILE_SIZE = 256;
+const MAX_ZOOM = 24;
+const RENDER_TIMEOUT = 60000;
+const CLEANUP_INTERVAL = 60 * 60 * 1000;
+
+class TileError extends Error {
+  constructor(message, { status = 400 } = {}) {
+    super(message);
+    this.name = 'TileError';
+    this.status = status;
+  }
+}
+
+const crc32 = (buffer) => {
+  let crc = ~0;
+  for (const byte of buffer) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit += 1) {
+      crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+    }
+  }
+  return ~crc >>> 0;
+};
+
+const pngChunk = (type, data) => {
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const chunk = Buffer.alloc(body.length + 8);
+  chunk.writeUInt32BE(data.length, 0);
+  body.copy(chunk, 4);
+  chunk.writeUInt32BE(crc32(body), body.length + 4);
+  return chunk;
+};
+
+// PNG RGBA TILE_SIZE x TILE_SIZE trong suốt cho tile trống (ngoài raster hoặc toàn nodata), dựng một lần
+const EMPTY_TILE = (() => {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(TILE_SIZE, 0);
+  header.writeUInt32BE(TILE_SIZE, 4);
+  header[8] = 8; // 8 bit mỗi kênh
+  header[9] = 6; // RGBA
+  // Mỗi dòng: một byte filter (0) rồi TILE_SIZE điểm ảnh toàn 0
+  const pixels = Buffer.alloc((TILE_SIZE * 4 + 1) * TILE_SIZE);
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(pixels, { level: 9 })),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+})();
+
+// Promise đang chạy theo khóa để các request cùng raster/khối tile chỉ chạy Python một lần
+const pending = new Map();
+const once = (key, run) => {
+  if (!pending.has(key)) {
+    pending.set(key, run().finally(() => pending.delete(key)));
+  }
+  return pending.get(key);
+};
+
+// Giới hạn số tiến trình Python vẽ tile chạy cùng lúc
+let running = 0;
+const waiting = [];
+const withRenderSlot = async (run) => {
+  if (running >= TILE_RENDER_CONCURRENCY) {
+    await new Promise(resolve => waiting.push(resolve));
+  }
+  running += 1;
+  try {
+    return await run();
+  } finally {
+    running -= 1;
+    waiting.shift()?.();
+  }
+};
+
+const productDir = (product) => path.join(TILE_CACHE_DIR, product.id);
+
+// Style mặc định theo chỉ số của sản phẩm; kết quả change detection (<index>_change) dùng style 'change'
+const defaultStyleKey = (product) => (
+  product.index_type?.endsWith('_change') ? 'change' : product.index_type || 'default'
+);
+
+const parseNumbers = (value, label) => {
+  const numbers = String(value).split(',').map(Number);
+  if (!numbers.every(Number.isFinite)) {
+    throw new TileError(`${label} must be numbers`);
+  }
+  return numbers;
+};
+
+/**
+ * Style vẽ tile từ query: palette (tên chỉ số/style như ndvi, change, hoặc danh sách màu RRGGBB cách nhau
+ * bởi dấu phẩy), min, max (khoảng giá trị của ramp), breaks (ngưỡng phân lớp).
+ * Trả về { style, key } với key là mã ngắn của style dùng cho cache.
+ */
+const parseTileStyle = (product, query) => {
+  const { palette, min, max, breaks } = query;
+  const custom = palette !== undefined && String(palette).includes(',');
+  const named = palette !== undefined && !custom ? String(palette).toLowerCase() : defaultStyleKey(product);
+  if (palette !== undefined && !custom && !INDICES[named]?.style && !STYLES[named]) {
+    throw new TileError(`Unknown palette: ${palette}`);
+  }
+  const base = resolveStyle(named);
+  const colors = custom
+    ? String(palette).split(',').map(color => `#${color.trim().replace(/^#/, '')}`)
+    : base.palette;
+
+  let override = null;
+  if (breaks !== undefined) {
+    override = { type: 'classes', palette: colors, breaks: parseNumbers(breaks, 'breaks') };
+  } else if (custom || min !== undefined || max !== undefined) {
+    const [low, high] = base.range || [];
+    override = {
+      type: 'ramp',
+      palette: colors,
+      range: [
+        min !== undefined ? parseNumbers(min, 'min')[0] : low,
+        max !== undefined ? parseNumbers(max, 'max')[0] : high
+      ]
+    };
+  }
+
+  let style;
+  try {
+    style = resolveStyle(named, override);
+  } catch (error) {
+    if (!(error instanceof SpectralIndexError)) throw error;
+    throw new TileError(error.message.replace(/^style\./, ''));
+  }
+  const key = crypto.createHash('sha256').update(JSON.stringify(style)).digest('hex').slice(0, 16);
+  return { style, key };
+};
+
+/**
+ * Tải GeoTIFF của sản phẩm vào cache và đọc thông tin raster (bounds, khoảng zoom).
+ * Trả về { rasterPath, bounds, minzoom, maxzoom }.
+ */
+const prepareRaster = (product) => once(`raster:${product.id}`, async () => {
+  const dir = productDir(product);
+  const rasterPath = path.join(dir, 'source.tif');
+  const infoPath = path.join(dir, 'info.json');
+  try {
+    const info = JSON.parse(await fs.promises.readFile(infoPath, 'utf8'));
+    // Đánh dấu lần dùng gần nhất cho việc dọn cache
+    const now = new Date();
+    await fs.promises.utimes(infoPath, now, now).catch(() => {});
+    return { rasterPath, ...info };
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  await fs.promises.mkdir(dir, { recursive: true });
+  const tempPath = `${rasterPath}.${process.pid}.part`;
+  try {
+    await fetchProduct(product, tempPath);
+    await fs.promises.rename(tempPath, rasterPath);
+  } catch (error) {
+    // Chỉ file không còn trong kho mới là 410; lỗi kho/đĩa khác là lỗi server
+    if (error.code !== 'ENOENT') throw error;
+    logger.warn(`Product file missing from ${product.storage} storage: ${product.id}`, { error: error.message });
+    throw new TileError('Product file no longer available', { status: 410 });
+  } finally {
+    await fs.promises.rm(tempPath, { force: true });
+  }
+  const info = await callPython('render_tiles.py', { action: 'info', raster: rasterPath }, {
+    jobId: `tiles:${product.id}`,
+    timeout: RENDER_TIMEOUT
+  });
+  const { bounds, minzoom, maxzoom } = info;
+  await fs.promises.writeFile(infoPath, JSON.stringify({ bounds, minzoom, maxzoom }));
+  logger.info(`Prepared tile source for product ${product.id}`, { bounds, maxzoom });
+  return { rasterPath, bounds, minzoom, maxzoom };
+});
+
+const parseTile = (params) => {
+  const [z, x, y] = ['z', 'x', 'y'].map(key => Number(params[key]));
+  if (![z, x, y].every(Number.isInteger) || z < 0 || z > MAX_ZOOM || x < 0 || y < 0 || x >= 2 ** z || y >= 2 ** z) {
+    throw new TileError('Invalid tile coordinates');
+  }
+  return { z, x, y };
+};
+
+// Khung tile theo kinh/vĩ độ để bỏ qua tile nằm ngoài raster mà không cần chạy Python
+const tileLngLatBounds = ({ z, x, y }) => {
+  const n = 2 ** z;
+  const lat = (row) => Math.atan(Math.sinh(Math.PI * (1 - 2 * row / n))) * 180 / Math.PI;
+  return [x / n * 360 - 180, lat(y + 1), (x + 1) / n * 360 - 180, lat(y)];
+};
+
+const exists = (file) => fs.promises.access(file).then(() => true, () => false);
+
+/**
+ * Đường dẫn PNG của tile, null nếu tile trống (ngoài raster hoặc toàn nodata).
+ */
+const getTile = async (product, tile, { style, key }) => {
+  const raster = await prepareRaster(product);
+  const [west, south, east, north] = tileLngLatBounds(tile);
+  const [minX, minY, maxX, maxY] = raster.bounds;
+  if (west >= maxX || east <= minX || south >= maxY || north <= minY) {
+    return null;
+  }
+
+  const { z, x, y } = tile;
+  const outputDir = path.join(productDir(product), key);
+  const tilePath = path.join(outputDir, String(z), String(x), `${y}.png`);
+  if (await exists(tilePath)) return tilePath;
+
+  const span = Math.min(METATILE, 2 ** z);
+  const marker = path.join(outputDir, String(z), `${x - x % span}_${y - y % span}.done`);
+  if (!await exists(marker)) {
+    await once(marker, () => withRenderSlot(() => callPython('render_tiles.py', {
+      action: 'render',
+      raster: raster.rasterPath,
+      z,
+      x,
+      y,
+      metatile: METATILE,
+      style,
+      outputDir
+    }, { jobId: `tiles:${product.id}`, timeout: RENDER_TIMEOUT })));
+  }
+  return await exists(tilePath) ? tilePath : null;
+};
+
+const directorySize = async (dir) => {
+  let total = 0;
+  for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+    const target = path.join(dir, entry.name);
+    total += entry.isDirectory() ? await directorySize(target) : (await fs.promises.stat(target)).size;
+  }
+  return total;
+};
+
+/**
+ * Xóa cache tile của sản phẩm đã xóa/hết hạn, rồi cache lâu không dùng nhất nếu vượt TILE_CACHE_MAX_GB.
+ */
+const purgeTileCache = async () => {
+  let entries;
+  try {
+    entries = (await fs.promises.readdir(TILE_CACHE_DIR, { withFileTypes: true })).filter(entry => entry.isDirectory());
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+  if (entries.length === 0) return 0;
+
+  const result = await pool.query(
+    `SELECT id::text FROM products
+     WHERE id::text = ANY($1) AND (expires_at IS NULL OR expires_at > NOW())`,
+    [entries.map(entry => entry.name)]
+  );
+  const live = new Set(result.rows.map(row => row.id));
+  const caches = [];
+  let removed = 0;
+  for (const entry of entries) {
+    const dir = path.join(TILE_CACHE_DIR, entry.name);
+    if (!live.has(entry.name)) {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+      removed += 1;
+      continue;
+    }
+    const info = await fs.promises.stat(path.join(dir, 'info.json')).catch(() => null);
+    caches.push({ dir, usedAt: info ? info.mtimeMs : 0, size: await directorySize(dir) });
+  }
+
+  if (TILE_CACHE_MAX_GB > 0) {
+    let total = caches.reduce((sum, cache) => sum + cache.size, 0);
+    const limit = TILE_CACHE_MAX_GB * 1024 ** 3;
+    for (const cache of caches.sort((a, b) => a.usedAt - b.usedAt)) {
+      if (total <= limit) break;
+      await fs.promises.rm(cache.dir, { recursive: true, force: true });
+      total -= cache.size;
+      removed += 1;
+    }
+  }
+  if (removed > 0) {
+    logger.info(`Removed tile cache of ${removed} products`);
+  }
+  return removed;
+};
+
+/**
+ * Dọn cache tile mỗi giờ.
+ */
+const startTileCleanup = () => {
+  const run = () => purgeTileCache().catch(error => {
+    logger.error('Tile cache cleanup failed', { error: error.message });
+  });
+  run();
+  setInterval(run, CLEANUP_INTERVAL).unref();
+};
+
+module.exports = {
+  TILE_CACHE_DIR,
+  EMPTY_TILE,
+  TileError,
+  parseTileStyle,
+  parseTile,
+  prepareRaster,
+  getTile,
+  purgeTileCache,
+  startTileCleanup
+};
@@ -0,0 +1,236 @@
+/**
+ * Lịch sử phiên bản của dataset (bảng shapefile_versions).
+ * Mỗi thay đổi name/metadata/feature hoặc xóa/khôi phục ghi một phiên bản: ai, lúc nào, diff
+ * và trạng thái sau thay đổi. features chỉ được chụp lại khi feature thay đổi (null = như
+ * phiên bản trước), nên khôi phục phiên bản N lấy features của phiên bản gần nhất <= N có chụp.
+ */
+
+// Khóa metadata do server ghi (preview, nguồn import); thay thế metadata vẫn giữ lại các khóa này
+const SYSTEM_METADATA_KEYS = [
+  'previewUrl', 'previewBounds', 'legendUrl', 'previewProductId', 'legendProductId',
+  'source_format', 'source_crs', 'source_crs_error', 'source_encoding', 'source_operation'
+];
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * JSON Merge Patch (RFC 7396): khóa có giá trị null bị xóa, object lồng nhau được gộp đệ quy.
+ */
+const mergePatch = (target, patch) => {
+  if (!isObject(patch)) return patch;
+  const result = isObject(target) ? { ...target } : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = mergePatch(result[key], value);
+    }
+  });
+  return result;
+};
+
+// Thay toàn bộ metadata nhưng giữ các khóa hệ thống không được gửi lên
+const replaceMetadata = (current, metadata) => {
+  const kept = Object.fromEntries(
+    SYSTEM_METADATA_KEYS.filter(key => current?.[key] !== undefined && !(key in metadata))
+      .map(key => [key, current[key]])
+  );
+  return { ...kept, ...metadata };
+};
+
+const loadFeatures = async (client, shapefileId) => {
+  const result = await client.query(
+    `SELECT COALESCE(json_agg(json_build_object(
+       'id', id, 'feature_index', feature_index,
+       'geometry', ST_AsGeoJSON(geom)::json, 'properties', properties
+     ) ORDER BY feature_index, id), '[]'::json) AS features
+     FROM shapefile_features
+     WHERE shapefile_id = $1`,
+    [shapefileId]
+  );
+  return result.rows[0].features;
+};
+
+/**
+ * Trạng thái hiện tại của dataset; features = true thì kèm toàn bộ feature.
+ */
+const loadState = async (client, shapefileId, { features = false, lock = false } = {}) => {
+  const result = await client.query(
+    `SELECT name, metadata, deleted_at, owner_id FROM shapefiles WHERE id = $1${lock ? ' FOR UPDATE' : ''}`,
+    [shapefileId]
+  );
+  if (!result.rows[0]) return null;
+  return {
+    ...result.rows[0],
+    features: features ? await loadFeatures(client, shapefileId) : undefined
+  };
+};
+
+const diffObjects = (before = {}, after = {}) => {
+  const diff = { added: {}, removed: {}, changed: {} };
+  Object.keys({ ...before, ...after }).forEach(key => {
+    if (!(key in after)) diff.removed[key] = before[key];
+    else if (!(key in before)) diff.added[key] = after[key];
+    else if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      diff.changed[key] = { from: before[key], to: after[key] };
+    }
+  });
+  return Object.values(diff).some(part => Object.keys(part).length > 0) ? diff : null;
+};
+
+const diffFeatures = (before, after) => {
+  const previous = new Map(before.map(feature => [feature.id, feature]));
+  const current = new Set(after.map(feature => feature.id));
+  const diff = {
+    added: after.filter(feature => !previous.has(feature.id)).map(feature => feature.id),
+    removed: before.filter(feature => !current.has(feature.id)).map(feature => feature.id),
+    modified: after.filter(feature => {
+      const old = previous.get(feature.id);
+      return old && JSON.stringify([old.feature_index, old.geometry, old.properties])
+        !== JSON.stringify([feature.feature_index, feature.geometry, feature.properties]);
+    }).map(feature => feature.id)
+  };
+  return diff.added.length || diff.removed.length || diff.modified.length ? diff : null;
+};
+
+/**
+ * Diff giữa hai trạng thái: { name, metadata, deleted, features } (chỉ các phần thay đổi).
+ */
+const diffState = (before, after) => {
+  const changes = {};
+  if (before.name !== after.name) {
+    changes.name = { from: before.name, to: after.name };
+  }
+  // Khóa hệ thống (preview do process-image ghi) không tính là thay đổi của người dùng
+  const userMetadata = (metadata) => Object.fromEntries(
+    Object.entries(metadata || {}).filter(([key]) => !SYSTEM_METADATA_KEYS.includes(key))
+  );
+  const metadata = diffObjects(userMetadata(before.metadata), userMetadata(after.metadata));
+  if (metadata) changes.metadata = metadata;
+  if (Boolean(before.deleted_at) !== Boolean(after.deleted_at)) {
+    changes.deleted = { from: Boolean(before.deleted_at), to: Boolean(after.deleted_at) };
+  }
+  if (before.features && after.features) {
+    const features = diffFeatures(before.features, after.features);
+    if (features) changes.features = features;
+  }
+  return changes;
+};
+
+const insertVersion = async (client, shapefileId, { version, action, actor, changes, state }) => {
+  await client.query(
+    `INSERT INTO shapefile_versions (shapefile_id, version, action, actor, changes, name, metadata, features)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [
+      shapefileId, version, action, actor || null,
+      changes ? JSON.stringify(changes) : null,
+      state.name,
+      state.metadata ? JSON.stringify(state.metadata) : null,
+      state.features ? JSON.stringify(state.features) : null
+    ]
+  );
+};
+
+/**
+ * Ghi phiên bản đầu tiên cho dataset vừa tạo (upload, lưu kết quả phép tính geometry).
+ */
+const recordCreated = async (client, shapefileId, { actor, action = 'create' } = {}) => {
+  const state = await loadState(client, shapefileId, { features: true });
+  await insertVersion(client, shapefileId, { version: 1, action, actor, changes: null, state });
+};
+
+/**
+ * Chạy apply() và ghi phiên bản mới nếu có thay đổi. Dataset chưa có lịch sử (tạo trước khi có
+ * versioning) được ghi thêm phiên bản 'baseline' với trạng thái trước thay đổi.
+ * features = true khi apply() có thể sửa feature. Trả về null nếu dataset không tồn tại.
+ */
+const trackChange = async (client, shapefileId, { action, actor, features = false, note }, apply) => {
+  const before = await loadState(client, shapefileId, { lock: true });
+  if (!before) return null;
+
+  const latest = await client.query(
+    'SELECT MAX(version) AS version FROM shapefile_versions WHERE shapefile_id = $1',
+    [shapefileId]
+  );
+  let version = latest.rows[0].version || 0;
+  if (features || version === 0) {
+    before.features = await loadFeatures(client, shapefileId);
+  }
+  if (version === 0) {
+    await insertVersion(client, shapefileId, { version: ++version, action: 'baseline', actor: null, changes: null, state: before });
+  }
+
+  const result = await apply(before);
+  const after = await loadState(client, shapefileId, { features });
+  const changes = diffState(before, after);
+  if (Object.keys(changes).length === 0) {
+    return { result, version, changes: null };
+  }
+
+  await insertVersion(client, shapefileId, {
+    version: ++version,
+    action,
+    actor,
+    changes: note ? { ...changes, ...note } : changes,
+    state: after
+  });
+  return { result, version, changes };
+};
+
+/**
+ * Trạng thái đã lưu của phiên bản N (features lấy từ phiên bản gần nhất <= N có chụp feature).
+ */
+const loadVersionState = async (client, shapefileId, version) => {
+  const result = await client.query(
+    `SELECT v.version, v.name, v.metadata,
+       (SELECT p.features FROM shapefile_versions p
+        WHERE p.shapefile_id = v.shapefile_id AND p.version <= v.version AND p.features IS NOT NULL
+        ORDER BY p.version DESC LIMIT 1) AS features
+     FROM shapefile_versions v
+     WHERE v.shapefile_id = $1 AND v.version = $2`,
+    [shapefileId, version]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Đưa name, metadata và feature của dataset về trạng thái đã lưu. Feature giữ nguyên id
+ * (thống kê theo feature vẫn gắn đúng), feature không có trong phiên bản bị xóa.
+ * Khóa metadata hệ thống hiện tại (preview mới nhất) được giữ lại.
+ */
+const applyState = async (client, shapefileId, state, current) => {
+  await client.query(
+    'UPDATE shapefiles SET name = $1, metadata = $2, updated_at = NOW() WHERE id = $3',
+    [state.name, JSON.stringify(replaceMetadata(current.metadata, state.metadata || {})), shapefileId]
+  );
+
+  const ids = state.features.map(feature => feature.id);
+  await client.query(
+    'DELETE FROM shapefile_features WHERE shapefile_id = $1 AND NOT (id = ANY($2::int[]))',
+    [shapefileId, ids]
+  );
+  for (const feature of state.features) {
+    const geom = JSON.stringify(feature.geometry);
+    await client.query(
+      `INSERT INTO shapefile_features (id, shapefile_id, feature_index, geom, bbox, properties)
+       VALUES ($1, $2, $3, ST_SetSRID(ST_GeomFromGeoJSON($4), 4326), ST_SetSRID(ST_Envelope(ST_GeomFromGeoJSON($4)), 4326), $5)
+       ON CONFLICT (id) DO UPDATE
+       SET feature_index = EXCLUDED.feature_index, geom = EXCLUDED.geom, bbox = EXCLUDED.bbox,
+           properties = EXCLUDED.properties, updated_at = NOW()
+       WHERE shapefile_features.shapefile_id = EXCLUDED.shapefile_id`,
+      [feature.id, shapefileId, feature.feature_index, geom, feature.properties ? JSON.stringify(feature.properties) : null]
+    );
+  }
+};
+
+module.exports = {
+  SYSTEM_METADATA_KEYS,
+  mergePatch,
+  replaceMetadata,
+  loadState,
+  diffState,
+  recordCreated,
+  trackChange,
+  loadVersionState,
+  applyState
+};
@@ -0,0 +1,133 @@
+/**
+ * Thống kê chỉ số theo từng feature (bảng zonal_stats), do process_satellite.py tính
+ * trong job process-image.
+ */
+
+const MAX_LIMIT = 1000;
+
+// Cột xuất CSV, theo thứ tự
+const CSV_COLUMNS = [
+  'id', 'shapefile_id', 'feature_id', 'feature_index', 'job_id', 'scene_id', 'provider', 'index_type', 'sensor',
+  'valid_pixels', 'total_pixels', 'mean', 'min', 'max', 'std',
+  'p10', 'p25', 'p50', 'p75', 'p90',
+  'threshold', 'area_above_threshold_m2', 'area_above_threshold_ha', 'valid_area_m2', 'computed_at'
+];
+
+class ZonalStatsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ZonalStatsError';
+  }
+}
+
+/**
+ * FeatureCollection các feature của shapefile (id = shapefile_features.id) để Python tính theo vùng.
+ */
+const loadZones = async (client, shapefileId) => {
+  const result = await client.query(
+    `SELECT json_build_object(
+       'type', 'FeatureCollection',
+       'features', COALESCE(json_agg(json_build_object(
+         'type', 'Feature', 'id', id, 'geometry', ST_AsGeoJSON(geom)::json
+       ) ORDER BY feature_index), '[]'::json)
+     ) AS zones
+     FROM shapefile_features
+     WHERE shapefile_id = $1`,
+    [shapefileId]
+  );
+  return result.rows[0].zones;
+};
+
+/**
+ * Lưu kết quả thống kê của một lần chạy; stats là mảng do process_satellite.py in ra.
+ */
+const saveZonalStats = async (client, { shapefileId, resultId, jobId, sceneId, provider, indexType, sensor, stats }) => {
+  for (const row of stats) {
+    await client.query(
+      `INSERT INTO zonal_stats (
+         shapefile_id, feature_id, job_id, scene_id, provider, index_type, sensor,
+         valid_pixels, total_pixels, mean, min, max, std, percentiles,
+         threshold, area_above_threshold_m2, valid_area_m2, result_id
+       )
+       SELECT $1, f.id, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18
+       FROM shapefile_features f
+       WHERE f.id = $2 AND f.shapefile_id = $1`,
+      [
+        shapefileId, row.feature_id, jobId, sceneId, provider, indexType, sensor,
+        row.valid_pixels, row.total_pixels,
+        row.mean ?? null, row.min ?? null, row.max ?? null, row.std ?? null,
+        row.percentiles ? JSON.stringify(row.percentiles) : null,
+        row.threshold ?? null, row.area_above_threshold_m2 ?? null, row.valid_area_m2 ?? null,
+        resultId || null
+      ]
+    );
+  }
+};
+
+/**
+ * Dựng điều kiện lọc kết quả: shapefileId (bắt buộc), featureId, index, sceneId, jobId, from, to.
+ * Trả về { where, values, page, limit }.
+ */
+const buildStatsQuery = (params) => {
+  const where = [];
+  const values = [];
+  const addValue = (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+
+  const shapefileId = parseInt(params.shapefileId);
+  if (!Number.isInteger(shapefileId)) {
+    throw new ZonalStatsError('shapefileId must be an integer id');
+  }
+  where.push(`z.shapefile_id = ${addValue(shapefileId)}`);
+
+  if (params.featureId !== undefined) {
+    const featureId = parseInt(params.featureId);
+    if (!Number.isInteger(featureId)) {
+      throw new ZonalStatsError('featureId must be an integer id');
+    }
+    where.push(`z.feature_id = ${addValue(featureId)}`);
+  }
+  if (params.index !== undefined) {
+    where.push(`z.index_type = ${addValue(String(params.index).toLowerCase())}`);
+  }
+  if (params.sceneId !== undefined) {
+    where.push(`z.scene_id = ${addValue(String(params.sceneId))}`);
+  }
+  if (params.jobId !== undefined) {
+    where.push(`z.job_id::text = ${addValue(String(params.jobId))}`);
+  }
+  [['from', '>='], ['to', '<=']].forEach(([key, operator]) => {
+    if (params[key] === undefined) return;
+    const date = new Date(params[key]);
+    if (Number.isNaN(date.getTime())) {
+      throw new ZonalStatsError(`${key} must be an ISO 8601 date`);
+    }
+    where.push(`z.computed_at ${operator} ${addValue(date.toISOString())}`);
+  });
+
+  const page = Math.max(parseInt(params.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(params.limit) || 100, 1), MAX_LIMIT);
+  return { where, values, page, limit };
+};
+
+const toCsvRow = (row) => ({
+  ...row,
+  p10: row.percentiles?.['10'],
+  p25: row.percentiles?.['25'],
+  p50: row.percentiles?.['50'],
+  p75: row.percentiles?.['75'],
+  p90: row.percentiles?.['90'],
+  area_above_threshold_ha: row.area_above_threshold_m2 !== null ? row.area_above_threshold_m2 / 10000 : null,
+  computed_at: row.computed_at instanceof Date ? row.computed_at.toISOString() : row.computed_at
+});
+
+module.exports = {
+  loadZones,
+  saveZonalStats,
+  buildStatsQuery,
+  toCsvRow,
+  CSV_COLUMNS,
+  ZonalStatsError
+};
@@ -0,0 +1,113 @@
+/**
+ * Tải ảnh và cache scene (services/providers/download.js) với server HTTP cục bộ.
+ * Chạy: node --test test/
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const FILES = {
+  '/scene-a.tif': Buffer.from('scene A content'),
+  '/scene-b.tif': Buffer.from('scene B content'),
+  '/scene-a-mirror.tif': Buffer.from('scene A content')
+};
+const md5 = (buffer) => crypto.createHash('md5').update(buffer).digest('hex');
+
+let server;
+let baseUrl;
+let workDir;
+let cacheDir;
+let downloadToFile;
+const hits = {};
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    hits[req.url] = (hits[req.url] || 0) + 1;
+    if (!FILES[req.url]) {
+      res.writeHead(404);
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Length': FILES[req.url].length });
+    res.end(FILES[req.url]);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'satgeo-download-'));
+  cacheDir = path.join(workDir, 'cache');
+  process.env.SCENE_CACHE_DIR = cacheDir;
+  process.env.DOWNLOAD_RETRIES = '1';
+  ({ downloadToFile } = require('../services/providers/download'));
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+const download = (file, options = {}) => {
+  const destPath = path.join(workDir, `${crypto.randomUUID()}.tif`);
+  return downloadToFile(`${baseUrl}${file}`, destPath, { allowedHosts: ['127.0.0.1'], cache: true, ...options })
+    .then(result => ({ ...result, content: fs.readFileSync(destPath) }));
+};
+
+const cachedFiles = () => fs.readdirSync(cacheDir).filter(name => name.endsWith('.tif'));
+
+test('repeated download of the same URL is served from cache', async () => {
+  const first = await download('/scene-a.tif');
+  const second = await download('/scene-a.tif');
+  assert.strictEqual(first.cached, false);
+  assert.strictEqual(second.cached, true);
+  assert.deepStrictEqual(second.content, FILES['/scene-a.tif']);
+  assert.strictEqual(hits['/scene-a.tif'], 1);
+});
+
+test('different URLs never share a cache entry', async () => {
+  const result = await download('/scene-b.tif');
+  assert.strictEqual(result.cached, false);
+  assert.deepStrictEqual(result.content, FILES['/scene-b.tif']);
+});
+
+test('content is cached by checksum and reused for any URL with that checksum', async () => {
+  const checksum = md5(FILES['/scene-a.tif']);
+  const first = await download('/scene-a.tif', { checksum });
+  const mirror = await download('/scene-a-mirror.tif', { checksum });
+  assert.strictEqual(first.cached, false);
+  assert.strictEqual(mirror.cached, true);
+  assert.deepStrictEqual(mirror.content, FILES['/scene-a.tif']);
+  assert.strictEqual(hits['/scene-a-mirror.tif'], undefined);
+});
+
+test('a file that does not match the requested checksum is neither returned nor cached', async () => {
+  const count = cachedFiles().length;
+  await assert.rejects(
+    download('/scene-b.tif', { checksum: md5(Buffer.from('some other scene')) }),
+    { name: 'ProviderError', message: /Checksum mismatch/ }
+  );
+  assert.strictEqual(cachedFiles().length, count);
+});
+
+test('a modified cache entry is discarded and downloaded again', async () => {
+  cachedFiles().forEach(name => fs.writeFileSync(path.join(cacheDir, name), 'tampered'));
+  const hitsBefore = hits['/scene-b.tif'];
+
+  const result = await download('/scene-b.tif');
+  assert.strictEqual(result.cached, false);
+  assert.deepStrictEqual(result.content, FILES['/scene-b.tif']);
+  assert.strictEqual(hits['/scene-b.tif'], hitsBefore + 1);
+
+  const again = await download('/scene-b.tif');
+  assert.strictEqual(again.cached, true);
+  assert.deepStrictEqual(again.content, FILES['/scene-b.tif']);
+});
+
+test('downloads are limited to allowed hosts', async () => {
+  await assert.rejects(
+    downloadToFile(`${baseUrl}/scene-a.tif`, path.join(workDir, 'x.tif'), { allowedHosts: ['example.com'] }),
+    { name: 'ProviderError', message: /not allowed/ }
+  );
+});
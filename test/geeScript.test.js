@@ -0,0 +1,146 @@
+/**
+ * Script Google Earth Engine sinh cho /api/export/gee: mỗi chỉ số trên mỗi collection.
+ * Chạy: node --test test/
+ */
+const { test } = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const { GEE_COLLECTIONS, COMPOSITES, parseGeeParams, buildGeeScript } = require('../services/geeScript');
+const { INDICES } = require('../services/indices');
+
+const GEOMETRY = { type: 'Polygon', coordinates: [[[105.8, 21], [105.9, 21], [105.9, 21.1], [105.8, 21.1], [105.8, 21]]] };
+
+// Band thật mong đợi của từng collection (theo tài liệu Sentinel-2 SR và Landsat 8/9 C2 L2)
+const EXPECTED_BANDS = {
+  'sentinel-2': { blue: 'B2', green: 'B3', red: 'B4', nir: 'B8', swir1: 'B11', swir2: 'B12' },
+  'landsat-8-9': { blue: 'SR_B2', green: 'SR_B3', red: 'SR_B4', nir: 'SR_B5', swir1: 'SR_B6', swir2: 'SR_B7' }
+};
+
+const EXPECTED_COLLECTIONS = {
+  'sentinel-2': { ids: ['COPERNICUS/S2_SR_HARMONIZED'], cloudProperty: 'CLOUDY_PIXEL_PERCENTAGE', qaBand: 'SCL' },
+  'landsat-8-9': { ids: ['LANDSAT/LC08/C02/T1_L2', 'LANDSAT/LC09/C02/T1_L2'], cloudProperty: 'CLOUD_COVER', qaBand: 'QA_PIXEL' }
+};
+
+// Chỉ số dạng hiệu chuẩn hóa (a - b) / (a + b): thứ tự [a, b]
+const NORMALIZED_DIFFERENCE = {
+  ndvi: ['nir', 'red'],
+  ndwi: ['green', 'nir'],
+  ndbi: ['swir1', 'nir'],
+  ndmi: ['nir', 'swir1'],
+  mndwi: ['green', 'swir1'],
+  nbr: ['nir', 'swir2'],
+  gndvi: ['nir', 'green']
+};
+
+const OTHER_FORMULAS = {
+  evi: bands => `2.5 * (${bands.nir} - ${bands.red}) / (${bands.nir} + 6 * ${bands.red} - 7.5 * ${bands.blue} + 1)`,
+  savi: bands => `1.5 * (${bands.nir} - ${bands.red}) / (${bands.nir} + ${bands.red} + 0.5)`
+};
+
+const build = (body, context = {}) => buildGeeScript(parseGeeParams(body), { geometry: GEOMETRY, ...context });
+
+test('every index has an expected formula', () => {
+  assert.deepStrictEqual(
+    Object.keys(INDICES).sort(),
+    [...Object.keys(NORMALIZED_DIFFERENCE), ...Object.keys(OTHER_FORMULAS)].sort()
+  );
+  assert.deepStrictEqual(Object.keys(GEE_COLLECTIONS).sort(), Object.keys(EXPECTED_BANDS).sort());
+});
+
+for (const collection of Object.keys(EXPECTED_BANDS)) {
+  for (const type of Object.keys(INDICES)) {
+    test(`${type} on ${collection}`, () => {
+      const bands = EXPECTED_BANDS[collection];
+      const expected = EXPECTED_COLLECTIONS[collection];
+      const { code, formula, collectionIds } = build({
+        type,
+        collection,
+        dateFrom: '2024-01-01',
+        dateTo: '2024-03-31',
+        cloudCover: 15
+      });
+
+      // Script hợp lệ về cú pháp JavaScript
+      assert.doesNotThrow(() => new vm.Script(code));
+      assert.deepStrictEqual(collectionIds, expected.ids);
+      expected.ids.forEach(id => assert.ok(code.includes(`ee.ImageCollection(${JSON.stringify(id)})`), id));
+
+      // Band: tên band thật và thứ tự trong hiệu chuẩn hóa
+      const expectedFormula = NORMALIZED_DIFFERENCE[type]
+        ? (([a, b]) => `(${bands[a]} - ${bands[b]}) / (${bands[a]} + ${bands[b]})`)(NORMALIZED_DIFFERENCE[type])
+        : OTHER_FORMULAS[type](bands);
+      assert.strictEqual(formula, expectedFormula);
+      assert.ok(code.includes(`reflectance.expression(${JSON.stringify(INDICES[type].expression)}, {`));
+      (NORMALIZED_DIFFERENCE[type] || ['nir', 'red']).forEach(band => {
+        assert.ok(code.includes(`    ${band}: reflectance.select(${JSON.stringify(bands[band])})`), band);
+      });
+      assert.ok(code.includes(`image.select(${JSON.stringify(Object.values(bands))})`));
+      assert.ok(code.includes(`var INDEX_BAND = ${JSON.stringify(type.toUpperCase())};`));
+
+      // Ngày: dateTo được tính (filterDate không lấy ngày kết thúc)
+      assert.ok(code.includes('.filterDate("2024-01-01", ee.Date("2024-03-31").advance(1, \'day\'))'));
+
+      // Lọc mây theo thuộc tính ảnh và mặt nạ mây theo band QA
+      assert.ok(code.includes(`.filter(ee.Filter.lte(${JSON.stringify(expected.cloudProperty)}, 15))`));
+      assert.ok(code.includes(`image.select('${expected.qaBand}')`));
+      assert.ok(code.includes('.map(maskClouds)\n  .map(addIndex);'));
+
+      // Composite mặc định là median, cắt theo geometry
+      assert.ok(code.includes('var composite = collection.select(INDEX_BAND).median().clip(geometry);'));
+      assert.ok(!code.includes('Export.image.toDrive'));
+    });
+  }
+}
+
+test('composites reduce the index band', () => {
+  const expected = {
+    median: 'collection.select(INDEX_BAND).median()',
+    mean: 'collection.select(INDEX_BAND).mean()',
+    max: 'collection.select(INDEX_BAND).max()',
+    greenest: 'collection.qualityMosaic(\'greenness\').select(INDEX_BAND)'
+  };
+  assert.deepStrictEqual([...COMPOSITES].sort(), Object.keys(expected).sort());
+  for (const collection of Object.keys(EXPECTED_BANDS)) {
+    for (const composite of COMPOSITES) {
+      const { code } = build({ type: 'ndwi', collection, composite });
+      assert.ok(code.includes(`var composite = ${expected[composite]}.clip(geometry);`), `${collection} ${composite}`);
+    }
+    // greenest: NDVI (nir, red) dùng làm độ xanh, không phụ thuộc chỉ số được tính
+    const { nir, red } = EXPECTED_BANDS[collection];
+    const { code } = build({ type: 'ndwi', collection, composite: 'greenest' });
+    assert.ok(code.includes(`reflectance.normalizedDifference(${JSON.stringify([nir, red])}).rename('greenness')`));
+  }
+});
+
+test('defaults are filled in', () => {
+  const { code } = build({ type: 'ndvi' });
+  assert.ok(code.includes('ee.ImageCollection("COPERNICUS/S2_SR_HARMONIZED")'));
+  assert.ok(code.includes('.filterDate("2023-01-01", ee.Date("2023-12-31").advance(1, \'day\'))'));
+  assert.ok(code.includes('.filter(ee.Filter.lte("CLOUDY_PIXEL_PERCENTAGE", 20))'));
+});
+
+test('export and zonal statistics', () => {
+  const { code } = build(
+    { type: 'ndvi', collection: 'landsat-8-9', export: { folder: 'SatGeo', description: 'ndvi_q1' }, zonalStats: 'true' },
+    { features: [{ id: 7, feature_index: 0, geometry: GEOMETRY }] }
+  );
+  assert.doesNotThrow(() => new vm.Script(code));
+  assert.ok(code.includes('  description: "ndvi_q1",\n  folder: "SatGeo",\n  region: geometry,\n  scale: 30,'));
+  assert.ok(code.includes('"feature_id":7'));
+  assert.ok(code.includes('description: "ndvi_q1_zonal"'));
+});
+
+test('invalid parameters are rejected', () => {
+  const cases = [
+    [{ type: 'ndxx' }, /type must be one of/],
+    [{ type: 'ndvi', collection: 'modis' }, /collection must be one of/],
+    [{ type: 'ndvi', dateFrom: '2023-02-30' }, /dateFrom must be a date/],
+    [{ type: 'ndvi', dateFrom: '2024-01-02', dateTo: '2024-01-01' }, /must not be after/],
+    [{ type: 'ndvi', cloudCover: 101 }, /cloudCover/],
+    [{ type: 'ndvi', composite: 'min' }, /composite must be one of/],
+    [{ type: 'ndvi', export: { folder: 'a"); evil(); ("' } }, /export.folder/]
+  ];
+  cases.forEach(([body, message]) => {
+    assert.throws(() => parseGeeParams(body), { name: 'GeeScriptError', message });
+  });
+});
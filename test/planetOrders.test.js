@@ -0,0 +1,277 @@
+/**
+ * Job planet-activate / planet-order với server mock của Planet Data API và Orders API.
+ * Chạy: node --test test/
+ */
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const ITEM = { id: 'S1', properties: { item_type: 'PSScene', acquired: '2024-05-01T03:00:00Z' } };
+const MD5 = 'd41d8cd98f00b204e9800998ecf8427e';
+const CLIP = { type: 'Polygon', coordinates: [[[105.8, 21], [105.9, 21], [105.9, 21.1], [105.8, 21]]] };
+
+let server;
+let baseUrl;
+let planetOrders;
+let jobQueue;
+let pool;
+
+// Trạng thái server mock, đặt lại trước mỗi test
+let mock;
+const resetMock = () => {
+  mock = {
+    // Số lần hỏi danh sách asset trước khi asset đã kích hoạt chuyển sang active
+    activationPolls: 2,
+    assetGets: 0,
+    activations: [],
+    orders: [],
+    orderStates: ['queued', 'running', 'success'],
+    orderGets: 0
+  };
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const asset = (name, activated) => {
+  const state = !mock.activations.includes(name) ? 'inactive' : activated ? 'active' : 'activating';
+  return {
+    status: state,
+    _permissions: ['download'],
+    _links: { activate: `${baseUrl}/data/activate/${name}` },
+    ...(state === 'active' && { location: `${baseUrl}/download/${name}`, ...(name === 'ortho_analytic_4b_sr' && { md5_digest: MD5 }) })
+  };
+};
+
+const handle = (req, res, body) => {
+  if (req.method === 'GET' && req.url === '/data/item-types/PSScene/items/S1') {
+    return send(res, 200, ITEM);
+  }
+  if (req.method === 'GET' && req.url === '/data/item-types/PSScene/items/S1/assets') {
+    mock.assetGets += 1;
+    const activated = mock.activations.length > 0 && mock.assetGets > mock.activationPolls;
+    return send(res, 200, {
+      ortho_analytic_4b_sr: asset('ortho_analytic_4b_sr', activated),
+      ortho_udm2: asset('ortho_udm2', activated)
+    });
+  }
+  if (req.method === 'POST' && req.url.startsWith('/data/activate/')) {
+    mock.activations.push(req.url.split('/').pop());
+    return send(res, 202, {});
+  }
+  if (req.method === 'POST' && req.url === '/orders') {
+    mock.orders.push(body);
+    return send(res, 202, { id: `O${mock.orders.length}`, state: 'queued' });
+  }
+  if (req.method === 'GET' && req.url === '/orders/O1') {
+    const state = mock.orderStates[Math.min(mock.orderGets, mock.orderStates.length - 1)];
+    mock.orderGets += 1;
+    return send(res, 200, {
+      id: 'O1',
+      state,
+      ...(state === 'failed' && { last_message: 'Clip AOI does not intersect item' }),
+      ...(state === 'success' && {
+        _links: {
+          results: [
+            { name: 'O1/S1/S1_3B_AnalyticMS_SR_clip.tif', location: `${baseUrl}/download/o1-image` },
+            { name: 'O1/S1/S1_3B_udm2_clip.tif', location: `${baseUrl}/download/o1-udm2` },
+            { name: 'O1/manifest.json', location: `${baseUrl}/download/o1-manifest` }
+          ]
+        }
+      })
+    });
+  }
+  send(res, 404, { message: 'Not found' });
+};
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => handle(req, res, data ? JSON.parse(data) : null));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  process.env.PLANET_API_KEY = 'test-key';
+  process.env.PLANET_API_URL = `${baseUrl}/data`;
+  process.env.PLANET_ORDERS_URL = `${baseUrl}/orders`;
+  process.env.PLANET_WAIT_TIMEOUT = '3600';
+
+  pool = require('../db');
+  jobQueue = require('../services/jobQueue');
+  planetOrders = require('../services/planetOrders');
+});
+
+after(() => server.close());
+
+// Job process-image được xếp khi ảnh đã sẵn sàng
+let created;
+beforeEach(() => {
+  resetMock();
+  created = [];
+  jobQueue.createJob = async (type, params, options) => {
+    created.push({ type, params, options });
+    return { id: `process-${created.length}` };
+  };
+  // Geometry shapefile dùng để cắt đơn hàng
+  pool.query = async () => ({ rows: [{ geometry: JSON.stringify(CLIP) }] });
+});
+
+/**
+ * Chạy handler như hàng đợi job: wait() thì gộp params và chạy lại, update() gộp params.
+ * Trả về { result, runs, progress }.
+ */
+const runJob = async (handler, job) => {
+  const progress = [];
+  const context = {
+    signal: new AbortController().signal,
+    update: async (fields) => {
+      if (fields.params) job.params = { ...job.params, ...fields.params };
+      if (fields.progress !== undefined) progress.push(fields.progress);
+    },
+    wait: (delay, options = {}) => ({ waiting: true, delay, ...options })
+  };
+  for (let runs = 1; runs <= 20; runs += 1) {
+    const result = await handler(job, context);
+    if (!result?.waiting) return { result, runs, progress };
+    job.params = { ...job.params, ...result.params };
+    if (result.progress !== null && result.progress !== undefined) progress.push(result.progress);
+  }
+  throw new Error('Job did not finish');
+};
+
+const PROCESS = { type: 'ndvi', sensor: 'planetscope', shapefileId: 5, format: 'png' };
+
+const activateJob = (params = {}) => ({
+  id: 'job-activate',
+  owner_id: 7,
+  params: {
+    itemId: 'S1',
+    itemType: 'PSScene',
+    assetType: 'ortho_analytic_4b_sr',
+    maskAssetType: 'ortho_udm2',
+    process: PROCESS,
+    ...params
+  }
+});
+
+const orderJob = (params = {}) => ({
+  id: 'job-order',
+  owner_id: 7,
+  params: { itemId: 'S1', itemType: 'PSScene', productBundle: 'analytic_sr_udm2', shapefileId: 5, process: PROCESS, ...params }
+});
+
+test('activate: inactive assets are activated once and the job waits until they are active', async () => {
+  const { result, runs, progress } = await runJob(planetOrders.planetActivateJob, activateJob());
+
+  // Lần 1: inactive -> yêu cầu kích hoạt; lần 2: activating; lần 3: active
+  assert.strictEqual(runs, 3);
+  assert.deepStrictEqual(mock.activations.sort(), ['ortho_analytic_4b_sr', 'ortho_udm2']);
+  assert.strictEqual(progress.length, 2);
+  assert.ok(progress.every(value => value >= 10 && value <= 90));
+
+  assert.deepStrictEqual(result.assets, {
+    ortho_analytic_4b_sr: { location: `${baseUrl}/download/ortho_analytic_4b_sr`, md5: MD5 },
+    ortho_udm2: { location: `${baseUrl}/download/ortho_udm2`, md5: null }
+  });
+  assert.strictEqual(result.warnings, undefined);
+});
+
+test('activate: hands the active asset off to process-image', async () => {
+  const { result } = await runJob(planetOrders.planetActivateJob, activateJob());
+
+  assert.strictEqual(created.length, 1);
+  const [{ type, params, options }] = created;
+  assert.strictEqual(type, 'process-image');
+  assert.deepStrictEqual(options, { ownerId: 7 });
+  assert.deepStrictEqual(params, {
+    provider: 'planet',
+    imageUrl: `${baseUrl}/download/ortho_analytic_4b_sr`,
+    maskUrl: `${baseUrl}/download/ortho_udm2`,
+    checksum: MD5,
+    ...PROCESS,
+    sceneId: 'S1',
+    acquired: '2024-05-01T03:00:00Z'
+  });
+  assert.strictEqual(result.processJobId, 'process-1');
+  assert.strictEqual(result.processStatusUrl, '/api/jobs/process-1');
+});
+
+test('activate: without processing parameters only the asset links are returned', async () => {
+  const { result } = await runJob(planetOrders.planetActivateJob, activateJob({ process: undefined, maskAssetType: null }));
+  assert.strictEqual(created.length, 0);
+  assert.deepStrictEqual(Object.keys(result.assets), ['ortho_analytic_4b_sr']);
+  assert.deepStrictEqual(mock.activations, ['ortho_analytic_4b_sr']);
+});
+
+test('activate: a missing asset fails with 404', async () => {
+  await assert.rejects(
+    runJob(planetOrders.planetActivateJob, activateJob({ assetType: 'basic_analytic_8b' })),
+    { name: 'ProviderError', status: 404, message: /basic_analytic_8b not available/ }
+  );
+});
+
+test('activate: gives up after PLANET_WAIT_TIMEOUT', async () => {
+  mock.activationPolls = Infinity;
+  const waitingSince = new Date(Date.now() - 2 * 3600 * 1000).toISOString();
+  await assert.rejects(
+    runJob(planetOrders.planetActivateJob, activateJob({ waitingSince })),
+    { name: 'ProviderError', status: 504 }
+  );
+});
+
+test('order: queued -> running -> success places one clipped order and hands off to process-image', async () => {
+  const job = orderJob();
+  const { result, runs } = await runJob(planetOrders.planetOrderJob, job);
+
+  assert.strictEqual(runs, 3);
+  assert.strictEqual(mock.orders.length, 1);
+  assert.deepStrictEqual(mock.orders[0], {
+    name: 'satgeo_job-order',
+    products: [{ item_ids: ['S1'], item_type: 'PSScene', product_bundle: 'analytic_sr_udm2' }],
+    tools: [{ clip: { aoi: CLIP } }]
+  });
+  assert.strictEqual(job.params.orderId, 'O1');
+
+  assert.strictEqual(result.orderId, 'O1');
+  assert.strictEqual(result.files.length, 3);
+  assert.strictEqual(result.warnings, undefined);
+  assert.strictEqual(created.length, 1);
+  assert.deepStrictEqual(created[0].params, {
+    provider: 'planet',
+    imageUrl: `${baseUrl}/download/o1-image`,
+    maskUrl: `${baseUrl}/download/o1-udm2`,
+    ...PROCESS,
+    sceneId: 'S1',
+    acquired: '2024-05-01T03:00:00Z'
+  });
+});
+
+test('order: a job resumed after restart reuses its order instead of placing another', async () => {
+  mock.orderStates = ['running', 'success'];
+  const job = orderJob({ orderId: 'O1', acquired: '2024-05-01T03:00:00Z' });
+  const { result } = await runJob(planetOrders.planetOrderJob, job);
+
+  assert.strictEqual(mock.orders.length, 0);
+  assert.strictEqual(result.orderId, 'O1');
+  assert.strictEqual(created.length, 1);
+});
+
+test('order: a failed order fails the job with Planet\'s message', async () => {
+  mock.orderStates = ['queued', 'failed'];
+  await assert.rejects(
+    runJob(planetOrders.planetOrderJob, orderJob()),
+    error => {
+      assert.strictEqual(error.name, 'ProviderError');
+      assert.strictEqual(error.status, 502);
+      assert.match(error.message, /Planet order O1 failed/);
+      assert.deepStrictEqual(error.details, { lastMessage: 'Clip AOI does not intersect item' });
+      return true;
+    }
+  );
+  assert.strictEqual(mock.orders.length, 1);
+  assert.strictEqual(created.length, 0);
+});
@@ -0,0 +1,199 @@
+/**
+ * Provider STAC với server STAC mock cục bộ (không cần mạng).
+ * Chạy: node --test test/
+ */
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const IMAGE = Buffer.from('fake geotiff A');
+const MASK = Buffer.from('fake scl A');
+// file:checksum của STAC: multihash sha2-256 (1220 + digest)
+const multihash = (buffer) => `1220${crypto.createHash('sha256').update(buffer).digest('hex')}`;
+
+const feature = (id) => ({
+  type: 'Feature',
+  id,
+  collection: 'sentinel-2-l2a',
+  geometry: { type: 'Polygon', coordinates: [[[105, 20], [106, 20], [106, 21], [105, 21], [105, 20]]] },
+  properties: { datetime: '2024-03-01T03:20:00Z', 'eo:cloud_cover': 12.5 },
+  assets: {}
+});
+
+let server;
+let baseUrl;
+let stac;
+let parseSearchParams;
+const searches = [];
+let workDir;
+
+const send = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const handle = (req, res, body) => {
+  if (req.method === 'POST' && req.url === '/search') {
+    searches.push(body);
+    // Trang 1: 2 item và link next dạng POST (merge với body tìm kiếm); trang 2: 1 item
+    if (body.token !== 'page2') {
+      return send(res, 200, {
+        type: 'FeatureCollection',
+        features: [feature('S2A_1'), feature('S2A_2')],
+        links: [{ rel: 'next', href: `${baseUrl}/search`, method: 'POST', body: { token: 'page2' }, merge: true }]
+      });
+    }
+    return send(res, 200, { type: 'FeatureCollection', features: [feature('S2A_3')], links: [] });
+  }
+  if (req.method === 'GET' && req.url === '/collections/sentinel-2-l2a/items/S2A_1') {
+    return send(res, 200, {
+      ...feature('S2A_1'),
+      assets: {
+        // href tương đối so với item
+        visual: { href: 'S2A_1/visual.tif', 'file:checksum': multihash(IMAGE) },
+        SCL: { href: `${baseUrl}/files/S2A_1/scl.tif` }
+      }
+    });
+  }
+  if (req.method === 'GET' && req.url === '/collections/sentinel-2-l2a/items/S2A_2') {
+    return send(res, 200, {
+      ...feature('S2A_2'),
+      assets: { visual: { href: `${baseUrl}/collections/sentinel-2-l2a/items/S2A_1/visual.tif` } }
+    });
+  }
+  if (req.method === 'GET' && req.url === '/collections/sentinel-2-l2a/items/S2A_3') {
+    // Checksum không khớp nội dung file
+    return send(res, 200, {
+      ...feature('S2A_3'),
+      assets: { visual: { href: `${baseUrl}/files/S2A_1/scl.tif`, 'file:checksum': multihash(IMAGE) } }
+    });
+  }
+  if (req.method === 'GET' && req.url === '/collections/sentinel-2-l2a/items/S2A_1/visual.tif') {
+    return res.end(IMAGE);
+  }
+  if (req.method === 'GET' && req.url === '/files/S2A_1/scl.tif') {
+    return res.end(MASK);
+  }
+  send(res, 404, { code: 'NotFound' });
+};
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => handle(req, res, data ? JSON.parse(data) : null));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'satgeo-stac-'));
+  process.env.STAC_API_URL = baseUrl;
+  process.env.SCENE_CACHE_MAX_GB = '0';
+  process.env.DOWNLOAD_RETRIES = '1';
+  stac = require('../services/providers/stac');
+  ({ parseSearchParams } = require('../services/providers/searchParams'));
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+const geometries = {
+  geometry: null,
+  bbox: { type: 'Polygon', coordinates: [[[105.5, 20.5], [105.8, 20.5], [105.8, 20.8], [105.5, 20.8], [105.5, 20.5]]] }
+};
+
+test('search follows next links until limit and converts cloud cover', async () => {
+  searches.length = 0;
+  const params = parseSearchParams({ collections: 'sentinel-2-l2a', maxCloudCover: '0.3', limit: '3' });
+  const result = await stac.search(params, geometries);
+
+  assert.deepStrictEqual(result.items.map(item => item.id), ['S2A_1', 'S2A_2', 'S2A_3']);
+  assert.strictEqual(result.items[0].cloudCover, 0.125);
+  assert.strictEqual(result.items[0].itemType, 'sentinel-2-l2a');
+  assert.strictEqual(result.nextPage, null);
+
+  assert.strictEqual(searches.length, 2);
+  assert.deepStrictEqual(searches[0].collections, ['sentinel-2-l2a']);
+  assert.deepStrictEqual(searches[0].bbox, [105.5, 20.5, 105.8, 20.8]);
+  assert.deepStrictEqual(searches[0].query, { 'eo:cloud_cover': { lte: 30 } });
+  // Trang 2 giữ nguyên body tìm kiếm và thêm token của link next
+  assert.strictEqual(searches[1].token, 'page2');
+  assert.deepStrictEqual(searches[1].collections, ['sentinel-2-l2a']);
+});
+
+test('search returns nextPage that resumes from the next link', async () => {
+  searches.length = 0;
+  const first = await stac.search(parseSearchParams({ limit: '1' }), geometries);
+  assert.strictEqual(first.items.length, 2);
+  assert.ok(first.nextPage);
+
+  const second = await stac.search(parseSearchParams({ limit: '1', nextPage: first.nextPage }), geometries);
+  assert.deepStrictEqual(second.items.map(item => item.id), ['S2A_3']);
+  assert.strictEqual(searches[1].token, 'page2');
+});
+
+test('nextPage pointing outside the STAC API is rejected', async () => {
+  const nextPage = Buffer.from(JSON.stringify({ href: 'http://169.254.169.254/latest', method: 'GET' })).toString('base64url');
+  await assert.rejects(
+    stac.search(parseSearchParams({ nextPage }), geometries),
+    { name: 'ProviderError', message: /configured STAC API/ }
+  );
+});
+
+test('download fetches the item asset and its SCL cloud mask', async () => {
+  const source = stac.validateDownload({ itemId: 'S2A_1', collection: 'sentinel-2-l2a' });
+  assert.deepStrictEqual(source, { itemId: 'S2A_1', collection: 'sentinel-2-l2a', asset: 'visual' });
+
+  const imagePath = path.join(workDir, 'image.tif');
+  const maskPath = path.join(workDir, 'mask.tif');
+  const result = await stac.download(source, imagePath, { maskPath });
+
+  assert.deepStrictEqual(result, { acquired: '2024-03-01T03:20:00Z', cloudMask: 'scl' });
+  assert.deepStrictEqual(fs.readFileSync(imagePath), IMAGE);
+  assert.deepStrictEqual(fs.readFileSync(maskPath), MASK);
+});
+
+test('download without a mask asset processes without cloud mask', async () => {
+  const imagePath = path.join(workDir, 'no-mask.tif');
+  const maskPath = path.join(workDir, 'no-mask-mask.tif');
+  const result = await stac.download({ itemId: 'S2A_2', collection: 'sentinel-2-l2a', asset: 'visual' }, imagePath, { maskPath });
+
+  assert.deepStrictEqual(result, { acquired: '2024-03-01T03:20:00Z' });
+  assert.deepStrictEqual(fs.readFileSync(imagePath), IMAGE);
+  assert.ok(!fs.existsSync(maskPath));
+});
+
+test('download rejects an asset that does not match its file:checksum', async () => {
+  const imagePath = path.join(workDir, 'corrupt.tif');
+  await assert.rejects(
+    stac.download({ itemId: 'S2A_3', collection: 'sentinel-2-l2a', asset: 'visual' }, imagePath, {}),
+    { name: 'ProviderError', status: 502, message: /Checksum mismatch/ }
+  );
+  assert.ok(!fs.existsSync(imagePath));
+});
+
+test('missing item and asset are reported as not found', async () => {
+  await assert.rejects(
+    stac.download({ itemId: 'S2A_9', collection: 'sentinel-2-l2a', asset: 'visual' }, path.join(workDir, 'x.tif'), {}),
+    { name: 'ProviderError', status: 404 }
+  );
+  await assert.rejects(
+    stac.download({ itemId: 'S2A_1', collection: 'sentinel-2-l2a', asset: 'B04' }, path.join(workDir, 'x.tif'), {}),
+    { name: 'ProviderError', status: 404, message: /Asset B04/ }
+  );
+});
+
+test('image URLs are limited to the STAC API host', () => {
+  assert.strictEqual(
+    stac.validateDownload({ imageUrl: `${baseUrl}/files/S2A_1/scl.tif` }).imageUrl,
+    `${baseUrl}/files/S2A_1/scl.tif`
+  );
+  assert.throws(() => stac.validateDownload({ imageUrl: 'http://10.0.0.1/image.tif' }), { name: 'ProviderError' });
+  assert.throws(() => stac.validateDownload({ itemId: 'S2A_1' }), { name: 'ProviderError' });
+});